@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Run batches of AI-vs-AI games without the browser
+ *
+ * Usage: npm run simulate -- [options]
+ *
+ *   --games <n>         Number of games to play (default 10)
+ *   --seed <seed>       Base seed; game N uses `<seed>-N` (default 'sim')
+ *   --map <id>          Map to play on (default classic)
+ *   --ai <n>            Seats besides the first, so n + 1 players (default 3)
+ *   --strategies <list> Comma-separated strategy per seat, repeated as needed:
+ *                       balanced, aggressive, defensive, expansionist or random (default random)
+ *   --difficulty <d>    easy, medium or hard (default medium)
+ *   --max-turns <n>     Stop games still running after this many turns (default 200)
+ *   --no-events         Play without random events
+ *   --capitals          Play in capitals mode
+ *   --missions          Deal secret missions
+ *   --draft             Draft territories and starting armies instead of dealing them
+ *   --fog               Play with fog of war
+ *   --rules <id>        Rule set: classic, capitals, fast or custom (default classic)
+ *   --format <f>        json or csv (default json)
+ *   --out <file>        Write results to a file instead of stdout
+ *   --quiet             Do not report progress on stderr
+ */
+
+import fs from 'fs';
+import { simulateGames, summarizeResults, resultsToCsv } from '../src/core/simulation.js';
+import { listMaps } from '../src/core/map-registry.js';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = {
+    games: 10,
+    seed: 'sim',
+    mapId: 'classic',
+    aiPlayers: 3,
+    strategies: ['random'],
+    difficulty: 'medium',
+    maxTurns: 200,
+    gameConfig: {},
+    format: 'json',
+    out: null,
+    quiet: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}`);
+      return args[++i];
+    };
+    const count = () => {
+      const number = parseInt(value(), 10);
+      if (!Number.isInteger(number) || number < 1) throw new Error(`${arg} must be a positive whole number`);
+      return number;
+    };
+
+    switch (arg) {
+      case '--games': options.games = count(); break;
+      case '--seed': options.seed = value(); break;
+      case '--map': options.mapId = value(); break;
+      case '--ai': options.aiPlayers = count(); break;
+      case '--strategies': options.strategies = value().split(',').map(s => s.trim()); break;
+      case '--difficulty': options.difficulty = value(); break;
+      case '--max-turns': options.maxTurns = count(); break;
+      case '--no-events': options.gameConfig.enableEvents = false; break;
+      case '--capitals': options.gameConfig.enableCapitals = true; break;
+      case '--missions': options.gameConfig.enableMissions = true; break;
+      case '--draft': options.gameConfig.enableDraft = true; break;
+      case '--fog': options.gameConfig.enableFog = true; break;
+      case '--rules': options.gameConfig.ruleSet = value(); break;
+      case '--format': options.format = value(); break;
+      case '--out': options.out = value(); break;
+      case '--quiet': options.quiet = true; break;
+      default: throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  if (!['json', 'csv'].includes(options.format)) {
+    throw new Error(`Unknown format '${options.format}' (use json or csv)`);
+  }
+  if (!listMaps().some(map => map.id === options.mapId)) {
+    throw new Error(`Unknown map '${options.mapId}'. Available maps: ${listMaps().map(map => map.id).join(', ')}`);
+  }
+
+  return options;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // The engine logs debugging output meant for the browser console; keep stdout for results
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  let results;
+  try {
+    results = simulateGames({
+      ...options,
+      onGame: (result, index) => {
+        if (!options.quiet) {
+          const outcome = result.finished
+            ? `${result.winner} (${result.winnerStrategy}) won by ${result.victoryType} on turn ${result.turns}`
+            : `unfinished after ${result.turns} turns${result.error ? ` - ${result.error}` : ''}`;
+          console.error(`Game ${index}/${options.games} [${result.seed}]: ${outcome}`);
+        }
+      }
+    });
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  const output = options.format === 'csv'
+    ? resultsToCsv(results)
+    : JSON.stringify({ summary: summarizeResults(results), games: results }, null, 2) + '\n';
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    if (!options.quiet) {
+      console.error(`Wrote ${results.length} games to ${options.out}`);
+    }
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
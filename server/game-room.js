@@ -0,0 +1,574 @@
+/**
+ * Game room for the multiplayer server
+ *
+ * A room holds one game from the lobby to the end. In the lobby players pick
+ * one of the human seats set up by whoever opened the room and say when they
+ * are ready; anyone without a seat watches as a spectator. The game starts once
+ * every seated player is ready, with AI players filling the seats no one took.
+ *
+ * Each player is given a token when they first enter the room. Coming back with
+ * it (after a browser refresh, or once the server has restarted) puts them back
+ * in their seat. The room is saved after every change, with the game as
+ * GameState.serialize output, so a restarted server carries on where it was.
+ */
+
+import { randomUUID } from 'crypto';
+import GameEngine from '../src/core/game-engine.js';
+import { GameState } from '../src/core/models.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { createSeatAIs, validateSeats } from '../src/core/game-setup.js';
+import { listMaps } from '../src/core/map-registry.js';
+import { validateScenario } from '../src/core/scenarios.js';
+import { MessageTypes, validateCommand } from '../src/core/multiplayer/protocol.js';
+import { getPlayerView } from '../src/core/multiplayer/player-view.js';
+import { diffState } from '../src/core/multiplayer/state-diff.js';
+
+// AI phases played in a row at most, so an AI that cannot finish its turn does not hang the server
+const MAX_AI_STEPS = 1000;
+
+// Longest name a player can enter the room with
+const MAX_NAME_LENGTH = 20;
+
+const RoomStatus = {
+  LOBBY: 'lobby',
+  PLAYING: 'playing'
+};
+
+/**
+ * One game and the players and spectators in it
+ */
+class GameRoom {
+  /**
+   * Open a room in the lobby
+   * @param {string} code - Code players join the room with
+   * @param {Object} config - Game config (as for GameEngine); its human seats are the ones players can take
+   * @param {Function} onChange - Called with the room whenever it needs saving
+   */
+  constructor(code, config, onChange = () => {}) {
+    this.code = code;
+    this.config = config;
+    this.onChange = onChange;
+    this.status = RoomStatus.LOBBY;
+    // Everyone who has entered the room: { token, name, seatIndex, ready, playerId, client, view, version }
+    this.members = [];
+    this.gameState = null;
+    this.engine = null;
+    this.aiPlayers = {};
+    this.version = 0;
+  }
+
+  /**
+   * Check that a config can be used to open a room
+   * @param {Object} config - Game config
+   * @returns {string|null} What is wrong with the config, or null if it is fine
+   */
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return 'Missing game config';
+    }
+
+    const seatError = validateSeats(config.seats);
+    if (seatError) return seatError;
+    if (!config.seats.some(seat => seat.type === 'human')) {
+      return 'At least one seat must be for a human player';
+    }
+
+    const map = listMaps().find(m => m.id === (config.mapId || 'classic'));
+    if (!map) {
+      return `Unknown map '${config.mapId}'`;
+    }
+    if (map.territoryCount < config.seats.length) {
+      return `${map.name} is too small for ${config.seats.length} players`;
+    }
+
+    if (config.scenario) {
+      const { valid, errors } = validateScenario(config.scenario);
+      if (!valid) {
+        return `The scenario is invalid: ${errors[0]}`;
+      }
+      if (config.scenario.players.length !== config.seats.length) {
+        return `The scenario is played by ${config.scenario.players.length} players`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bring back a room saved by toJSON. Nobody is connected until they join again.
+   * @param {Object} saved - Saved room
+   * @param {Function} onChange - Called with the room whenever it needs saving
+   * @returns {GameRoom} The room
+   */
+  static restore(saved, onChange) {
+    const room = new GameRoom(saved.code, saved.config, onChange);
+    room.status = saved.status;
+    room.members = saved.members.map(member => ({ ...member, client: null, view: null, version: 0 }));
+
+    if (saved.game) {
+      room.gameState = GameState.deserialize(saved.game);
+      room.engine = new GameEngine(room.gameState.config);
+      room.engine.gameState = room.gameState;
+      room.aiPlayers = createSeatAIs(room.gameState);
+    }
+
+    return room;
+  }
+
+  /**
+   * Get the room as plain data for saving
+   * @returns {Object} Saved room
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      config: this.config,
+      members: this.members.map(({ token, name, seatIndex, ready, playerId }) => ({ token, name, seatIndex, ready, playerId })),
+      game: this.gameState ? this.gameState.serialize() : null
+    };
+  }
+
+  /**
+   * Get what everyone in the room is shown about its seats
+   * @returns {Object} Room summary (each player is also told their own seatIndex)
+   */
+  getSummary() {
+    return {
+      code: this.code,
+      status: this.status,
+      mapId: this.config.mapId || 'classic',
+      ruleSet: this.config.ruleSet || 'classic',
+      seats: this.config.seats.map((seat, index) => {
+        const member = this.members.find(m => m.seatIndex === index);
+        return {
+          index,
+          name: member ? member.name : seat.name,
+          color: seat.color,
+          type: seat.type,
+          strategy: seat.type === 'ai' ? seat.strategy : null,
+          difficulty: seat.type === 'ai' ? seat.difficulty : null,
+          taken: !!member,
+          ready: !!(member && member.ready),
+          connected: !!(member && member.client)
+        };
+      }),
+      spectators: this.members.filter(m => m.seatIndex === null && m.client).map(m => m.name)
+    };
+  }
+
+  /**
+   * Let a client into the room, putting them back in their seat if they bring the token of an earlier visit
+   * @param {Object} client - Connected client
+   * @param {string} requestId - ID the client gave the request
+   * @param {string} name - Name to play under
+   * @param {string} token - Token from an earlier visit, if any
+   * @returns {Object} The client's place in the room
+   */
+  join(client, requestId, name, token) {
+    let member = token ? this.members.find(m => m.token === token) : null;
+
+    if (member) {
+      // Whoever held the place before (an old tab, a dropped connection) has to give it up
+      if (member.client && member.client !== client) {
+        member.client.send(MessageTypes.ERROR, { error: 'You joined this room from somewhere else' });
+        member.client.room = null;
+        member.client.member = null;
+      }
+    } else {
+      member = {
+        token: randomUUID(),
+        name: (name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Guest',
+        seatIndex: null,
+        ready: false,
+        playerId: null
+      };
+      this.members.push(member);
+    }
+
+    member.client = client;
+    client.room = this;
+    client.member = member;
+
+    client.send(MessageTypes.RESULT, {
+      requestId,
+      result: { success: true, code: this.code, token: member.token, name: member.name }
+    });
+    this.broadcastRoom();
+    if (this.status === RoomStatus.PLAYING) {
+      this.welcome(member);
+    }
+
+    this.onChange(this);
+    return member;
+  }
+
+  /**
+   * Take a client out of the room. A player who leaves a game in progress keeps
+   * their seat, so they can come back with their token.
+   * @param {Object} member - The client's place in the room
+   */
+  leave(member) {
+    if (member.client) {
+      member.client.room = null;
+      member.client.member = null;
+      member.client = null;
+    }
+
+    if (this.status === RoomStatus.LOBBY || member.seatIndex === null) {
+      this.members = this.members.filter(m => m !== member);
+    }
+
+    this.broadcastRoom();
+    this.onChange(this);
+  }
+
+  /**
+   * Note that a client's connection has dropped; their seat waits for them
+   * @param {Object} member - The client's place in the room
+   */
+  disconnect(member) {
+    member.client = null;
+    this.broadcastRoom();
+  }
+
+  /**
+   * Handle a message from someone in the room
+   * @param {Object} member - The sender's place in the room
+   * @param {Object} message - Decoded message
+   */
+  handleMessage(member, message) {
+    const { requestId } = message;
+
+    switch (message.type) {
+      case MessageTypes.TAKE_SEAT:
+        this.answer(member, requestId, this.takeSeat(member, message.seatIndex));
+        break;
+      case MessageTypes.LEAVE_SEAT:
+        this.answer(member, requestId, this.leaveSeat(member));
+        break;
+      case MessageTypes.READY:
+        this.answer(member, requestId, this.setReady(member, !!message.ready));
+        break;
+      case MessageTypes.LEAVE_ROOM: {
+        const client = member.client;
+        this.leave(member);
+        client.send(MessageTypes.RESULT, { requestId, result: { success: true } });
+        break;
+      }
+      case MessageTypes.ACTION: {
+        const error = validateCommand(message.command, this.gameState);
+        if (error) {
+          member.client.send(MessageTypes.ERROR, { requestId, error });
+          return;
+        }
+
+        // Players can only ever act for the seat they hold
+        const { type, payload = {} } = message.command;
+        this.runForMember(member, requestId, () =>
+          this.engine.executeCommand({ type, playerId: member.playerId, payload })
+        );
+        break;
+      }
+      case MessageTypes.UNDO:
+        this.runForMember(member, requestId, () => this.engine.undo(member.playerId));
+        break;
+      case MessageTypes.REDO:
+        this.runForMember(member, requestId, () => this.engine.redo(member.playerId));
+        break;
+      case MessageTypes.SYNC:
+        if (this.status === RoomStatus.PLAYING) {
+          this.sendState(member);
+        }
+        break;
+      default:
+        member.client.send(MessageTypes.ERROR, { requestId, error: `Unknown message type '${message.type}'` });
+    }
+  }
+
+  /**
+   * Send the answer to a lobby request and, if it changed anything, tell everyone
+   * @param {Object} member - The sender's place in the room
+   * @param {string} requestId - ID the client gave the request
+   * @param {Object} result - Result ({ success, error })
+   */
+  answer(member, requestId, result) {
+    if (result.success) {
+      this.broadcastRoom();
+      this.onChange(this);
+    }
+    member.client.send(MessageTypes.RESULT, { requestId, result });
+
+    if (result.success) {
+      this.startIfReady();
+    }
+  }
+
+  /**
+   * Take one of the human seats
+   * @param {Object} member - The player's place in the room
+   * @param {number} seatIndex - Position of the seat
+   * @returns {Object} Result with success flag and optional error
+   */
+  takeSeat(member, seatIndex) {
+    if (this.status !== RoomStatus.LOBBY) {
+      return { success: false, error: 'The game has already started' };
+    }
+
+    const seat = this.config.seats[seatIndex];
+    if (!seat || seat.type !== 'human') {
+      return { success: false, error: 'That seat is not open to players' };
+    }
+    if (this.members.some(m => m !== member && m.seatIndex === seatIndex)) {
+      return { success: false, error: 'That seat is already taken' };
+    }
+
+    member.seatIndex = seatIndex;
+    member.ready = false;
+    return { success: true };
+  }
+
+  /**
+   * Give up a seat and watch instead
+   * @param {Object} member - The player's place in the room
+   * @returns {Object} Result with success flag and optional error
+   */
+  leaveSeat(member) {
+    if (this.status !== RoomStatus.LOBBY) {
+      return { success: false, error: 'The game has already started' };
+    }
+
+    member.seatIndex = null;
+    member.ready = false;
+    return { success: true };
+  }
+
+  /**
+   * Say whether a seated player is ready to start
+   * @param {Object} member - The player's place in the room
+   * @param {boolean} ready - Whether they are ready
+   * @returns {Object} Result with success flag and optional error
+   */
+  setReady(member, ready) {
+    if (this.status !== RoomStatus.LOBBY) {
+      return { success: false, error: 'The game has already started' };
+    }
+    if (member.seatIndex === null) {
+      return { success: false, error: 'Take a seat first' };
+    }
+
+    member.ready = ready;
+    return { success: true };
+  }
+
+  /**
+   * Start the game once every seated player is ready
+   */
+  startIfReady() {
+    const seated = this.members.filter(m => m.seatIndex !== null);
+    if (this.status !== RoomStatus.LOBBY || seated.length === 0 || !seated.every(m => m.ready)) {
+      return;
+    }
+
+    // Seats no one took are filled by AI players with the strategy and difficulty the seat was set up with
+    const seats = this.config.seats.map((seat, index) => {
+      const member = seated.find(m => m.seatIndex === index);
+      if (member) {
+        return { ...seat, name: member.name };
+      }
+      return {
+        ...seat,
+        type: 'ai',
+        strategy: seat.strategy || 'random',
+        difficulty: seat.difficulty || 'medium'
+      };
+    });
+
+    try {
+      this.engine = new GameEngine({
+        ...this.config,
+        seats,
+        playerCount: seats.length,
+        aiPlayers: seats.filter(seat => seat.type === 'ai').length
+      });
+      this.gameState = this.engine.initializeGame();
+    } catch (error) {
+      console.error(`Error starting the game in room ${this.code}:`, error);
+      this.engine = null;
+      this.broadcast(MessageTypes.ERROR, { error: `The game could not be started: ${error.message}` });
+      return;
+    }
+
+    this.aiPlayers = createSeatAIs(this.gameState);
+    for (const member of seated) {
+      member.playerId = this.gameState.players[member.seatIndex].id;
+    }
+    this.status = RoomStatus.PLAYING;
+
+    this.broadcastRoom();
+    for (const member of this.members) {
+      this.welcome(member);
+    }
+
+    // The AI seats before the first human play straight away
+    this.runAITurns();
+    this.onChange(this);
+  }
+
+  /**
+   * Send someone their whole view of the game that has started
+   * @param {Object} member - Their place in the room
+   */
+  welcome(member) {
+    if (!member.client) return;
+
+    member.view = getPlayerView(this.gameState, member.playerId);
+    member.version = this.version;
+    member.client.send(MessageTypes.WELCOME, { playerId: member.playerId, version: member.version, state: member.view });
+  }
+
+  /**
+   * Run something a player asked for, tell everyone what changed and answer the player
+   * @param {Object} member - The player's place in the room
+   * @param {string} requestId - ID the client gave the request
+   * @param {Function} run - Runs the request against the engine and returns its result
+   */
+  runForMember(member, requestId, run) {
+    if (this.status !== RoomStatus.PLAYING) {
+      member.client.send(MessageTypes.ERROR, { requestId, error: 'The game has not started yet' });
+      return;
+    }
+    if (!member.playerId) {
+      member.client.send(MessageTypes.ERROR, { requestId, error: 'Spectators cannot play' });
+      return;
+    }
+
+    let result;
+    try {
+      this.engine.gameState = this.gameState;
+      result = run();
+    } catch (error) {
+      console.error(`Error handling a request from ${member.playerId}:`, error);
+      result = { success: false, error: error.message };
+    }
+
+    // Clients get the new state before the result, so it is in place when they act on the result
+    if (result.success) {
+      this.broadcastState();
+    }
+    member.client.send(MessageTypes.RESULT, { requestId, result: toPlainResult(result) });
+
+    if (result.success) {
+      this.runAITurns();
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * Play the AI seats until it is a human's turn or the game is over
+   */
+  runAITurns() {
+    if (this.status !== RoomStatus.PLAYING) return;
+
+    for (let step = 0; step < MAX_AI_STEPS && !this.gameState.gameOver; step++) {
+      const player = this.gameState.players[this.gameState.currentPlayerIndex];
+      const ai = this.aiPlayers[player.id];
+      if (!ai) return;
+
+      const commandCount = this.gameState.commandLog.length;
+      try {
+        ai.performTurn(this.gameState, this.engine);
+      } catch (error) {
+        console.error(`Error during AI ${player.name}'s turn:`, error);
+      }
+
+      // An AI that could not act still has to end its phase, or the game would stall
+      if (this.gameState.commandLog.length === commandCount && !this.gameState.gameOver) {
+        const result = this.engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+        if (!result.success) {
+          console.error(`AI ${player.name} is stuck: ${result.error}`);
+          return;
+        }
+      }
+
+      this.broadcastState();
+    }
+  }
+
+  /**
+   * Send everyone connected the changes to their view of the game
+   */
+  broadcastState() {
+    this.version++;
+
+    for (const member of this.members) {
+      if (!member.client || !member.view) continue;
+
+      const view = getPlayerView(this.gameState, member.playerId);
+      const diff = diffState(member.view, view);
+      if (diff.length === 0) continue;
+
+      member.client.send(MessageTypes.STATE_DIFF, { baseVersion: member.version, version: this.version, diff });
+      member.view = view;
+      member.version = this.version;
+    }
+  }
+
+  /**
+   * Send someone their whole view of the game
+   * @param {Object} member - Their place in the room
+   */
+  sendState(member) {
+    member.view = getPlayerView(this.gameState, member.playerId);
+    member.version = this.version;
+    member.client.send(MessageTypes.STATE, { version: member.version, state: member.view });
+  }
+
+  /**
+   * Send a message to everyone connected
+   * @param {string} type - One of MessageTypes
+   * @param {Object} data - Message fields
+   */
+  broadcast(type, data) {
+    for (const member of this.members) {
+      if (member.client) {
+        member.client.send(type, data);
+      }
+    }
+  }
+
+  /**
+   * Tell everyone connected who is in which seat, and which seat is theirs
+   */
+  broadcastRoom() {
+    const summary = this.getSummary();
+    for (const member of this.members) {
+      if (member.client) {
+        member.client.send(MessageTypes.ROOM, { room: { ...summary, seatIndex: member.seatIndex } });
+      }
+    }
+  }
+}
+
+/**
+ * Turn an engine result into plain data that can be sent to a client
+ * @param {Object|boolean} result - Result from the engine
+ * @returns {Object} Result without references into the game state
+ */
+function toPlainResult(result) {
+  if (typeof result === 'boolean') {
+    return { success: result };
+  }
+
+  const seen = new WeakSet();
+  return JSON.parse(JSON.stringify(result, (key, value) => {
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return undefined;
+      seen.add(value);
+    }
+    return value;
+  }));
+}
+
+export { RoomStatus };
+export default GameRoom;
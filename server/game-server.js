@@ -0,0 +1,278 @@
+/**
+ * Multiplayer server for Risk-inspired strategy game
+ *
+ * Hosts authoritative games in rooms (see game-room.js). Players connect over
+ * WebSockets, open a room or join one by its code, take a seat and send
+ * commands, which the room runs through GameEngine.executeCommand exactly as
+ * the browser does for a local game. The server plays the AI seats itself and
+ * after every change sends each player the changes to their own view of the
+ * game (see player-view.js), so no client ever holds hidden information.
+ *
+ * The same port also answers HTTP requests to the save routes (see
+ * save-routes.js), so players can keep their local games on the server.
+ */
+
+import http from 'http';
+import path from 'path';
+import { randomInt } from 'crypto';
+import { WebSocketServer } from 'ws';
+import GameRoom, { RoomStatus } from './game-room.js';
+import RoomStore from './room-store.js';
+import { handleSaveRequest } from './save-routes.js';
+import FileSystemAdapter from '../src/core/storage/file-system-adapter.js';
+import { MessageTypes, encodeMessage, decodeMessage } from '../src/core/multiplayer/protocol.js';
+
+// Letters room codes are made of (no I or O, which are easily taken for 1 and 0)
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 5;
+
+// WebSocket readyState of an open connection
+const OPEN = 1;
+
+// How long a lobby no one is connected to stays open, so players have time to
+// join a room they opened or come back to one after losing their connection
+const LOBBY_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Server hosting any number of game rooms
+ */
+class GameServer {
+  /**
+   * Create a server, bringing back the rooms saved in its data directory
+   * @param {Object} options - Server options
+   * @param {string} options.dataDir - Directory rooms and players' saves are kept in (none keeps
+   *   rooms in memory only, and no saves)
+   * @param {number} options.lobbyTimeout - Milliseconds a lobby no one is connected to stays open
+   */
+  constructor({ dataDir = null, lobbyTimeout = LOBBY_TIMEOUT } = {}) {
+    this.store = dataDir ? new RoomStore(dataDir) : null;
+    this.saves = dataDir ? new FileSystemAdapter(path.join(dataDir, 'saves')) : null;
+    this.lobbyTimeout = lobbyTimeout;
+    this.rooms = new Map();
+    this.clients = new Set();
+    this.lobbyTimers = new Map(); // Room code -> timer closing the lobby if no one comes back to it
+    this.listening = false;
+    this.httpServer = null;
+    this.wss = null;
+
+    if (this.store) {
+      for (const saved of this.store.loadAll()) {
+        this.rooms.set(saved.code, GameRoom.restore(saved, room => this.saveRoom(room)));
+      }
+    }
+  }
+
+  /**
+   * Start listening for players
+   * @param {number} port - Port to listen on (0 picks a free one)
+   * @returns {Promise<number>} The port the server is listening on
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.httpServer = http.createServer((request, response) => handleSaveRequest(this.saves, request, response));
+      this.wss = new WebSocketServer({ server: this.httpServer });
+      this.wss.on('connection', socket => this.handleConnection(socket));
+      this.wss.once('error', reject);
+      this.httpServer.listen(port, () => {
+        this.listening = true;
+        // A game saved part way through an AI's turn carries on with it, and
+        // a saved lobby is only kept if someone comes back to it
+        for (const room of this.rooms.values()) {
+          room.runAITurns();
+          this.watchLobby(room);
+        }
+        resolve(this.httpServer.address().port);
+      });
+    });
+  }
+
+  /**
+   * Disconnect every player and stop listening
+   * @returns {Promise} Resolves once the server has closed
+   */
+  stop() {
+    this.listening = false;
+    for (const timer of this.lobbyTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.lobbyTimers.clear();
+
+    for (const client of this.clients) {
+      client.socket.terminate();
+    }
+    this.clients.clear();
+
+    return new Promise(resolve => {
+      if (!this.httpServer) {
+        resolve();
+        return;
+      }
+      this.wss.close();
+      this.httpServer.close(() => resolve());
+      this.httpServer.closeAllConnections();
+    });
+  }
+
+  /**
+   * Keep track of a new connection
+   * @param {WebSocket} socket - The player's connection
+   */
+  handleConnection(socket) {
+    const client = {
+      socket,
+      room: null,
+      member: null,
+      send: (type, data = {}) => {
+        if (socket.readyState === OPEN) {
+          socket.send(encodeMessage(type, data));
+        }
+      }
+    };
+    this.clients.add(client);
+
+    socket.on('message', data => this.handleMessage(client, data.toString()));
+    socket.on('close', () => {
+      this.clients.delete(client);
+      if (client.room) {
+        const room = client.room;
+        room.disconnect(client.member);
+        this.watchLobby(room);
+      }
+    });
+  }
+
+  /**
+   * Handle a message from a client
+   * @param {Object} client - Connected client
+   * @param {string} raw - Encoded message
+   */
+  handleMessage(client, raw) {
+    const message = decodeMessage(raw);
+    if (!message) {
+      client.send(MessageTypes.ERROR, { error: 'Invalid message' });
+      return;
+    }
+
+    switch (message.type) {
+      case MessageTypes.CREATE_ROOM:
+        this.createRoom(client, message.requestId, message.config);
+        return;
+      case MessageTypes.JOIN_ROOM:
+        this.joinRoom(client, message.requestId, message);
+        return;
+      default:
+        break;
+    }
+
+    if (!client.room) {
+      client.send(MessageTypes.ERROR, { requestId: message.requestId, error: 'Join a room first' });
+      return;
+    }
+
+    const room = client.room;
+    room.handleMessage(client.member, message);
+
+    // A lobby everyone has left is closed
+    if (room.status === RoomStatus.LOBBY && room.members.length === 0) {
+      this.removeRoom(room);
+    } else {
+      this.watchLobby(room);
+    }
+  }
+
+  /**
+   * Open a room for a new game
+   * @param {Object} client - Connected client
+   * @param {string} requestId - ID the client gave the request
+   * @param {Object} config - Game config; its human seats are the ones players can take
+   */
+  createRoom(client, requestId, config) {
+    const error = GameRoom.validateConfig(config);
+    if (error) {
+      client.send(MessageTypes.ERROR, { requestId, error });
+      return;
+    }
+
+    let code;
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_LETTERS[randomInt(CODE_LETTERS.length)]).join('');
+    } while (this.rooms.has(code));
+
+    const room = new GameRoom(code, config, changed => this.saveRoom(changed));
+    this.rooms.set(code, room);
+    this.saveRoom(room);
+    this.watchLobby(room);
+
+    client.send(MessageTypes.RESULT, { requestId, result: { success: true, code } });
+  }
+
+  /**
+   * Enter a room by its code, leaving the one the client was in
+   * @param {Object} client - Connected client
+   * @param {string} requestId - ID the client gave the request
+   * @param {Object} message - Join message ({ code, name, token })
+   */
+  joinRoom(client, requestId, { code, name, token }) {
+    const room = this.rooms.get(String(code || '').trim().toUpperCase());
+    if (!room) {
+      client.send(MessageTypes.ERROR, { requestId, error: `There is no room with the code '${code}'` });
+      return;
+    }
+
+    if (client.room && client.room !== room) {
+      const left = client.room;
+      left.leave(client.member);
+      this.watchLobby(left);
+    }
+    room.join(client, requestId, name, token);
+  }
+
+  /**
+   * Close a lobby once it has gone the lobby timeout with no one connected to it.
+   * Games that have started are kept for their players to come back to.
+   * @param {GameRoom} room - The room
+   */
+  watchLobby(room) {
+    const isAbandoned = () => room.status === RoomStatus.LOBBY && !room.members.some(member => member.client);
+    if (!this.listening || !isAbandoned()) return;
+
+    clearTimeout(this.lobbyTimers.get(room.code));
+    const timer = setTimeout(() => {
+      this.lobbyTimers.delete(room.code);
+      if (this.rooms.get(room.code) === room && isAbandoned()) {
+        this.removeRoom(room);
+      }
+    }, this.lobbyTimeout);
+    timer.unref();
+    this.lobbyTimers.set(room.code, timer);
+  }
+
+  /**
+   * Close a room and delete it from the store
+   * @param {GameRoom} room - The room
+   */
+  removeRoom(room) {
+    clearTimeout(this.lobbyTimers.get(room.code));
+    this.lobbyTimers.delete(room.code);
+    this.rooms.delete(room.code);
+    if (this.store) {
+      this.store.remove(room.code);
+    }
+  }
+
+  /**
+   * Save a room, if the server keeps them
+   * @param {GameRoom} room - The room
+   */
+  saveRoom(room) {
+    if (!this.store) return;
+
+    try {
+      this.store.save(room);
+    } catch (error) {
+      console.error(`Could not save room ${room.code}:`, error);
+    }
+  }
+}
+
+export default GameServer;
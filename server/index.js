@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Run the multiplayer server
+ *
+ * Usage: npm run server -- [options]
+ *
+ *   --port <n>          Port to listen on (default 8080)
+ *   --data <dir>        Directory rooms are saved in, so games carry on after a
+ *                       restart, and players' saves are kept in (default server-data)
+ *   --no-save           Keep rooms in memory only, and no saves
+ *
+ * Players open rooms and join them by code from the game's Play Online screen,
+ * or with a GameClient (src/core/multiplayer/game-client.js).
+ */
+
+import GameServer from './game-server.js';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = {
+    port: 8080,
+    dataDir: 'server-data'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const value = () => {
+      if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}`);
+      return args[++i];
+    };
+
+    switch (arg) {
+      case '--port': {
+        const port = parseInt(value(), 10);
+        if (!Number.isInteger(port) || port < 0) throw new Error('--port must be a whole number');
+        options.port = port;
+        break;
+      }
+      case '--data': options.dataDir = value(); break;
+      case '--no-save': options.dataDir = null; break;
+      default: throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // The engine logs debugging output meant for the browser console
+  console.log = () => {};
+  console.warn = () => {};
+
+  const server = new GameServer({ dataDir: options.dataDir });
+  const port = await server.start(options.port);
+  console.error(`Game server listening on ws://localhost:${port} (${server.rooms.size} saved room(s))`);
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+main();
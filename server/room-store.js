@@ -0,0 +1,71 @@
+/**
+ * Saved rooms for the multiplayer server
+ *
+ * Each room is kept as a JSON file named after its code in the server's data
+ * directory, so the games in progress are still there after a restart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Directory of saved rooms
+ */
+class RoomStore {
+  /**
+   * Use a directory for saved rooms, creating it if needed
+   * @param {string} directory - Path of the directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Get the file a room is saved in
+   * @param {string} code - Room code
+   * @returns {string} Path of the file
+   */
+  getPath(code) {
+    return path.join(this.directory, `${code}.json`);
+  }
+
+  /**
+   * Save a room
+   * @param {GameRoom} room - The room
+   */
+  save(room) {
+    // Write to a temporary file first so a crash part way through does not lose the room
+    const file = this.getPath(room.code);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(room.toJSON()));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Delete a saved room
+   * @param {string} code - Room code
+   */
+  remove(code) {
+    fs.rmSync(this.getPath(code), { force: true });
+  }
+
+  /**
+   * Load every saved room
+   * @returns {Object[]} Saved rooms (GameRoom.toJSON output)
+   */
+  loadAll() {
+    const rooms = [];
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        rooms.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        console.error(`Could not load the saved room ${file}:`, error);
+      }
+    }
+    return rooms;
+  }
+}
+
+export default RoomStore;
@@ -0,0 +1,126 @@
+/**
+ * Save routes of the multiplayer server
+ *
+ * Lets browsers keep their saved games on the server (see
+ * src/core/storage/server-adapter.js):
+ *
+ *   GET    /saves/<key>   The value stored under a key (404 if there is none)
+ *   PUT    /saves/<key>   Store the request body under a key
+ *   DELETE /saves/<key>   Delete the value under a key
+ *
+ * The values are kept with a FileSystemAdapter, the same storage scripts use
+ * to save games on disk. Any origin may use the routes, as the game is often
+ * served from another port than the server.
+ */
+
+// Largest value that can be stored, in bytes
+const MAX_VALUE_SIZE = 10 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Send a response
+ * @param {http.ServerResponse} response - Response to send
+ * @param {number} status - HTTP status
+ * @param {string} body - Response body
+ * @param {string} contentType - Type of the body
+ */
+function send(response, status, body = '', contentType = 'text/plain') {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': contentType });
+  response.end(body);
+}
+
+/**
+ * Read the body of a request
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<string|null>} The body, or null if it is larger than a value may be
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    request.on('data', chunk => {
+      size += chunk.length;
+      // Keep reading to the end so the client gets an answer, but stop keeping what is read
+      if (size <= MAX_VALUE_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => resolve(size > MAX_VALUE_SIZE ? null : Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Answer an HTTP request to the server
+ * @param {Object|null} saves - Storage adapter saves are kept in (null if the server keeps none)
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response to send
+ * @returns {Promise} Resolves once the response is sent
+ */
+async function handleSaveRequest(saves, request, response) {
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+
+  const match = /^\/saves\/([^/]+)$/.exec(new URL(request.url, 'http://localhost').pathname);
+  if (!match) {
+    send(response, 404, 'Not found');
+    return;
+  }
+  if (!saves) {
+    send(response, 503, 'This server does not keep saves');
+    return;
+  }
+
+  let key;
+  try {
+    key = decodeURIComponent(match[1]);
+  } catch (error) {
+    send(response, 400, 'Invalid key');
+    return;
+  }
+
+  try {
+    switch (request.method) {
+      case 'GET': {
+        const value = await saves.getItem(key);
+        if (value === null) {
+          send(response, 404, 'Nothing is stored under that key');
+        } else {
+          send(response, 200, value, 'application/json');
+        }
+        return;
+      }
+      case 'PUT': {
+        const value = await readBody(request);
+        if (value === null) {
+          send(response, 413, `Values may be at most ${MAX_VALUE_SIZE} bytes`);
+          return;
+        }
+        await saves.setItem(key, value);
+        send(response, 204);
+        return;
+      }
+      case 'DELETE':
+        await saves.removeItem(key);
+        send(response, 204);
+        return;
+      default:
+        send(response, 405, 'Method not allowed');
+    }
+  } catch (error) {
+    console.error(`Could not ${request.method} the save '${key}':`, error);
+    send(response, 500, 'The save could not be accessed');
+  }
+}
+
+export {
+  handleSaveRequest
+};
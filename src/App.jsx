@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import GameBoard from './ui/GameBoard';
 import GameDashboard from './ui/GameDashboard';
 import TechTree from './ui/TechTree';
@@ -7,24 +7,42 @@ import SaveLoadMenu from './ui/SaveLoadMenu';
 import EventsDisplay from './ui/EventsDisplay';
 import EventNotification from './ui/EventNotification';
 import ConquestModal from './ui/ConquestModal';
+import ReplayViewer from './ui/ReplayViewer';
+import MapEditor from './ui/MapEditor';
+import GameSetup from './ui/GameSetup';
+import PassDeviceScreen from './ui/PassDeviceScreen';
+import OnlineLobby from './ui/OnlineLobby';
 import GameEngine from './core/game-engine';
 import { GameState } from './core/models.js';
-import { AIPlayerFactory } from './core/ai-player';
-import { nextPhase } from './core/game-helpers.js';
-import createSampleCards from './core/sample-cards';
+import { CommandTypes } from './core/commands.js';
+import { describeMission } from './core/missions.js';
+import { createScenario, registerScenario } from './core/scenarios.js';
+import { createDefaultSeats, createSeatAIs, getHumanPlayerIds, getHandoffPlayer } from './core/game-setup.js';
+import { isSetupPhase, getSetupChoices } from './core/territory-draft.js';
 import SaveLoadSystem from './core/save-load-system';
+import GameClient from './core/multiplayer/game-client.js';
 import './App.css';
 
+// Where this tab remembers the online game it is in, so a refresh can rejoin it
+const ONLINE_SESSION_KEY = 'risk-game-online';
+
 const App = () => {
   const [gameEngine, setGameEngine] = useState(null);
   const [gameState, setGameState] = useState(null);
   const [currentPlayerId, setCurrentPlayerId] = useState(null);
   const [aiPlayers, setAiPlayers] = useState({});
   const [selectedTerritory, setSelectedTerritory] = useState(null);
-  const [activeView, setActiveView] = useState('game'); // 'game', 'tech', 'cards', 'events', 'settings'
+  const [activeView, setActiveView] = useState('game'); // 'game', 'tech', 'cards', 'events', 'replay', 'editor'
+  const [showSetup, setShowSetup] = useState(false);
   const [showSaveLoadMenu, setShowSaveLoadMenu] = useState(false);
   const [currentEvent, setCurrentEvent] = useState(null);
   const [showConquestModal, setShowConquestModal] = useState(false);
+  const [showLobby, setShowLobby] = useState(false);
+  const [onlineClient, setOnlineClient] = useState(null); // Connection to the multiplayer server in online games
+  const [onlineRoom, setOnlineRoom] = useState(null);
+  const onlineListeners = useRef([]);
+  const shownTurnEvent = useRef(null);
+  const autosavedTurn = useRef(null); // Turn start most recently autosaved, so it is saved only once
   const [gameConfig, setGameConfig] = useState({
     mapId: 'classic',
     playerCount: 4,
@@ -33,66 +51,95 @@ const App = () => {
     enableResources: true,
     enableEvents: true,
     enableAlliances: true,
+    enableCapitals: false,
+    enableMissions: false,
+    enableDraft: false,
+    enableFog: false,
+    fogHidesOwners: false,
+    seats: createDefaultSeats(4), // Who plays each seat (chosen on the new game screen)
+    ruleSet: 'classic',
+    rules: {}, // Changes to the rule set (Custom rules)
+    dealSampleCards: true, // Give the human player some cards for testing
     victoryConditions: ['military', 'economic', 'technological', 'diplomatic']
   });
   
   // Initialize game on component mount
   useEffect(() => {
-    // Clear any existing autosaves that may be corrupted
-    if (localStorage.getItem('risk-game-autosave')) {
-      const loadFromAutoSave = window.confirm('An autosave was found. Do you want to load it?');
+    // Go back to the online game this tab was in before it was refreshed
+    const onlineSession = JSON.parse(sessionStorage.getItem(ONLINE_SESSION_KEY) || 'null');
+    if (onlineSession) {
+      setShowLobby(true);
+      joinOnlineRoom(onlineSession.serverUrl, onlineSession.name, onlineSession.code, onlineSession.token)
+        .then(joined => {
+          if (!joined) sessionStorage.removeItem(ONLINE_SESSION_KEY);
+        });
+      return;
+    }
+    
+    // A link with a shared game opens that game instead of the autosave
+    if (openSharedGame(() => setShowSetup(true))) {
+      return;
+    }
+    
+    // Offer to carry on from the newest autosave
+    SaveLoadSystem.getAutoSaves().then(async ([latest]) => {
+      if (!latest) {
+        // No autosave exists, set up a new game
+        setShowSetup(true);
+        return;
+      }
+      
+      const loadFromAutoSave = window.confirm(
+        `An autosave from the start of turn ${latest.turn} (${latest.playerName}) was found. Do you want to load it?`
+      );
       if (loadFromAutoSave) {
-        const success = loadGame('autosave');
-        if (!success) {
-          // If loading failed, delete the autosave and initialize a new game
-          localStorage.removeItem('risk-game-autosave');
-          initializeGame();
+        const result = await loadGame(latest.name);
+        if (!result.success) {
+          // If loading failed, delete the autosave and set up a new game
+          alert(`The autosave could not be loaded. ${result.error}`);
+          await SaveLoadSystem.deleteSave(latest.name);
+          setShowSetup(true);
         }
       } else {
-        // If user declined to load, delete the autosave and initialize a new game
-        localStorage.removeItem('risk-game-autosave');
-        initializeGame();
+        // If user declined to load, delete the autosaves and set up a new game
+        await SaveLoadSystem.deleteAutoSaves();
+        setShowSetup(true);
       }
-    } else {
-      // No autosave exists, initialize a new game
-      initializeGame();
-    }
+    }).catch(error => {
+      console.error('Could not check for an autosave:', error);
+      setShowSetup(true);
+    });
   }, []);
   
-  // Create autosave periodically
+  // Open a game shared as a link (#save=<code>) while the app is open, too
   useEffect(() => {
-    if (!gameState || gameState.gameOver) return;
+    const handleHashChange = () => openSharedGame();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+  
+  // Identify a player's turn in a game, to autosave its start only once
+  const getTurnStartKey = (state) => `${state.config.seed}:${state.turn}:${state.currentPlayerIndex}`;
+  
+  // Autosave at the start of every player's turn (online games are kept by the server)
+  useEffect(() => {
+    if (onlineClient || !SaveLoadSystem.isTurnStart(gameState)) return;
     
-    // Clear any existing autosave interval
-    if (window.autosaveInterval) {
-      clearInterval(window.autosaveInterval);
-    }
+    const turnStart = getTurnStartKey(gameState);
+    if (autosavedTurn.current === turnStart) return;
+    autosavedTurn.current = turnStart;
     
-    // Create a new autosave interval
-    window.autosaveInterval = setInterval(() => {
-      console.log('Creating autosave...');
-      try {
-        SaveLoadSystem.createAutoSave(gameState);
-      } catch (error) {
-        console.error('Failed to create autosave:', error);
-      }
-    }, 60000); // Autosave every minute
-    
-    // Clean up on unmount
-    return () => {
-      if (window.autosaveInterval) {
-        clearInterval(window.autosaveInterval);
-      }
-    };
-  }, [gameState]);
+    console.log('Creating autosave...');
+    SaveLoadSystem.createAutoSave(gameState);
+  }, [gameState, onlineClient]);
   
   // Initialize a new game
-  const initializeGame = () => {
+  const initializeGame = (config = gameConfig) => {
     try {
       console.log('Initializing new game...');
       
       // Create game engine
-      const engine = new GameEngine(gameConfig);
+      const engine = new GameEngine(config);
       
       // Initialize game state
       const state = engine.initializeGame();
@@ -104,28 +151,10 @@ const App = () => {
         currentPlayerIndex: state.currentPlayerIndex
       });
       
-      // Set human player ID
-      const humanPlayerId = state.players[0].id;
-      
-      // Add some sample cards for testing
-      const territoryIds = state.territories.map(t => t.id);
-      const sampleCards = createSampleCards(territoryIds);
-      state.players[0].cards = sampleCards.slice(0, 5); // Give the human player 5 cards
-      
-      // Create AI players
-      const aiTypes = ['aggressive', 'defensive', 'expansionist', 'balanced'];
-      const ais = {};
-      
-      for (let i = 1; i < state.players.length; i++) {
-        const playerId = state.players[i].id;
-        const aiType = aiTypes[i % aiTypes.length];
-        ais[playerId] = AIPlayerFactory.createAI(playerId, aiType, 'medium');
-      }
-      
       setGameEngine(engine);
       setGameState(state);
-      setCurrentPlayerId(humanPlayerId);
-      setAiPlayers(ais);
+      setCurrentPlayerId(getHumanPlayerIds(state)[0]);
+      setAiPlayers(createSeatAIs(state));
       
       console.log('Game initialized successfully!');
     } catch (error) {
@@ -196,34 +225,25 @@ const App = () => {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [gameState, currentPlayerId]);
   
-  // Handle AI turns and event checking
+  // Show the event triggered at the start of the human player's turn
+  useEffect(() => {
+    const turnEvent = gameState?.turnEvent;
+    if (!turnEvent || turnEvent === shownTurnEvent.current) return;
+    
+    if (turnEvent.playerId === currentPlayerId) {
+      shownTurnEvent.current = turnEvent;
+      // Add gameState reference to provide context for territory names
+      setCurrentEvent({ ...turnEvent.event, gameState });
+    }
+  }, [gameState?.turnEvent, currentPlayerId]);
+  
+  // Handle AI turns
   useEffect(() => {
     if (!gameState || !gameEngine || gameState.gameOver) return;
     
     const currentPlayer = getCurrentPlayer(gameState);
     if (!currentPlayer) return;
     
-    // Check for events at the start of each player's turn during reinforcement phase
-    if (gameState.phase === 'reinforcement' && gameState.eventsManager) {
-      // Update active events (remove expired ones, apply ongoing effects)
-      const expiredEvents = gameState.eventsManager.updateActiveEvents(currentPlayer.id);
-      
-      // If it's the human player's turn, check for new events
-      if (currentPlayer.id === currentPlayerId) {
-        const newEvent = gameState.eventsManager.checkForEvent(currentPlayerId);
-        if (newEvent) {
-          // Add gameState reference to provide context for territory names
-          newEvent.gameState = gameState;
-          setCurrentEvent(newEvent);
-        }
-      }
-      
-      // If any events were updated, refresh the game state
-      if (expiredEvents.length > 0) {
-        setGameState({ ...gameState });
-      }
-    }
-    
     // If current player is AI, process AI turn
     if (currentPlayer && currentPlayer.id !== currentPlayerId && !currentPlayer.eliminated) {
       const ai = aiPlayers[currentPlayer.id];
@@ -231,43 +251,12 @@ const App = () => {
       if (ai) {
         // Small delay to make AI turns visible
         const aiTurnTimeout = setTimeout(() => {
-          // Check for AI events (but don't display them to the player)
-          if (gameState.eventsManager && gameState.phase === 'reinforcement') {
-            const aiEvent = gameState.eventsManager.checkForEvent(currentPlayer.id);
-            // We don't need to set currentEvent here as these events are for AI players
-          }
-          
-          // Reset reinforcement tracking for AI players
-          if (gameState.phase === 'reinforcement') {
-            // Initialize remaining reinforcements for AI
-            let count = Math.max(3, Math.floor(currentPlayer.territories.length / 3));
-            
-            // Add continent bonuses
-            for (const continent of gameState.continents) {
-              const continentTerritories = continent.territories;
-              const playerOwnsAll = continentTerritories.every(terrId => 
-                currentPlayer.territories.includes(terrId)
-              );
-              
-              if (playerOwnsAll) {
-                count += continent.bonusArmies;
-              }
-            }
-            
-            gameState.remainingReinforcements = count;
-          }
-          
           try {
-            // Perform AI turn on the current game state
-            const actions = ai.performTurn(gameState);
+            // Perform AI turn through the game engine so every action is recorded
+            gameEngine.gameState = gameState;
+            const actions = ai.performTurn(gameState, gameEngine);
             console.log(`AI Player ${currentPlayer.name} actions:`, actions);
             
-            // Handle card awards for AI players at the end of attack phase if needed
-            if (gameState.phase === 'fortification' && gameState.cardAwarded) {
-              // Award card to AI player - similar to human player award logic
-              handleAICardAward(gameState, currentPlayer.id);
-            }
-            
             // Update the UI with the modified game state
             setGameState({ ...gameState });
           } catch (error) {
@@ -288,7 +277,7 @@ const App = () => {
             }
             setGameState({ ...gameState });
           }
-        }, 1000);
+        }, isSetupPhase(gameState) ? 200 : 1000); // Draft picks are quick, one army at a time
         
         return () => clearTimeout(aiTurnTimeout);
       }
@@ -316,12 +305,20 @@ const App = () => {
           military: 'Military Victory (Domination)',
           economic: 'Economic Victory (Wealth Control)',
           technological: 'Technological Victory (Research Supremacy)',
-          diplomatic: 'Diplomatic Victory (Alliance Leader)'
+          diplomatic: 'Diplomatic Victory (Alliance Leader)',
+          capitals: 'Capitals Victory (Capital Conquest)',
+          missions: 'Mission Victory (Secret Objective)',
+          'turn-limit': 'Turn Limit (Last Turn Played)'
         };
         
         message += `\n\nVictory Type: ${victoryTypes[gameState.victoryType] || gameState.victoryType}`;
       }
       
+      // Missions stay secret until the game is over
+      if (gameState.victoryType === 'missions') {
+        message += `\nMission: ${describeMission(gameState, gameState.winner.mission)}`;
+      }
+      
       alert(message);
     }
   }, [gameState]);
@@ -333,6 +330,47 @@ const App = () => {
     // Get territory details
     const territory = gameState.territories.find(t => t.id === territoryId);
     console.log('Selected territory:', territory);
+    
+    // During the draft a click claims the territory or places an army on it
+    if (gameState.phase === 'claim') {
+      handleSetupCommand(CommandTypes.CLAIM_TERRITORY, territoryId);
+    } else if (gameState.phase === 'deploy') {
+      handleSetupCommand(CommandTypes.DEPLOY, territoryId);
+    }
+  };
+  
+  // Run a request for the player at this device, then handle its result. In online
+  // games the server runs it and sends the new state; otherwise the engine runs it here.
+  const runForPlayer = (runLocally, runOnline, onResult) => {
+    if (onlineClient) {
+      runOnline(onlineClient).then(onResult);
+      return;
+    }
+    
+    gameEngine.gameState = gameState;
+    const result = runLocally(gameEngine);
+    setGameState({ ...gameState });
+    onResult(result);
+  };
+  
+  // Play a command as the player at this device
+  const runCommand = (type, payload, onResult) => {
+    runForPlayer(
+      engine => engine.executeCommand({ type, playerId: currentPlayerId, payload }),
+      client => client.executeCommand({ type, payload }),
+      onResult
+    );
+  };
+  
+  // Claim a territory or place a starting army during the draft
+  const handleSetupCommand = (type, territoryId) => {
+    if (!gameState || !checkPlayerTurn(currentPlayerId)) return;
+    
+    runCommand(type, { territoryId }, result => {
+      if (!result.success) {
+        alert(result.error);
+      }
+    });
   };
   
   const handleEndPhase = () => {
@@ -341,64 +379,25 @@ const App = () => {
     // Check if it's the human player's turn
     if (!checkPlayerTurn(currentPlayerId)) return;
     
-    // If ending the attack phase and player conquered a territory, award a card
-    if (gameState.phase === 'attack' && gameState.cardAwarded) {
-      // Check if card deck is empty, reshuffle discard pile if needed
-      if (gameState.cardDeck.length === 0 && gameState.discardPile.length > 0) {
-        // Move all cards from discard pile to the deck
-        gameState.cardDeck = [...gameState.discardPile];
-        gameState.discardPile = [];
-        
-        // Use the standard shuffling method
-        gameState.shuffleCardDeck();
-        console.log('Reshuffled discard pile into new card deck');
-      }
-      
-      // Give the player a card from the deck
-      if (gameState.cardDeck.length > 0) {
-        const card = gameState.cardDeck.pop();
-        gameState.players.find(p => p.id === currentPlayerId).cards.push(card);
+    // The engine awards a card when the attack phase ends if the player conquered a territory
+    runCommand(CommandTypes.END_PHASE, {}, result => {
+      if (!result.success) {
+        alert(result.error);
+      } else if (result.awardedCard) {
         alert('You conquered a territory this turn and received a card!');
-      } else {
-        console.warn('No cards available to award to player');
       }
-      
-      // Reset the card awarded flag
-      gameState.cardAwarded = false;
-    }
+    });
+  };
+  
+  // Choose the human player's capital before the first turn (capitals mode)
+  const handleChooseCapital = (territoryId) => {
+    if (!gameState || !checkPlayerTurn(currentPlayerId)) return;
     
-    // Move to the next phase
-    // Check if nextPhase is a function or if we need to handle phase transitions manually
-    if (typeof gameState.nextPhase === 'function') {
-      gameState.nextPhase();
-    } else {
-      // Manual implementation if gameState.nextPhase is not a function
-      switch (gameState.phase) {
-        case 'reinforcement':
-          gameState.phase = 'attack';
-          gameState.cardAwarded = false; // Reset card awarded flag
-          break;
-        case 'attack':
-          gameState.phase = 'fortification';
-          break;
-        case 'fortification':
-          gameState.phase = 'reinforcement';
-          // Move to next player
-          gameState.currentPlayerIndex = (gameState.currentPlayerIndex + 1) % gameState.players.length;
-          // Skip eliminated players
-          while (gameState.players[gameState.currentPlayerIndex].eliminated) {
-            gameState.currentPlayerIndex = (gameState.currentPlayerIndex + 1) % gameState.players.length;
-          }
-          // Increment turn counter if completed a full round
-          if (gameState.currentPlayerIndex === 0) {
-            gameState.turn++;
-          }
-          // Reset reinforcement tracking for the new player
-          gameState.remainingReinforcements = undefined;
-          break;
+    runCommand(CommandTypes.CHOOSE_CAPITAL, { territoryId }, result => {
+      if (!result.success) {
+        alert(result.error);
       }
-    }
-    setGameState({ ...gameState });
+    });
   };
   
   // Check if it's the human player's turn and the reinforcement phase
@@ -410,33 +409,6 @@ const App = () => {
     
     return currentTurnPlayer.id === playerId;
   };
-
-  // Handle card award for AI players
-  const handleAICardAward = (gameState, aiPlayerId) => {
-    // Check if card deck is empty, reshuffle discard pile if needed
-    if (gameState.cardDeck.length === 0 && gameState.discardPile.length > 0) {
-      // Use the standard shuffling method
-      gameState.cardDeck = [...gameState.discardPile];
-      gameState.discardPile = [];
-      gameState.shuffleCardDeck();
-      console.log('Reshuffled discard pile into new card deck for AI');
-    }
-    
-    // Award a card to the AI player
-    if (gameState.cardDeck.length > 0) {
-      const card = gameState.cardDeck.pop();
-      const aiPlayer = gameState.players.find(p => p.id === aiPlayerId);
-      if (aiPlayer) {
-        aiPlayer.cards.push(card);
-        console.log(`AI Player ${aiPlayer.name} received a card`);
-      }
-    } else {
-      console.warn('No cards available to award to AI player');
-    }
-    
-    // Reset the card awarded flag
-    gameState.cardAwarded = false;
-  };
   
   // Process a player's reinforcement phase
   const handlePlaceArmies = (territoryId, armyCount) => {
@@ -445,66 +417,12 @@ const App = () => {
     // Check if it's the human player's turn and the reinforcement phase
     if (!checkPlayerTurn(currentPlayerId) || gameState.phase !== 'reinforcement') return;
     
-    // Initialize remaining reinforcements if not already set
-    if (gameState.remainingReinforcements === undefined) {
-      const player = gameState.players.find(p => p.id === currentPlayerId);
-      // Calculate reinforcements using the same logic as in GameDashboard
-      let count = Math.max(3, Math.floor(player.territories.length / 3));
-      
-      // Add continent bonuses
-      for (const continent of gameState.continents) {
-        const continentTerritories = continent.territories;
-        const playerOwnsAll = continentTerritories.every(terrId => 
-          player.territories.includes(terrId)
-        );
-        
-        if (playerOwnsAll) {
-          count += continent.bonusArmies;
-        }
-      }
-      
-      gameState.remainingReinforcements = count;
-    }
-    
-    // Verify the player has enough remaining reinforcements
-    if (armyCount > gameState.remainingReinforcements) {
-      alert(`You only have ${gameState.remainingReinforcements} armies left to place.`);
-      return;
-    }
-    
-    // Create reinforcement map
-    const reinforcements = {
-      [territoryId]: armyCount
-    };
-    
-    // Process reinforcement directly by updating territory, without using the processReinforcement
-    // method which would advance the phase
-    const territory = gameState.territories.find(t => t.id === territoryId);
-    
-    // Check if territory exists and is owned by the player
-    if (!territory || territory.occupyingPlayer !== currentPlayerId) {
-      alert('You cannot place armies on a territory you do not control.');
-      return;
-    }
-    
-    // Place the armies
-    territory.armies.infantry += armyCount;
-    
-    // Reduce remaining reinforcements
-    gameState.remainingReinforcements -= armyCount;
-    
-    // If no reinforcements left, automatically advance to the next phase
-    if (gameState.remainingReinforcements <= 0) {
-      // Move to the next phase
-      if (typeof gameState.nextPhase === 'function') {
-        gameState.nextPhase();
-      } else {
-        gameState.phase = 'attack';
-        gameState.cardAwarded = false; // Reset card awarded flag
+    // Place the armies; the engine advances to the attack phase once all are placed
+    runCommand(CommandTypes.REINFORCE, { territoryId, armyCount }, result => {
+      if (!result.success) {
+        alert(result.error);
       }
-    }
-    
-    setGameState({ ...gameState });
+    });
   };
   
   // Handler for attacking during attack phase
@@ -526,45 +444,59 @@ const App = () => {
       return;
     }
     
-    // Make sure gameEngine has the correct game state before processing the attack
-    gameEngine.gameState = gameState;
-    
     // Process attack using the game engine
-    const result = gameEngine.processAttack(
-      currentPlayerId,
-      fromTerritoryId,
-      toTerritoryId,
-      attackDice
-    );
-    
-    console.log('Attack result:', result);
-    setGameState({ ...gameState });
-    
-    // Show attack result
-    if (result.success) {
-      let message = `Attack result: ${result.attackerLosses} attacker(s) lost, ${result.defenderLosses} defender(s) lost.`;
+    runCommand(CommandTypes.ATTACK, { fromTerritoryId, toTerritoryId, attackDice }, result => {
+      console.log('Attack result:', result);
       
-      if (result.territoryConquered) {
-        // Get the territory name
-        const defendingTerritory = gameState.territories.find(t => t.id === toTerritoryId);
-        message += ` You conquered ${defendingTerritory.name}! Now select how many armies to move.`;
+      // Show attack result
+      if (result.success) {
+        let message = `Attack result: ${result.attackerLosses} attacker(s) lost, ${result.defenderLosses} defender(s) lost.`;
         
-        // Modal will appear automatically due to our pendingConquest useEffect
-      } else {
-        // Only show alert if not showing the conquest modal
-        alert(message);
+        if (result.attackBonus || result.defenseBonus) {
+          message += ` Dice modifiers: attack +${result.attackBonus}, defense +${result.defenseBonus}.`;
+        }
+        
+        if (result.territoryConquered) {
+          // Get the territory name
+          const defendingTerritory = gameState.territories.find(t => t.id === toTerritoryId);
+          message += ` You conquered ${defendingTerritory.name}! Now select how many armies to move.`;
+          
+          // Modal will appear automatically due to our pendingConquest useEffect
+        } else {
+          // Only show alert if not showing the conquest modal
+          alert(message);
+        }
+      } else if (result.error) {
+        // Show error message if attack failed
+        alert(result.error);
+      }
+    });
+  };
+  
+  // Handler for a blitz: attack until conquest or one of the player's stop conditions
+  const handleBlitz = (fromTerritoryId, toTerritoryId, stopOptions) => {
+    if (!gameState || gameState.gameOver) return;
+    
+    if (!checkPlayerTurn(currentPlayerId) || gameState.phase !== 'attack') {
+      alert(`Cannot attack: ${!checkPlayerTurn(currentPlayerId) ? 'Not your turn' : 'Not in attack phase'}`);
+      return;
+    }
+    
+    runCommand(CommandTypes.BLITZ, { fromTerritoryId, toTerritoryId, ...stopOptions }, result => {
+      if (!result.success) {
+        alert(result.error);
+        return;
       }
       
-      // If the player has conquered at least one territory, set flag to award a card at the end of the attack phase
-      // The actual card is awarded in handleEndPhase when the attack phase ends
-      if (result.territoryConquered && !gameState.cardAwarded) {
-        gameState.cardAwarded = true;
-        console.log('Territory conquered - card will be awarded at end of attack phase');
+      // A conquest shows the battle report in the conquest modal instead
+      if (!result.territoryConquered) {
+        const stoppedBy = result.stopReason === 'odds'
+          ? 'the odds of conquest fell below your threshold'
+          : 'your armies reached the minimum you set';
+        alert(`Blitz stopped after ${result.rounds.length} round(s) because ${stoppedBy}. ` +
+          `You lost ${result.attackerLosses} unit(s), the defenders lost ${result.defenderLosses}.`);
       }
-    } else if (result.error) {
-      // Show error message if attack failed
-      alert(result.error);
-    }
+    });
   };
   
   // Handler for completing a conquest by moving armies
@@ -573,34 +505,22 @@ const App = () => {
     
     console.log('Completing conquest with', armyCount, 'armies', unitDistribution ? 'and custom unit distribution' : '');
     
-    // Make sure gameEngine has the correct game state
-    gameEngine.gameState = gameState;
+    const defender = gameState.players.find(p => p.id === gameState.pendingConquest.defenderId);
     
     // Process the conquest completion - pass unitDistribution if provided
-    const result = gameEngine.completeConquest(currentPlayerId, armyCount, unitDistribution);
-    
-    console.log('Conquest completion result:', result);
-    
-    if (result.success) {
-      // If a player was eliminated, show a message
-      if (result.defenderEliminated) {
-        const defender = gameState.players.find(p => p.territories.length === 0 && !p.id.startsWith('p'));
-        if (defender) {
+    runCommand(CommandTypes.CONQUER, { armyCount, unitDistribution }, result => {
+      console.log('Conquest completion result:', result);
+      
+      if (result.success) {
+        // If a player was eliminated, show a message
+        if (result.defenderEliminated && defender) {
           alert(`You eliminated ${defender.name} from the game!`);
         }
+      } else if (result.error) {
+        // Show error message
+        alert(`Error completing conquest: ${result.error}`);
       }
-      
-      // Update the game state
-      setGameState({ ...gameState });
-    } else if (result.error) {
-      // Show error message
-      alert(`Error completing conquest: ${result.error}`);
-      
-      // If the error indicates an invalid army count, set it to the minimum
-      if (result.minArmies && result.maxArmies) {
-        // Let the modal handle this
-      }
-    }
+    });
   };
 
   // Handler for fortifying during fortification phase
@@ -623,24 +543,36 @@ const App = () => {
       return;
     }
     
-    // Make sure gameEngine has the correct game state before processing the fortification
-    gameEngine.gameState = gameState;
-    
     // Process fortification with or without unit distribution
-    const result = gameEngine.processFortification(
-      currentPlayerId,
-      fromTerritoryId,
-      toTerritoryId,
-      armyCount,
-      unitDistribution
-    );
+    runCommand(CommandTypes.FORTIFY, { fromTerritoryId, toTerritoryId, armyCount, unitDistribution }, result => {
+      console.log('Fortification result:', result);
+      
+      if (!result.success) {
+        alert('Fortification failed. Check that the territories are adjacent, you have enough armies and you have not already fortified this turn.');
+      }
+    });
+  };
+  
+  // Handler for taking back the last reinforcement, fortification or card trade
+  const handleUndo = () => {
+    if (!gameState || gameState.gameOver) return;
     
-    console.log('Fortification result:', result);
-    setGameState({ ...gameState });
+    runForPlayer(engine => engine.undo(currentPlayerId), client => client.undo(), result => {
+      if (!result.success) {
+        alert(result.error);
+      }
+    });
+  };
+  
+  // Handler for executing an undone action again
+  const handleRedo = () => {
+    if (!gameState || gameState.gameOver) return;
     
-    if (result === false) {
-      alert('Fortification failed. Check that the territories are adjacent and you have enough armies.');
-    }
+    runForPlayer(engine => engine.redo(currentPlayerId), client => client.redo(), result => {
+      if (!result.success) {
+        alert(result.error);
+      }
+    });
   };
   
   // Handler for starting tech research
@@ -648,14 +580,13 @@ const App = () => {
     if (!gameState || !gameState.techManager || gameState.gameOver) return;
     
     // Start research
-    const result = gameState.techManager.startResearch(currentPlayerId, techId);
-    
-    if (result) {
-      console.log(`Started researching ${techId}`);
-      setGameState({ ...gameState });
-    } else {
-      alert('Cannot research this technology at this time.');
-    }
+    runCommand(CommandTypes.RESEARCH, { techId }, result => {
+      if (result.success) {
+        console.log(`Started researching ${techId}`);
+      } else {
+        alert('Cannot research this technology at this time.');
+      }
+    });
   };
   
   // Handler for trading in cards
@@ -668,30 +599,38 @@ const App = () => {
       return;
     }
     
-    // Process card trade
-    const result = gameState.processCardTrade(currentPlayerId, cardIds);
-    
-    if (result.success) {
-      // Show success message
-      let message = `Traded in cards for ${result.armies} armies!`;
-      
-      if (result.territoryBonuses && result.territoryBonuses.length > 0) {
-        message += ` Including bonus armies for: ${result.territoryBonuses.join(', ')}`;
+    // Process card trade; the armies are added to the reinforcements still to be placed
+    runCommand(CommandTypes.TRADE_CARDS, { cardIds }, result => {
+      if (result.success) {
+        // Show success message
+        let message = `Traded in cards for ${result.armies} armies!`;
+        
+        if (result.territoryBonuses && result.territoryBonuses.length > 0) {
+          message += ` Including bonus armies for: ${result.territoryBonuses.join(', ')}`;
+        }
+        
+        alert(message);
+      } else {
+        // Show error message
+        alert(result.error || 'Failed to trade cards. Please try again.');
       }
-      
-      alert(message);
-      setGameState({ ...gameState });
-    } else {
-      // Show error message
-      alert(result.error || 'Failed to trade cards. Please try again.');
-    }
+    });
+  };
+  
+  // Handler for starting a game on a map from the editor
+  const handleTestPlayMap = (mapId) => {
+    leaveOnlineGame();
+    const config = { ...gameConfig, mapId };
+    setGameConfig(config);
+    initializeGame(config);
+    setActiveView('game');
   };
   
   // Handler for saving the game
-  const handleSaveGame = (saveName) => {
+  const handleSaveGame = async (saveName) => {
     if (!gameState) return false;
     
-    const success = SaveLoadSystem.saveGame(gameState, saveName);
+    const success = await SaveLoadSystem.saveGame(gameState, saveName);
     
     if (success) {
       alert(`Game saved as "${saveName}"!`);
@@ -702,23 +641,54 @@ const App = () => {
     }
   };
   
+  // Handler for saving the current position as a scenario: it is downloaded and offered on the new game screen
+  const handleSaveScenario = (name, turnLimit) => {
+    if (!gameState) return false;
+    
+    const scenario = createScenario(gameState, { name, turnLimit });
+    const result = registerScenario(scenario);
+    if (!result.success) {
+      alert(`This position cannot be made into a scenario:\n${result.errors.join('\n')}`);
+      return false;
+    }
+    
+    const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${scenario.id}.scenario.json`;
+    document.body.appendChild(a);
+    a.click();
+    
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 0);
+    
+    return true;
+  };
+  
   // Handler for loading a game
   const handleLoadGame = (saveName) => {
     return loadGame(saveName);
   };
   
-  // Load a game from a save
-  const loadGame = (saveName) => {
+  // Load a game from a save; the result's error says why a save could not be loaded
+  const loadGame = async (saveName) => {
     try {
-      const serializedState = SaveLoadSystem.loadGame(saveName);
+      const saved = await SaveLoadSystem.loadGame(saveName);
       
-      if (!serializedState) {
-        alert('Failed to load game. Save file may be corrupted or missing.');
-        return false;
+      if (!saved.success) {
+        return saved;
       }
       
       // Recreate game state from serialized data
-      const loadedState = GameState.deserialize(serializedState);
+      const loadedState = GameState.deserialize(saved.state);
+      
+      // A game rewound to the start of a turn already has that turn's autosave
+      autosavedTurn.current = getTurnStartKey(loadedState);
       
       // Recreate game engine
       const engine = new GameEngine(loadedState.config);
@@ -729,47 +699,230 @@ const App = () => {
         currentPlayerIndex: loadedState.currentPlayerIndex
       });
       
-      // Set the human player ID
-      const humanPlayerId = loadedState.players.find(p => !p.id.startsWith('ai')).id;
-      
-      // Create AI players
-      const aiTypes = ['aggressive', 'defensive', 'expansionist', 'balanced'];
-      const ais = {};
-      
-      for (const player of loadedState.players) {
-        if (player.id !== humanPlayerId) {
-          const aiIndex = parseInt(player.id.replace('ai', '')) - 1;
-          const aiType = aiTypes[aiIndex % aiTypes.length];
-          ais[player.id] = AIPlayerFactory.createAI(player.id, aiType, 'medium');
-        }
-      }
-      
       // Update state
       setGameEngine(engine);
       setGameState(loadedState);
-      setCurrentPlayerId(humanPlayerId);
-      setAiPlayers(ais);
+      setCurrentPlayerId(getHumanPlayerIds(loadedState)[0]);
+      setAiPlayers(createSeatAIs(loadedState));
       setActiveView('game');
+      setShowSetup(false);
       
-      if (saveName !== 'autosave') {
+      if (!SaveLoadSystem.isAutoSave(saveName)) {
         alert(`Game "${saveName}" loaded successfully!`);
       }
       setShowSaveLoadMenu(false);
-      return true;
+      return { success: true };
     } catch (error) {
       console.error('Error loading game:', error);
-      alert(`Error loading game: ${error.message}`);
+      return { success: false, error: `Error loading game: ${error.message}` };
+    }
+  };
+  
+  // Import and load the game in a shared link (#save=<code>); returns false if the link has none
+  const openSharedGame = (onFailure = () => {}) => {
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('save');
+    if (!code) return false;
+    
+    // Take the code out of the address so a refresh does not import the game again
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    
+    SaveLoadSystem.importSave(code)
+      .then(saveName => loadGame(saveName))
+      .then(result => {
+        if (!result.success) throw new Error(result.error);
+      })
+      .catch(error => {
+        alert(`The shared game could not be opened. ${error.message}`);
+        onFailure();
+      });
+    return true;
+  };
+  
+  // Connect to the multiplayer server; from then on the game state comes from the server
+  const connectOnline = async (serverUrl) => {
+    const client = new GameClient(serverUrl);
+    try {
+      await client.connect();
+    } catch (error) {
+      alert(error.message);
+      return null;
+    }
+    
+    onlineListeners.current = [
+      client.on('room', room => setOnlineRoom(room)),
+      client.on('state', view => {
+        // Online games are played on the server, so there is no engine or AI here
+        setGameEngine(null);
+        setAiPlayers({});
+        setCurrentPlayerId(client.playerId);
+        setGameState(GameState.deserialize(view));
+        setShowLobby(false);
+        setShowSetup(false);
+      }),
+      client.on('error', message => alert(message)),
+      client.on('close', () => alert('Lost the connection to the game server. Reload the page to rejoin the game.'))
+    ];
+    setOnlineClient(client);
+    return client;
+  };
+  
+  // Use the connection to a server, connecting first if needed
+  const getOnlineClient = (serverUrl) => {
+    if (onlineClient && onlineClient.url === serverUrl) {
+      return Promise.resolve(onlineClient);
+    }
+    leaveOnlineGame();
+    return connectOnline(serverUrl);
+  };
+  
+  // Join a room on the multiplayer server; a token from an earlier visit takes back that seat
+  const joinOnlineRoom = async (serverUrl, name, code, token = null) => {
+    const client = await getOnlineClient(serverUrl);
+    if (!client) return false;
+    
+    const result = await client.joinRoom(code, name, token);
+    if (!result.success) {
+      alert(result.error);
       return false;
     }
+    
+    sessionStorage.setItem(ONLINE_SESSION_KEY, JSON.stringify({
+      serverUrl,
+      name: result.name,
+      code: result.code,
+      token: result.token
+    }));
+    return true;
+  };
+  
+  // Open a room for a game set up on the new game screen, and join it
+  const handleCreateRoom = async (serverUrl, name, config) => {
+    const client = await getOnlineClient(serverUrl);
+    if (!client) return;
+    
+    const result = await client.createRoom(config);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    
+    await joinOnlineRoom(serverUrl, name, result.code);
+  };
+  
+  // Send a seat or ready request to the room
+  const handleLobbyRequest = async (request) => {
+    const result = await request(onlineClient);
+    if (!result.success) {
+      alert(result.error);
+    }
+  };
+  
+  // Leave the online room. A seat in a game that has started is kept, but this tab forgets it.
+  const leaveOnlineGame = () => {
+    if (!onlineClient) return;
+    
+    onlineListeners.current.forEach(stopListening => stopListening());
+    onlineListeners.current = [];
+    const client = onlineClient;
+    client.leaveRoom().then(() => client.close());
+    sessionStorage.removeItem(ONLINE_SESSION_KEY);
+    
+    setOnlineClient(null);
+    setOnlineRoom(null);
+    if (!gameEngine) {
+      setGameState(null);
+      setCurrentPlayerId(null);
+    }
+  };
+  
+  // Handler for the Leave Game button of an online game
+  const handleLeaveOnlineGame = () => {
+    if (!window.confirm('Leave this online game? You will not be able to come back to your seat.')) return;
+    
+    leaveOnlineGame();
+    setShowLobby(true);
+  };
+  
+  // Hand the controls to the next human player once they have the device (hot-seat games)
+  const handleTakeDevice = (playerId) => {
+    setCurrentPlayerId(playerId);
+    setSelectedTerritory(null);
+    setActiveView('game');
   };
   
+  // Start a game set up on the new game screen
+  const handleStartGame = (config) => {
+    leaveOnlineGame();
+    setGameConfig(config);
+    initializeGame(config);
+    setActiveView('game');
+    setShowSetup(false);
+  };
+  
+  // Render the screen for opening or joining an online game
+  if (showLobby) {
+    return (
+      <div className="app">
+        <main className="app-content">
+          <OnlineLobby
+            room={onlineRoom}
+            defaultConfig={gameConfig}
+            onJoin={(serverUrl, name, code) => joinOnlineRoom(serverUrl, name, code)}
+            onCreate={handleCreateRoom}
+            onTakeSeat={(seatIndex) => handleLobbyRequest(client => client.takeSeat(seatIndex))}
+            onLeaveSeat={() => handleLobbyRequest(client => client.leaveSeat())}
+            onReady={(ready) => handleLobbyRequest(client => client.setReady(ready))}
+            onLeave={leaveOnlineGame}
+            onCancel={() => {
+              leaveOnlineGame();
+              setShowLobby(false);
+              if (!gameEngine) setShowSetup(true);
+            }}
+          />
+        </main>
+      </div>
+    );
+  }
+  
+  // Render the new game screen
+  if (showSetup) {
+    return (
+      <div className="app">
+        <main className="app-content">
+          <GameSetup
+            initialConfig={gameConfig}
+            onStart={handleStartGame}
+            onCancel={gameState ? () => setShowSetup(false) : null}
+            onPlayOnline={() => {
+              setShowSetup(false);
+              setShowLobby(true);
+            }}
+          />
+        </main>
+      </div>
+    );
+  }
+  
   // Render loading state
-  if (!gameState || !gameEngine) {
+  if (!gameState || (!gameEngine && !onlineClient)) {
     return <div className="loading">Initializing game...</div>;
   }
   
-  // Get the human player
+  // Cover the game until the next human player has the device (online, everyone has their own)
+  const handoffPlayer = !onlineClient && getHandoffPlayer(gameState, currentPlayerId);
+  if (handoffPlayer) {
+    return (
+      <div className="app">
+        <main className="app-content">
+          <PassDeviceScreen player={handoffPlayer} onReady={() => handleTakeDevice(handoffPlayer.id)} />
+        </main>
+      </div>
+    );
+  }
+  
+  // Get the human player (none for a spectator of an online game)
   const humanPlayer = gameState.players.find(p => p.id === currentPlayerId);
+  const turnPlayer = getCurrentPlayer(gameState);
   
   return (
     <div className="app">
@@ -784,7 +937,7 @@ const App = () => {
             Game Board
           </button>
           
-          {gameState?.config?.enableTechnologies && (
+          {gameState?.config?.enableTechnologies && humanPlayer && (
             <button 
               className={`nav-button ${activeView === 'tech' ? 'active' : ''}`}
               onClick={() => setActiveView('tech')}
@@ -793,12 +946,14 @@ const App = () => {
             </button>
           )}
           
-          <button 
-            className={`nav-button ${activeView === 'cards' ? 'active' : ''}`}
-            onClick={() => setActiveView('cards')}
-          >
-            Cards ({humanPlayer.cards.length})
-          </button>
+          {humanPlayer && (
+            <button 
+              className={`nav-button ${activeView === 'cards' ? 'active' : ''}`}
+              onClick={() => setActiveView('cards')}
+            >
+              Cards ({humanPlayer.cards.length})
+            </button>
+          )}
           
           {gameState?.config?.enableEvents && (
             <button 
@@ -809,20 +964,39 @@ const App = () => {
             </button>
           )}
           
+          {/* Replays show the whole map, so under fog of war they open once the game is over.
+              Online games have no command log here to replay, and nor do games from the oldest saves. */}
+          {!onlineClient && gameState?.replayable !== false && (!gameState?.config?.enableFog || gameState.gameOver) && (
+            <button 
+              className={`nav-button ${activeView === 'replay' ? 'active' : ''}`}
+              onClick={() => setActiveView('replay')}
+            >
+              Replay
+            </button>
+          )}
+          
           <button 
-            className={`nav-button ${activeView === 'settings' ? 'active' : ''}`}
-            onClick={() => setActiveView('settings')}
+            className={`nav-button ${activeView === 'editor' ? 'active' : ''}`}
+            onClick={() => setActiveView('editor')}
           >
-            Settings
-          </button>
-          
-          <button className="save-load-button" onClick={() => setShowSaveLoadMenu(true)}>
-            Save/Load
+            Map Editor
           </button>
           
-          <button className="new-game-button" onClick={initializeGame}>
-            New Game
-          </button>
+          {onlineClient ? (
+            <button className="new-game-button" onClick={handleLeaveOnlineGame}>
+              Leave Game ({onlineClient.code})
+            </button>
+          ) : (
+            <>
+              <button className="save-load-button" onClick={() => setShowSaveLoadMenu(true)}>
+                Save/Load
+              </button>
+              
+              <button className="new-game-button" onClick={() => setShowSetup(true)}>
+                New Game
+              </button>
+            </>
+          )}
         </nav>
       </header>
       
@@ -832,20 +1006,37 @@ const App = () => {
             <GameBoard 
               gameState={gameState}
               onTerritoryClick={handleTerritoryClick}
+              viewerId={currentPlayerId}
+              highlightedTerritoryIds={checkPlayerTurn(currentPlayerId)
+                ? getSetupChoices(gameState, currentPlayerId).map(t => t.id)
+                : []}
             />
             
-            <GameDashboard 
-              gameState={gameState}
-              currentPlayerId={currentPlayerId}
-              onEndPhase={handleEndPhase}
-              onPlaceArmies={handlePlaceArmies}
-              onAttack={handleAttack}
-              onFortify={handleFortify}
-            />
+            {humanPlayer ? (
+              <GameDashboard 
+                gameState={gameState}
+                currentPlayerId={currentPlayerId}
+                onEndPhase={handleEndPhase}
+                onPlaceArmies={handlePlaceArmies}
+                onAttack={handleAttack}
+                onBlitz={handleBlitz}
+                onFortify={handleFortify}
+                onChooseCapital={handleChooseCapital}
+                onClaimTerritory={(territoryId) => handleSetupCommand(CommandTypes.CLAIM_TERRITORY, territoryId)}
+                onDeployArmy={(territoryId) => handleSetupCommand(CommandTypes.DEPLOY, territoryId)}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+              />
+            ) : (
+              <div className="spectator-panel">
+                <h3>Watching room {onlineClient.code}</h3>
+                <p>Turn {gameState.turn}: {turnPlayer.name} is in the {gameState.phase} phase.</p>
+              </div>
+            )}
           </div>
         )}
         
-        {activeView === 'tech' && gameState?.config?.enableTechnologies && (
+        {activeView === 'tech' && gameState?.config?.enableTechnologies && humanPlayer && (
           <TechTree 
             gameState={gameState}
             playerId={currentPlayerId}
@@ -853,8 +1044,9 @@ const App = () => {
           />
         )}
         
-        {activeView === 'cards' && (
+        {activeView === 'cards' && humanPlayer && (
           <CardSystem
+            key={currentPlayerId}
             gameState={gameState}
             playerId={currentPlayerId}
             onTradeCards={handleTradeCards}
@@ -868,11 +1060,12 @@ const App = () => {
           />
         )}
         
-        {activeView === 'settings' && (
-          <div className="settings-view">
-            <h2>Game Settings</h2>
-            <p>Settings functionality coming soon!</p>
-          </div>
+        {activeView === 'replay' && (
+          <ReplayViewer gameState={gameState} />
+        )}
+        
+        {activeView === 'editor' && (
+          <MapEditor onTestPlay={handleTestPlayMap} />
         )}
       </main>
       
@@ -885,7 +1078,9 @@ const App = () => {
         <>
           <div className="modal-backdrop" onClick={() => setShowSaveLoadMenu(false)}></div>
           <SaveLoadMenu 
+            gameSeed={gameState?.config.seed}
             onSave={handleSaveGame}
+            onSaveScenario={handleSaveScenario}
             onLoad={handleLoadGame}
             onClose={() => setShowSaveLoadMenu(false)}
           />
@@ -0,0 +1,199 @@
+/**
+ * Small symmetric map for quick two-player games
+ */
+
+const duelMap = {
+  id: 'duel',
+  name: 'Duel',
+  
+  // Continent definitions
+  continents: [
+    {
+      id: 'northern-highlands',
+      name: 'Northern Highlands',
+      bonusArmies: 3,
+      color: '#708090' // slate gray
+    },
+    {
+      id: 'western-plains',
+      name: 'Western Plains',
+      bonusArmies: 2,
+      color: '#9ACD32' // yellow green
+    },
+    {
+      id: 'eastern-plains',
+      name: 'Eastern Plains',
+      bonusArmies: 2,
+      color: '#DAA520' // goldenrod
+    },
+    {
+      id: 'southern-coast',
+      name: 'Southern Coast',
+      bonusArmies: 3,
+      color: '#4682B4' // steel blue
+    }
+  ],
+  
+  // Territory definitions
+  territories: [
+    // Northern Highlands
+    {
+      id: 'north-pass',
+      name: 'North Pass',
+      continent: 'northern-highlands',
+      adjacent: ['frozen-lake', 'west-peak', 'east-peak', 'highland-fort'],
+      coordinates: { x: 400, y: 80 },
+      resources: { production: 1 }
+    },
+    {
+      id: 'west-peak',
+      name: 'West Peak',
+      continent: 'northern-highlands',
+      adjacent: ['north-pass', 'highland-fort', 'west-farms', 'west-river'],
+      coordinates: { x: 290, y: 110 },
+      resources: { production: 1 }
+    },
+    {
+      id: 'east-peak',
+      name: 'East Peak',
+      continent: 'northern-highlands',
+      adjacent: ['north-pass', 'highland-fort', 'east-farms', 'east-river'],
+      coordinates: { x: 510, y: 110 },
+      resources: { production: 1 }
+    },
+    {
+      id: 'highland-fort',
+      name: 'Highland Fort',
+      continent: 'northern-highlands',
+      adjacent: ['north-pass', 'west-peak', 'east-peak', 'central-ford'],
+      coordinates: { x: 400, y: 160 },
+      resources: { production: 2 },
+      features: { hasResearchCenter: true }
+    },
+    {
+      id: 'frozen-lake',
+      name: 'Frozen Lake',
+      continent: 'northern-highlands',
+      adjacent: ['north-pass'],
+      coordinates: { x: 400, y: 30 },
+      resources: { food: 1 }
+    },
+    
+    // Western Plains
+    {
+      id: 'west-farms',
+      name: 'West Farms',
+      continent: 'western-plains',
+      adjacent: ['west-peak', 'west-keep', 'west-river', 'west-woods'],
+      coordinates: { x: 150, y: 180 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'west-keep',
+      name: 'West Keep',
+      continent: 'western-plains',
+      adjacent: ['west-farms', 'west-river', 'west-woods'],
+      coordinates: { x: 200, y: 260 },
+      resources: { wealth: 1, food: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'west-river',
+      name: 'West River',
+      continent: 'western-plains',
+      adjacent: ['west-peak', 'west-farms', 'west-keep', 'central-ford'],
+      coordinates: { x: 280, y: 220 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'west-woods',
+      name: 'West Woods',
+      continent: 'western-plains',
+      adjacent: ['west-keep', 'west-farms', 'west-harbour'],
+      coordinates: { x: 120, y: 320 },
+      resources: { production: 1 }
+    },
+    
+    // Eastern Plains
+    {
+      id: 'east-farms',
+      name: 'East Farms',
+      continent: 'eastern-plains',
+      adjacent: ['east-peak', 'east-keep', 'east-river', 'east-woods'],
+      coordinates: { x: 650, y: 180 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'east-keep',
+      name: 'East Keep',
+      continent: 'eastern-plains',
+      adjacent: ['east-farms', 'east-river', 'east-woods'],
+      coordinates: { x: 600, y: 260 },
+      resources: { wealth: 1, food: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'east-river',
+      name: 'East River',
+      continent: 'eastern-plains',
+      adjacent: ['east-peak', 'east-farms', 'east-keep', 'central-ford'],
+      coordinates: { x: 520, y: 220 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'east-woods',
+      name: 'East Woods',
+      continent: 'eastern-plains',
+      adjacent: ['east-keep', 'east-farms', 'east-harbour'],
+      coordinates: { x: 680, y: 320 },
+      resources: { production: 1 }
+    },
+    
+    // Southern Coast
+    {
+      id: 'central-ford',
+      name: 'Central Ford',
+      continent: 'southern-coast',
+      adjacent: ['highland-fort', 'west-river', 'east-river', 'delta'],
+      coordinates: { x: 400, y: 260 },
+      resources: { wealth: 1 }
+    },
+    {
+      id: 'west-harbour',
+      name: 'West Harbour',
+      continent: 'southern-coast',
+      adjacent: ['delta', 'lighthouse', 'west-woods'],
+      coordinates: { x: 250, y: 390 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'east-harbour',
+      name: 'East Harbour',
+      continent: 'southern-coast',
+      adjacent: ['delta', 'lighthouse', 'east-woods'],
+      coordinates: { x: 550, y: 390 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'delta',
+      name: 'Delta',
+      continent: 'southern-coast',
+      adjacent: ['central-ford', 'west-harbour', 'east-harbour', 'lighthouse'],
+      coordinates: { x: 400, y: 350 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'lighthouse',
+      name: 'Lighthouse',
+      continent: 'southern-coast',
+      adjacent: ['delta', 'west-harbour', 'east-harbour'],
+      coordinates: { x: 400, y: 440 },
+      resources: { research: 1 },
+      features: { hasPort: true }
+    }
+  ]
+};
+
+export default duelMap;
@@ -0,0 +1,446 @@
+/**
+ * European theatre map with many chokepoints
+ */
+
+const europeMap = {
+  id: 'europe',
+  name: 'European Theatre',
+  width: 800,
+  height: 520,
+  
+  // Continent definitions
+  continents: [
+    {
+      id: 'british-isles',
+      name: 'British Isles',
+      bonusArmies: 2,
+      color: '#2E8B57' // sea green
+    },
+    {
+      id: 'scandinavia',
+      name: 'Scandinavia',
+      bonusArmies: 2,
+      color: '#4682B4' // steel blue
+    },
+    {
+      id: 'france',
+      name: 'France',
+      bonusArmies: 3,
+      color: '#1E90FF' // dodger blue
+    },
+    {
+      id: 'iberia',
+      name: 'Iberia',
+      bonusArmies: 2,
+      color: '#DAA520' // goldenrod
+    },
+    {
+      id: 'central-europe',
+      name: 'Central Europe',
+      bonusArmies: 4,
+      color: '#808080' // gray
+    },
+    {
+      id: 'italy',
+      name: 'Italy',
+      bonusArmies: 2,
+      color: '#32CD32' // lime green
+    },
+    {
+      id: 'eastern-europe',
+      name: 'Eastern Europe',
+      bonusArmies: 5,
+      color: '#CD5C5C' // indian red
+    },
+    {
+      id: 'balkans',
+      name: 'Balkans',
+      bonusArmies: 2,
+      color: '#9370DB' // medium purple
+    }
+  ],
+  
+  // Territory definitions
+  territories: [
+    // British Isles
+    {
+      id: 'ireland',
+      name: 'Ireland',
+      continent: 'british-isles',
+      adjacent: ['scotland', 'southern-england'],
+      coordinates: { x: 110, y: 170 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'scotland',
+      name: 'Scotland',
+      continent: 'british-isles',
+      adjacent: ['ireland', 'northern-england'],
+      coordinates: { x: 185, y: 110 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'northern-england',
+      name: 'Northern England',
+      continent: 'british-isles',
+      adjacent: ['scotland', 'southern-england'],
+      coordinates: { x: 205, y: 165 },
+      resources: { production: 2 }
+    },
+    {
+      id: 'southern-england',
+      name: 'Southern England',
+      continent: 'british-isles',
+      adjacent: ['ireland', 'northern-england', 'normandy', 'belgium'],
+      coordinates: { x: 215, y: 215 },
+      resources: { wealth: 2, research: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    
+    // Scandinavia
+    {
+      id: 'norway',
+      name: 'Norway',
+      continent: 'scandinavia',
+      adjacent: ['sweden', 'denmark'],
+      coordinates: { x: 370, y: 70 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'sweden',
+      name: 'Sweden',
+      continent: 'scandinavia',
+      adjacent: ['norway', 'denmark', 'finland'],
+      coordinates: { x: 430, y: 90 },
+      resources: { production: 1, research: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'finland',
+      name: 'Finland',
+      continent: 'scandinavia',
+      adjacent: ['sweden', 'baltic-states'],
+      coordinates: { x: 530, y: 55 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'denmark',
+      name: 'Denmark',
+      continent: 'scandinavia',
+      adjacent: ['norway', 'sweden', 'prussia'],
+      coordinates: { x: 385, y: 160 },
+      resources: { food: 1, wealth: 1 },
+      features: { hasPort: true }
+    },
+    
+    // France
+    {
+      id: 'brittany',
+      name: 'Brittany',
+      continent: 'france',
+      adjacent: ['normandy', 'aquitaine'],
+      coordinates: { x: 190, y: 280 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'normandy',
+      name: 'Normandy',
+      continent: 'france',
+      adjacent: ['southern-england', 'brittany', 'paris', 'belgium'],
+      coordinates: { x: 250, y: 255 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'paris',
+      name: 'Paris',
+      continent: 'france',
+      adjacent: ['normandy', 'belgium', 'burgundy', 'aquitaine'],
+      coordinates: { x: 285, y: 290 },
+      resources: { wealth: 2, research: 1 },
+      features: { hasCapital: true, hasResearchCenter: true }
+    },
+    {
+      id: 'burgundy',
+      name: 'Burgundy',
+      continent: 'france',
+      adjacent: ['paris', 'provence', 'rhineland', 'bavaria'],
+      coordinates: { x: 335, y: 305 },
+      resources: { food: 1, wealth: 1 }
+    },
+    {
+      id: 'aquitaine',
+      name: 'Aquitaine',
+      continent: 'france',
+      adjacent: ['brittany', 'paris', 'provence', 'catalonia'],
+      coordinates: { x: 235, y: 340 },
+      resources: { food: 2 }
+    },
+    {
+      id: 'provence',
+      name: 'Provence',
+      continent: 'france',
+      adjacent: ['aquitaine', 'burgundy', 'piedmont', 'catalonia'],
+      coordinates: { x: 315, y: 370 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Iberia
+    {
+      id: 'galicia',
+      name: 'Galicia',
+      continent: 'iberia',
+      adjacent: ['portugal', 'castile'],
+      coordinates: { x: 90, y: 335 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'portugal',
+      name: 'Portugal',
+      continent: 'iberia',
+      adjacent: ['galicia', 'castile', 'andalusia'],
+      coordinates: { x: 65, y: 395 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'castile',
+      name: 'Castile',
+      continent: 'iberia',
+      adjacent: ['galicia', 'portugal', 'andalusia', 'catalonia'],
+      coordinates: { x: 140, y: 385 },
+      resources: { production: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'andalusia',
+      name: 'Andalusia',
+      continent: 'iberia',
+      adjacent: ['portugal', 'castile', 'catalonia'],
+      coordinates: { x: 125, y: 450 },
+      resources: { food: 2 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'catalonia',
+      name: 'Catalonia',
+      continent: 'iberia',
+      adjacent: ['castile', 'andalusia', 'aquitaine', 'provence'],
+      coordinates: { x: 205, y: 395 },
+      resources: { production: 1, wealth: 1 }
+    },
+    
+    // Central Europe
+    {
+      id: 'belgium',
+      name: 'Belgium',
+      continent: 'central-europe',
+      adjacent: ['southern-england', 'normandy', 'paris', 'netherlands', 'rhineland'],
+      coordinates: { x: 300, y: 235 },
+      resources: { production: 1, wealth: 1 }
+    },
+    {
+      id: 'netherlands',
+      name: 'Netherlands',
+      continent: 'central-europe',
+      adjacent: ['belgium', 'rhineland', 'saxony'],
+      coordinates: { x: 330, y: 200 },
+      resources: { wealth: 2 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'rhineland',
+      name: 'Rhineland',
+      continent: 'central-europe',
+      adjacent: ['burgundy', 'belgium', 'netherlands', 'saxony', 'bavaria'],
+      coordinates: { x: 360, y: 250 },
+      resources: { production: 2 }
+    },
+    {
+      id: 'bavaria',
+      name: 'Bavaria',
+      continent: 'central-europe',
+      adjacent: ['burgundy', 'rhineland', 'saxony', 'bohemia', 'austria'],
+      coordinates: { x: 395, y: 300 },
+      resources: { food: 1, production: 1 }
+    },
+    {
+      id: 'saxony',
+      name: 'Saxony',
+      continent: 'central-europe',
+      adjacent: ['netherlands', 'rhineland', 'bavaria', 'prussia', 'bohemia'],
+      coordinates: { x: 420, y: 245 },
+      resources: { production: 1, research: 1 },
+      features: { hasResearchCenter: true }
+    },
+    {
+      id: 'prussia',
+      name: 'Prussia',
+      continent: 'central-europe',
+      adjacent: ['denmark', 'saxony', 'poland', 'baltic-states'],
+      coordinates: { x: 455, y: 195 },
+      resources: { production: 2 },
+      features: { hasCapital: true }
+    },
+    
+    // Italy
+    {
+      id: 'piedmont',
+      name: 'Piedmont',
+      continent: 'italy',
+      adjacent: ['provence', 'venice', 'rome'],
+      coordinates: { x: 365, y: 350 },
+      resources: { production: 1 }
+    },
+    {
+      id: 'venice',
+      name: 'Venice',
+      continent: 'italy',
+      adjacent: ['piedmont', 'rome', 'austria', 'croatia'],
+      coordinates: { x: 420, y: 340 },
+      resources: { wealth: 2 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'rome',
+      name: 'Rome',
+      continent: 'italy',
+      adjacent: ['piedmont', 'venice', 'naples'],
+      coordinates: { x: 435, y: 400 },
+      resources: { wealth: 1, research: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'naples',
+      name: 'Naples',
+      continent: 'italy',
+      adjacent: ['rome', 'sicily'],
+      coordinates: { x: 485, y: 435 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'sicily',
+      name: 'Sicily',
+      continent: 'italy',
+      adjacent: ['naples'],
+      coordinates: { x: 445, y: 475 },
+      resources: { food: 2 }
+    },
+    
+    // Eastern Europe
+    {
+      id: 'baltic-states',
+      name: 'Baltic States',
+      continent: 'eastern-europe',
+      adjacent: ['finland', 'prussia', 'poland', 'belarus'],
+      coordinates: { x: 545, y: 145 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'poland',
+      name: 'Poland',
+      continent: 'eastern-europe',
+      adjacent: ['prussia', 'baltic-states', 'belarus', 'ukraine', 'bohemia', 'hungary'],
+      coordinates: { x: 510, y: 215 },
+      resources: { food: 2 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'belarus',
+      name: 'Belarus',
+      continent: 'eastern-europe',
+      adjacent: ['poland', 'baltic-states', 'ukraine'],
+      coordinates: { x: 600, y: 190 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'ukraine',
+      name: 'Ukraine',
+      continent: 'eastern-europe',
+      adjacent: ['poland', 'hungary', 'belarus', 'romania'],
+      coordinates: { x: 660, y: 260 },
+      resources: { food: 3 }
+    },
+    {
+      id: 'bohemia',
+      name: 'Bohemia',
+      continent: 'eastern-europe',
+      adjacent: ['saxony', 'bavaria', 'poland', 'austria'],
+      coordinates: { x: 460, y: 275 },
+      resources: { production: 2 }
+    },
+    {
+      id: 'austria',
+      name: 'Austria',
+      continent: 'eastern-europe',
+      adjacent: ['bavaria', 'venice', 'bohemia', 'hungary', 'croatia'],
+      coordinates: { x: 475, y: 320 },
+      resources: { wealth: 1, research: 1 },
+      features: { hasCapital: true }
+    },
+    {
+      id: 'hungary',
+      name: 'Hungary',
+      continent: 'eastern-europe',
+      adjacent: ['poland', 'austria', 'ukraine', 'romania', 'serbia', 'croatia'],
+      coordinates: { x: 535, y: 315 },
+      resources: { food: 2 }
+    },
+    
+    // Balkans
+    {
+      id: 'croatia',
+      name: 'Croatia',
+      continent: 'balkans',
+      adjacent: ['venice', 'hungary', 'austria', 'serbia'],
+      coordinates: { x: 505, y: 365 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'serbia',
+      name: 'Serbia',
+      continent: 'balkans',
+      adjacent: ['hungary', 'croatia', 'romania', 'bulgaria', 'greece'],
+      coordinates: { x: 555, y: 370 },
+      resources: { production: 1 }
+    },
+    {
+      id: 'romania',
+      name: 'Romania',
+      continent: 'balkans',
+      adjacent: ['hungary', 'ukraine', 'serbia', 'bulgaria'],
+      coordinates: { x: 615, y: 330 },
+      resources: { food: 1, production: 1 }
+    },
+    {
+      id: 'bulgaria',
+      name: 'Bulgaria',
+      continent: 'balkans',
+      adjacent: ['serbia', 'romania', 'greece'],
+      coordinates: { x: 615, y: 395 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'greece',
+      name: 'Greece',
+      continent: 'balkans',
+      adjacent: ['serbia', 'bulgaria'],
+      coordinates: { x: 575, y: 445 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    }
+  ],
+  
+  // Sea lanes between ports, usable in both directions
+  seaLanes: [
+    ['scotland', 'norway']
+  ]
+};
+
+export default europeMap;
@@ -0,0 +1,378 @@
+/**
+ * Pacific islands map where most territories are linked by sea
+ */
+
+const pacificMap = {
+  id: 'pacific',
+  name: 'Pacific Islands',
+  width: 800,
+  height: 600,
+  
+  // Continent definitions
+  continents: [
+    {
+      id: 'japan',
+      name: 'Japan',
+      bonusArmies: 2,
+      color: '#DC143C' // crimson
+    },
+    {
+      id: 'philippines',
+      name: 'Philippines',
+      bonusArmies: 2,
+      color: '#FF8C00' // dark orange
+    },
+    {
+      id: 'indonesia',
+      name: 'Indonesia',
+      bonusArmies: 3,
+      color: '#228B22' // forest green
+    },
+    {
+      id: 'micronesia',
+      name: 'Micronesia',
+      bonusArmies: 2,
+      color: '#20B2AA' // light sea green
+    },
+    {
+      id: 'melanesia',
+      name: 'Melanesia',
+      bonusArmies: 2,
+      color: '#8B4513' // saddle brown
+    },
+    {
+      id: 'australia',
+      name: 'Australia',
+      bonusArmies: 2,
+      color: '#800080' // purple
+    },
+    {
+      id: 'new-zealand',
+      name: 'New Zealand',
+      bonusArmies: 1,
+      color: '#2F4F4F' // dark slate gray
+    },
+    {
+      id: 'polynesia',
+      name: 'Polynesia',
+      bonusArmies: 2,
+      color: '#1E90FF' // dodger blue
+    }
+  ],
+  
+  // Territory definitions
+  territories: [
+    // Japan
+    {
+      id: 'hokkaido',
+      name: 'Hokkaido',
+      continent: 'japan',
+      adjacent: ['honshu'],
+      coordinates: { x: 265, y: 45 },
+      resources: { food: 1 }
+    },
+    {
+      id: 'honshu',
+      name: 'Honshu',
+      continent: 'japan',
+      adjacent: ['hokkaido', 'kyushu'],
+      coordinates: { x: 245, y: 95 },
+      resources: { production: 2, research: 1 },
+      features: { hasCapital: true, hasPort: true, hasResearchCenter: true }
+    },
+    {
+      id: 'kyushu',
+      name: 'Kyushu',
+      continent: 'japan',
+      adjacent: ['honshu', 'okinawa'],
+      coordinates: { x: 200, y: 130 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'okinawa',
+      name: 'Okinawa',
+      continent: 'japan',
+      adjacent: ['kyushu'],
+      coordinates: { x: 170, y: 170 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Philippines
+    {
+      id: 'taiwan',
+      name: 'Taiwan',
+      continent: 'philippines',
+      adjacent: ['luzon'],
+      coordinates: { x: 135, y: 205 },
+      resources: { production: 1, research: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'luzon',
+      name: 'Luzon',
+      continent: 'philippines',
+      adjacent: ['taiwan', 'visayas'],
+      coordinates: { x: 160, y: 250 },
+      resources: { wealth: 1, food: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    {
+      id: 'visayas',
+      name: 'Visayas',
+      continent: 'philippines',
+      adjacent: ['luzon', 'mindanao'],
+      coordinates: { x: 180, y: 290 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'mindanao',
+      name: 'Mindanao',
+      continent: 'philippines',
+      adjacent: ['visayas'],
+      coordinates: { x: 205, y: 325 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Indonesia
+    {
+      id: 'sumatra',
+      name: 'Sumatra',
+      continent: 'indonesia',
+      adjacent: ['java', 'borneo'],
+      coordinates: { x: 50, y: 350 },
+      resources: { food: 2 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'java',
+      name: 'Java',
+      continent: 'indonesia',
+      adjacent: ['sumatra', 'borneo', 'timor'],
+      coordinates: { x: 100, y: 410 },
+      resources: { food: 2, wealth: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    {
+      id: 'borneo',
+      name: 'Borneo',
+      continent: 'indonesia',
+      adjacent: ['sumatra', 'java', 'sulawesi'],
+      coordinates: { x: 125, y: 320 },
+      resources: { production: 1, wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'sulawesi',
+      name: 'Sulawesi',
+      continent: 'indonesia',
+      adjacent: ['borneo', 'timor'],
+      coordinates: { x: 190, y: 370 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'timor',
+      name: 'Timor',
+      continent: 'indonesia',
+      adjacent: ['java', 'sulawesi'],
+      coordinates: { x: 200, y: 425 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Micronesia
+    {
+      id: 'palau',
+      name: 'Palau',
+      continent: 'micronesia',
+      adjacent: ['guam'],
+      coordinates: { x: 255, y: 275 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'guam',
+      name: 'Guam',
+      continent: 'micronesia',
+      adjacent: ['palau', 'wake-island', 'marshall-islands'],
+      coordinates: { x: 320, y: 220 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'wake-island',
+      name: 'Wake Island',
+      continent: 'micronesia',
+      adjacent: ['guam', 'marshall-islands'],
+      coordinates: { x: 440, y: 160 },
+      resources: { research: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'marshall-islands',
+      name: 'Marshall Islands',
+      continent: 'micronesia',
+      adjacent: ['guam', 'wake-island'],
+      coordinates: { x: 460, y: 255 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Melanesia
+    {
+      id: 'new-guinea',
+      name: 'New Guinea',
+      continent: 'melanesia',
+      adjacent: ['solomon-islands'],
+      coordinates: { x: 290, y: 375 },
+      resources: { food: 1, production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'solomon-islands',
+      name: 'Solomon Islands',
+      continent: 'melanesia',
+      adjacent: ['new-guinea', 'vanuatu'],
+      coordinates: { x: 380, y: 385 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'vanuatu',
+      name: 'Vanuatu',
+      continent: 'melanesia',
+      adjacent: ['solomon-islands', 'new-caledonia'],
+      coordinates: { x: 440, y: 425 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'new-caledonia',
+      name: 'New Caledonia',
+      continent: 'melanesia',
+      adjacent: ['vanuatu'],
+      coordinates: { x: 400, y: 465 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    
+    // Australia
+    {
+      id: 'western-australia',
+      name: 'Western Australia',
+      continent: 'australia',
+      adjacent: ['northern-territory', 'new-south-wales'],
+      coordinates: { x: 200, y: 500 },
+      resources: { production: 2 }
+    },
+    {
+      id: 'northern-territory',
+      name: 'Northern Territory',
+      continent: 'australia',
+      adjacent: ['western-australia', 'queensland'],
+      coordinates: { x: 270, y: 465 },
+      resources: { production: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'queensland',
+      name: 'Queensland',
+      continent: 'australia',
+      adjacent: ['northern-territory', 'new-south-wales'],
+      coordinates: { x: 335, y: 500 },
+      resources: { food: 2 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'new-south-wales',
+      name: 'New South Wales',
+      continent: 'australia',
+      adjacent: ['queensland', 'western-australia'],
+      coordinates: { x: 310, y: 550 },
+      resources: { wealth: 2, research: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    
+    // New Zealand
+    {
+      id: 'north-island',
+      name: 'North Island',
+      continent: 'new-zealand',
+      adjacent: ['south-island'],
+      coordinates: { x: 480, y: 525 },
+      resources: { food: 1, wealth: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    {
+      id: 'south-island',
+      name: 'South Island',
+      continent: 'new-zealand',
+      adjacent: ['north-island'],
+      coordinates: { x: 445, y: 570 },
+      resources: { food: 2 }
+    },
+    
+    // Polynesia
+    {
+      id: 'hawaii',
+      name: 'Hawaii',
+      continent: 'polynesia',
+      adjacent: ['tahiti'],
+      coordinates: { x: 690, y: 130 },
+      resources: { wealth: 2, research: 1 },
+      features: { hasCapital: true, hasPort: true }
+    },
+    {
+      id: 'samoa',
+      name: 'Samoa',
+      continent: 'polynesia',
+      adjacent: ['fiji', 'tahiti'],
+      coordinates: { x: 600, y: 385 },
+      resources: { food: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'fiji',
+      name: 'Fiji',
+      continent: 'polynesia',
+      adjacent: ['samoa'],
+      coordinates: { x: 530, y: 430 },
+      resources: { food: 1, wealth: 1 },
+      features: { hasPort: true }
+    },
+    {
+      id: 'tahiti',
+      name: 'Tahiti',
+      continent: 'polynesia',
+      adjacent: ['hawaii', 'samoa'],
+      coordinates: { x: 710, y: 430 },
+      resources: { wealth: 1 },
+      features: { hasPort: true }
+    }
+  ],
+  
+  // Sea lanes between ports, usable in both directions
+  seaLanes: [
+    ['honshu', 'guam'],
+    ['okinawa', 'taiwan'],
+    ['mindanao', 'borneo'],
+    ['mindanao', 'sulawesi'],
+    ['mindanao', 'palau'],
+    ['sulawesi', 'new-guinea'],
+    ['timor', 'northern-territory'],
+    ['palau', 'new-guinea'],
+    ['wake-island', 'hawaii'],
+    ['marshall-islands', 'solomon-islands'],
+    ['new-guinea', 'queensland'],
+    ['new-caledonia', 'queensland'],
+    ['vanuatu', 'fiji'],
+    ['new-caledonia', 'north-island'],
+    ['new-south-wales', 'north-island']
+  ]
+};
+
+export default pacificMap;
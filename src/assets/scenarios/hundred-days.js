@@ -0,0 +1,108 @@
+/**
+ * The Hundred Days: a returned emperor strikes north before the coalition
+ * against him can gather
+ */
+
+const hundredDays = {
+  id: 'hundred-days',
+  name: 'The Hundred Days',
+  description: 'France has a strong army and little time. Take the Low Countries and the Rhineland before the Coalition reaches Paris; ' +
+    'if France has not won by the end of turn 10, the Coalition does.',
+  mapId: 'europe',
+  settings: {
+    victoryConditions: ['military']
+  },
+  turn: 1,
+  turnLimit: 10,
+  turnLimitWinner: 1,
+
+  players: [
+    {
+      name: 'French Empire',
+      color: 'blue',
+      type: 'human',
+      territories: {
+        paris: { infantry: 6, cavalry: 1, artillery: 1 },
+        normandy: 3,
+        brittany: 2,
+        burgundy: { infantry: 5, cavalry: 2 },
+        aquitaine: 2,
+        provence: 3
+      },
+      resources: { food: 4, production: 8, research: 2, wealth: 2 },
+      technologies: ['advanced-infantry', 'cavalry-charge', 'blitzkrieg'],
+      cards: ['burgundy', 'wild'],
+      objective: { type: 'hold-named-territories', territoryIds: ['belgium', 'netherlands', 'rhineland'] }
+    },
+    {
+      name: 'Seventh Coalition',
+      color: 'red',
+      type: 'ai',
+      strategy: 'defensive',
+      territories: {
+        ireland: 1,
+        scotland: 2,
+        'northern-england': 2,
+        'southern-england': 4,
+        norway: 1,
+        sweden: 2,
+        denmark: 1,
+        galicia: 1,
+        portugal: 2,
+        castile: 2,
+        andalusia: 1,
+        catalonia: 3,
+        belgium: { infantry: 5, cavalry: 1 },
+        netherlands: 3,
+        rhineland: 4,
+        saxony: 2,
+        prussia: { infantry: 5, cavalry: 1 }
+      },
+      resources: { food: 5, production: 4, research: 2, wealth: 8 },
+      technologies: ['defensive-tactics', 'diplomacy'],
+      cards: ['southern-england'],
+      objective: { type: 'hold-named-territories', territoryIds: ['paris'] }
+    },
+    {
+      name: 'Eastern Powers',
+      color: 'green',
+      type: 'ai',
+      strategy: 'balanced',
+      territories: {
+        finland: 2,
+        bavaria: 3,
+        piedmont: 2,
+        venice: 2,
+        rome: 1,
+        naples: 1,
+        sicily: 1,
+        'baltic-states': 2,
+        poland: 3,
+        belarus: 2,
+        ukraine: 2,
+        bohemia: 2,
+        austria: 3,
+        hungary: 2,
+        croatia: 1
+      },
+      resources: { food: 6, production: 4, research: 1, wealth: 3 },
+      technologies: ['defensive-tactics'],
+      objective: { type: 'eliminate-player', player: 0 }
+    }
+  ],
+
+  // The Ottoman Balkans stay out of the war unless someone marches in
+  neutral: {
+    serbia: 2,
+    romania: 2,
+    bulgaria: 2,
+    greece: 3
+  },
+
+  // The army that rallied to the emperor is eager to fight
+  activeEvents: [
+    { type: 'combat-morale', player: 0, turns: 2 }
+  ]
+};
+
+export default hundredDays;
@@ -0,0 +1,83 @@
+/**
+ * Island Hopping: a fleet works its way across the Pacific towards an empire
+ * holding every island chain in between
+ */
+
+const islandHopping = {
+  id: 'island-hopping',
+  name: 'Island Hopping',
+  description: 'The Allied Fleet must take Luzon and Okinawa across a chain of defended islands. ' +
+    'The Empire wins by taking Australia, or by holding out until the end of turn 15.',
+  mapId: 'pacific',
+  settings: {
+    victoryConditions: ['military']
+  },
+  turn: 1,
+  turnLimit: 15,
+  turnLimitWinner: 1,
+
+  players: [
+    {
+      name: 'Allied Fleet',
+      color: 'blue',
+      type: 'human',
+      territories: {
+        vanuatu: 2,
+        'new-caledonia': 3,
+        'western-australia': 1,
+        'northern-territory': 3,
+        queensland: { infantry: 4, cavalry: 1 },
+        'new-south-wales': { infantry: 5, artillery: 1 },
+        'north-island': 3,
+        'south-island': 1,
+        hawaii: { infantry: 6, cavalry: 1, artillery: 1 },
+        samoa: 2,
+        fiji: 2,
+        tahiti: 1
+      },
+      resources: { food: 6, production: 10, research: 4, wealth: 8 },
+      technologies: ['mining', 'industrialization', 'logistics', 'scientific-method'],
+      cards: ['hawaii', 'fiji', 'wild'],
+      objective: { type: 'hold-named-territories', territoryIds: ['luzon', 'okinawa'] }
+    },
+    {
+      name: 'Island Empire',
+      color: 'red',
+      type: 'ai',
+      strategy: 'defensive',
+      difficulty: 'hard',
+      territories: {
+        hokkaido: 2,
+        honshu: { infantry: 5, artillery: 1 },
+        kyushu: 3,
+        okinawa: 3,
+        taiwan: 2,
+        luzon: { infantry: 4, artillery: 1 },
+        visayas: 2,
+        mindanao: 2,
+        sumatra: 1,
+        java: 3,
+        borneo: 2,
+        sulawesi: 1,
+        timor: 2,
+        palau: 2,
+        guam: 3,
+        'wake-island': 2,
+        'marshall-islands': 3,
+        'new-guinea': 4,
+        'solomon-islands': 3
+      },
+      resources: { food: 3, production: 5, research: 2, wealth: 2 },
+      technologies: ['defensive-tactics', 'artillery-barrage', 'fortification'],
+      cards: ['guam'],
+      objective: { type: 'hold-continents', continentIds: ['australia'] }
+    }
+  ],
+
+  // A new fleet train lets the Allies move further for their first turns
+  activeEvents: [
+    { type: 'improved-logistics', player: 0, turns: 2 }
+  ]
+};
+
+export default islandHopping;
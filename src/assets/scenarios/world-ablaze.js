@@ -0,0 +1,113 @@
+/**
+ * World Ablaze: four powers six turns into a world war
+ */
+
+const worldAblaze = {
+  id: 'world-ablaze',
+  name: 'World Ablaze',
+  description: 'Six turns into a world war, each of four powers has its own aim. ' +
+    'If no one has reached theirs by the end of turn 20, the power holding the most territories wins.',
+  mapId: 'classic',
+  settings: {
+    victoryConditions: ['military']
+  },
+  turn: 6,
+  turnLimit: 20,
+
+  players: [
+    {
+      name: 'Western Alliance',
+      color: 'blue',
+      territories: {
+        alaska: 1,
+        'northwest-territory': 1,
+        greenland: 2,
+        alberta: 1,
+        ontario: 2,
+        quebec: 2,
+        'western-united-states': 2,
+        'eastern-united-states': { infantry: 4, artillery: 1 },
+        'central-america': 1,
+        iceland: 2,
+        'great-britain': { infantry: 5, cavalry: 1 },
+        venezuela: 1,
+        peru: 1,
+        brazil: 2,
+        argentina: 1,
+        'western-australia': 1,
+        'eastern-australia': 2
+      },
+      resources: { food: 8, production: 9, research: 4, wealth: 10 },
+      technologies: ['mining', 'industrialization', 'logistics', 'espionage'],
+      cards: ['alberta', 'peru'],
+      objective: { type: 'hold-continents', continentIds: ['europe', 'north-america'] }
+    },
+    {
+      name: 'Continental Axis',
+      color: 'black',
+      territories: {
+        'western-europe': { infantry: 4, cavalry: 1 },
+        'northern-europe': { infantry: 5, cavalry: 1, artillery: 1 },
+        'southern-europe': 4,
+        scandinavia: 2,
+        ukraine: { infantry: 6, cavalry: 2 },
+        'north-africa': 3,
+        egypt: 2,
+        'middle-east': 2,
+        congo: 1,
+        'east-africa': 1
+      },
+      resources: { food: 3, production: 8, research: 3, wealth: 3 },
+      technologies: ['advanced-infantry', 'cavalry-charge', 'blitzkrieg'],
+      cards: ['ukraine', 'egypt', 'wild'],
+      objective: { type: 'eliminate-player', player: 2 }
+    },
+    {
+      name: 'Eastern Union',
+      color: 'red',
+      territories: {
+        ural: { infantry: 6, artillery: 1 },
+        siberia: 3,
+        yakutsk: 2,
+        kamchatka: 2,
+        irkutsk: 2,
+        afghanistan: 4,
+        mongolia: 2
+      },
+      resources: { food: 5, production: 7, research: 2, wealth: 2 },
+      technologies: ['defensive-tactics', 'artillery-barrage'],
+      cards: ['siberia'],
+      objective: { type: 'hold-continents', continentIds: ['asia'] }
+    },
+    {
+      name: 'Pacific Empire',
+      color: 'yellow',
+      territories: {
+        japan: { infantry: 4, artillery: 1 },
+        china: { infantry: 6, cavalry: 1 },
+        siam: 3,
+        india: 3,
+        indonesia: 2,
+        'new-guinea': 2
+      },
+      resources: { food: 4, production: 6, research: 3, wealth: 3 },
+      technologies: ['improved-farming', 'trade-routes'],
+      cards: ['japan', 'wild'],
+      objective: { type: 'hold-territories', count: 14, minArmies: 2 }
+    }
+  ],
+
+  // Colonies no one has reached yet
+  neutral: {
+    'south-africa': 2,
+    madagascar: 1
+  },
+
+  // Winter has set in on the eastern front
+  activeEvents: [
+    { type: 'low-morale', player: 1, turns: 1, territories: ['ukraine'] },
+    { type: 'combat-morale', player: 2, turns: 2 }
+  ]
+};
+
+export default worldAblaze;
@@ -2,7 +2,17 @@
  * AI Player implementation for Risk-inspired strategy game
  */
 
-import { nextPhase, playerControlsContinent, resolveAttack, getTotalArmies } from './game-helpers.js';
+import { getTotalArmies, getConnectedTerritoryIds } from './game-helpers.js';
+import { getMaxAttackDice } from './combat-rules.js';
+import { getRules } from './rule-sets.js';
+import { CommandTypes } from './commands.js';
+import { getCapitalChoices } from './capitals.js';
+import { getUnclaimedTerritories, getSetupChoices } from './territory-draft.js';
+import { canSeeArmies, canSeeOwner } from './fog-of-war.js';
+import { getRandom } from './random.js';
+
+// Armies the AI assumes are on an enemy territory hidden by fog of war
+const UNSEEN_ARMIES_ESTIMATE = 3;
 
 /**
  * Base AI player for the game
@@ -29,36 +39,68 @@ class AIPlayer {
   /**
    * Perform the AI player's turn
    * @param {GameState} gameState - Current game state
+   * @param {GameEngine} engine - Engine that executes the AI's commands
    * @returns {Object} Actions taken during the turn
    */
-  performTurn(gameState) {
+  performTurn(gameState, engine) {
     const actions = {
+      claim: null,
+      deploy: null,
+      capital: null,
       reinforcement: [],
       attacks: [],
       fortification: null
     };
     
+    this.engine = engine;
+    
     // Update AI memory with current game state
     this.updateMemory(gameState);
     
+    // Territory draft before the first turn: one claim or one army per turn
+    if (gameState.phase === 'claim') {
+      actions.claim = this.claimTerritory(gameState);
+      return actions;
+    }
+    if (gameState.phase === 'deploy') {
+      actions.deploy = this.deployArmy(gameState);
+      return actions;
+    }
+    
+    // Capital selection before the first turn (capitals mode)
+    if (gameState.phase === 'capital-selection') {
+      actions.capital = this.chooseCapital(gameState);
+      return actions;
+    }
+    
     // Reinforcement phase
     if (gameState.phase === 'reinforcement') {
       actions.reinforcement = this.performReinforcement(gameState);
     }
     
     // Attack phase
-    if (gameState.phase === 'attack') {
+    if (gameState.phase === 'attack' && !gameState.gameOver) {
       actions.attacks = this.performAttacks(gameState);
     }
     
     // Fortification phase
-    if (gameState.phase === 'fortification') {
+    if (gameState.phase === 'fortification' && !gameState.gameOver) {
       actions.fortification = this.performFortification(gameState);
     }
     
     return actions;
   }
 
+  /**
+   * Issue a command to the game engine on behalf of this AI player
+   * @param {string} type - Command type
+   * @param {Object} payload - Command payload
+   * @returns {Object} Result of the command
+   */
+  issueCommand(type, payload = {}) {
+    return this.engine.executeCommand({ type, playerId: this.playerId, payload });
+  }
+
   /**
    * Update AI memory with new game state
    * @param {GameState} gameState - Current game state
@@ -110,7 +152,7 @@ class AIPlayer {
       let value = 10; // Base value
       
       // Territories with more adjacent territories are more valuable (connectivity)
-      const adjacentCount = territory.adjacentTerritories.length;
+      const adjacentCount = getConnectedTerritoryIds(gameState, territory).length;
       value += adjacentCount * 2;
       
       // Territories in continents with fewer total territories are more valuable
@@ -163,10 +205,110 @@ class AIPlayer {
         if (territory.features.hasPort) value += 5;
       }
       
+      // Enemy capitals count towards a capitals victory and strip their owner of it
+      if (territory.capitalOf && territory.capitalOf !== this.playerId) {
+        value += 25;
+      }
+      
+      // Territories that help complete our secret mission
+      if (this.isMissionTarget(gameState, player, territory)) {
+        value += 15;
+      }
+      
       this.memory.targetValue[territory.id] = value;
     }
   }
 
+  /**
+   * Check whether taking a territory works towards this AI's secret mission
+   * @param {GameState} gameState - Current game state
+   * @param {Player} player - This AI's player
+   * @param {Territory} territory - Territory to check
+   * @returns {boolean} True if the territory is a mission target
+   */
+  isMissionTarget(gameState, player, territory) {
+    const mission = player.mission;
+    if (!mission) return false;
+    
+    switch (mission.type) {
+      case 'hold-continents':
+        return mission.continentIds.includes(territory.continent);
+      case 'eliminate-player':
+        return canSeeOwner(gameState, this.playerId, territory) &&
+          territory.occupyingPlayer === mission.targetPlayerId;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Claim a territory during the draft, preferring valuable territories next to our own
+   * @param {GameState} gameState - Current game state
+   * @returns {string|null} ID of the claimed territory
+   */
+  claimTerritory(gameState) {
+    const choices = getUnclaimedTerritories(gameState);
+    if (choices.length === 0) return null;
+    
+    const scored = choices.map(territory => {
+      let score = this.memory.targetValue[territory.id] || 10;
+      
+      // Territories that join up with ours are easier to hold
+      for (const adjId of getConnectedTerritoryIds(gameState, territory)) {
+        const adjTerritory = gameState.territories.find(t => t.id === adjId);
+        if (adjTerritory.occupyingPlayer === this.playerId) {
+          score += 8;
+        } else if (adjTerritory.occupyingPlayer) {
+          score -= 2;
+        }
+      }
+      
+      return { id: territory.id, score };
+    });
+    scored.sort((a, b) => b.score - a.score);
+    
+    this.issueCommand(CommandTypes.CLAIM_TERRITORY, { territoryId: scored[0].id });
+    return scored[0].id;
+  }
+
+  /**
+   * Place a starting army during the draft on the territory that most needs it
+   * @param {GameState} gameState - Current game state
+   * @returns {string|null} ID of the reinforced territory
+   */
+  deployArmy(gameState) {
+    const choices = getSetupChoices(gameState, this.playerId);
+    if (choices.length === 0) return null;
+    
+    const scored = choices.map(territory => ({
+      id: territory.id,
+      score: (this.memory.targetValue[territory.id] || 10) / 2 + this.calculateEnemyThreat(gameState, territory)
+    }));
+    scored.sort((a, b) => b.score - a.score);
+    
+    this.issueCommand(CommandTypes.DEPLOY, { territoryId: scored[0].id });
+    return scored[0].id;
+  }
+
+  /**
+   * Choose a capital during capital selection, preferring the safest and best defended territory
+   * @param {GameState} gameState - Current game state
+   * @returns {string|null} ID of the chosen capital
+   */
+  chooseCapital(gameState) {
+    const choices = getCapitalChoices(gameState, this.playerId);
+    if (choices.length === 0) return null;
+    
+    const scored = choices.map(territory => ({
+      id: territory.id,
+      score: getTotalArmies(territory) * 2 - this.calculateEnemyThreat(gameState, territory)
+    }));
+    scored.sort((a, b) => b.score - a.score);
+    
+    this.issueCommand(CommandTypes.CHOOSE_CAPITAL, { territoryId: scored[0].id });
+    return scored[0].id;
+  }
+
   /**
    * Perform the reinforcement phase
    * @param {GameState} gameState - Current game state
@@ -176,44 +318,19 @@ class AIPlayer {
     const player = gameState.players.find(p => p.id === this.playerId);
     if (!player) return [];
     
-    // Get reinforcement count
-    let reinforcements = 0;
-    
-    if (gameState.config.enableResources) {
-      // Use resource manager for calculation
-      const production = gameState.resourceManager.calculateResourceProduction(this.playerId);
-      reinforcements = Math.max(3, Math.floor(player.territories.length / 3));
-      
-      // Add continent bonuses
-      for (const continent of gameState.continents) {
-        // Check if player controls the continent
-        if (playerControlsContinent(gameState, this.playerId, continent.id)) {
-          reinforcements += continent.bonusArmies;
-        }
-      }
-    } else {
-      // Standard RISK rules
-      reinforcements = Math.max(3, Math.floor(player.territories.length / 3));
-      
-      // Add continent bonuses
-      for (const continent of gameState.continents) {
-        // Check if player controls the continent
-        if (playerControlsContinent(gameState, this.playerId, continent.id)) {
-          reinforcements += continent.bonusArmies;
-        }
-      }
-    }
+    // The engine works out the reinforcement count at the start of the turn
+    const reinforcements = gameState.remainingReinforcements || 0;
     
     // If no reinforcements, end phase
     if (reinforcements <= 0) {
-      gameState.nextPhase();
+      this.issueCommand(CommandTypes.END_PHASE);
       return [];
     }
     
     // Identify border territories (adjacent to enemy territories)
     const borderTerritories = player.territories.filter(id => {
       const territory = gameState.territories.find(t => t.id === id);
-      return territory.adjacentTerritories.some(adjId => {
+      return getConnectedTerritoryIds(gameState, territory).some(adjId => {
         const adjTerritory = gameState.territories.find(t => t.id === adjId);
         return adjTerritory.occupyingPlayer !== this.playerId;
       });
@@ -230,11 +347,11 @@ class AIPlayer {
       priority -= getTotalArmies(territory) * 2;
       
       // Prioritize territories adjacent to weak enemy territories
-      const attackOpportunities = territory.adjacentTerritories.filter(adjId => {
+      const attackOpportunities = getConnectedTerritoryIds(gameState, territory).filter(adjId => {
         const adjTerritory = gameState.territories.find(t => t.id === adjId);
         return (
           adjTerritory.occupyingPlayer !== this.playerId &&
-          getTotalArmies(adjTerritory) < getTotalArmies(territory)
+          this.getVisibleArmies(gameState, adjTerritory) < getTotalArmies(territory)
         );
       }).length;
       
@@ -252,6 +369,11 @@ class AIPlayer {
         }
       }
       
+      // Losing our capital would cost us the game, so keep it well defended
+      if (territory.capitalOf === this.playerId) {
+        priority += 20;
+      }
+      
       return { id, priority };
     });
     
@@ -283,20 +405,22 @@ class AIPlayer {
     }
     
     // If there are still reinforcements left, add them to the highest priority territory
-    if (remainingReinforcements > 0 && territoryPriorities.length > 0) {
-      reinforcementActions[0].armies += remainingReinforcements;
+    if (remainingReinforcements > 0) {
+      if (reinforcementActions.length > 0) {
+        reinforcementActions[0].armies += remainingReinforcements;
+      } else {
+        reinforcementActions.push({ territoryId: player.territories[0], armies: remainingReinforcements });
+      }
     }
     
-    // Process reinforcements
+    // Place the reinforcements; the engine moves on to the attack phase once all are placed
     for (const action of reinforcementActions) {
-      // In a real implementation, this would call the game engine to place armies
-      const territory = gameState.territories.find(t => t.id === action.territoryId);
-      territory.armies.infantry += action.armies;
+      this.issueCommand(CommandTypes.REINFORCE, {
+        territoryId: action.territoryId,
+        armyCount: action.armies
+      });
     }
     
-    // Move to the next phase
-    nextPhase(gameState);
-    
     return reinforcementActions;
   }
 
@@ -322,25 +446,33 @@ class AIPlayer {
         continue;
       }
       
+      // Remember the defender before the territory can change hands
+      const defenderId = gameState.territories.find(t => t.id === attack.toTerritoryId)?.occupyingPlayer;
+      
       // Execute the attack
-      const result = resolveAttack(
-        gameState,
-        attack.fromTerritoryId,
-        attack.toTerritoryId,
-        { 
-          attackDice: attack.attackDice,
-          playerId: this.playerId,
-          defenderId: gameState.territories.find(t => t.id === attack.toTerritoryId)?.occupyingPlayer 
-        }
-      );
+      const result = this.issueCommand(CommandTypes.ATTACK, {
+        fromTerritoryId: attack.fromTerritoryId,
+        toTerritoryId: attack.toTerritoryId,
+        attackDice: attack.attackDice
+      });
+      
+      // Move the minimum number of armies into a conquered territory
+      if (result.success && result.territoryConquered && gameState.pendingConquest) {
+        this.issueCommand(CommandTypes.CONQUER, {
+          armyCount: gameState.pendingConquest.minArmies
+        });
+      }
       
       attacks.push({
         ...attack,
         result: result.success ? result : { success: false }
       });
       
+      if (!result.success || gameState.gameOver) {
+        break;
+      }
+      
       // Update success rate metrics
-      const defenderId = gameState.territories.find(t => t.id === attack.toTerritoryId)?.occupyingPlayer;
       if (defenderId) {
         if (!this.memory.successfulAttacks[defenderId]) {
           this.memory.successfulAttacks[defenderId] = { success: 0, total: 0 };
@@ -362,7 +494,9 @@ class AIPlayer {
     }
     
     // Move to the next phase
-    nextPhase(gameState);
+    if (!gameState.gameOver) {
+      this.issueCommand(CommandTypes.END_PHASE);
+    }
     
     return attacks;
   }
@@ -388,14 +522,14 @@ class AIPlayer {
     
     for (const territory of attackingTerritories) {
       // Find adjacent enemy territories
-      const adjacentEnemies = territory.adjacentTerritories
+      const adjacentEnemies = getConnectedTerritoryIds(gameState, territory)
         .map(id => gameState.territories.find(t => t.id === id))
         .filter(t => t && t.occupyingPlayer !== this.playerId);
       
       for (const enemyTerritory of adjacentEnemies) {
         // Calculate attack score
         const attackerArmies = getTotalArmies(territory);
-        const defenderArmies = getTotalArmies(enemyTerritory);
+        const defenderArmies = this.getVisibleArmies(gameState, enemyTerritory);
         
         // Skip if clearly outmatched
         if (attackerArmies <= defenderArmies) continue;
@@ -422,8 +556,8 @@ class AIPlayer {
           }
         }
         
-        // Determine attack dice count (1-3)
-        const maxAttackDice = Math.min(3, attackerArmies - 1);
+        // Attack with as many dice as the rules allow
+        const maxAttackDice = getMaxAttackDice(territory, getRules(gameState));
         
         possibleAttacks.push({
           fromTerritoryId: territory.id,
@@ -464,21 +598,22 @@ class AIPlayer {
     }
     
     // Base decision on difficulty and aggressiveness
+    const rng = getRandom(gameState);
     switch (this.difficulty) {
       case 'easy':
         // Easy AI is conservative - 40% chance to continue after each attack
-        return Math.random() < 0.4;
+        return rng.next() < 0.4;
       
       case 'medium':
         // Medium AI is moderate - 60% chance to continue after each attack
-        return Math.random() < 0.6;
+        return rng.next() < 0.6;
       
       case 'hard':
         // Hard AI is aggressive - 80% chance to continue after each attack
-        return Math.random() < 0.8;
+        return rng.next() < 0.8;
       
       default:
-        return Math.random() < 0.5;
+        return rng.next() < 0.5;
     }
   }
 
@@ -514,13 +649,13 @@ class AIPlayer {
       .filter(t => t && getTotalArmies(t) >= 2);
     
     if (sourceTerritories.length === 0) {
-      nextPhase(gameState);
+      this.issueCommand(CommandTypes.END_PHASE);
       return null;
     }
     
     // Identify interior territories (not bordering enemies)
     const interiorTerritories = sourceTerritories.filter(territory => {
-      return !territory.adjacentTerritories.some(adjId => {
+      return !getConnectedTerritoryIds(gameState, territory).some(adjId => {
         const adjTerritory = gameState.territories.find(t => t.id === adjId);
         return adjTerritory.occupyingPlayer !== this.playerId;
       });
@@ -530,7 +665,7 @@ class AIPlayer {
     const borderTerritories = player.territories
       .map(id => gameState.territories.find(t => t.id === id))
       .filter(t => {
-        return t.adjacentTerritories.some(adjId => {
+        return getConnectedTerritoryIds(gameState, t).some(adjId => {
           const adjTerritory = gameState.territories.find(t => t.id === adjId);
           return adjTerritory.occupyingPlayer !== this.playerId;
         });
@@ -543,8 +678,8 @@ class AIPlayer {
     // Consider moving from interior to border territories
     for (const source of interiorTerritories) {
       for (const target of borderTerritories) {
-        // Skip if territories are not adjacent
-        if (!source.isAdjacentTo(target.id) || source.id === target.id) continue;
+        // Skip if territories are not connected
+        if (!getConnectedTerritoryIds(gameState, source).includes(target.id) || source.id === target.id) continue;
         
         // Skip if source doesn't have enough armies to move
         if (getTotalArmies(source) <= 1) continue;
@@ -576,7 +711,7 @@ class AIPlayer {
       const excessTerritories = sourceTerritories.filter(t => getTotalArmies(t) > 3);
       
       for (const source of excessTerritories) {
-        for (const targetId of source.adjacentTerritories) {
+        for (const targetId of getConnectedTerritoryIds(gameState, source)) {
           const target = gameState.territories.find(t => t.id === targetId);
           
           // Skip if target is not ours
@@ -613,20 +748,34 @@ class AIPlayer {
     }
     
     // Execute the fortification
+    let fortified = false;
     if (bestFortification) {
-      // In a real implementation, this would call the game engine to move armies
-      const source = gameState.territories.find(t => t.id === bestFortification.fromTerritoryId);
-      const target = gameState.territories.find(t => t.id === bestFortification.toTerritoryId);
-      
-      // Move armies (infantry for simplicity)
-      source.armies.infantry -= bestFortification.armies;
-      target.armies.infantry += bestFortification.armies;
+      const result = this.issueCommand(CommandTypes.FORTIFY, {
+        fromTerritoryId: bestFortification.fromTerritoryId,
+        toTerritoryId: bestFortification.toTerritoryId,
+        armyCount: bestFortification.armies
+      });
+      fortified = result.success;
     }
     
-    // Move to the next phase
-    nextPhase(gameState);
+    // Move to the next player's turn
+    this.issueCommand(CommandTypes.END_PHASE);
     
-    return bestFortification;
+    return fortified ? bestFortification : null;
+  }
+
+  /**
+   * Get the armies this AI can see on a territory. Under fog of war the AI plays
+   * by the same rules as everyone else and has to guess at armies it cannot see.
+   * @param {GameState} gameState - Current game state
+   * @param {Territory} territory - Territory to look at
+   * @returns {number} Army value on the territory, or a guess if it is hidden
+   */
+  getVisibleArmies(gameState, territory) {
+    if (canSeeArmies(gameState, this.playerId, territory)) {
+      return getTotalArmies(territory);
+    }
+    return UNSEEN_ARMIES_ESTIMATE;
   }
 
   /**
@@ -639,13 +788,13 @@ class AIPlayer {
     let threat = 0;
     
     // Check adjacent enemy territories
-    for (const adjId of territory.adjacentTerritories) {
+    for (const adjId of getConnectedTerritoryIds(gameState, territory)) {
       const adjTerritory = gameState.territories.find(t => t.id === adjId);
       
       if (!adjTerritory || adjTerritory.occupyingPlayer === this.playerId) continue;
       
       // Calculate threat from this territory
-      const enemyArmies = getTotalArmies(adjTerritory);
+      const enemyArmies = this.getVisibleArmies(gameState, adjTerritory);
       const ourArmies = getTotalArmies(territory);
       
       // Higher threat if they have more armies than us
@@ -676,7 +825,7 @@ class AggressiveAI extends AIPlayer {
   // Override to be more aggressive
   shouldContinueAttacking(gameState, previousAttacks) {
     // More likely to continue attacking
-    return Math.random() < 0.8;
+    return getRandom(gameState).next() < 0.8;
   }
   
   // Override attack limit to be higher
@@ -705,7 +854,7 @@ class DefensiveAI extends AIPlayer {
   // Override to be more conservative
   shouldContinueAttacking(gameState, previousAttacks) {
     // Less likely to continue attacking
-    return Math.random() < 0.3;
+    return getRandom(gameState).next() < 0.3;
   }
   
   // Override to prioritize defensive positioning
@@ -762,13 +911,14 @@ class AIPlayerFactory {
    * @param {string} playerId - ID for the AI player
    * @param {string} aiType - Type of AI (random, aggressive, defensive, expansionist)
    * @param {string} difficulty - Difficulty level (easy, medium, hard)
+   * @param {SeededRandom} rng - Generator used to pick a random AI type (defaults to Math.random)
    * @returns {AIPlayer} AI player instance
    */
-  static createAI(playerId, aiType = 'random', difficulty = 'medium') {
+  static createAI(playerId, aiType = 'random', difficulty = 'medium', rng = getRandom(null)) {
     // If random type requested, pick one of the AI types
     if (aiType === 'random') {
       const types = ['aggressive', 'defensive', 'expansionist', 'balanced'];
-      aiType = types[Math.floor(Math.random() * types.length)];
+      aiType = rng.pick(types);
     }
     
     switch (aiType) {
@@ -0,0 +1,124 @@
+/**
+ * Attack odds for Risk-inspired strategy game
+ *
+ * Estimates the outcome of an attack by playing it out many times on copies
+ * of the two territories with the shared combat rules, so the odds match what
+ * the Attack button will do.
+ */
+
+import SeededRandom from './random.js';
+import { getRules } from './rule-sets.js';
+import { CASUALTY_ORDER, getMaxAttackDice, getDefenseDice, getCombatModifiers, resolveCombatRound } from './combat-rules.js';
+
+// Trials per estimate when the caller does not ask for a number
+const DEFAULT_TRIALS = 2000;
+
+/**
+ * Copy a territory with its own armies so a trial can change them
+ * @param {Territory} territory - Territory to copy
+ * @returns {Territory} Copy sharing everything but the armies
+ */
+function copyTerritory(territory) {
+  const copy = Object.create(territory);
+  copy.armies = { ...territory.armies };
+  return copy;
+}
+
+/**
+ * Calculate the odds of an attack
+ * @param {Object} gameState - The current game state
+ * @param {string} fromTerritoryId - ID of the attacking territory
+ * @param {string} toTerritoryId - ID of the defending territory
+ * @param {Object} options - Calculation options
+ * @param {number} options.attackDice - Dice for a single roll (defaults to the most allowed)
+ * @param {number} options.trials - Number of simulated attacks per estimate
+ * @param {number} options.minArmies - Attacking until done stops once the attacker is down to this many armies (default 1)
+ * @param {number|string} options.seed - Seed for the simulated dice (defaults to one derived from the game)
+ * @returns {Object|null} Odds for a single roll and for attacking until done, or null if the attack is not possible.
+ *   Losses are in army value (a cavalry unit counts as 3), like the army counts on the board.
+ */
+function calculateAttackOdds(gameState, fromTerritoryId, toTerritoryId, options = {}) {
+  const fromTerritory = gameState.territories.find(t => t.id === fromTerritoryId);
+  const toTerritory = gameState.territories.find(t => t.id === toTerritoryId);
+  if (!fromTerritory || !toTerritory || fromTerritory.getTotalArmies() < 2) {
+    return null;
+  }
+
+  const rules = getRules(gameState);
+  const maxDice = getMaxAttackDice(fromTerritory, rules);
+  const attackDice = Math.min(options.attackDice || maxDice, maxDice);
+  const trials = options.trials || DEFAULT_TRIALS;
+  const minArmies = Math.max(1, options.minArmies || 1);
+
+  // The odds have their own generator so showing them never changes the game's dice
+  const rng = new SeededRandom(options.seed !== undefined
+    ? options.seed
+    : `odds-${gameState.rng ? gameState.rng.getState() : 0}-${fromTerritoryId}-${toTerritoryId}`);
+
+  // Modifiers can change as armies fall (e.g. fortification needs 5 armies) but
+  // only depend on the armies left, so work each combination out once
+  const modifierCache = new Map();
+  const getModifiers = (attacker, defender) => {
+    const key = CASUALTY_ORDER.map(unitType => `${attacker.armies[unitType]},${defender.armies[unitType]}`).join('|');
+    if (!modifierCache.has(key)) {
+      modifierCache.set(key, getCombatModifiers(gameState, attacker, defender));
+    }
+    return modifierCache.get(key);
+  };
+
+  const startAttack = fromTerritory.getTotalArmies();
+  const startDefense = toTerritory.getTotalArmies();
+
+  const single = { wins: 0, conquests: 0, attackerLosses: 0, defenderLosses: 0 };
+  const untilDone = { conquests: 0, attackerLosses: 0, defenderLosses: 0, rounds: 0 };
+
+  for (let trial = 0; trial < trials; trial++) {
+    // One roll with the chosen dice
+    let attacker = copyTerritory(fromTerritory);
+    let defender = copyTerritory(toTerritory);
+    resolveCombatRound(gameState, attacker, defender, attackDice, { rng, modifiers: getModifiers(attacker, defender) });
+
+    const attackerLost = startAttack - attacker.getTotalArmies();
+    const defenderLost = startDefense - defender.getTotalArmies();
+    single.attackerLosses += attackerLost;
+    single.defenderLosses += defenderLost;
+    if (defenderLost > attackerLost) single.wins++;
+    if (defender.getTotalArmies() === 0) single.conquests++;
+
+    // Keep attacking with the most dice until the defender falls or the attacker is down to its minimum
+    attacker = copyTerritory(fromTerritory);
+    defender = copyTerritory(toTerritory);
+    while (defender.getTotalArmies() > 0 && attacker.getTotalArmies() > minArmies) {
+      resolveCombatRound(gameState, attacker, defender, getMaxAttackDice(attacker, rules), {
+        rng,
+        modifiers: getModifiers(attacker, defender)
+      });
+      untilDone.rounds++;
+    }
+
+    untilDone.attackerLosses += startAttack - attacker.getTotalArmies();
+    untilDone.defenderLosses += startDefense - defender.getTotalArmies();
+    if (defender.getTotalArmies() === 0) untilDone.conquests++;
+  }
+
+  return {
+    attackDice,
+    defenseDice: getDefenseDice(toTerritory, rules),
+    modifiers: getCombatModifiers(gameState, fromTerritory, toTerritory),
+    trials,
+    singleRoll: {
+      winProbability: single.wins / trials,
+      conquerProbability: single.conquests / trials,
+      expectedAttackerLosses: single.attackerLosses / trials,
+      expectedDefenderLosses: single.defenderLosses / trials
+    },
+    untilDone: {
+      winProbability: untilDone.conquests / trials,
+      expectedAttackerLosses: untilDone.attackerLosses / trials,
+      expectedDefenderLosses: untilDone.defenderLosses / trials,
+      expectedRounds: untilDone.rounds / trials
+    }
+  };
+}
+
+export { DEFAULT_TRIALS, calculateAttackOdds };
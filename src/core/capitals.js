@@ -0,0 +1,126 @@
+/**
+ * Capitals game mode for Risk-inspired strategy game
+ *
+ * In capitals mode every player picks one of their territories as a capital
+ * before the first turn. The capital is marked on the territory with
+ * `capitalOf`, so the rules below work on plain copies of the game state too.
+ * The capital bonuses come from the game's rule set.
+ */
+
+import { getRules } from './rule-sets.js';
+
+// Enemy capitals a player must hold (alongside their own) to win, unless the config says otherwise
+const DEFAULT_CAPITALS_TO_WIN = 2;
+
+/**
+ * Check whether a game is played with capitals
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if capitals mode is enabled
+ */
+function isCapitalsMode(gameState) {
+  return !!(gameState && gameState.config && gameState.config.enableCapitals);
+}
+
+/**
+ * Find a player's capital
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @returns {Object|null} The capital territory, or null if the player has not chosen one
+ */
+function getCapital(gameState, playerId) {
+  return gameState.territories.find(t => t.capitalOf === playerId) || null;
+}
+
+/**
+ * List the territories a player may choose as their capital. Maps that mark
+ * capital cities (features.hasCapital) limit the choice to the ones the player
+ * holds; a player who holds none of them may choose any of their territories.
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @returns {Object[]} Territories the player may choose
+ */
+function getCapitalChoices(gameState, playerId) {
+  const owned = gameState.territories.filter(t => t.occupyingPlayer === playerId);
+  const capitalSites = owned.filter(t => t.features && t.features.hasCapital);
+
+  return capitalSites.length > 0 ? capitalSites : owned;
+}
+
+/**
+ * Get the defense bonus a territory receives for being a capital
+ * @param {Object} gameState - The current game state
+ * @param {Object} territory - The defending territory
+ * @returns {number} Defense bonus
+ */
+function getCapitalDefenseBonus(gameState, territory) {
+  if (!isCapitalsMode(gameState) || !territory.capitalOf) return 0;
+
+  // A captured capital gives its new owner reinforcements but not the home defense
+  return territory.occupyingPlayer === territory.capitalOf ? getRules(gameState).capitalDefenseBonus : 0;
+}
+
+/**
+ * Count the capitals a player holds
+ * @param {Object[]} territories - List of all territories
+ * @param {string} playerId - ID of the player
+ * @param {boolean} enemyOnly - Only count capitals captured from other players
+ * @returns {number} Number of capitals held
+ */
+function countCapitalsHeld(territories, playerId, enemyOnly = false) {
+  return territories.filter(t =>
+    t.capitalOf &&
+    t.occupyingPlayer === playerId &&
+    (!enemyOnly || t.capitalOf !== playerId)
+  ).length;
+}
+
+/**
+ * Get the number of enemy capitals a player must hold to win
+ * @param {Object} gameState - The current game state
+ * @returns {number} Enemy capitals needed
+ */
+function getCapitalsToWin(gameState) {
+  const required = gameState.config.capitalsToWin || DEFAULT_CAPITALS_TO_WIN;
+  return Math.max(1, Math.min(required, gameState.players.length - 1));
+}
+
+/**
+ * Check for a capitals victory: a player holds their own capital and enough
+ * enemy capitals. Ends the game if so.
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if a player has won
+ */
+function checkCapitalsVictory(gameState) {
+  const victoryConditions = gameState.config.victoryConditions || [];
+  if (!isCapitalsMode(gameState) || !victoryConditions.includes('capitals')) {
+    return false;
+  }
+
+  const capitalsToWin = getCapitalsToWin(gameState);
+  for (const player of gameState.players) {
+    if (player.eliminated) continue;
+
+    const capital = getCapital(gameState, player.id);
+    if (!capital || capital.occupyingPlayer !== player.id) continue;
+
+    if (countCapitalsHeld(gameState.territories, player.id, true) >= capitalsToWin) {
+      gameState.gameOver = true;
+      gameState.winner = player;
+      gameState.victoryType = 'capitals';
+      return true;
+    }
+  }
+
+  return false;
+}
+
+export {
+  DEFAULT_CAPITALS_TO_WIN,
+  isCapitalsMode,
+  getCapital,
+  getCapitalChoices,
+  getCapitalDefenseBonus,
+  countCapitalsHeld,
+  getCapitalsToWin,
+  checkCapitalsVictory
+};
@@ -0,0 +1,260 @@
+/**
+ * Combat rules for Risk-inspired strategy game
+ *
+ * The one place the dice rules live. The game engine, CombatSystem, the
+ * helpers used by older components, the AI and the attack odds calculator all
+ * resolve attacks through these functions, so every attack follows the same
+ * rules whoever makes it.
+ */
+
+import { getRandom } from './random.js';
+import { getCapitalDefenseBonus } from './capitals.js';
+import { getTotalArmies, areTerritoriesConnected } from './game-helpers.js';
+import { CLASSIC_RULES, getRules } from './rule-sets.js';
+
+// Most dice each side may roll under the classic rules (a game's rule set may allow others)
+const MAX_ATTACK_DICE = CLASSIC_RULES.maxAttackDice;
+const MAX_DEFENSE_DICE = CLASSIC_RULES.maxDefenseDice;
+
+// Casualties are taken from the cheapest units first
+const CASUALTY_ORDER = ['infantry', 'cavalry', 'artillery'];
+
+/**
+ * Get the most dice a territory may attack with
+ * @param {Object} territory - The attacking territory
+ * @param {Object} rules - Rules of the game (defaults to the classic rules)
+ * @returns {number} Dice allowed (0 if the territory cannot attack)
+ */
+function getMaxAttackDice(territory, rules = CLASSIC_RULES) {
+  return Math.max(0, Math.min(rules.maxAttackDice, getTotalArmies(territory) - 1));
+}
+
+/**
+ * Get the number of dice a territory defends with
+ * @param {Object} territory - The defending territory
+ * @param {Object} rules - Rules of the game (defaults to the classic rules)
+ * @returns {number} Defense dice
+ */
+function getDefenseDice(territory, rules = CLASSIC_RULES) {
+  return Math.min(rules.maxDefenseDice, getTotalArmies(territory));
+}
+
+/**
+ * Check that an attack is allowed by the rules (turn and phase are up to the caller)
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the attacking player
+ * @param {Object} fromTerritory - The attacking territory
+ * @param {Object} toTerritory - The defending territory
+ * @param {number} attackDice - Number of dice to attack with
+ * @returns {string|null} Why the attack is not allowed, or null if it is
+ */
+function validateAttack(gameState, playerId, fromTerritory, toTerritory, attackDice) {
+  // The last territory taken is held by no one's armies until they are moved in
+  if (gameState.pendingConquest) {
+    return 'Move armies into the conquered territory first';
+  }
+
+  if (!fromTerritory || !toTerritory) {
+    return 'Invalid territory';
+  }
+
+  if (fromTerritory.occupyingPlayer !== playerId) {
+    return 'You do not control the attacking territory';
+  }
+
+  if (toTerritory.occupyingPlayer === playerId) {
+    return 'You cannot attack your own territory';
+  }
+
+  // Territories must share a border, or a sea lane between two ports
+  if (!areTerritoriesConnected(gameState, fromTerritory.id, toTerritory.id)) {
+    if (fromTerritory.seaLanes && fromTerritory.seaLanes.includes(toTerritory.id)) {
+      return 'Sea lanes can only be used between ports';
+    }
+    return 'Territories are not adjacent';
+  }
+
+  if (getTotalArmies(fromTerritory) < 2) {
+    return 'Need at least 2 armies to attack';
+  }
+
+  if (!Number.isInteger(attackDice) || attackDice < 1 || attackDice > getRules(gameState).maxAttackDice) {
+    return 'Invalid attack dice count';
+  }
+
+  if (getTotalArmies(fromTerritory) <= attackDice) {
+    return 'Not enough armies for selected dice count';
+  }
+
+  return null;
+}
+
+/**
+ * Calculate the modifier a side adds to each of its dice
+ * @param {Object} gameState - The current game state
+ * @param {Object} player - Player controlling the territory
+ * @param {Object} territory - Territory rolling the dice
+ * @param {string} type - Type of bonus ('attack' or 'defense')
+ * @returns {number} Modifier for every die
+ */
+function calculateCombatBonus(gameState, player, territory, type) {
+  if (!player) return 0;
+
+  const technologies = player.technologies || [];
+  let bonus = 0;
+
+  // Bonuses from unit types
+  const hasInfantry = territory.armies.infantry > 0;
+  const hasCavalry = territory.armies.cavalry > 0;
+  const hasArtillery = territory.armies.artillery > 0;
+
+  // Unit type specific bonuses
+  if (type === 'attack') {
+    if (hasCavalry && technologies.includes('cavalry-charge')) {
+      bonus += 1;
+    }
+    if (hasArtillery && technologies.includes('artillery-barrage')) {
+      bonus += 2;
+    }
+    if (technologies.includes('advanced-infantry')) {
+      bonus += hasInfantry ? 1 : 0;
+    }
+  } else {
+    // Defense bonuses
+    if (technologies.includes('defensive-tactics')) {
+      bonus += 1;
+    }
+    if (getTotalArmies(territory) >= 5 && technologies.includes('fortification')) {
+      bonus += 1;
+    }
+    // Capitals dig in (capitals mode)
+    bonus += getCapitalDefenseBonus(gameState, territory);
+  }
+
+  // Combined arms bonus (if all unit types are present)
+  if (hasInfantry && hasCavalry && hasArtillery && technologies.includes('combined-arms')) {
+    bonus += 1;
+  }
+
+  // Technology bonuses
+  if (technologies.includes('technological-supremacy')) {
+    bonus = Math.floor(bonus * 1.25);
+  }
+
+  // Add event-based combat modifiers if events manager exists
+  if (gameState.eventsManager) {
+    bonus += gameState.eventsManager.getCombatModifiers(player.id, territory.id, type);
+  }
+
+  return bonus;
+}
+
+/**
+ * Get the per-die modifiers for an attack from technologies, active events and capitals
+ * @param {Object} gameState - The current game state
+ * @param {Object} attackingTerritory - Attacking territory
+ * @param {Object} defendingTerritory - Defending territory
+ * @returns {Object} Modifiers added to every attack and defense die ({ attack, defense })
+ */
+function getCombatModifiers(gameState, attackingTerritory, defendingTerritory) {
+  const attacker = gameState.players.find(p => p.id === attackingTerritory.occupyingPlayer);
+  const defender = gameState.players.find(p => p.id === defendingTerritory.occupyingPlayer);
+
+  return {
+    attack: calculateCombatBonus(gameState, attacker, attackingTerritory, 'attack'),
+    // Neutral territories have no technologies or events to draw on
+    defense: defender ? calculateCombatBonus(gameState, defender, defendingTerritory, 'defense') : 0
+  };
+}
+
+/**
+ * Remove casualties from a territory, cheapest units first
+ * @param {Object} territory - Territory taking the losses (its armies are changed in place)
+ * @param {number} losses - Units lost
+ * @returns {number} Units actually removed (fewer if the territory ran out)
+ */
+function applyCasualties(territory, losses) {
+  let remaining = losses;
+  CASUALTY_ORDER.forEach(unitType => {
+    const lost = Math.min(territory.armies[unitType] || 0, remaining);
+    territory.armies[unitType] -= lost;
+    remaining -= lost;
+  });
+  return losses - remaining;
+}
+
+/**
+ * Roll the dice for one round and work out the losses. Dice are compared
+ * highest to highest after adding the modifiers; ties go to the defender
+ * unless the rules say otherwise.
+ * @param {number} attackDice - Dice rolled by the attacker
+ * @param {number} defenseDice - Dice rolled by the defender
+ * @param {Object} modifiers - Modifiers for every die ({ attack, defense })
+ * @param {SeededRandom} rng - Generator to roll with
+ * @param {Object} rules - Rules of the game (defaults to the classic rules)
+ * @returns {Object} Sorted rolls and losses ({ attackRolls, defenseRolls, attackerLosses, defenderLosses })
+ */
+function rollCombat(attackDice, defenseDice, modifiers, rng, rules = CLASSIC_RULES) {
+  const attackRolls = rng.rollDice(attackDice).sort((a, b) => b - a);
+  const defenseRolls = rng.rollDice(defenseDice).sort((a, b) => b - a);
+
+  let attackerLosses = 0;
+  let defenderLosses = 0;
+  for (let i = 0; i < Math.min(attackRolls.length, defenseRolls.length); i++) {
+    const attack = attackRolls[i] + modifiers.attack;
+    const defense = defenseRolls[i] + modifiers.defense;
+    if (attack > defense || (attack === defense && !rules.defenderWinsTies)) {
+      defenderLosses++;
+    } else {
+      attackerLosses++;
+    }
+  }
+
+  return { attackRolls, defenseRolls, attackerLosses, defenderLosses };
+}
+
+/**
+ * Fight one round of an attack: roll, compare and remove casualties. The
+ * attack must already have passed validateAttack.
+ * @param {Object} gameState - The current game state
+ * @param {Object} fromTerritory - The attacking territory
+ * @param {Object} toTerritory - The defending territory
+ * @param {number} attackDice - Dice rolled by the attacker
+ * @param {Object} options - Round options
+ * @param {SeededRandom} options.rng - Generator to roll with (defaults to the game's)
+ * @param {Object} options.modifiers - Modifiers to use instead of working them out
+ * @returns {Object} Round result ({ attackRolls, defenseRolls, attackerLosses, defenderLosses, attackBonus, defenseBonus, territoryConquered })
+ */
+function resolveCombatRound(gameState, fromTerritory, toTerritory, attackDice, options = {}) {
+  const rng = options.rng || getRandom(gameState);
+  const modifiers = options.modifiers || getCombatModifiers(gameState, fromTerritory, toTerritory);
+  const rules = getRules(gameState);
+
+  const round = rollCombat(attackDice, getDefenseDice(toTerritory, rules), modifiers, rng, rules);
+  const attackerLosses = applyCasualties(fromTerritory, round.attackerLosses);
+  const defenderLosses = applyCasualties(toTerritory, round.defenderLosses);
+
+  return {
+    attackRolls: round.attackRolls,
+    defenseRolls: round.defenseRolls,
+    attackerLosses,
+    defenderLosses,
+    attackBonus: modifiers.attack,
+    defenseBonus: modifiers.defense,
+    territoryConquered: getTotalArmies(toTerritory) === 0
+  };
+}
+
+export {
+  MAX_ATTACK_DICE,
+  MAX_DEFENSE_DICE,
+  CASUALTY_ORDER,
+  getMaxAttackDice,
+  getDefenseDice,
+  validateAttack,
+  calculateCombatBonus,
+  getCombatModifiers,
+  applyCasualties,
+  rollCombat,
+  resolveCombatRound
+};
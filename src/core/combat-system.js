@@ -2,6 +2,10 @@
  * Combat system for Risk-inspired strategy game
  */
 
+import { getRandom } from './random.js';
+import { getMaxAttackDice, validateAttack, calculateCombatBonus, resolveCombatRound } from './combat-rules.js';
+import { getRules } from './rule-sets.js';
+
 /**
  * Handles combat resolution between territories
  */
@@ -12,8 +16,9 @@ class CombatSystem {
    */
   constructor(gameState) {
     this.gameState = gameState;
+    const { unitValues } = getRules(gameState);
     
-    // Define unit types and their combat values
+    // Define unit types and their combat values (army values come from the game's rules)
     this.unitTypes = {
       infantry: {
         name: 'Infantry',
@@ -21,7 +26,7 @@ class CombatSystem {
         defenseValue: 1,
         icon: '👣',
         color: '#8B0000', // Dark red
-        armyValue: 1
+        armyValue: unitValues.infantry
       },
       cavalry: {
         name: 'Cavalry',
@@ -29,7 +34,7 @@ class CombatSystem {
         defenseValue: 1,
         icon: '🐎',
         color: '#006400', // Dark green
-        armyValue: 3
+        armyValue: unitValues.cavalry
       },
       artillery: {
         name: 'Artillery',
@@ -37,7 +42,7 @@ class CombatSystem {
         defenseValue: 1.5,
         icon: '💣',
         color: '#00008B', // Dark blue
-        armyValue: 5
+        armyValue: unitValues.artillery
       }
     };
   }
@@ -46,7 +51,7 @@ class CombatSystem {
    * Resolve an attack between territories
    * @param {string} attackingTerritoryId - ID of the attacking territory
    * @param {string} defendingTerritoryId - ID of the defending territory
-   * @param {Object} options - Attack options (dice count, etc.)
+   * @param {Object} options - Attack options (attackDice, defaults to the most allowed)
    * @returns {Object} Attack result
    */
   resolveAttack(attackingTerritoryId, defendingTerritoryId, options = {}) {
@@ -57,11 +62,6 @@ class CombatSystem {
       return { success: false, error: 'Invalid territory' };
     }
     
-    // Verify territories are adjacent
-    if (!attackingTerritory.isAdjacentTo(defendingTerritoryId)) {
-      return { success: false, error: 'Territories are not adjacent' };
-    }
-    
     // Get attacking and defending players
     const attackingPlayerId = attackingTerritory.occupyingPlayer;
     const defendingPlayerId = defendingTerritory.occupyingPlayer;
@@ -73,48 +73,23 @@ class CombatSystem {
       return { success: false, error: 'Invalid player' };
     }
     
-    // Verify players are different
-    if (attackingPlayerId === defendingPlayerId) {
-      return { success: false, error: 'Cannot attack your own territory' };
-    }
-    
-    // Verify attacking territory has enough armies
-    const totalAttackingArmies = attackingTerritory.getTotalArmies();
-    if (totalAttackingArmies < 2) {
-      return { success: false, error: 'Need at least 2 armies to attack' };
-    }
-    
-    // Determine number of attack dice (1-3)
-    const maxAttackDice = Math.min(3, totalAttackingArmies - 1);
-    const attackDice = options.attackDice || maxAttackDice;
+    // Attack with as many dice as allowed unless told otherwise
+    const attackDice = options.attackDice || getMaxAttackDice(attackingTerritory, getRules(this.gameState));
     
-    if (attackDice < 1 || attackDice > maxAttackDice) {
-      return { success: false, error: `Invalid attack dice count (must be 1-${maxAttackDice})` };
+    const error = validateAttack(this.gameState, attackingPlayerId, attackingTerritory, defendingTerritory, attackDice);
+    if (error) {
+      return { success: false, error };
     }
     
-    // Determine number of defense dice (1-2)
-    const totalDefendingArmies = defendingTerritory.getTotalArmies();
-    const maxDefenseDice = Math.min(2, totalDefendingArmies);
-    const defenseDice = options.defenseDice || maxDefenseDice;
-    
-    // Roll the dice
-    const attackRolls = this.rollDice(attackDice, attackingTerritory, 'attack');
-    const defenseRolls = this.rollDice(defenseDice, defendingTerritory, 'defense');
-    
-    // Sort dice in descending order
-    attackRolls.sort((a, b) => b.value - a.value);
-    defenseRolls.sort((a, b) => b.value - a.value);
-    
-    // Compare dice and determine casualties
-    const results = this.compareDice(attackRolls, defenseRolls, attackingTerritory, defendingTerritory);
-    
-    // Apply casualties
-    const { attackerLosses, defenderLosses } = this.applyCasualties(
-      attackingTerritory, 
-      defendingTerritory, 
-      results.attackerLosses,
-      results.defenderLosses
-    );
+    // Dice, modifiers and casualties all follow the shared combat rules
+    const {
+      attackRolls,
+      defenseRolls,
+      attackerLosses,
+      defenderLosses,
+      attackBonus,
+      defenseBonus
+    } = resolveCombatRound(this.gameState, attackingTerritory, defendingTerritory, attackDice);
     
     // Check if defender is defeated
     let territoryConquered = false;
@@ -149,8 +124,8 @@ class CombatSystem {
       defendingPlayerId,
       attackingTerritoryId,
       defendingTerritoryId,
-      attackRolls: attackRolls.map(r => r.value),
-      defenseRolls: defenseRolls.map(r => r.value),
+      attackRolls,
+      defenseRolls,
       attackerLosses,
       defenderLosses,
       territoryConquered,
@@ -164,6 +139,8 @@ class CombatSystem {
       defenseRolls,
       attackerLosses,
       defenderLosses,
+      attackBonus,
+      defenseBonus,
       territoryConquered,
       attackingTerritory: attackingTerritory.name,
       defendingTerritory: defendingTerritory.name,
@@ -172,37 +149,6 @@ class CombatSystem {
     };
   }
 
-  /**
-   * Roll dice for combat, applying relevant bonuses
-   * @param {number} count - Number of dice to roll
-   * @param {Territory} territory - Territory rolling the dice
-   * @param {string} type - Type of roll ('attack' or 'defense')
-   * @returns {Object[]} Array of dice roll results with bonuses applied
-   */
-  rollDice(count, territory, type) {
-    const rolls = [];
-    const player = this.gameState.players.find(p => p.id === territory.occupyingPlayer);
-    
-    for (let i = 0; i < count; i++) {
-      // Base dice roll (1-6)
-      const baseRoll = Math.floor(Math.random() * 6) + 1;
-      
-      // Calculate bonuses from technologies, unit types, etc.
-      const bonus = this.calculateCombatBonus(player, territory, type);
-      
-      // Apply bonus (but keep the visual representation as 1-6)
-      const effectiveValue = baseRoll + bonus;
-      
-      rolls.push({
-        value: effectiveValue,
-        display: baseRoll,
-        bonus
-      });
-    }
-    
-    return rolls;
-  }
-
   /**
    * Calculate combat bonus for a territory
    * @param {Player} player - Player controlling the territory
@@ -211,145 +157,7 @@ class CombatSystem {
    * @returns {number} Combat bonus
    */
   calculateCombatBonus(player, territory, type) {
-    if (!player) return 0;
-    
-    let bonus = 0;
-    
-    // Bonuses from unit types
-    const hasInfantry = territory.armies.infantry > 0;
-    const hasCavalry = territory.armies.cavalry > 0;
-    const hasArtillery = territory.armies.artillery > 0;
-    
-    // Unit type specific bonuses
-    if (type === 'attack') {
-      if (hasCavalry && player.technologies.includes('cavalry-charge')) {
-        bonus += 1;
-      }
-      if (hasArtillery && player.technologies.includes('artillery-barrage')) {
-        bonus += 2;
-      }
-      if (player.technologies.includes('advanced-infantry')) {
-        bonus += hasInfantry ? 1 : 0;
-      }
-    } else {
-      // Defense bonuses
-      if (player.technologies.includes('defensive-tactics')) {
-        bonus += 1;
-      }
-      if (territory.getTotalArmies() >= 5 && player.technologies.includes('fortification')) {
-        bonus += 1;
-      }
-    }
-    
-    // Combined arms bonus (if all unit types are present)
-    if (hasInfantry && hasCavalry && hasArtillery && player.technologies.includes('combined-arms')) {
-      bonus += 1;
-    }
-    
-    // Technology bonuses
-    if (player.technologies.includes('technological-supremacy')) {
-      bonus = Math.floor(bonus * 1.25);
-    }
-    
-    // Add event-based combat modifiers if events manager exists
-    if (this.gameState.eventsManager) {
-      const eventModifier = this.gameState.eventsManager.getCombatModifiers(
-        player.id,
-        territory.id,
-        type
-      );
-      bonus += eventModifier;
-    }
-    
-    return bonus;
-  }
-
-  /**
-   * Compare dice rolls and determine casualties
-   * @param {Object[]} attackRolls - Attack dice results
-   * @param {Object[]} defenseRolls - Defense dice results
-   * @param {Territory} attackingTerritory - Attacking territory
-   * @param {Territory} defendingTerritory - Defending territory
-   * @returns {Object} Attacker and defender losses
-   */
-  compareDice(attackRolls, defenseRolls, attackingTerritory, defendingTerritory) {
-    let attackerLosses = 0;
-    let defenderLosses = 0;
-    
-    const maxComparisons = Math.min(attackRolls.length, defenseRolls.length);
-    
-    for (let i = 0; i < maxComparisons; i++) {
-      const attackRoll = attackRolls[i];
-      const defenseRoll = defenseRolls[i];
-      
-      // Defender wins ties
-      if (attackRoll.value > defenseRoll.value) {
-        defenderLosses++;
-      } else {
-        attackerLosses++;
-      }
-    }
-    
-    return { attackerLosses, defenderLosses };
-  }
-
-  /**
-   * Apply casualties to territories
-   * @param {Territory} attackingTerritory - Attacking territory
-   * @param {Territory} defendingTerritory - Defending territory
-   * @param {number} attackerLosses - Number of attacking units lost
-   * @param {number} defenderLosses - Number of defending units lost
-   * @returns {Object} Actual losses applied (may differ due to unit types)
-   */
-  applyCasualties(attackingTerritory, defendingTerritory, attackerLosses, defenderLosses) {
-    // Apply attacker losses (starting with infantry, then cavalry, then artillery)
-    let remainingAttackerLosses = attackerLosses;
-    
-    // Remove infantry first
-    const infantryLosses = Math.min(attackingTerritory.armies.infantry, remainingAttackerLosses);
-    attackingTerritory.armies.infantry -= infantryLosses;
-    remainingAttackerLosses -= infantryLosses;
-    
-    // Remove cavalry if needed
-    if (remainingAttackerLosses > 0) {
-      const cavalryLosses = Math.min(attackingTerritory.armies.cavalry, remainingAttackerLosses);
-      attackingTerritory.armies.cavalry -= cavalryLosses;
-      remainingAttackerLosses -= cavalryLosses;
-    }
-    
-    // Remove artillery if needed
-    if (remainingAttackerLosses > 0) {
-      const artilleryLosses = Math.min(attackingTerritory.armies.artillery, remainingAttackerLosses);
-      attackingTerritory.armies.artillery -= artilleryLosses;
-      remainingAttackerLosses -= artilleryLosses;
-    }
-    
-    // Apply defender losses (same order)
-    let remainingDefenderLosses = defenderLosses;
-    
-    // Remove infantry first
-    const defInfantryLosses = Math.min(defendingTerritory.armies.infantry, remainingDefenderLosses);
-    defendingTerritory.armies.infantry -= defInfantryLosses;
-    remainingDefenderLosses -= defInfantryLosses;
-    
-    // Remove cavalry if needed
-    if (remainingDefenderLosses > 0) {
-      const defCavalryLosses = Math.min(defendingTerritory.armies.cavalry, remainingDefenderLosses);
-      defendingTerritory.armies.cavalry -= defCavalryLosses;
-      remainingDefenderLosses -= defCavalryLosses;
-    }
-    
-    // Remove artillery if needed
-    if (remainingDefenderLosses > 0) {
-      const defArtilleryLosses = Math.min(defendingTerritory.armies.artillery, remainingDefenderLosses);
-      defendingTerritory.armies.artillery -= defArtilleryLosses;
-      remainingDefenderLosses -= defArtilleryLosses;
-    }
-    
-    return {
-      attackerLosses: attackerLosses - remainingAttackerLosses,
-      defenderLosses: defenderLosses - remainingDefenderLosses
-    };
+    return calculateCombatBonus(this.gameState, player, territory, type);
   }
 
   /**
@@ -415,6 +223,7 @@ class CombatSystem {
     // Move units based on what's available, prioritizing infantry first for simplicity
     // In a more sophisticated implementation, we would allow the player to choose which unit types to move
     let remainingToMove = count;
+    const { unitValues } = getRules(this.gameState);
     
     // Move infantry first
     const infantryToMove = Math.min(fromTerritory.armies.infantry, remainingToMove);
@@ -426,21 +235,21 @@ class CombatSystem {
     
     // Move cavalry if needed and available
     if (remainingToMove > 0) {
-      const cavalryToMove = Math.min(fromTerritory.armies.cavalry, Math.ceil(remainingToMove / 3));
+      const cavalryToMove = Math.min(fromTerritory.armies.cavalry, Math.ceil(remainingToMove / unitValues.cavalry));
       if (cavalryToMove > 0) {
         fromTerritory.armies.cavalry -= cavalryToMove;
         toTerritory.armies.cavalry += cavalryToMove;
-        remainingToMove -= cavalryToMove * 3;
+        remainingToMove -= cavalryToMove * unitValues.cavalry;
       }
     }
     
     // Move artillery if needed and available
     if (remainingToMove > 0) {
-      const artilleryToMove = Math.min(fromTerritory.armies.artillery, Math.ceil(remainingToMove / 5));
+      const artilleryToMove = Math.min(fromTerritory.armies.artillery, Math.ceil(remainingToMove / unitValues.artillery));
       if (artilleryToMove > 0) {
         fromTerritory.armies.artillery -= artilleryToMove;
         toTerritory.armies.artillery += artilleryToMove;
-        remainingToMove -= artilleryToMove * 5;
+        remainingToMove -= artilleryToMove * unitValues.artillery;
       }
     }
     
@@ -525,11 +334,7 @@ class CombatSystem {
    * @returns {Array} The shuffled array
    */
   shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+    return getRandom(this.gameState).shuffle(array);
   }
 }
 
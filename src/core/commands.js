@@ -0,0 +1,53 @@
+/**
+ * Player commands for Risk-inspired strategy game
+ */
+
+/**
+ * Types of command a player can issue. Every change a player makes to the game
+ * goes through GameEngine.executeCommand with one of these types, so the game
+ * can be rebuilt from its initial config and the recorded command list.
+ */
+const CommandTypes = {
+  REINFORCE: 'reinforce',       // { territoryId, armyCount }
+  ATTACK: 'attack',             // { fromTerritoryId, toTerritoryId, attackDice }
+  BLITZ: 'blitz',               // { fromTerritoryId, toTerritoryId, minArmies, minWinProbability }
+  CONQUER: 'conquer',           // { armyCount, unitDistribution }
+  FORTIFY: 'fortify',           // { fromTerritoryId, toTerritoryId, armyCount, unitDistribution }
+  TRADE_CARDS: 'trade-cards',   // { cardIds }
+  RESEARCH: 'research',         // { techId }
+  CHOOSE_CAPITAL: 'choose-capital', // { territoryId }
+  CLAIM_TERRITORY: 'claim-territory', // { territoryId }
+  DEPLOY: 'deploy',             // { territoryId }
+  ALLIANCE: 'alliance',         // { action: 'propose' | 'accept' | 'break', targetPlayerId }
+  END_PHASE: 'end-phase'        // {}
+};
+
+/**
+ * Commands that involve no dice or events and can be taken back within a turn
+ */
+const UndoableCommands = [
+  CommandTypes.REINFORCE,
+  CommandTypes.FORTIFY,
+  CommandTypes.TRADE_CARDS
+];
+
+/**
+ * Create a command record for the command log
+ * @param {Object} command - The command that was executed ({ type, playerId, payload })
+ * @param {Object} gameState - Game state the command was executed against
+ * @param {Object} context - State captured before the command ran ({ turn, phase, rngState })
+ * @returns {Object} Command record
+ */
+function createCommandRecord(command, gameState, context) {
+  return {
+    id: gameState.commandLog.length + 1,
+    type: command.type,
+    playerId: command.playerId,
+    payload: JSON.parse(JSON.stringify(command.payload || {})),
+    turn: context.turn,
+    phase: context.phase,
+    rngState: context.rngState
+  };
+}
+
+export { CommandTypes, UndoableCommands, createCommandRecord };
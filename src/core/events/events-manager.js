@@ -4,6 +4,7 @@
  */
 
 import { eventTypes, generateEventPool } from './event-types.js';
+import { getRandom } from '../random.js';
 
 class EventsManager {
   /**
@@ -32,7 +33,8 @@ class EventsManager {
     if (!player || player.eliminated) return null;
     
     // Random check based on probability
-    if (Math.random() > this.eventProbability) return null;
+    const rng = getRandom(this.gameState);
+    if (rng.next() > this.eventProbability) return null;
     
     // Get potential events for the current player
     const potentialEvents = this.eventPool.filter(event => {
@@ -47,7 +49,7 @@ class EventsManager {
     if (potentialEvents.length === 0) return null;
     
     // Select a random event from the potential events
-    const selectedEvent = potentialEvents[Math.floor(Math.random() * potentialEvents.length)];
+    const selectedEvent = rng.pick(potentialEvents);
     
     // Prepare the event with specific context
     const preparedEvent = this.prepareEvent(selectedEvent, playerId);
@@ -298,7 +300,7 @@ class EventsManager {
               territory.occupyingPlayer = null;
               
               // Add infantry to represent rebels
-              territory.armies.infantry = Math.floor(Math.random() * 3) + 1;
+              territory.armies.infantry = getRandom(this.gameState).rollDie(3);
             }
           });
         }
@@ -319,7 +321,7 @@ class EventsManager {
             // Take random cards from player
             const cardsToTake = Math.min(player.cards.length, Math.abs(event.cardEffect));
             for (let i = 0; i < cardsToTake; i++) {
-              const randomIndex = Math.floor(Math.random() * player.cards.length);
+              const randomIndex = getRandom(this.gameState).nextInt(player.cards.length);
               const card = player.cards.splice(randomIndex, 1)[0];
               this.gameState.discardPile.push(card);
             }
@@ -517,9 +519,10 @@ class EventsManager {
     
     const result = [];
     const copy = [...array];
+    const rng = getRandom(this.gameState);
     
     for (let i = 0; i < count; i++) {
-      const index = Math.floor(Math.random() * copy.length);
+      const index = rng.nextInt(copy.length);
       result.push(copy[index]);
       copy.splice(index, 1);
     }
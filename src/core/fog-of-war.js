@@ -0,0 +1,165 @@
+/**
+ * Fog of war for Risk-inspired strategy game
+ *
+ * With fog of war switched on (`config.enableFog`), a player sees the armies on
+ * their own and their allies' territories and on every territory bordering them.
+ * Further away army counts are hidden, and so are owners if `config.fogHidesOwners`
+ * is set. Technologies with an `informationBonus` lift the fog: Espionage lets a
+ * player see one border further, and Covert Operations shows other players' cards.
+ *
+ * The board, the dashboard and the AI all look at the map through these functions.
+ */
+
+import techTree from '../assets/tech-tree.js';
+import { getConnectedTerritoryIds } from './game-helpers.js';
+import { isSetupPhase } from './territory-draft.js';
+
+// How much of a territory a player can see
+const Visibility = {
+  FULL: 'full', // Owner and armies
+  OWNER: 'owner', // Owner only
+  HIDDEN: 'hidden' // Nothing
+};
+
+// Borders a player sees across from their own territories
+const BASE_SIGHT_RANGE = 1;
+
+// Information bonus of every technology that has one
+const INFORMATION_BONUSES = Object.values(techTree)
+  .flat()
+  .filter(tech => tech.effects && tech.effects.informationBonus)
+  .reduce((bonuses, tech) => ({ ...bonuses, [tech.id]: tech.effects.informationBonus }), {});
+
+/**
+ * Check whether fog of war is hiding anything right now. The draft is played in
+ * the open and the whole map is revealed once the game is over.
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if fog of war applies
+ */
+function isFogActive(gameState) {
+  return !!(gameState.config && gameState.config.enableFog) &&
+    !isSetupPhase(gameState) &&
+    !gameState.gameOver;
+}
+
+/**
+ * Check whether a player has researched a technology with an information bonus
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @param {string} bonus - Information bonus (e.g. 'enemyArmyCount', 'enemyCards')
+ * @returns {boolean} True if the player has the bonus
+ */
+function hasInformationBonus(gameState, playerId, bonus) {
+  const player = gameState.players.find(p => p.id === playerId);
+  if (!player) return false;
+
+  return player.technologies.some(techId => INFORMATION_BONUSES[techId] === bonus);
+}
+
+/**
+ * Get how many borders away from their own territories a player can see armies
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @returns {number} Sight range in borders
+ */
+function getSightRange(gameState, playerId) {
+  return BASE_SIGHT_RANGE + (hasInformationBonus(gameState, playerId, 'enemyArmyCount') ? 1 : 0);
+}
+
+/**
+ * Get how much of a territory a player can see
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player looking
+ * @param {Territory} territory - Territory being looked at
+ * @returns {string} One of the Visibility levels
+ */
+function getTerritoryVisibility(gameState, playerId, territory) {
+  if (!isFogActive(gameState)) return Visibility.FULL;
+
+  // Allies share what they see
+  const player = gameState.players.find(p => p.id === playerId);
+  const friendlyIds = [playerId, ...((player && player.allies) || [])];
+
+  // Search outwards from the territory for one of the player's own
+  const range = getSightRange(gameState, playerId);
+  const seen = new Set([territory.id]);
+  let frontier = [territory];
+
+  for (let distance = 0; distance <= range && frontier.length > 0; distance++) {
+    if (frontier.some(t => friendlyIds.includes(t.occupyingPlayer))) {
+      return Visibility.FULL;
+    }
+
+    const next = [];
+    for (const current of frontier) {
+      for (const adjId of getConnectedTerritoryIds(gameState, current)) {
+        if (seen.has(adjId)) continue;
+        seen.add(adjId);
+        const adjTerritory = gameState.territories.find(t => t.id === adjId);
+        if (adjTerritory) next.push(adjTerritory);
+      }
+    }
+    frontier = next;
+  }
+
+  return gameState.config.fogHidesOwners ? Visibility.HIDDEN : Visibility.OWNER;
+}
+
+/**
+ * Get what a player can see of every territory on the map
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player looking
+ * @returns {Object} Visibility level by territory ID
+ */
+function getVisibility(gameState, playerId) {
+  const visibility = {};
+  for (const territory of gameState.territories) {
+    visibility[territory.id] = getTerritoryVisibility(gameState, playerId, territory);
+  }
+  return visibility;
+}
+
+/**
+ * Check whether a player can see the armies on a territory
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player looking
+ * @param {Territory} territory - Territory being looked at
+ * @returns {boolean} True if the army count is visible
+ */
+function canSeeArmies(gameState, playerId, territory) {
+  return getTerritoryVisibility(gameState, playerId, territory) === Visibility.FULL;
+}
+
+/**
+ * Check whether a player can see who holds a territory
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player looking
+ * @param {Territory} territory - Territory being looked at
+ * @returns {boolean} True if the owner is visible
+ */
+function canSeeOwner(gameState, playerId, territory) {
+  return getTerritoryVisibility(gameState, playerId, territory) !== Visibility.HIDDEN;
+}
+
+/**
+ * Check whether a player can see the cards another player holds
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player looking
+ * @param {string} ownerId - ID of the player holding the cards
+ * @returns {boolean} True if the cards are visible
+ */
+function canSeeCards(gameState, playerId, ownerId) {
+  return playerId === ownerId || hasInformationBonus(gameState, playerId, 'enemyCards');
+}
+
+export {
+  Visibility,
+  isFogActive,
+  hasInformationBonus,
+  getSightRange,
+  getTerritoryVisibility,
+  getVisibility,
+  canSeeArmies,
+  canSeeOwner,
+  canSeeCards
+};
@@ -6,7 +6,21 @@ import { GameState, Territory, Continent, Player, Card, Technology } from './mod
 import TechManager from './tech-manager.js';
 import ResourceManager from './resource-manager.js';
 import EventsManager from './events/events-manager.js';
-import classicMap from '../assets/maps/classic-map.js';
+import { nextPhase, areTerritoriesConnected } from './game-helpers.js';
+import { CommandTypes, UndoableCommands, createCommandRecord } from './commands.js';
+import createSampleCards from './sample-cards.js';
+import { loadMap } from './map-registry.js';
+import { isCapitalsMode, getCapital, getCapitalChoices, checkCapitalsVictory } from './capitals.js';
+import { validateAttack, resolveCombatRound, getMaxAttackDice } from './combat-rules.js';
+import { createMissionDeck, dealMissions, checkMissionVictory } from './missions.js';
+import { calculateAttackOdds } from './attack-odds.js';
+import { validateSeats } from './game-setup.js';
+import { isSetupPhase, getUnclaimedTerritories, getSetupArmies } from './territory-draft.js';
+import { getRuleSet, createRules, getRules, getCardSetValue, getArmyValue, getStartingArmies } from './rule-sets.js';
+import { getScenarioConfig, setUpScenario, checkTurnLimit } from './scenarios.js';
+
+// Trials behind each odds check of a blitz attack (fewer than the UI uses, as it runs every round)
+const BLITZ_ODDS_TRIALS = 300;
 
 /**
  * Handles core game logic and state transitions
@@ -17,6 +31,10 @@ class GameEngine {
    * @param {Object} config - Game configuration options
    */
   constructor(config = {}) {
+    // A rule set or scenario can turn game modes on; settings passed in directly still win
+    const scenario = config.scenario || null;
+    const ruleSet = getRuleSet(config.ruleSet || (scenario && scenario.ruleSet));
+    
     this.config = {
       mapId: 'classic',
       playerCount: 4,
@@ -25,10 +43,34 @@ class GameEngine {
       enableResources: true,
       enableEvents: true,
       enableAlliances: true,
+      enableCapitals: false,
+      enableMissions: false,
+      enableDraft: false,
+      enableFog: false,
+      fogHidesOwners: false,
       victoryConditions: ['military', 'economic', 'technological'],
-      ...config
+      ...ruleSet.config,
+      ...(scenario ? scenario.settings : {}),
+      ...config,
+      ruleSet: ruleSet.id,
+      rules: createRules(ruleSet.id, config.rules || (scenario && scenario.settings && scenario.settings.rules))
     };
     
+    // Optional modes bring their own victory conditions unless the caller picked the conditions
+    if (!config.victoryConditions) {
+      if (this.config.enableCapitals) {
+        this.config.victoryConditions = [...this.config.victoryConditions, 'capitals'];
+      }
+      if (this.config.enableMissions) {
+        this.config.victoryConditions = [...this.config.victoryConditions, 'missions'];
+      }
+    }
+    
+    // A scenario decides the map, the players and how the game is set up
+    if (scenario) {
+      Object.assign(this.config, getScenarioConfig(scenario, this.config));
+    }
+    
     this.gameState = null;
     this.mapData = null;
   }
@@ -46,15 +88,18 @@ class GameEngine {
     
     // Create territories
     const territories = this.createTerritories();
-    
+    if (territories.length < players.length) {
+      throw new Error(`Map '${this.config.mapId}' needs at least ${players.length} territories for ${players.length} players`);
+    }
+
     // Create continents
     const continents = this.createContinents();
     
-    // Create card deck
-    const cardDeck = this.createCardDeck(territories);
+    // Create initial game state (this also creates the seeded random number generator)
+    this.gameState = new GameState(this.config, players, territories, continents, []);
     
-    // Create initial game state
-    this.gameState = new GameState(this.config, players, territories, continents, cardDeck);
+    // Create card deck, shuffled with the game's generator
+    this.gameState.cardDeck = this.createCardDeck(territories);
     
     // Initialize technology manager if technologies are enabled
     if (this.config.enableTechnologies) {
@@ -71,34 +116,59 @@ class GameEngine {
       this.gameState.eventsManager = new EventsManager(this.gameState);
     }
     
-    // Distribute territories and initial armies
-    this.distributeInitialTerritories();
-    this.placeInitialArmies();
+    // Set up the scenario's position, or distribute territories and initial armies, or let the players draft them
+    if (this.config.scenario) {
+      setUpScenario(this.gameState, this.config.scenario);
+    } else if (this.config.enableDraft) {
+      this.startDraft();
+    } else {
+      this.distributeInitialTerritories();
+      this.placeInitialArmies();
+    }
+    
+    // Deal each player a secret mission (scenarios may give objectives instead)
+    if (this.config.enableMissions && !this.gameState.players.some(player => player.mission)) {
+      dealMissions(this.gameState, this.shuffleArray(createMissionDeck(this.gameState)));
+    }
+    
+    // Give the first player some cards to try out the card system (scenarios deal their own)
+    if (this.config.dealSampleCards && !this.config.scenario) {
+      const territoryIds = this.gameState.territories.map(t => t.id);
+      this.gameState.players[0].cards = createSampleCards(territoryIds).slice(0, 5);
+    }
+    
+    // Drafted games start once the last starting army has been placed
+    if (!this.config.enableDraft) {
+      this.finishSetup();
+    }
     
     return this.gameState;
   }
 
+  /**
+   * Start the first turn, or capital selection in capitals mode, once territories are handed out
+   */
+  finishSetup() {
+    this.gameState.currentPlayerIndex = 0;
+    
+    // In capitals mode every player picks a capital before the first turn starts,
+    // unless a scenario has already given them one
+    if (this.config.enableCapitals && this.gameState.players.some(player => !getCapital(this.gameState, player.id))) {
+      this.gameState.phase = 'capital-selection';
+    } else {
+      this.gameState.phase = 'reinforcement';
+      this.startTurn();
+    }
+  }
+
   /**
    * Load map data based on map ID
    * @param {string} mapId - ID of the map to load
    * @returns {Object} Map data
+   * @throws {Error} If the map is not registered or fails validation
    */
   loadMapData(mapId) {
-    // Import map data dynamically based on mapId
-    try {
-      // For now, we only have the classic map
-      if (mapId === 'classic') {
-        // This would typically be a dynamic import, but for now we'll rely on the GameBoard component
-        // loading the map directly from the import
-        return null;
-      } else {
-        console.error(`Map ID '${mapId}' not found`);
-        return null;
-      }
-    } catch (error) {
-      console.error(`Error loading map data for '${mapId}':`, error);
-      return null;
-    }
+    return loadMap(mapId);
   }
 
   /**
@@ -106,6 +176,21 @@ class GameEngine {
    * @returns {Player[]} Array of player objects
    */
   createPlayers() {
+    // Seats chosen when setting up the game: humans are p1, p2... and AI opponents ai1, ai2...
+    if (this.config.seats) {
+      const error = validateSeats(this.config.seats);
+      if (error) {
+        throw new Error(error);
+      }
+      
+      let humans = 0;
+      let ais = 0;
+      return this.config.seats.map(seat => {
+        const id = seat.type === 'human' ? `p${++humans}` : `ai${++ais}`;
+        return new Player(id, seat.name.trim(), seat.color);
+      });
+    }
+    
     const colors = ['red', 'blue', 'green', 'yellow', 'black', 'purple'];
     const players = [];
     
@@ -126,15 +211,23 @@ class GameEngine {
    */
   createTerritories() {
     // Create territory objects from the map data
-    // Using the imported classicMap from the top of the file
-    const territories = classicMap.territories.map(territoryData => {
-      return new Territory(
+    const territories = this.mapData.territories.map(territoryData => {
+      const territory = new Territory(
         territoryData.id,
         territoryData.name,
-        territoryData.adjacent,
+        [...territoryData.adjacent],
         territoryData.continent,
-        territoryData.resources || {}
+        { ...(territoryData.resources || {}) }
       );
+      territory.features = { ...territory.features, ...(territoryData.features || {}) };
+      territory.unitValues = this.config.rules.unitValues;
+      return territory;
+    });
+    
+    // Sea lanes link ports in both directions
+    (this.mapData.seaLanes || []).forEach(([firstId, secondId]) => {
+      territories.find(t => t.id === firstId).seaLanes.push(secondId);
+      territories.find(t => t.id === secondId).seaLanes.push(firstId);
     });
     
     return territories;
@@ -146,10 +239,9 @@ class GameEngine {
    */
   createContinents() {
     // Create continent objects from the map data
-    // Using the imported classicMap from the top of the file
-    const continents = classicMap.continents.map(continentData => {
+    const continents = this.mapData.continents.map(continentData => {
       // Find all territories that belong to this continent
-      const continentTerritories = classicMap.territories
+      const continentTerritories = this.mapData.territories
         .filter(t => t.continent === continentData.id)
         .map(t => t.id);
       
@@ -212,33 +304,119 @@ class GameEngine {
     });
   }
 
+  /**
+   * Start the territory draft: every player gets their starting armies to place
+   * and the first player claims first
+   */
+  startDraft() {
+    const armiesPerPlayer = getStartingArmies(getRules(this.gameState), this.gameState.players.length);
+    
+    this.gameState.setupArmies = {};
+    for (const player of this.gameState.players) {
+      this.gameState.setupArmies[player.id] = armiesPerPlayer;
+    }
+    
+    this.gameState.phase = 'claim';
+    this.gameState.currentPlayerIndex = 0;
+  }
+
+  /**
+   * Claim an unclaimed territory with one of the current player's starting armies (draft)
+   * @param {string} playerId - ID of the player
+   * @param {string} territoryId - ID of the territory to claim
+   * @returns {Object} Result with success flag and optional error
+   */
+  claimTerritory(playerId, territoryId) {
+    if (this.gameState.phase !== 'claim') {
+      return { success: false, error: 'Territories can only be claimed during the draft' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    
+    const territory = this.gameState.territories.find(t => t.id === territoryId);
+    if (!territory) {
+      return { success: false, error: 'Invalid territory' };
+    }
+    
+    if (territory.occupyingPlayer) {
+      return { success: false, error: 'That territory has already been claimed' };
+    }
+    
+    const player = this.gameState.players.find(p => p.id === playerId);
+    territory.occupyingPlayer = playerId;
+    territory.armies.infantry = 1;
+    player.territories.push(territory.id);
+    
+    // A player who has run out of starting armies still claims their share of the map
+    this.gameState.setupArmies[playerId] = Math.max(0, getSetupArmies(this.gameState, playerId) - 1);
+    
+    // Once every territory is taken, the next player starts placing the remaining armies
+    if (getUnclaimedTerritories(this.gameState).length === 0) {
+      this.gameState.phase = 'deploy';
+    }
+    this.passSetupTurn();
+    
+    return { success: true, territoryName: territory.name };
+  }
+
+  /**
+   * Place one of the current player's remaining starting armies on their own territory (draft)
+   * @param {string} playerId - ID of the player
+   * @param {string} territoryId - ID of the territory to reinforce
+   * @returns {Object} Result with success flag and optional error
+   */
+  deployArmy(playerId, territoryId) {
+    if (this.gameState.phase !== 'deploy') {
+      return { success: false, error: 'Starting armies can only be placed once every territory is claimed' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    
+    const territory = this.gameState.territories.find(t => t.id === territoryId);
+    if (!territory || territory.occupyingPlayer !== playerId) {
+      return { success: false, error: 'You cannot place armies on a territory you do not control.' };
+    }
+    
+    if (getSetupArmies(this.gameState, playerId) <= 0) {
+      return { success: false, error: 'You have no starting armies left to place' };
+    }
+    
+    territory.armies.infantry += 1;
+    this.gameState.setupArmies[playerId]--;
+    this.passSetupTurn();
+    
+    return { success: true, remainingArmies: this.gameState.setupArmies[playerId] };
+  }
+
+  /**
+   * Pass the draft to the next player, skipping players with nothing left to place
+   * while deploying, and start the game once every starting army is on the board
+   */
+  passSetupTurn() {
+    const players = this.gameState.players;
+    
+    for (let step = 1; step <= players.length; step++) {
+      const index = (this.gameState.currentPlayerIndex + step) % players.length;
+      if (this.gameState.phase === 'claim' || getSetupArmies(this.gameState, players[index].id) > 0) {
+        this.gameState.currentPlayerIndex = index;
+        return;
+      }
+    }
+    
+    this.finishSetup();
+  }
+
   /**
    * Place initial armies on territories
    */
   placeInitialArmies() {
     // Calculate initial armies per player
     const playerCount = this.gameState.players.length;
-    let armiesPerPlayer;
-    
-    switch (playerCount) {
-      case 2:
-        armiesPerPlayer = 40;
-        break;
-      case 3:
-        armiesPerPlayer = 35;
-        break;
-      case 4:
-        armiesPerPlayer = 30;
-        break;
-      case 5:
-        armiesPerPlayer = 25;
-        break;
-      case 6:
-        armiesPerPlayer = 20;
-        break;
-      default:
-        armiesPerPlayer = 30;
-    }
+    let armiesPerPlayer = getStartingArmies(getRules(this.gameState), playerCount);
     
     // Subtract the armies already placed during territory distribution
     armiesPerPlayer -= this.gameState.players[0].territories.length;
@@ -291,7 +469,8 @@ class GameEngine {
     // Calculate allowed reinforcements
     const allowedReinforcements = player.getReinforcementArmies(
       this.gameState.continents,
-      this.gameState.territories
+      this.gameState.territories,
+      getRules(this.gameState)
     );
     
     // Verify the total reinforcements don't exceed the allowed amount
@@ -316,7 +495,8 @@ class GameEngine {
     }
     
     // Advance to the next phase
-    this.gameState.nextPhase();
+    this.gameState.remainingReinforcements = 0;
+    this.advancePhase();
     return true;
   }
 
@@ -343,14 +523,6 @@ class GameEngine {
       isCurrentPlayer = this.gameState.players[this.gameState.currentPlayerIndex].id === playerId;
     }
     
-    // Debug logging to identify the issue
-    console.log('Attack validation in game-engine.js:', {
-      playerId,
-      currentPhase: this.gameState.phase,
-      isCurrentPlayer,
-      expectedPlayer: this.gameState.players[this.gameState.currentPlayerIndex]?.id
-    });
-    
     if (!isCurrentPlayer) {
       return { success: false, error: 'Not your turn' };
     }
@@ -362,115 +534,16 @@ class GameEngine {
     const fromTerritory = this.gameState.territories.find(t => t.id === fromTerritoryId);
     const toTerritory = this.gameState.territories.find(t => t.id === toTerritoryId);
     
-    // Verify territories exist
-    if (!fromTerritory || !toTerritory) {
-      return { success: false, error: 'Invalid territory' };
+    const error = validateAttack(this.gameState, playerId, fromTerritory, toTerritory, attackDice);
+    if (error) {
+      return { success: false, error };
     }
     
-    // Verify the player owns the attacking territory
-    if (fromTerritory.occupyingPlayer !== playerId) {
-      return { success: false, error: 'You do not control the attacking territory' };
-    }
-    
-    // Verify the player doesn't own the defending territory
-    if (toTerritory.occupyingPlayer === playerId) {
-      return { success: false, error: 'You cannot attack your own territory' };
-    }
-    
-    // Verify the territories are adjacent
-    if (!fromTerritory.isAdjacentTo(toTerritoryId)) {
-      return { success: false, error: 'Territories are not adjacent' };
-    }
-    
-    // Verify the attacking territory has enough armies
-    if (fromTerritory.getTotalArmies() < 2) {
-      return { success: false, error: 'Need at least 2 armies to attack' };
-    }
-    
-    // Verify the attack dice count
-    if (attackDice < 1 || attackDice > 3) {
-      return { success: false, error: 'Invalid attack dice count' };
-    }
-    
-    // Verify the attacking territory has enough armies for the dice count
-    if (fromTerritory.getTotalArmies() <= attackDice) {
-      return { success: false, error: 'Not enough armies for selected dice count' };
-    }
-    
-    // Determine defense dice count (1 or 2)
-    const defenseDice = Math.min(2, toTerritory.getTotalArmies());
-    
-    // Roll the dice
-    const attackRolls = this.rollDice(attackDice);
-    const defenseRolls = this.rollDice(defenseDice);
-    
-    // Sort dice in descending order
-    attackRolls.sort((a, b) => b - a);
-    defenseRolls.sort((a, b) => b - a);
-    
-    // Compare dice and determine casualties
-    const maxComparisons = Math.min(attackRolls.length, defenseRolls.length);
-    let attackerLosses = 0;
-    let defenderLosses = 0;
-    
-    for (let i = 0; i < maxComparisons; i++) {
-      if (attackRolls[i] > defenseRolls[i]) {
-        defenderLosses++;
-      } else {
-        attackerLosses++;
-      }
-    }
-    
-    // Apply casualties to different unit types in order: infantry, cavalry, artillery
-    // Attacker casualties
-    let remainingAttackerLosses = attackerLosses;
-    
-    // Remove infantry first
-    const infantryLosses = Math.min(fromTerritory.armies.infantry, remainingAttackerLosses);
-    fromTerritory.armies.infantry -= infantryLosses;
-    remainingAttackerLosses -= infantryLosses;
-    
-    // Remove cavalry if needed
-    if (remainingAttackerLosses > 0) {
-      const cavalryLosses = Math.min(fromTerritory.armies.cavalry, remainingAttackerLosses);
-      fromTerritory.armies.cavalry -= cavalryLosses;
-      remainingAttackerLosses -= cavalryLosses;
-    }
-    
-    // Remove artillery if needed
-    if (remainingAttackerLosses > 0) {
-      const artilleryLosses = Math.min(fromTerritory.armies.artillery, remainingAttackerLosses);
-      fromTerritory.armies.artillery -= artilleryLosses;
-      remainingAttackerLosses -= artilleryLosses;
-    }
-    
-    // Defender casualties
-    let remainingDefenderLosses = defenderLosses;
-    
-    // Remove infantry first
-    const defInfantryLosses = Math.min(toTerritory.armies.infantry, remainingDefenderLosses);
-    toTerritory.armies.infantry -= defInfantryLosses;
-    remainingDefenderLosses -= defInfantryLosses;
-    
-    // Remove cavalry if needed
-    if (remainingDefenderLosses > 0) {
-      const defCavalryLosses = Math.min(toTerritory.armies.cavalry, remainingDefenderLosses);
-      toTerritory.armies.cavalry -= defCavalryLosses;
-      remainingDefenderLosses -= defCavalryLosses;
-    }
-    
-    // Remove artillery if needed
-    if (remainingDefenderLosses > 0) {
-      const defArtilleryLosses = Math.min(toTerritory.armies.artillery, remainingDefenderLosses);
-      toTerritory.armies.artillery -= defArtilleryLosses;
-      remainingDefenderLosses -= defArtilleryLosses;
-    }
+    // Dice, modifiers and casualties all follow the shared combat rules
+    const round = resolveCombatRound(this.gameState, fromTerritory, toTerritory, attackDice);
     
     // Check if defender is defeated
-    let territoryConquered = false;
-    if (toTerritory.getTotalArmies() === 0) {
-      territoryConquered = true;
-      
+    if (round.territoryConquered) {
       // Instead of automatically moving troops, we'll mark this as pending for the player to decide
       // how many armies to move
       this.gameState.pendingConquest = {
@@ -488,14 +561,115 @@ class GameEngine {
       }
     }
     
-    return {
-      success: true,
-      attackRolls,
-      defenseRolls,
-      attackerLosses,
-      defenderLosses,
-      territoryConquered
+    return { success: true, ...round };
+  }
+
+  /**
+   * Attack repeatedly with the most dice allowed until the defender falls, the
+   * attacker is down to its minimum armies, or the odds of conquest drop below
+   * a threshold
+   * @param {string} playerId - ID of the attacking player
+   * @param {string} fromTerritoryId - ID of the attacking territory
+   * @param {string} toTerritoryId - ID of the defending territory
+   * @param {Object} options - When to stop
+   * @param {number} options.minArmies - Stop once the attacking territory is down to this many armies (default 1)
+   * @param {number} options.minWinProbability - Stop once the chance of conquering drops below this (0-1, default 0)
+   * @returns {Object} Battle report with every round, the total losses and why the attack stopped
+   */
+  processBlitzAttack(playerId, fromTerritoryId, toTerritoryId, options = {}) {
+    const minArmies = Math.max(1, options.minArmies || 1);
+    const minWinProbability = options.minWinProbability || 0;
+    
+    const fromTerritory = this.gameState.territories.find(t => t.id === fromTerritoryId);
+    const toTerritory = this.gameState.territories.find(t => t.id === toTerritoryId);
+    if (!fromTerritory || !toTerritory) {
+      return { success: false, error: 'Invalid territory' };
+    }
+    
+    const defendingPlayerId = toTerritory.occupyingPlayer;
+    const rounds = [];
+    let stopReason = null;
+    
+    while (!stopReason) {
+      const armies = fromTerritory.getTotalArmies();
+      if (armies <= minArmies) {
+        stopReason = 'min-armies';
+        break;
+      }
+      
+      if (minWinProbability > 0) {
+        const odds = calculateAttackOdds(this.gameState, fromTerritoryId, toTerritoryId, {
+          trials: BLITZ_ODDS_TRIALS,
+          minArmies
+        });
+        if (odds && odds.untilDone.winProbability < minWinProbability) {
+          stopReason = 'odds';
+          break;
+        }
+      }
+      
+      const result = this.processAttack(playerId, fromTerritoryId, toTerritoryId, getMaxAttackDice(fromTerritory, getRules(this.gameState)));
+      if (!result.success) {
+        // Later rounds only fail if the attacker can no longer attack at all
+        if (rounds.length === 0) return result;
+        stopReason = 'min-armies';
+        break;
+      }
+      
+      rounds.push({
+        attackRolls: result.attackRolls,
+        defenseRolls: result.defenseRolls,
+        attackerLosses: result.attackerLosses,
+        defenderLosses: result.defenderLosses,
+        attackBonus: result.attackBonus,
+        defenseBonus: result.defenseBonus
+      });
+      
+      if (result.territoryConquered) {
+        stopReason = 'conquered';
+      }
+    }
+    
+    if (rounds.length === 0) {
+      return {
+        success: false,
+        error: stopReason === 'odds'
+          ? 'The odds of conquest are already below your threshold'
+          : 'The attacking territory is already at your minimum armies'
+      };
+    }
+    
+    const report = {
+      fromTerritoryId,
+      toTerritoryId,
+      rounds,
+      attackerLosses: rounds.reduce((sum, round) => sum + round.attackerLosses, 0),
+      defenderLosses: rounds.reduce((sum, round) => sum + round.defenderLosses, 0),
+      territoryConquered: stopReason === 'conquered',
+      stopReason
     };
+    
+    // The conquest modal shows how the battle went while the armies are moved in
+    if (report.territoryConquered) {
+      this.gameState.pendingConquest.battleReport = report;
+    }
+    
+    this.gameState.eventLog.push({
+      type: 'attack',
+      blitz: true,
+      attackingPlayerId: playerId,
+      defendingPlayerId,
+      attackingTerritoryId: fromTerritoryId,
+      defendingTerritoryId: toTerritoryId,
+      roundCount: rounds.length,
+      attackerLosses: report.attackerLosses,
+      defenderLosses: report.defenderLosses,
+      territoryConquered: report.territoryConquered,
+      stopReason,
+      turn: this.gameState.turn
+    });
+    
+    return { success: true, ...report };
   }
 
   /**
@@ -566,7 +740,7 @@ class GameEngine {
       }
       
       // Validate that total army count matches requested
-      const totalArmyValue = infantryToMove + (cavalryToMove * 3) + (artilleryToMove * 5);
+      const totalArmyValue = getArmyValue(unitDistribution, getRules(this.gameState).unitValues);
       if (totalArmyValue !== armyCount) {
         return { success: false, error: 'Unit distribution doesn\'t match requested army count' };
       }
@@ -587,24 +761,33 @@ class GameEngine {
       fromTerritory.armies.infantry -= armyCount;
     }
     
-    // Update player territory lists
+    // Update player territory lists (neutral territories have no defending player)
     player.territories.push(toTerritoryId);
-    defender.territories = defender.territories.filter(id => id !== toTerritoryId);
+    if (defender) {
+      defender.territories = defender.territories.filter(id => id !== toTerritoryId);
+    }
     
     // Check if defender is eliminated
-    if (defender.territories.length === 0) {
+    if (defender && defender.territories.length === 0) {
       defender.eliminated = true;
+      defender.eliminatedBy = player.id;
       
       // Transfer defender's cards to attacker
       player.cards = player.cards.concat(defender.cards);
       defender.cards = [];
       
       // Check if game is over
-      if (typeof this.gameState.checkGameEnd === 'function') {
-        this.gameState.checkGameEnd();
-      } else if (typeof this.gameState.checkVictoryConditions === 'function') {
-        this.gameState.checkVictoryConditions();
-      }
+      this.checkGameEnd();
+    }
+    
+    // Taking a capital may win the game (capitals mode)
+    if (toTerritory.capitalOf && !this.gameState.gameOver) {
+      checkCapitalsVictory(this.gameState);
+    }
+    
+    // So may completing a secret mission
+    if (!this.gameState.gameOver) {
+      checkMissionVictory(this.gameState, player);
     }
     
     // Clear the pending conquest
@@ -614,7 +797,7 @@ class GameEngine {
       success: true, 
       message: `Moved ${armyCount} armies to ${toTerritory.name}`,
       conqueredTerritoryName: toTerritory.name,
-      defenderEliminated: defender.eliminated
+      defenderEliminated: defender ? defender.eliminated : false
     };
   }
 
@@ -646,6 +829,11 @@ class GameEngine {
       return false;
     }
     
+    // Only one fortification is allowed per turn
+    if (this.gameState.hasFortified) {
+      return false;
+    }
+    
     const fromTerritory = this.gameState.territories.find(t => t.id === fromTerritoryId);
     const toTerritory = this.gameState.territories.find(t => t.id === toTerritoryId);
     
@@ -674,8 +862,8 @@ class GameEngine {
     
     // Verify the territories are within movement range
     if (movementRange === 1) {
-      // Default behavior - territories must be adjacent
-      if (!fromTerritory.isAdjacentTo(toTerritoryId)) {
+      // Default behavior - territories must share a border or a sea lane between ports
+      if (!areTerritoriesConnected(this.gameState, fromTerritoryId, toTerritoryId)) {
         return false;
       }
     } else {
@@ -706,7 +894,7 @@ class GameEngine {
       }
       
       // Validate that total army count matches requested
-      const totalArmyValue = infantryToMove + (cavalryToMove * 3) + (artilleryToMove * 5);
+      const totalArmyValue = getArmyValue(unitDistribution, getRules(this.gameState).unitValues);
       if (totalArmyValue !== armyCount) {
         return false; // Unit distribution doesn't match requested army count
       }
@@ -732,43 +920,744 @@ class GameEngine {
         remainingToMove -= infantryToMove;
       }
       
+      const { unitValues } = getRules(this.gameState);
+      
       // Move cavalry if needed and available
       if (remainingToMove > 0) {
-        const cavalryToMove = Math.min(fromTerritory.armies.cavalry, Math.ceil(remainingToMove / 3));
+        const cavalryToMove = Math.min(fromTerritory.armies.cavalry, Math.ceil(remainingToMove / unitValues.cavalry));
         if (cavalryToMove > 0) {
           fromTerritory.armies.cavalry -= cavalryToMove;
           toTerritory.armies.cavalry += cavalryToMove;
-          remainingToMove -= cavalryToMove * 3;
+          remainingToMove -= cavalryToMove * unitValues.cavalry;
         }
       }
       
       // Move artillery if needed and available
       if (remainingToMove > 0) {
-        const artilleryToMove = Math.min(fromTerritory.armies.artillery, Math.ceil(remainingToMove / 5));
+        const artilleryToMove = Math.min(fromTerritory.armies.artillery, Math.ceil(remainingToMove / unitValues.artillery));
         if (artilleryToMove > 0) {
           fromTerritory.armies.artillery -= artilleryToMove;
           toTerritory.armies.artillery += artilleryToMove;
-          remainingToMove -= artilleryToMove * 5;
+          remainingToMove -= artilleryToMove * unitValues.artillery;
+        }
+      }
+    }
+    
+    // The player ends their turn separately, so the move can still be undone
+    this.gameState.hasFortified = true;
+    return true;
+  }
+
+  /**
+   * Execute a player command and record it in the command log
+   * @param {Object} command - Command to execute ({ type, playerId, payload })
+   * @param {Object} options - Execution options ({ isRedo })
+   * @returns {Object} Result of the command, with success and optional error
+   */
+  executeCommand(command, options = {}) {
+    const { type, playerId, payload = {} } = command;
+    
+    // React state updates copy the game state, so make sure the managers work on the copy we were given
+    this.bindManagers();
+    
+    // Capture the state the command starts from so a replay can reproduce it exactly
+    const context = {
+      turn: this.gameState.turn,
+      phase: this.gameState.phase,
+      rngState: this.gameState.rng.getState()
+    };
+    
+    // Remember what an undoable command is about to change
+    const undoable = UndoableCommands.includes(type);
+    const snapshot = undoable ? this.createUndoSnapshot() : null;
+    
+    let result;
+    switch (type) {
+      case CommandTypes.REINFORCE:
+        result = this.placeReinforcements(playerId, payload.territoryId, payload.armyCount);
+        break;
+      case CommandTypes.ATTACK:
+        result = this.processAttack(playerId, payload.fromTerritoryId, payload.toTerritoryId, payload.attackDice);
+        break;
+      case CommandTypes.BLITZ:
+        result = this.processBlitzAttack(playerId, payload.fromTerritoryId, payload.toTerritoryId, {
+          minArmies: payload.minArmies,
+          minWinProbability: payload.minWinProbability
+        });
+        break;
+      case CommandTypes.CONQUER:
+        result = this.completeConquest(playerId, payload.armyCount, payload.unitDistribution || null);
+        break;
+      case CommandTypes.FORTIFY:
+        result = this.processFortification(
+          playerId,
+          payload.fromTerritoryId,
+          payload.toTerritoryId,
+          payload.armyCount,
+          payload.unitDistribution || null
+        );
+        break;
+      case CommandTypes.TRADE_CARDS:
+        result = this.processCardTrade(playerId, payload.cardIds);
+        break;
+      case CommandTypes.RESEARCH:
+        result = this.processResearch(playerId, payload.techId);
+        break;
+      case CommandTypes.CHOOSE_CAPITAL:
+        result = this.chooseCapital(playerId, payload.territoryId);
+        break;
+      case CommandTypes.CLAIM_TERRITORY:
+        result = this.claimTerritory(playerId, payload.territoryId);
+        break;
+      case CommandTypes.DEPLOY:
+        result = this.deployArmy(playerId, payload.territoryId);
+        break;
+      case CommandTypes.ALLIANCE:
+        result = this.changeAlliance(playerId, payload.action, payload.targetPlayerId);
+        break;
+      case CommandTypes.END_PHASE:
+        result = this.endPhase(playerId);
+        break;
+      default:
+        result = { success: false, error: `Unknown command type '${type}'` };
+    }
+    
+    // Some of the older process methods only return a boolean
+    if (typeof result === 'boolean') {
+      result = { success: result };
+    }
+    
+    if (result.success) {
+      const record = createCommandRecord(command, this.gameState, context);
+      this.gameState.commandLog.push(record);
+      
+      if (undoable) {
+        this.gameState.undoStack = [...(this.gameState.undoStack || []), {
+          command: record,
+          snapshot,
+          rngState: this.gameState.rng.getState()
+        }];
+      } else {
+        // Attacks, research and phase changes cannot be taken back
+        this.gameState.undoStack = [];
+      }
+      
+      // A new action replaces anything that was undone
+      if (!options.isRedo) {
+        this.gameState.redoStack = [];
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Propose, accept or break an alliance with another player. Diplomacy is not
+   * bound to turns, so any player still in the game may do this at any time.
+   * @param {string} playerId - ID of the player
+   * @param {string} action - 'propose', 'accept' or 'break'
+   * @param {string} targetPlayerId - ID of the other player
+   * @returns {Object} Result with success flag and optional error
+   */
+  changeAlliance(playerId, action, targetPlayerId) {
+    if (!this.config.enableAlliances) {
+      return { success: false, error: 'Alliances are not enabled in this game' };
+    }
+    
+    const player = this.gameState.players.find(p => p.id === playerId);
+    const target = this.gameState.players.find(p => p.id === targetPlayerId);
+    if (!player || !target || player === target || player.eliminated || target.eliminated) {
+      return { success: false, error: 'Invalid player' };
+    }
+    
+    const proposals = this.gameState.allianceProposals;
+    const allied = player.allies.includes(target.id);
+    
+    switch (action) {
+      case 'propose': {
+        if (allied) {
+          return { success: false, error: `You are already allied with ${target.name}` };
         }
+        if (proposals.some(p => p.fromPlayerId === playerId && p.toPlayerId === target.id)) {
+          return { success: false, error: `You have already proposed an alliance to ${target.name}` };
+        }
+        
+        proposals.push({ fromPlayerId: playerId, toPlayerId: target.id, turn: this.gameState.turn });
+        return { success: true };
+      }
+      case 'accept': {
+        const index = proposals.findIndex(p => p.fromPlayerId === target.id && p.toPlayerId === playerId);
+        if (index === -1) {
+          return { success: false, error: `${target.name} has not proposed an alliance` };
+        }
+        
+        // Accepting also settles any proposal going the other way
+        this.gameState.allianceProposals = proposals.filter(p =>
+          !(p.fromPlayerId === target.id && p.toPlayerId === playerId) &&
+          !(p.fromPlayerId === playerId && p.toPlayerId === target.id)
+        );
+        player.allies.push(target.id);
+        target.allies.push(player.id);
+        
+        this.gameState.eventLog.push({
+          type: 'alliance-created',
+          player1Id: target.id,
+          player2Id: player.id,
+          turn: this.gameState.turn
+        });
+        return { success: true };
+      }
+      case 'break': {
+        if (!allied) {
+          return { success: false, error: `You are not allied with ${target.name}` };
+        }
+        
+        player.allies = player.allies.filter(id => id !== target.id);
+        target.allies = target.allies.filter(id => id !== player.id);
+        
+        this.gameState.eventLog.push({
+          type: 'alliance-broken',
+          initiatorId: player.id,
+          player1Id: player.id,
+          player2Id: target.id,
+          turn: this.gameState.turn
+        });
+        return { success: true };
+      }
+      default:
+        return { success: false, error: `Unknown alliance action '${action}'` };
+    }
+  }
+
+  /**
+   * Capture the parts of the game state that undoable commands change
+   * @returns {Object} Snapshot that restoreUndoSnapshot can put back
+   */
+  createUndoSnapshot() {
+    return {
+      armies: this.gameState.territories.map(t => ({ id: t.id, armies: { ...t.armies } })),
+      cards: this.gameState.players.map(p => ({ id: p.id, cards: [...p.cards] })),
+      discardPile: [...this.gameState.discardPile],
+      eventLogLength: this.gameState.eventLog.length,
+      phase: this.gameState.phase,
+      cardAwarded: this.gameState.cardAwarded,
+      remainingReinforcements: this.gameState.remainingReinforcements,
+      hasFortified: this.gameState.hasFortified
+    };
+  }
+
+  /**
+   * Restore a snapshot taken by createUndoSnapshot
+   * @param {Object} snapshot - Snapshot to restore
+   */
+  restoreUndoSnapshot(snapshot) {
+    for (const { id, armies } of snapshot.armies) {
+      const territory = this.gameState.territories.find(t => t.id === id);
+      territory.armies = { ...armies };
+    }
+    
+    for (const { id, cards } of snapshot.cards) {
+      const player = this.gameState.players.find(p => p.id === id);
+      player.cards = [...cards];
+    }
+    
+    this.gameState.discardPile = [...snapshot.discardPile];
+    this.gameState.eventLog.splice(snapshot.eventLogLength);
+    this.gameState.phase = snapshot.phase;
+    this.gameState.cardAwarded = snapshot.cardAwarded;
+    this.gameState.remainingReinforcements = snapshot.remainingReinforcements;
+    this.gameState.hasFortified = snapshot.hasFortified;
+  }
+
+  /**
+   * Take back the player's most recent undoable action
+   * @param {string} playerId - ID of the player
+   * @returns {Object} Result with the command that was undone
+   */
+  undo(playerId) {
+    const undoStack = this.gameState.undoStack || [];
+    const entry = undoStack[undoStack.length - 1];
+    
+    if (!entry) {
+      return { success: false, error: 'Nothing to undo' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId) || entry.command.playerId !== playerId) {
+      return { success: false, error: 'You can only undo your own actions during your turn' };
+    }
+    
+    // Anything that drew a random number since (dice, events, shuffles) makes the action permanent
+    const lastCommand = this.gameState.commandLog[this.gameState.commandLog.length - 1];
+    if (this.gameState.rng.getState() !== entry.rngState || !lastCommand || lastCommand.id !== entry.command.id) {
+      this.gameState.undoStack = [];
+      this.gameState.redoStack = [];
+      return { success: false, error: 'Cannot undo past a dice roll or event' };
+    }
+    
+    this.restoreUndoSnapshot(entry.snapshot);
+    this.gameState.commandLog.pop();
+    this.gameState.undoStack = undoStack.slice(0, -1);
+    this.gameState.redoStack = [...(this.gameState.redoStack || []), entry.command];
+    
+    return { success: true, command: entry.command };
+  }
+
+  /**
+   * Execute the most recently undone action again
+   * @param {string} playerId - ID of the player
+   * @returns {Object} Result of the re-executed command
+   */
+  redo(playerId) {
+    const redoStack = this.gameState.redoStack || [];
+    const command = redoStack[redoStack.length - 1];
+    
+    if (!command) {
+      return { success: false, error: 'Nothing to redo' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId) || command.playerId !== playerId) {
+      return { success: false, error: 'You can only redo your own actions during your turn' };
+    }
+    
+    this.gameState.redoStack = redoStack.slice(0, -1);
+    
+    const result = this.executeCommand(
+      { type: command.type, playerId: command.playerId, payload: command.payload },
+      { isRedo: true }
+    );
+    
+    if (!result.success) {
+      this.gameState.redoStack = [];
+    }
+    
+    return result;
+  }
+
+  /**
+   * Point the managers at the game state the engine is currently working on
+   */
+  bindManagers() {
+    for (const manager of [this.gameState.techManager, this.gameState.resourceManager, this.gameState.eventsManager]) {
+      if (manager) {
+        manager.gameState = this.gameState;
       }
     }
+  }
+
+  /**
+   * Check whether it is a player's turn
+   * @param {string} playerId - ID of the player
+   * @returns {boolean} True if the player is the current player
+   */
+  isCurrentPlayer(playerId) {
+    const currentPlayer = this.gameState.players[this.gameState.currentPlayerIndex];
+    return !!currentPlayer && currentPlayer.id === playerId;
+  }
+
+  /**
+   * Calculate the reinforcements a player receives at the start of their turn
+   * @param {string} playerId - ID of the player
+   * @returns {number} Number of reinforcement armies
+   */
+  calculateReinforcements(playerId) {
+    const player = this.gameState.players.find(p => p.id === playerId);
+    if (!player) return 0;
+    
+    return player.getReinforcementArmies(this.gameState.continents, this.gameState.territories, getRules(this.gameState));
+  }
+
+  /**
+   * Start the current player's turn: work out their reinforcements and check for events
+   */
+  startTurn() {
+    const player = this.gameState.players[this.gameState.currentPlayerIndex];
+    if (!player) return;
+    
+    this.gameState.turnEvent = null;
+    this.gameState.hasFortified = false;
+    
+    if (this.gameState.eventsManager) {
+      // Remove expired events and apply ongoing effects, then roll for a new event
+      this.gameState.eventsManager.updateActiveEvents(player.id);
+      
+      const event = this.gameState.eventsManager.checkForEvent(player.id);
+      if (event) {
+        this.gameState.turnEvent = {
+          playerId: player.id,
+          turn: this.gameState.turn,
+          event
+        };
+      }
+    }
+    
+    this.gameState.remainingReinforcements = this.calculateReinforcements(player.id);
+  }
+
+  /**
+   * Advance to the next phase, awarding conquest cards and starting the next turn as needed
+   * @returns {Object} Details of what happened ({ awardedCard })
+   */
+  advancePhase() {
+    const previousPhase = this.gameState.phase;
+    const currentPlayer = this.gameState.players[this.gameState.currentPlayerIndex];
+    let awardedCard = null;
+    
+    // A player who conquered at least one territory receives a card when the attack phase ends
+    if (previousPhase === 'attack' && this.gameState.cardAwarded) {
+      awardedCard = this.awardCard(currentPlayer.id);
+    }
+    
+    // In capitals mode, a player who ends their turn without their capital is out of the game
+    if (previousPhase === 'fortification' && isCapitalsMode(this.gameState)) {
+      this.eliminateIfCapitalLost(currentPlayer);
+    }
+    
+    nextPhase(this.gameState);
+    
+    // Games with a turn limit end once it has passed
+    if (previousPhase === 'fortification' && !this.gameState.gameOver && !checkTurnLimit(this.gameState)) {
+      this.startTurn();
+    }
+    
+    return { awardedCard };
+  }
+
+  /**
+   * Check whether the game has been won, on game states with or without their methods
+   */
+  checkGameEnd() {
+    if (typeof this.gameState.checkGameEnd === 'function') {
+      this.gameState.checkGameEnd();
+      return;
+    }
+    
+    // Plain copies of the game state (e.g. React state) lose their methods
+    const activePlayers = this.gameState.players.filter(p => !p.eliminated);
+    if (activePlayers.length === 1) {
+      this.gameState.gameOver = true;
+      this.gameState.winner = activePlayers[0];
+      this.gameState.victoryType = 'military';
+    } else if (!checkCapitalsVictory(this.gameState)) {
+      checkMissionVictory(this.gameState);
+    }
+  }
+
+  /**
+   * Choose the current player's capital during capital selection (capitals mode)
+   * @param {string} playerId - ID of the player
+   * @param {string} territoryId - ID of the territory to make the capital
+   * @returns {Object} Result with success flag and optional error
+   */
+  chooseCapital(playerId, territoryId) {
+    if (this.gameState.phase !== 'capital-selection') {
+      return { success: false, error: 'Capitals can only be chosen before the first turn' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    
+    const territory = this.gameState.territories.find(t => t.id === territoryId);
+    if (!territory || territory.occupyingPlayer !== playerId) {
+      return { success: false, error: 'You can only choose one of your own territories as your capital' };
+    }
+    
+    if (!getCapitalChoices(this.gameState, playerId).includes(territory)) {
+      return { success: false, error: 'Choose one of the capital cities you control' };
+    }
+    
+    territory.capitalOf = playerId;
+    
+    // Once the last player has chosen, the first player's turn begins
+    this.gameState.currentPlayerIndex++;
+    if (this.gameState.currentPlayerIndex >= this.gameState.players.length) {
+      this.gameState.currentPlayerIndex = 0;
+      this.gameState.phase = 'reinforcement';
+      this.startTurn();
+    }
     
-    // Advance to the next phase/player
-    this.gameState.nextPhase();
+    return { success: true, capitalName: territory.name };
+  }
+
+  /**
+   * Eliminate a player who has not retaken their capital by the end of their turn.
+   * Whoever holds the capital takes over the player's territories and cards.
+   * @param {Object} player - The player whose turn is ending
+   * @returns {boolean} True if the player was eliminated
+   */
+  eliminateIfCapitalLost(player) {
+    const capital = getCapital(this.gameState, player.id);
+    if (player.eliminated || !capital || capital.occupyingPlayer === player.id) return false;
+    
+    // A capital lost to a rebellion leaves no one to take over, so the territories turn neutral
+    const captor = this.gameState.players.find(p => p.id === capital.occupyingPlayer) || null;
+    
+    for (const territoryId of player.territories) {
+      const territory = this.gameState.territories.find(t => t.id === territoryId);
+      territory.occupyingPlayer = captor ? captor.id : null;
+      if (captor) {
+        captor.territories.push(territoryId);
+      }
+    }
+    
+    if (captor) {
+      captor.cards = captor.cards.concat(player.cards);
+    } else {
+      this.gameState.discardPile = this.gameState.discardPile.concat(player.cards);
+    }
+    
+    player.territories = [];
+    player.cards = [];
+    player.eliminated = true;
+    player.eliminatedBy = captor ? captor.id : null;
+    
+    this.gameState.eventLog.push({
+      type: 'player-eliminated',
+      eliminatedPlayerId: player.id,
+      eliminatorPlayerId: captor ? captor.id : null,
+      reason: 'capital-lost',
+      turn: this.gameState.turn
+    });
+    
+    this.checkGameEnd();
     return true;
   }
 
   /**
-   * Roll dice and return the results
-   * @param {number} count - Number of dice to roll
-   * @returns {number[]} Array of dice roll results
+   * Give a player the top card of the deck
+   * @param {string} playerId - ID of the player
+   * @returns {Card|null} The awarded card, or null if no cards are left
+   */
+  awardCard(playerId) {
+    // Reshuffle the discard pile into the deck if the deck is empty
+    if (this.gameState.cardDeck.length === 0 && this.gameState.discardPile.length > 0) {
+      this.gameState.cardDeck = this.shuffleArray([...this.gameState.discardPile]);
+      this.gameState.discardPile = [];
+    }
+    
+    // Reset the card awarded flag
+    this.gameState.cardAwarded = false;
+    
+    if (this.gameState.cardDeck.length === 0) {
+      console.warn('No cards available to award');
+      return null;
+    }
+    
+    const card = this.gameState.cardDeck.pop();
+    const player = this.gameState.players.find(p => p.id === playerId);
+    player.cards.push(card);
+    return card;
+  }
+
+  /**
+   * End the current phase for a player
+   * @param {string} playerId - ID of the player
+   * @returns {Object} Result with the card awarded, if any
    */
-  rollDice(count) {
-    const results = [];
-    for (let i = 0; i < count; i++) {
-      results.push(Math.floor(Math.random() * 6) + 1);
+  endPhase(playerId) {
+    if (this.gameState.gameOver) {
+      return { success: false, error: 'The game is over' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    
+    if (this.gameState.pendingConquest) {
+      return { success: false, error: 'Move armies into the conquered territory first' };
+    }
+    
+    if (this.gameState.phase === 'capital-selection') {
+      return { success: false, error: 'Choose your capital first' };
+    }
+    
+    if (isSetupPhase(this.gameState)) {
+      return { success: false, error: 'Place your starting armies first' };
     }
-    return results;
+    
+    const { awardedCard } = this.advancePhase();
+    
+    return { success: true, awardedCard };
+  }
+
+  /**
+   * Place some of the current player's reinforcements on a territory
+   * @param {string} playerId - ID of the player
+   * @param {string} territoryId - ID of the territory to reinforce
+   * @param {number} armyCount - Number of armies to place
+   * @returns {Object} Result with the remaining reinforcements
+   */
+  placeReinforcements(playerId, territoryId, armyCount) {
+    if (!this.isCurrentPlayer(playerId) || this.gameState.phase !== 'reinforcement') {
+      return { success: false, error: 'Not your reinforcement phase' };
+    }
+    
+    if (this.gameState.remainingReinforcements === undefined) {
+      this.gameState.remainingReinforcements = this.calculateReinforcements(playerId);
+    }
+    
+    if (!Number.isInteger(armyCount) || armyCount < 1) {
+      return { success: false, error: 'Invalid army count' };
+    }
+    
+    if (armyCount > this.gameState.remainingReinforcements) {
+      return {
+        success: false,
+        error: `You only have ${this.gameState.remainingReinforcements} armies left to place.`
+      };
+    }
+    
+    const territory = this.gameState.territories.find(t => t.id === territoryId);
+    if (!territory || territory.occupyingPlayer !== playerId) {
+      return { success: false, error: 'You cannot place armies on a territory you do not control.' };
+    }
+    
+    territory.armies.infantry += armyCount;
+    this.gameState.remainingReinforcements -= armyCount;
+    
+    const remainingReinforcements = this.gameState.remainingReinforcements;
+    
+    // Move on to the attack phase once every army has been placed
+    if (remainingReinforcements <= 0) {
+      this.advancePhase();
+    }
+    
+    return { success: true, remainingReinforcements };
+  }
+
+  /**
+   * Trade in a set of cards for extra reinforcements
+   * @param {string} playerId - ID of the player
+   * @param {string[]} cardIds - IDs of the three cards to trade
+   * @returns {Object} Result with the armies awarded
+   */
+  processCardTrade(playerId, cardIds) {
+    const player = this.gameState.players.find(p => p.id === playerId);
+    if (!player || player.eliminated) return { success: false, error: 'Invalid player' };
+    
+    // Check if it's the player's turn and the reinforcement phase
+    if (!this.isCurrentPlayer(playerId) || this.gameState.phase !== 'reinforcement') {
+      return { success: false, error: 'Cards can only be traded during your Reinforcement phase.' };
+    }
+    
+    // Check if the player has the cards
+    const cardsToTrade = (cardIds || []).map(id => player.cards.find(card => card.id === id));
+    
+    if (cardsToTrade.includes(undefined) || cardsToTrade.length !== 3) {
+      return { success: false, error: 'Invalid cards' };
+    }
+    
+    // Check if the cards form a valid set
+    if (!this.isValidCardSet(cardsToTrade)) {
+      return { success: false, error: 'Not a valid set' };
+    }
+    
+    // Calculate armies awarded
+    const setNumber = this.gameState.eventLog.filter(event => event.type === 'card-trade').length + 1;
+    let armies = this.calculateArmiesForSet(setNumber);
+    
+    // Bonus armies for cards showing territories the player controls
+    const territoryBonuses = [];
+    for (const card of cardsToTrade) {
+      if (card.territoryId) {
+        const territory = this.gameState.territories.find(t => t.id === card.territoryId);
+        if (territory && territory.occupyingPlayer === playerId) {
+          armies += getRules(this.gameState).cardTerritoryBonus;
+          territoryBonuses.push(territory.name);
+        }
+      }
+    }
+    
+    // Move the cards from the player's hand to the discard pile
+    player.cards = player.cards.filter(card => !cardIds.includes(card.id));
+    this.gameState.discardPile = this.gameState.discardPile.concat(cardsToTrade);
+    
+    // Add the armies to the reinforcements still to be placed
+    if (this.gameState.remainingReinforcements === undefined) {
+      this.gameState.remainingReinforcements = this.calculateReinforcements(playerId);
+    }
+    this.gameState.remainingReinforcements += armies;
+    
+    // Log card trade
+    this.gameState.eventLog.push({
+      type: 'card-trade',
+      playerId,
+      cardIds,
+      armies,
+      territoryBonuses,
+      turn: this.gameState.turn
+    });
+    
+    return {
+      success: true,
+      armies,
+      territoryBonuses,
+      setNumber
+    };
+  }
+
+  /**
+   * Check if a set of cards is valid for trading
+   * @param {Card[]} cards - Array of cards to check
+   * @returns {boolean} True if the set is valid
+   */
+  isValidCardSet(cards) {
+    if (cards.length !== 3) return false;
+    
+    // Count card types
+    const typeCounts = {};
+    for (const card of cards) {
+      typeCounts[card.type] = (typeCounts[card.type] || 0) + 1;
+    }
+    
+    const wildCount = typeCounts['wild'] || 0;
+    const regularCounts = Object.entries(typeCounts)
+      .filter(([type]) => type !== 'wild')
+      .map(([, count]) => count);
+    
+    // Case 1: Three of the same type
+    const sameTypeCount = regularCounts.length > 0 ? Math.max(...regularCounts) : 0;
+    if (sameTypeCount + wildCount >= 3) return true;
+    
+    // Case 2: One of each type
+    if (regularCounts.length + wildCount >= 3) return true;
+    
+    return false;
+  }
+
+  /**
+   * Calculate armies awarded for a card set
+   * @param {number} setNumber - Which set is being traded in
+   * @returns {number} Number of armies awarded
+   */
+  calculateArmiesForSet(setNumber) {
+    return getCardSetValue(getRules(this.gameState), setNumber);
+  }
+
+  /**
+   * Start researching a technology during the player's own turn
+   * @param {string} playerId - ID of the player
+   * @param {string} techId - ID of the technology
+   * @returns {Object} Result of starting the research
+   */
+  processResearch(playerId, techId) {
+    if (!this.gameState.techManager) {
+      return { success: false, error: 'Technologies are disabled' };
+    }
+    
+    if (this.gameState.gameOver) {
+      return { success: false, error: 'The game is over' };
+    }
+    
+    if (!this.isCurrentPlayer(playerId)) {
+      return { success: false, error: 'Not your turn' };
+    }
+    
+    if (!this.gameState.techManager.startResearch(playerId, techId)) {
+      return { success: false, error: 'Cannot research this technology at this time.' };
+    }
+    
+    return { success: true };
   }
 
   /**
@@ -777,11 +1666,7 @@ class GameEngine {
    * @returns {Array} The shuffled array
    */
   shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
+    return this.gameState.rng.shuffle(array);
   }
 }
 
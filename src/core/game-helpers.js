@@ -1,3 +1,6 @@
+import { validateAttack, resolveCombatRound } from './combat-rules.js';
+import { getArmyValue } from './rule-sets.js';
+
 /**
  * Get the total armies in a territory
  * @param {Object} territory - The territory object
@@ -10,9 +13,7 @@ function getTotalArmies(territory) {
   }
   
   // Otherwise calculate it manually
-  return (territory.armies.infantry || 0) + 
-         ((territory.armies.cavalry || 0) * 3) + 
-         ((territory.armies.artillery || 0) * 5);
+  return getArmyValue(territory.armies, territory.unitValues);
 }
 
 /**
@@ -45,6 +46,7 @@ function nextPhase(gameState) {
     case 'fortification':
       gameState.phase = 'reinforcement';
       // Move to next player
+      const previousPlayerIndex = gameState.currentPlayerIndex;
       gameState.currentPlayerIndex = (gameState.currentPlayerIndex + 1) % gameState.players.length;
       
       // Skip eliminated players
@@ -52,8 +54,8 @@ function nextPhase(gameState) {
         gameState.currentPlayerIndex = (gameState.currentPlayerIndex + 1) % gameState.players.length;
       }
       
-      // Increment turn counter if completed a full round
-      if (gameState.currentPlayerIndex === 0) {
+      // Increment turn counter if completed a full round (the first player may have been eliminated)
+      if (gameState.currentPlayerIndex <= previousPlayerIndex) {
         gameState.turn++;
       }
       
@@ -92,86 +94,68 @@ function playerControlsContinent(gameState, playerId, continentId) {
 }
 
 /**
- * Resolve an attack between two territories
- * This is a simplified combat system for AI players
+ * Get the territories armies can move to or attack from a territory.
+ * Land borders are always open; sea lanes can only be used while both
+ * territories have a port.
+ * 
+ * @param {Object} gameState - The current game state
+ * @param {Object} territory - The territory to move or attack from
+ * @returns {string[]} IDs of connected territories
+ */
+function getConnectedTerritoryIds(gameState, territory) {
+  const connected = [...territory.adjacentTerritories];
+  
+  if (territory.features && territory.features.hasPort) {
+    for (const laneId of territory.seaLanes || []) {
+      const other = gameState.territories.find(t => t.id === laneId);
+      if (other && other.features && other.features.hasPort) {
+        connected.push(laneId);
+      }
+    }
+  }
+  
+  return connected;
+}
+
+/**
+ * Check if armies can move or attack directly between two territories
+ * 
+ * @param {Object} gameState - The current game state
+ * @param {string} fromTerritoryId - ID of the territory to move or attack from
+ * @param {string} toTerritoryId - ID of the target territory
+ * @returns {boolean} True if the territories share a border or a usable sea lane
+ */
+function areTerritoriesConnected(gameState, fromTerritoryId, toTerritoryId) {
+  const fromTerritory = gameState.territories.find(t => t.id === fromTerritoryId);
+  if (!fromTerritory) return false;
+  
+  return getConnectedTerritoryIds(gameState, fromTerritory).includes(toTerritoryId);
+}
+
+/**
+ * Resolve an attack between two territories and move in automatically on a conquest
  * 
  * @param {Object} gameState - The current game state
  * @param {string} fromTerritoryId - ID of the attacking territory
  * @param {string} toTerritoryId - ID of the defending territory
- * @param {Object} options - Attack options (attackDice)
+ * @param {Object} options - Attack options (playerId, attackDice, defenderId)
  * @returns {Object} Attack result
  */
 function resolveAttack(gameState, fromTerritoryId, toTerritoryId, options = {}) {
   const fromTerritory = gameState.territories.find(t => t.id === fromTerritoryId);
   const toTerritory = gameState.territories.find(t => t.id === toTerritoryId);
-  
-  // Verify territories exist
-  if (!fromTerritory || !toTerritory) {
-    return { success: false, error: 'Invalid territory' };
-  }
-  
-  // Verify the player owns the attacking territory
-  if (fromTerritory.occupyingPlayer !== options.playerId) {
-    return { success: false, error: 'You do not control the attacking territory' };
-  }
-  
-  // Verify the player doesn't own the defending territory
-  if (toTerritory.occupyingPlayer === options.playerId) {
-    return { success: false, error: 'You cannot attack your own territory' };
-  }
-  
-  // Verify the attacking territory has enough armies
-  if (getTotalArmies(fromTerritory) < 2) {
-    return { success: false, error: 'Need at least 2 armies to attack' };
-  }
-  
-  // Verify the attack dice count
   const attackDice = options.attackDice || 1;
-  if (attackDice < 1 || attackDice > 3) {
-    return { success: false, error: 'Invalid attack dice count' };
-  }
   
-  // Verify the attacking territory has enough armies for the dice count
-  if (getTotalArmies(fromTerritory) <= attackDice) {
-    return { success: false, error: 'Not enough armies for selected dice count' };
+  const error = validateAttack(gameState, options.playerId, fromTerritory, toTerritory, attackDice);
+  if (error) {
+    return { success: false, error };
   }
   
-  // Determine defense dice count (1 or 2)
-  const defenseDice = Math.min(2, getTotalArmies(toTerritory));
-  
-  // Roll the dice
-  const attackRolls = rollDice(attackDice);
-  const defenseRolls = rollDice(defenseDice);
-  
-  // Sort dice in descending order
-  attackRolls.sort((a, b) => b - a);
-  defenseRolls.sort((a, b) => b - a);
-  
-  // Compare dice and determine casualties
-  const maxComparisons = Math.min(attackRolls.length, defenseRolls.length);
-  let attackerLosses = 0;
-  let defenderLosses = 0;
-  
-  for (let i = 0; i < maxComparisons; i++) {
-    if (attackRolls[i] > defenseRolls[i]) {
-      defenderLosses++;
-    } else {
-      attackerLosses++;
-    }
-  }
-  
-  // Apply casualties
-  // Attacker losses
-  fromTerritory.armies.infantry -= attackerLosses;
-  
-  // Defender losses
-  toTerritory.armies.infantry -= defenderLosses;
+  // Dice, modifiers and casualties all follow the shared combat rules
+  const round = resolveCombatRound(gameState, fromTerritory, toTerritory, attackDice);
   
   // Check if defender is defeated
-  let territoryConquered = false;
-  if (getTotalArmies(toTerritory) <= 0) {
-    territoryConquered = true;
-    
+  if (round.territoryConquered) {
     // Move armies automatically for AI - consistent with game-engine.js approach
     const movingArmies = Math.min(getTotalArmies(fromTerritory) - 1, attackDice);
     
@@ -219,27 +203,14 @@ function resolveAttack(gameState, fromTerritoryId, toTerritoryId, options = {})
     }
   }
   
-  return {
-    success: true,
-    attackRolls,
-    defenseRolls,
-    attackerLosses,
-    defenderLosses,
-    territoryConquered
-  };
-}
-
-/**
- * Roll dice and return the results
- * @param {number} count - Number of dice to roll
- * @returns {number[]} Array of dice roll results
- */
-function rollDice(count) {
-  const results = [];
-  for (let i = 0; i < count; i++) {
-    results.push(Math.floor(Math.random() * 6) + 1);
-  }
-  return results;
+  return { success: true, ...round };
 }
 
-export { nextPhase, playerControlsContinent, resolveAttack, getTotalArmies };
+export {
+  nextPhase,
+  playerControlsContinent,
+  resolveAttack,
+  getTotalArmies,
+  getConnectedTerritoryIds,
+  areTerritoriesConnected
+};
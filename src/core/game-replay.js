@@ -0,0 +1,116 @@
+/**
+ * Game replay for Risk-inspired strategy game
+ */
+
+import GameEngine from './game-engine.js';
+
+/**
+ * Rebuilds a game from its initial config and command log.
+ * The config holds the random seed, so starting a new engine from it recreates
+ * the opening position exactly; each command is then re-executed with the
+ * random number generator restored to the state it was recorded with.
+ */
+class GameReplay {
+  /**
+   * Create a new GameReplay
+   * @param {Object} config - Config the game was started with (including its seed)
+   * @param {Object[]} commands - Recorded command log
+   */
+  constructor(config, commands = []) {
+    this.config = JSON.parse(JSON.stringify(config));
+    this.commands = commands;
+    this.turnStarts = null;
+  }
+
+  /**
+   * Create a replay of a game in progress
+   * @param {GameState} gameState - Game state with a config and command log
+   * @returns {GameReplay} Replay of the game
+   */
+  static fromGameState(gameState) {
+    return new GameReplay(gameState.config, [...(gameState.commandLog || [])]);
+  }
+
+  /**
+   * Rebuild the game after a number of commands have been executed
+   * @param {number} commandCount - Number of commands to apply (defaults to all)
+   * @returns {GameEngine} Engine holding the rebuilt game state
+   */
+  buildEngine(commandCount = this.commands.length) {
+    const engine = new GameEngine(JSON.parse(JSON.stringify(this.config)));
+    engine.initializeGame();
+
+    for (const command of this.commands.slice(0, commandCount)) {
+      this.applyCommand(engine, command);
+    }
+
+    return engine;
+  }
+
+  /**
+   * Get the game state after a number of commands have been executed
+   * @param {number} commandCount - Number of commands to apply (defaults to all)
+   * @returns {GameState} Rebuilt game state
+   */
+  getStateAt(commandCount = this.commands.length) {
+    return this.buildEngine(commandCount).gameState;
+  }
+
+  /**
+   * Re-execute a single recorded command
+   * @param {GameEngine} engine - Engine to execute the command on
+   * @param {Object} command - Recorded command
+   */
+  applyCommand(engine, command) {
+    if (command.rngState !== undefined) {
+      engine.gameState.rng.setState(command.rngState);
+    }
+
+    const result = engine.executeCommand({
+      type: command.type,
+      playerId: command.playerId,
+      payload: command.payload
+    });
+
+    if (!result.success) {
+      throw new Error(`Replay diverged at command ${command.id} (${command.type}): ${result.error || 'command rejected'}`);
+    }
+  }
+
+  /**
+   * Find where each player turn starts in the command log
+   * @returns {Object[]} One entry per turn: { commandIndex, turn, playerId }
+   */
+  getTurnStarts() {
+    if (this.turnStarts) return this.turnStarts;
+
+    const engine = new GameEngine(JSON.parse(JSON.stringify(this.config)));
+    const gameState = engine.initializeGame();
+    const turnStarts = [{
+      commandIndex: 0,
+      turn: gameState.turn,
+      playerId: gameState.players[gameState.currentPlayerIndex].id
+    }];
+
+    this.commands.forEach((command, index) => {
+      const previousPlayerIndex = gameState.currentPlayerIndex;
+      const previousTurn = gameState.turn;
+
+      this.applyCommand(engine, command);
+
+      // A new turn starts whenever play passes to another player
+      if (gameState.currentPlayerIndex !== previousPlayerIndex || gameState.turn !== previousTurn) {
+        turnStarts.push({
+          commandIndex: index + 1,
+          turn: gameState.turn,
+          playerId: gameState.players[gameState.currentPlayerIndex].id
+        });
+      }
+    });
+
+    this.turnStarts = turnStarts;
+    return turnStarts;
+  }
+}
+
+export default GameReplay;
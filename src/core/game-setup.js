@@ -0,0 +1,171 @@
+/**
+ * Game setup for Risk-inspired strategy game
+ *
+ * A new game is set up seat by seat: each seat has a name and color and is
+ * played by a human or by an AI with a strategy and difficulty. The seats are
+ * kept in `config.seats`, in the same order as the game's players, so a saved
+ * game can bring its AI opponents back exactly as they were chosen.
+ */
+
+import { AIPlayerFactory } from './ai-player.js';
+import SeededRandom from './random.js';
+
+// Seats a game can be set up with
+const MIN_SEATS = 2;
+const MAX_SEATS = 6;
+
+// Colors a seat can play as, in the order new seats are given them
+const PLAYER_COLORS = ['red', 'blue', 'green', 'yellow', 'black', 'purple', 'orange', 'teal'];
+
+// AI strategies a seat can be played by ('random' picks one when the game starts)
+const AI_STRATEGIES = ['aggressive', 'defensive', 'expansionist', 'balanced', 'random'];
+const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Create a seat with the default name, color and AI for its position
+ * @param {number} index - Position of the seat (0 for the first)
+ * @returns {Object} Seat ({ name, color, type, strategy, difficulty })
+ */
+function createSeat(index) {
+  const human = index === 0;
+  return {
+    name: human ? 'Player 1' : `AI Player ${index}`,
+    color: PLAYER_COLORS[index % PLAYER_COLORS.length],
+    type: human ? 'human' : 'ai',
+    // Opponents take turns at each strategy, as they did before seats could be chosen
+    strategy: AI_STRATEGIES[index % 4],
+    difficulty: 'medium'
+  };
+}
+
+/**
+ * Create seats for the usual game of one human against AI opponents
+ * @param {number} count - Number of seats
+ * @returns {Object[]} Seats
+ */
+function createDefaultSeats(count) {
+  return Array.from({ length: count }, (_, index) => createSeat(index));
+}
+
+/**
+ * Add or remove seats to reach a number, keeping the seats already set up
+ * @param {Object[]} seats - Current seats
+ * @param {number} count - Number of seats wanted
+ * @returns {Object[]} Seats
+ */
+function resizeSeats(seats, count) {
+  const resized = seats.slice(0, count);
+  for (let index = resized.length; index < count; index++) {
+    const seat = createSeat(index);
+    // New seats get the first color no one else is using
+    seat.color = PLAYER_COLORS.find(color => !resized.some(s => s.color === color)) || seat.color;
+    resized.push(seat);
+  }
+  return resized;
+}
+
+/**
+ * Check that a set of seats can start a game
+ * @param {Object[]} seats - Seats to check
+ * @returns {string|null} What is wrong with the seats, or null if they are fine
+ */
+function validateSeats(seats) {
+  if (!Array.isArray(seats) || seats.length < MIN_SEATS || seats.length > MAX_SEATS) {
+    return `A game needs ${MIN_SEATS} to ${MAX_SEATS} players`;
+  }
+
+  for (const seat of seats) {
+    if (!seat.name || !seat.name.trim()) {
+      return 'Every player needs a name';
+    }
+    if (seat.type !== 'human' && seat.type !== 'ai') {
+      return `Unknown player type '${seat.type}'`;
+    }
+    if (seat.type === 'ai' && !AI_STRATEGIES.includes(seat.strategy)) {
+      return `Unknown AI strategy '${seat.strategy}'`;
+    }
+    if (seat.type === 'ai' && !AI_DIFFICULTIES.includes(seat.difficulty)) {
+      return `Unknown AI difficulty '${seat.difficulty}'`;
+    }
+  }
+
+  const colors = seats.map(seat => seat.color);
+  if (new Set(colors).size !== colors.length) {
+    return 'Each player needs a different color';
+  }
+
+  return null;
+}
+
+/**
+ * Create the AI for every AI seat in a game
+ * @param {Object} gameState - The current game state
+ * @returns {Object} AI players by player ID
+ */
+function createSeatAIs(gameState) {
+  const seats = gameState.config.seats;
+  const ais = {};
+
+  // Games started before seats could be chosen: one human, then AI opponents taking turns at each strategy
+  if (!seats) {
+    gameState.players.forEach((player, index) => {
+      if (player.id.startsWith('ai')) {
+        ais[player.id] = AIPlayerFactory.createAI(player.id, createSeat(index).strategy, 'medium');
+      }
+    });
+    return ais;
+  }
+
+  // Random strategies come from their own generator so they are the same each time the game is loaded
+  const strategyRng = new SeededRandom(`${gameState.config.seed}-strategies`);
+  gameState.players.forEach((player, index) => {
+    const seat = seats[index];
+    if (seat && seat.type === 'ai') {
+      ais[player.id] = AIPlayerFactory.createAI(player.id, seat.strategy, seat.difficulty, strategyRng);
+    }
+  });
+  return ais;
+}
+
+/**
+ * Get the IDs of the players controlled by humans
+ * @param {Object} gameState - The current game state
+ * @returns {string[]} Player IDs
+ */
+function getHumanPlayerIds(gameState) {
+  const seats = gameState.config.seats;
+  return gameState.players
+    .filter((player, index) => seats ? seats[index] && seats[index].type === 'human' : !player.id.startsWith('ai'))
+    .map(player => player.id);
+}
+
+/**
+ * Get the human player the device has to be passed to before play can go on.
+ * In hot-seat games (more than one human seat) nothing of a player's turn is
+ * shown until they have taken the device from whoever sat at it before them.
+ * @param {Object} gameState - The current game state
+ * @param {string} viewerId - ID of the human player currently at the screen
+ * @returns {Player|null} Player to pass the device to, or null if the viewer can play on
+ */
+function getHandoffPlayer(gameState, viewerId) {
+  if (gameState.gameOver) return null;
+
+  const player = gameState.players[gameState.currentPlayerIndex];
+  if (!player || player.id === viewerId || player.eliminated) return null;
+
+  return getHumanPlayerIds(gameState).includes(player.id) ? player : null;
+}
+
+export {
+  MIN_SEATS,
+  MAX_SEATS,
+  PLAYER_COLORS,
+  AI_STRATEGIES,
+  AI_DIFFICULTIES,
+  createDefaultSeats,
+  resizeSeats,
+  validateSeats,
+  createSeatAIs,
+  getHumanPlayerIds,
+  getHandoffPlayer
+};
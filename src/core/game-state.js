@@ -5,6 +5,8 @@
 import ResourceManager from './resource-manager.js';
 import TechManager from './tech-manager.js';
 import CombatSystem from './combat-system.js';
+import { getRandom } from './random.js';
+import { getRules, getCardSetValue } from './rule-sets.js';
 
 /**
  * Represents the complete game state with enhanced systems
@@ -175,7 +177,7 @@ class GameState {
     });
     
     // Chance to trigger a new event
-    if (Math.random() < 0.2) { // 20% chance per turn
+    if (getRandom(this).next() < 0.2) { // 20% chance per turn
       this.triggerRandomEvent();
     }
   }
@@ -210,15 +212,16 @@ class GameState {
       'civil-unrest'
     ];
     
-    const randomType = eventTypes[Math.floor(Math.random() * eventTypes.length)];
+    const rng = getRandom(this);
+    const randomType = rng.pick(eventTypes);
     
     const newEvent = {
       type: randomType,
       name: this.getEventName(randomType),
       description: this.getEventDescription(randomType),
-      turnsRemaining: 2 + Math.floor(Math.random() * 3), // 2-4 turns
+      turnsRemaining: 2 + rng.nextInt(3), // 2-4 turns
       affectedPlayers: ['all'],
-      affectedTerritories: this.getRandomTerritories(1 + Math.floor(Math.random() * 3)), // 1-3 territories
+      affectedTerritories: this.getRandomTerritories(1 + rng.nextInt(3)), // 1-3 territories
       effects: this.getEventEffects(randomType)
     };
     
@@ -289,7 +292,7 @@ class GameState {
    * @returns {string[]} Array of territory IDs
    */
   getRandomTerritories(count) {
-    const shuffled = [...this.territories].sort(() => 0.5 - Math.random());
+    const shuffled = getRandom(this).shuffle([...this.territories]);
     return shuffled.slice(0, count).map(t => t.id);
   }
 
@@ -575,15 +578,7 @@ class GameState {
    * @returns {number} Number of armies awarded
    */
   calculateArmiesForSet(setNumber) {
-    if (setNumber <= 1) return 4;
-    if (setNumber === 2) return 6;
-    if (setNumber === 3) return 8;
-    if (setNumber === 4) return 10;
-    if (setNumber === 5) return 12;
-    if (setNumber === 6) return 15;
-    
-    // After the 6th set, each additional set is worth 5 more armies
-    return 15 + (setNumber - 6) * 5;
+    return getCardSetValue(getRules(this), setNumber);
   }
 
   /**
@@ -0,0 +1,260 @@
+/**
+ * Map editing operations for Risk-inspired strategy game
+ *
+ * Each operation takes a map in the format described in docs/map-format.md and
+ * returns an updated copy, leaving the original untouched so the editor can
+ * keep maps in React state.
+ */
+
+// Colors offered to new continents, in order
+const CONTINENT_COLORS = ['#FFC0CB', '#FFFF00', '#0000FF', '#FFA500', '#00FF00', '#800080', '#00CED1', '#A52A2A'];
+
+/**
+ * Deep copy a map definition
+ * @param {Object} mapData - Map definition
+ * @returns {Object} Copy of the map
+ */
+function cloneMap(mapData) {
+  return JSON.parse(JSON.stringify(mapData));
+}
+
+/**
+ * Create an ID that is not used by any territory or continent in the map
+ * @param {Object} mapData - Map definition
+ * @param {string} prefix - ID prefix
+ * @returns {string} Unused ID
+ */
+function createUniqueId(mapData, prefix) {
+  const usedIds = new Set([
+    ...mapData.territories.map(t => t.id),
+    ...mapData.continents.map(c => c.id)
+  ]);
+
+  let index = 1;
+  while (usedIds.has(`${prefix}-${index}`)) {
+    index++;
+  }
+  return `${prefix}-${index}`;
+}
+
+/**
+ * Create an empty map with a single continent to place territories in
+ * @param {string} id - Map ID
+ * @param {string} name - Map name
+ * @returns {Object} Map definition
+ */
+function createBlankMap(id = 'custom-map', name = 'Custom Map') {
+  return {
+    id,
+    name,
+    width: 800,
+    height: 500,
+    continents: [
+      { id: 'continent-1', name: 'Continent 1', bonusArmies: 0, color: CONTINENT_COLORS[0] }
+    ],
+    territories: []
+  };
+}
+
+/**
+ * Add a territory at a position on the board
+ * @param {Object} mapData - Map definition
+ * @param {Object} coordinates - Position of the territory ({ x, y })
+ * @param {string} continentId - Continent for the territory (defaults to the first continent)
+ * @returns {Object} Updated map and the ID of the new territory ({ mapData, territoryId })
+ */
+function addTerritory(mapData, coordinates, continentId = null) {
+  const updated = cloneMap(mapData);
+  const territoryId = createUniqueId(updated, 'territory');
+
+  updated.territories.push({
+    id: territoryId,
+    name: `Territory ${updated.territories.length + 1}`,
+    continent: continentId || (updated.continents[0] ? updated.continents[0].id : ''),
+    adjacent: [],
+    coordinates: { x: Math.round(coordinates.x), y: Math.round(coordinates.y) },
+    resources: {},
+    features: {}
+  });
+
+  return { mapData: updated, territoryId };
+}
+
+/**
+ * Update a territory's fields. Renaming the ID updates every adjacency list
+ * and sea lane that refers to the territory.
+ * @param {Object} mapData - Map definition
+ * @param {string} territoryId - ID of the territory to update
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Updated map
+ */
+function updateTerritory(mapData, territoryId, changes) {
+  const updated = cloneMap(mapData);
+  const territory = updated.territories.find(t => t.id === territoryId);
+  if (!territory) return updated;
+
+  Object.assign(territory, cloneMap(changes));
+
+  if (changes.id && changes.id !== territoryId) {
+    updated.territories.forEach(t => {
+      t.adjacent = t.adjacent.map(adjId => (adjId === territoryId ? changes.id : adjId));
+    });
+    if (updated.seaLanes) {
+      updated.seaLanes = updated.seaLanes.map(lane => lane.map(id => (id === territoryId ? changes.id : id)));
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a territory and every link and sea lane to it
+ * @param {Object} mapData - Map definition
+ * @param {string} territoryId - ID of the territory to remove
+ * @returns {Object} Updated map
+ */
+function removeTerritory(mapData, territoryId) {
+  const updated = cloneMap(mapData);
+
+  updated.territories = updated.territories.filter(t => t.id !== territoryId);
+  updated.territories.forEach(t => {
+    t.adjacent = t.adjacent.filter(adjId => adjId !== territoryId);
+  });
+  if (updated.seaLanes) {
+    updated.seaLanes = updated.seaLanes.filter(lane => !lane.includes(territoryId));
+  }
+
+  return updated;
+}
+
+/**
+ * Link two territories, or unlink them if they are already adjacent.
+ * Links are always added and removed in both directions.
+ * @param {Object} mapData - Map definition
+ * @param {string} firstId - ID of the first territory
+ * @param {string} secondId - ID of the second territory
+ * @returns {Object} Updated map
+ */
+function toggleAdjacency(mapData, firstId, secondId) {
+  const updated = cloneMap(mapData);
+  const first = updated.territories.find(t => t.id === firstId);
+  const second = updated.territories.find(t => t.id === secondId);
+  if (!first || !second || firstId === secondId) return updated;
+
+  if (first.adjacent.includes(secondId)) {
+    first.adjacent = first.adjacent.filter(id => id !== secondId);
+    second.adjacent = second.adjacent.filter(id => id !== firstId);
+  } else {
+    first.adjacent.push(secondId);
+    if (!second.adjacent.includes(firstId)) {
+      second.adjacent.push(firstId);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Add a sea lane between two territories, or remove it if it already exists.
+ * Both ends need a port for the map to be valid.
+ * @param {Object} mapData - Map definition
+ * @param {string} firstId - ID of the first territory
+ * @param {string} secondId - ID of the second territory
+ * @returns {Object} Updated map
+ */
+function toggleSeaLane(mapData, firstId, secondId) {
+  const updated = cloneMap(mapData);
+  if (firstId === secondId) return updated;
+
+  const seaLanes = updated.seaLanes || [];
+  const exists = seaLanes.some(lane => lane.includes(firstId) && lane.includes(secondId));
+
+  updated.seaLanes = exists
+    ? seaLanes.filter(lane => !(lane.includes(firstId) && lane.includes(secondId)))
+    : [...seaLanes, [firstId, secondId]];
+
+  return updated;
+}
+
+/**
+ * Add a new continent
+ * @param {Object} mapData - Map definition
+ * @returns {Object} Updated map and the ID of the new continent ({ mapData, continentId })
+ */
+function addContinent(mapData) {
+  const updated = cloneMap(mapData);
+  const continentId = createUniqueId(updated, 'continent');
+
+  updated.continents.push({
+    id: continentId,
+    name: `Continent ${updated.continents.length + 1}`,
+    bonusArmies: 0,
+    color: CONTINENT_COLORS[updated.continents.length % CONTINENT_COLORS.length]
+  });
+
+  return { mapData: updated, continentId };
+}
+
+/**
+ * Update a continent's fields. Renaming the ID moves its territories along with it.
+ * @param {Object} mapData - Map definition
+ * @param {string} continentId - ID of the continent to update
+ * @param {Object} changes - Fields to change
+ * @returns {Object} Updated map
+ */
+function updateContinent(mapData, continentId, changes) {
+  const updated = cloneMap(mapData);
+  const continent = updated.continents.find(c => c.id === continentId);
+  if (!continent) return updated;
+
+  Object.assign(continent, changes);
+
+  if (changes.id && changes.id !== continentId) {
+    updated.territories.forEach(t => {
+      if (t.continent === continentId) {
+        t.continent = changes.id;
+      }
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a continent that has no territories
+ * @param {Object} mapData - Map definition
+ * @param {string} continentId - ID of the continent to remove
+ * @returns {Object} Result with success flag, error message and the updated map
+ */
+function removeContinent(mapData, continentId) {
+  if (mapData.territories.some(t => t.continent === continentId)) {
+    return { success: false, error: 'Move or delete the territories in this continent first', mapData };
+  }
+
+  const updated = cloneMap(mapData);
+  updated.continents = updated.continents.filter(c => c.id !== continentId);
+  return { success: true, mapData: updated };
+}
+
+/**
+ * Convert a map to JSON for export
+ * @param {Object} mapData - Map definition
+ * @returns {string} Formatted JSON
+ */
+function exportMap(mapData) {
+  return JSON.stringify(mapData, null, 2);
+}
+
+export {
+  createBlankMap,
+  cloneMap,
+  addTerritory,
+  updateTerritory,
+  removeTerritory,
+  toggleAdjacency,
+  toggleSeaLane,
+  addContinent,
+  updateContinent,
+  removeContinent,
+  exportMap
+};
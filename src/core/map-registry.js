@@ -0,0 +1,333 @@
+/**
+ * Map registry for Risk-inspired strategy game
+ */
+
+import classicMap from '../assets/maps/classic-map.js';
+import europeMap from '../assets/maps/europe-map.js';
+import pacificMap from '../assets/maps/pacific-map.js';
+import duelMap from '../assets/maps/duel-map.js';
+
+// Territory feature flags a map may set (see docs/map-format.md)
+const TERRITORY_FEATURES = ['hasResearchCenter', 'hasCapital', 'hasPort'];
+
+// Resource types a territory may produce
+const RESOURCE_TYPES = ['food', 'production', 'research', 'wealth'];
+
+// Registered maps by ID
+const maps = new Map();
+
+/**
+ * Check a map definition against the map format.
+ * Problems are collected rather than thrown so a map author sees every
+ * mistake at once.
+ * @param {Object} mapData - Map definition
+ * @returns {Object} Result with valid flag and a list of error messages
+ */
+function validateMap(mapData) {
+  const errors = [];
+
+  if (!mapData || typeof mapData !== 'object') {
+    return { valid: false, errors: ['Map data must be an object'] };
+  }
+
+  if (typeof mapData.id !== 'string' || mapData.id.trim() === '') {
+    errors.push('Map must have a non-empty string id');
+  }
+  if (typeof mapData.name !== 'string' || mapData.name.trim() === '') {
+    errors.push('Map must have a non-empty string name');
+  }
+  if (mapData.width !== undefined && !(Number.isFinite(mapData.width) && mapData.width > 0)) {
+    errors.push('Map width must be a positive number');
+  }
+  if (mapData.height !== undefined && !(Number.isFinite(mapData.height) && mapData.height > 0)) {
+    errors.push('Map height must be a positive number');
+  }
+
+  const continents = Array.isArray(mapData.continents) ? mapData.continents : null;
+  const territories = Array.isArray(mapData.territories) ? mapData.territories : null;
+
+  if (!continents || continents.length === 0) {
+    errors.push('Map must define at least one continent');
+  }
+  if (!territories || territories.length === 0) {
+    errors.push('Map must define at least one territory');
+  }
+  if (!continents || !territories) {
+    return { valid: false, errors };
+  }
+
+  // Continents: unique IDs and well-formed fields
+  const continentIds = new Set();
+  continents.forEach((continent, index) => {
+    const label = continent && continent.id ? `Continent '${continent.id}'` : `Continent #${index + 1}`;
+
+    if (!continent || typeof continent.id !== 'string' || continent.id === '') {
+      errors.push(`${label} must have a non-empty string id`);
+      return;
+    }
+    if (continentIds.has(continent.id)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    continentIds.add(continent.id);
+
+    if (typeof continent.name !== 'string' || continent.name === '') {
+      errors.push(`${label} must have a name`);
+    }
+    if (continent.color !== undefined && typeof continent.color !== 'string') {
+      errors.push(`${label} color must be a string`);
+    }
+  });
+
+  // Territories: unique IDs, a known continent, coordinates, resources and features
+  const territoryIds = new Set();
+  territories.forEach((territory, index) => {
+    const label = territory && territory.id ? `Territory '${territory.id}'` : `Territory #${index + 1}`;
+
+    if (!territory || typeof territory.id !== 'string' || territory.id === '') {
+      errors.push(`${label} must have a non-empty string id`);
+      return;
+    }
+    if (territoryIds.has(territory.id)) {
+      errors.push(`${label} is defined more than once`);
+    }
+    if (continentIds.has(territory.id)) {
+      errors.push(`${label} uses the same id as a continent`);
+    }
+    territoryIds.add(territory.id);
+
+    if (typeof territory.name !== 'string' || territory.name === '') {
+      errors.push(`${label} must have a name`);
+    }
+
+    if (typeof territory.continent !== 'string') {
+      errors.push(`${label} must belong to exactly one continent`);
+    } else if (!continentIds.has(territory.continent)) {
+      errors.push(`${label} belongs to unknown continent '${territory.continent}'`);
+    }
+
+    const { coordinates } = territory;
+    if (!coordinates || !Number.isFinite(coordinates.x) || !Number.isFinite(coordinates.y)) {
+      errors.push(`${label} must have numeric x and y coordinates`);
+    }
+
+    if (!Array.isArray(territory.adjacent)) {
+      errors.push(`${label} must list its adjacent territories`);
+    }
+
+    if (territory.resources !== undefined) {
+      Object.entries(territory.resources).forEach(([type, amount]) => {
+        if (!RESOURCE_TYPES.includes(type)) {
+          errors.push(`${label} has unknown resource '${type}'`);
+        } else if (!Number.isInteger(amount) || amount < 0) {
+          errors.push(`${label} resource '${type}' must be a non-negative integer`);
+        }
+      });
+    }
+
+    if (territory.features !== undefined) {
+      Object.entries(territory.features).forEach(([feature, enabled]) => {
+        if (!TERRITORY_FEATURES.includes(feature)) {
+          errors.push(`${label} has unknown feature '${feature}'`);
+        } else if (typeof enabled !== 'boolean') {
+          errors.push(`${label} feature '${feature}' must be true or false`);
+        }
+      });
+    }
+  });
+
+  // Adjacency: known targets, no self-links or duplicates, and symmetric
+  const territoryById = new Map(territories.filter(t => t && t.id).map(t => [t.id, t]));
+  territoryById.forEach(territory => {
+    if (!Array.isArray(territory.adjacent)) return;
+    const label = `Territory '${territory.id}'`;
+    const seen = new Set();
+
+    territory.adjacent.forEach(adjId => {
+      if (adjId === territory.id) {
+        errors.push(`${label} is adjacent to itself`);
+        return;
+      }
+      if (seen.has(adjId)) {
+        errors.push(`${label} lists '${adjId}' as adjacent more than once`);
+        return;
+      }
+      seen.add(adjId);
+
+      const neighbour = territoryById.get(adjId);
+      if (!neighbour) {
+        errors.push(`${label} is adjacent to unknown territory '${adjId}'`);
+      } else if (!Array.isArray(neighbour.adjacent) || !neighbour.adjacent.includes(territory.id)) {
+        errors.push(`${label} is adjacent to '${adjId}' but '${adjId}' is not adjacent to '${territory.id}'`);
+      }
+    });
+  });
+
+  // Sea lanes: pairs of distinct ports that do not already share a border
+  const seaLanes = mapData.seaLanes === undefined ? [] : mapData.seaLanes;
+  const laneNeighbours = new Map();
+  if (!Array.isArray(seaLanes)) {
+    errors.push('Map seaLanes must be a list of territory ID pairs');
+  } else {
+    const seenLanes = new Set();
+
+    seaLanes.forEach((lane, index) => {
+      if (!Array.isArray(lane) || lane.length !== 2) {
+        errors.push(`Sea lane #${index + 1} must be a pair of territory IDs`);
+        return;
+      }
+
+      const [firstId, secondId] = lane;
+      const label = `Sea lane '${firstId}'-'${secondId}'`;
+      const first = territoryById.get(firstId);
+      const second = territoryById.get(secondId);
+
+      if (!first || !second) {
+        errors.push(`${label} links unknown territory '${first ? secondId : firstId}'`);
+        return;
+      }
+      if (firstId === secondId) {
+        errors.push(`${label} links a territory to itself`);
+        return;
+      }
+
+      const key = [firstId, secondId].sort().join('|');
+      if (seenLanes.has(key)) {
+        errors.push(`${label} is defined more than once`);
+      }
+      seenLanes.add(key);
+
+      if (Array.isArray(first.adjacent) && first.adjacent.includes(secondId)) {
+        errors.push(`${label} links territories that are already adjacent`);
+      }
+      [first, second].forEach(territory => {
+        if (!territory.features || territory.features.hasPort !== true) {
+          errors.push(`${label} uses '${territory.id}', which has no port`);
+        }
+      });
+
+      laneNeighbours.set(firstId, [...(laneNeighbours.get(firstId) || []), secondId]);
+      laneNeighbours.set(secondId, [...(laneNeighbours.get(secondId) || []), firstId]);
+    });
+  }
+
+  // Every territory must be reachable from every other, by land or sea
+  if (territoryById.size > 0) {
+    const [startId] = territoryById.keys();
+    const reached = new Set([startId]);
+    const queue = [startId];
+
+    while (queue.length > 0) {
+      const current = territoryById.get(queue.shift());
+      const neighbours = [
+        ...(Array.isArray(current.adjacent) ? current.adjacent : []),
+        ...(laneNeighbours.get(current.id) || [])
+      ];
+      neighbours.forEach(adjId => {
+        if (territoryById.has(adjId) && !reached.has(adjId)) {
+          reached.add(adjId);
+          queue.push(adjId);
+        }
+      });
+    }
+
+    const unreachable = [...territoryById.keys()].filter(id => !reached.has(id));
+    if (unreachable.length > 0) {
+      errors.push(`Map is not connected: cannot reach ${unreachable.map(id => `'${id}'`).join(', ')} from '${startId}'`);
+    }
+  }
+
+  // Continent bonuses: every continent needs territories and a bonus no larger than its size
+  continents.forEach(continent => {
+    if (!continent || typeof continent.id !== 'string') return;
+    const label = `Continent '${continent.id}'`;
+    const size = territories.filter(t => t && t.continent === continent.id).length;
+
+    if (size === 0) {
+      errors.push(`${label} has no territories`);
+    }
+    if (!Number.isInteger(continent.bonusArmies) || continent.bonusArmies < 0) {
+      errors.push(`${label} bonusArmies must be a non-negative integer`);
+    } else if (size > 0 && continent.bonusArmies > size) {
+      errors.push(`${label} bonusArmies (${continent.bonusArmies}) is larger than its ${size} territories`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Add a map to the registry
+ * @param {Object|string} mapData - Map definition, or the same definition as a JSON string
+ * @returns {Object} Result with success flag and any validation errors
+ */
+function registerMap(mapData) {
+  let data = mapData;
+
+  if (typeof mapData === 'string') {
+    try {
+      data = JSON.parse(mapData);
+    } catch (error) {
+      return { success: false, error: `Invalid map JSON: ${error.message}`, errors: [error.message] };
+    }
+  }
+
+  const { valid, errors } = validateMap(data);
+  if (!valid) {
+    return { success: false, error: `Map '${data && data.id}' is invalid`, errors };
+  }
+
+  maps.set(data.id, data);
+  return { success: true, mapId: data.id };
+}
+
+/**
+ * Get a registered map
+ * @param {string} mapId - ID of the map
+ * @returns {Object|null} Map definition, or null if no map has this ID
+ */
+function getMap(mapId) {
+  return maps.get(mapId) || null;
+}
+
+/**
+ * Get a registered map, validating it before use
+ * @param {string} mapId - ID of the map
+ * @returns {Object} Map definition
+ * @throws {Error} If the map is not registered or fails validation
+ */
+function loadMap(mapId) {
+  const mapData = getMap(mapId);
+  if (!mapData) {
+    throw new Error(`Map '${mapId}' not found. Available maps: ${[...maps.keys()].join(', ')}`);
+  }
+
+  const { valid, errors } = validateMap(mapData);
+  if (!valid) {
+    throw new Error(`Map '${mapId}' is invalid:\n- ${errors.join('\n- ')}`);
+  }
+
+  return mapData;
+}
+
+/**
+ * List the registered maps
+ * @returns {Object[]} Summary of each map ({ id, name, territoryCount, continentCount })
+ */
+function listMaps() {
+  return [...maps.values()].map(mapData => ({
+    id: mapData.id,
+    name: mapData.name,
+    territoryCount: mapData.territories.length,
+    continentCount: mapData.continents.length
+  }));
+}
+
+// Bundled maps
+[classicMap, europeMap, pacificMap, duelMap].forEach(mapData => {
+  const result = registerMap(mapData);
+  if (!result.success) {
+    console.error(`Bundled map '${mapData.id}' is invalid:`, result.errors);
+  }
+});
+
+export { validateMap, registerMap, getMap, loadMap, listMaps, TERRITORY_FEATURES, RESOURCE_TYPES };
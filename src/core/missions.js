@@ -0,0 +1,217 @@
+/**
+ * Secret missions for Risk-inspired strategy game
+ *
+ * When missions are enabled every player is dealt a mission at the start of
+ * the game. Only its holder sees it; completing it wins the game. The deck is
+ * built from the map being played, so every map gets missions that fit it.
+ * Scenarios give their objectives as missions too (see scenarios.js),
+ * including holding a list of named territories, which the deck never deals.
+ */
+
+import { getTotalArmies } from './game-helpers.js';
+
+// Continent pairs to put in the deck, chosen by how close they are to a third of the map
+const MAX_CONTINENT_MISSIONS = 6;
+
+// Territory missions from the classic game, scaled to the map's size
+const CLASSIC_TERRITORY_COUNT = 42;
+const TERRITORY_MISSIONS = [
+  { count: 24, minArmies: 2 },
+  { count: 18, minArmies: 3 }
+];
+
+// Territories an eliminate-player mission falls back to when someone else gets there first
+const FALLBACK_TERRITORY_COUNT = 24;
+
+/**
+ * Scale a territory count from the classic map to the game being played. The
+ * count is never below a player's starting share plus a sixth of the map, so
+ * no one is dealt a mission they have already completed.
+ * @param {number} count - Count on the classic map
+ * @param {number} territoryCount - Number of territories on this map
+ * @param {number} playerCount - Number of players in the game
+ * @returns {number} Scaled count
+ */
+function scaleTerritoryCount(count, territoryCount, playerCount) {
+  const scaled = Math.round(count * territoryCount / CLASSIC_TERRITORY_COUNT);
+  const minimum = Math.ceil(territoryCount / playerCount) + Math.ceil(territoryCount / 6);
+  return Math.min(territoryCount, Math.max(scaled, minimum));
+}
+
+/**
+ * Build the mission deck for a game
+ * @param {Object} gameState - The current game state
+ * @returns {Object[]} Unshuffled list of missions
+ */
+function createMissionDeck(gameState) {
+  const { continents, territories, players } = gameState;
+  const missions = [];
+
+  // Hold two continents
+  const target = territories.length / 3;
+  const pairs = [];
+  continents.forEach((first, i) => {
+    continents.slice(i + 1).forEach(second => {
+      const size = first.territories.length + second.territories.length;
+      pairs.push({ continentIds: [first.id, second.id], distance: Math.abs(size - target) });
+    });
+  });
+  pairs
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_CONTINENT_MISSIONS)
+    .forEach(({ continentIds }) => {
+      missions.push({ id: `hold-${continentIds.join('-')}`, type: 'hold-continents', continentIds });
+    });
+
+  // Hold a number of territories with enough armies in each
+  TERRITORY_MISSIONS.forEach(({ count, minArmies }) => {
+    const scaled = scaleTerritoryCount(count, territories.length, players.length);
+    missions.push({ id: `hold-${scaled}-territories`, type: 'hold-territories', count: scaled, minArmies });
+  });
+
+  // Eliminate a player, by color
+  players.forEach(player => {
+    missions.push({
+      id: `eliminate-${player.color}`,
+      type: 'eliminate-player',
+      targetPlayerId: player.id,
+      fallback: {
+        type: 'hold-territories',
+        count: scaleTerritoryCount(FALLBACK_TERRITORY_COUNT, territories.length, players.length),
+        minArmies: 1
+      }
+    });
+  });
+
+  return missions;
+}
+
+/**
+ * Deal a mission to every player from a shuffled deck. A player dealt the
+ * mission to eliminate themselves gets its fallback instead.
+ * @param {Object} gameState - The current game state
+ * @param {Object[]} deck - Shuffled mission deck
+ */
+function dealMissions(gameState, deck) {
+  const remaining = [...deck];
+
+  gameState.players.forEach(player => {
+    const mission = remaining.pop();
+    if (mission.type === 'eliminate-player' && mission.targetPlayerId === player.id) {
+      player.mission = { id: `${mission.id}-fallback`, ...mission.fallback };
+    } else {
+      player.mission = mission;
+    }
+  });
+}
+
+/**
+ * Check whether a player has completed their mission
+ * @param {Object} gameState - The current game state
+ * @param {Object} player - The player to check
+ * @returns {boolean} True if the mission is complete
+ */
+function isMissionComplete(gameState, player) {
+  const mission = player.mission;
+  if (!mission || player.eliminated) return false;
+
+  switch (mission.type) {
+    case 'hold-continents':
+      return mission.continentIds.every(continentId => {
+        const continent = gameState.continents.find(c => c.id === continentId);
+        return continent && continent.territories.every(id => player.territories.includes(id));
+      });
+
+    case 'hold-territories': {
+      const held = gameState.territories.filter(t =>
+        t.occupyingPlayer === player.id && getTotalArmies(t) >= mission.minArmies
+      );
+      return held.length >= mission.count;
+    }
+
+    case 'hold-named-territories':
+      return mission.territoryIds.every(id => player.territories.includes(id));
+
+    case 'eliminate-player': {
+      const targetPlayer = gameState.players.find(p => p.id === mission.targetPlayerId);
+      if (!targetPlayer || !targetPlayer.eliminated) return false;
+      if (targetPlayer.eliminatedBy === player.id) return true;
+
+      // Someone else eliminated the target first
+      return isMissionComplete(gameState, { ...player, mission: mission.fallback });
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check for a mission victory and end the game if there is one. The given
+ * player is checked first, so the player who just moved wins ties.
+ * @param {Object} gameState - The current game state
+ * @param {Object} activePlayer - Player to check first (optional)
+ * @returns {boolean} True if a player has won
+ */
+function checkMissionVictory(gameState, activePlayer = null) {
+  const victoryConditions = gameState.config.victoryConditions || [];
+  if (!gameState.config.enableMissions || !victoryConditions.includes('missions')) {
+    return false;
+  }
+
+  const players = activePlayer
+    ? [activePlayer, ...gameState.players.filter(p => p.id !== activePlayer.id)]
+    : gameState.players;
+
+  const winner = players.find(player => isMissionComplete(gameState, player));
+  if (!winner) return false;
+
+  gameState.gameOver = true;
+  gameState.winner = winner;
+  gameState.victoryType = 'missions';
+  return true;
+}
+
+/**
+ * Describe a mission for its holder
+ * @param {Object} gameState - The current game state
+ * @param {Object} mission - The mission
+ * @returns {string} Description of the mission
+ */
+function describeMission(gameState, mission) {
+  if (!mission) return '';
+
+  switch (mission.type) {
+    case 'hold-continents': {
+      const names = mission.continentIds.map(id => {
+        const continent = gameState.continents.find(c => c.id === id);
+        return continent ? continent.name : id;
+      });
+      return `Conquer ${names.join(' and ')}`;
+    }
+
+    case 'hold-territories':
+      return mission.minArmies > 1
+        ? `Hold ${mission.count} territories with at least ${mission.minArmies} armies in each`
+        : `Hold ${mission.count} territories`;
+
+    case 'hold-named-territories': {
+      const names = mission.territoryIds.map(id => {
+        const territory = gameState.territories.find(t => t.id === id);
+        return territory ? territory.name : id;
+      });
+      return `Hold ${names.join(', ')}`;
+    }
+
+    case 'eliminate-player': {
+      const targetPlayer = gameState.players.find(p => p.id === mission.targetPlayerId);
+      const targetName = targetPlayer ? `${targetPlayer.name} (${targetPlayer.color})` : mission.targetPlayerId;
+      return `Eliminate ${targetName}. If another player eliminates them first: ${describeMission(gameState, mission.fallback).toLowerCase()}`;
+    }
+
+    default:
+      return 'Unknown mission';
+  }
+}
+
+export { createMissionDeck, dealMissions, isMissionComplete, checkMissionVictory, describeMission };
@@ -6,6 +6,10 @@
 import TechManager from './tech-manager.js';
 import ResourceManager from './resource-manager.js';
 import EventsManager from './events/events-manager.js';
+import SeededRandom from './random.js';
+import { countCapitalsHeld, checkCapitalsVictory } from './capitals.js';
+import { checkMissionVictory } from './missions.js';
+import { CLASSIC_RULES, createRules, getArmyValue } from './rule-sets.js';
 
 /**
  * Represents a territory on the game board
@@ -36,6 +40,9 @@ class Territory {
       hasCapital: false,
       hasPort: false
     };
+    this.seaLanes = []; // IDs of ports reachable by sea from this territory's port
+    this.capitalOf = null; // ID of the player whose capital this is (capitals mode)
+    this.unitValues = CLASSIC_RULES.unitValues; // Army value of each unit type, from the game's rules
   }
 
   /**
@@ -43,7 +50,7 @@ class Territory {
    * @returns {number} Total army count
    */
   getTotalArmies() {
-    return this.armies.infantry + (this.armies.cavalry * 3) + (this.armies.artillery * 5);
+    return getArmyValue(this.armies, this.unitValues);
   }
 
   /**
@@ -100,17 +107,20 @@ class Player {
     this.technologies = [];
     this.allies = [];
     this.eliminated = false;
+    this.eliminatedBy = null; // ID of the player who eliminated this one
+    this.mission = null; // Secret mission, when missions are enabled
   }
 
   /**
    * Calculate the number of reinforcement armies this player receives
    * @param {Continent[]} continents - List of all continents
    * @param {Territory[]} territories - List of all territories
+   * @param {Object} rules - Rules of the game (defaults to the classic rules)
    * @returns {number} Number of reinforcement armies
    */
-  getReinforcementArmies(continents, territories) {
+  getReinforcementArmies(continents, territories, rules = CLASSIC_RULES) {
     // Base reinforcements from territory count
-    let armies = Math.max(3, Math.floor(this.territories.length / 3));
+    let armies = Math.max(rules.minReinforcements, Math.floor(this.territories.length / rules.territoriesPerReinforcement));
     
     // Add continent bonuses
     for (const continent of continents) {
@@ -124,6 +134,9 @@ class Player {
       }
     }
     
+    // Add capital bonuses (capitals mode), for the player's own capital and any captured ones
+    armies += countCapitalsHeld(territories, this.id) * rules.capitalReinforcementBonus;
+    
     // Add resource bonuses (to be implemented)
     // TODO: Implement resource-based reinforcements
     
@@ -197,19 +210,39 @@ class GameState {
       ...config
     };
     
+    // Games saved before rule sets existed were played by the classic rules
+    this.config.ruleSet = this.config.ruleSet || 'classic';
+    this.config.rules = createRules(this.config.ruleSet, this.config.rules);
+    
+    // Every random decision draws from this generator so games can be replayed from the seed
+    if (this.config.seed === undefined || this.config.seed === null) {
+      this.config.seed = SeededRandom.generateSeed();
+    }
+    this.rng = new SeededRandom(this.config.seed);
+    
     this.players = players;
     this.territories = territories;
     this.continents = continents;
     this.cardDeck = cardDeck;
     this.discardPile = [];
     this.currentPlayerIndex = 0;
-    this.phase = 'reinforcement'; // reinforcement, attack, fortification
+    this.phase = 'reinforcement'; // reinforcement, attack, fortification (claim and deploy during a territory draft)
     this.turn = 1;
     this.gameOver = false;
     this.winner = null;
     this.eventLog = [];
     this.activeEvents = [];
     this.cardAwarded = false; // Flag to track if a card should be awarded at the end of the attack phase
+    this.remainingReinforcements = undefined; // Armies the current player still has to place this turn
+    this.setupArmies = {}; // Starting armies each player still has to place, by player ID (territory draft)
+    this.allianceProposals = []; // Alliances offered and not yet accepted ({ fromPlayerId, toPlayerId, turn })
+    this.turnEvent = null; // Event triggered at the start of the current player's turn
+    this.commandLog = []; // Every player action, in order, for replays
+    this.replayable = true; // False for games upgraded from saves without a seed and a command log
+    this.hasFortified = false; // Players may fortify once per turn
+    this.pendingConquest = null; // Territory just taken, waiting for the attacker to move armies in
+    this.undoStack = []; // Actions the current player can take back this turn
+    this.redoStack = []; // Undone actions that can be executed again
   }
 
   /**
@@ -364,7 +397,7 @@ class GameState {
     
     const array = [...this.cardDeck];
     for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.rng.nextInt(i + 1);
       [array[i], array[j]] = [array[j], array[i]];
     }
     
@@ -471,6 +504,20 @@ class GameState {
           }
           break;
           
+        case 'capitals':
+          // Capitals victory: Hold your own capital and enough enemy capitals (capitals mode only)
+          if (checkCapitalsVictory(this)) {
+            return true;
+          }
+          break;
+          
+        case 'missions':
+          // Mission victory: Complete the secret mission dealt at the start of the game
+          if (checkMissionVictory(this, this.getCurrentPlayer())) {
+            return true;
+          }
+          break;
+          
         // Add other victory conditions as needed
       }
     }
@@ -496,17 +543,21 @@ class GameState {
         technologies: player.technologies,
         allies: player.allies,
         eliminated: player.eliminated,
+        eliminatedBy: player.eliminatedBy,
+        mission: player.mission,
         victoryProgress: player.victoryProgress
       })),
       territories: this.territories.map(territory => ({
         id: territory.id,
         name: territory.name,
         adjacentTerritories: territory.adjacentTerritories,
+        seaLanes: territory.seaLanes,
         continent: territory.continent,
         occupyingPlayer: territory.occupyingPlayer,
         armies: territory.armies,
         resources: territory.resources,
-        features: territory.features
+        features: territory.features,
+        capitalOf: territory.capitalOf
       })),
       continents: this.continents.map(continent => ({
         id: continent.id,
@@ -524,7 +575,16 @@ class GameState {
       victoryType: this.victoryType,
       eventLog: this.eventLog,
       activeEvents: this.activeEvents,
-      cardAwarded: this.cardAwarded
+      cardAwarded: this.cardAwarded,
+      remainingReinforcements: this.remainingReinforcements,
+      setupArmies: this.setupArmies,
+      allianceProposals: this.allianceProposals,
+      hasFortified: this.hasFortified,
+      pendingConquest: this.pendingConquest,
+      researchProgress: this.techManager ? this.techManager.researchProgress : {},
+      commandLog: this.commandLog,
+      replayable: this.replayable,
+      rngState: this.rng.getState()
     };
     
     // Add events data if available
@@ -558,6 +618,8 @@ class GameState {
       player.technologies = playerData.technologies || [];
       player.allies = playerData.allies || [];
       player.eliminated = playerData.eliminated || false;
+      player.eliminatedBy = playerData.eliminatedBy || null;
+      player.mission = playerData.mission || null;
       player.victoryProgress = playerData.victoryProgress || {};
       return player;
     });
@@ -574,6 +636,9 @@ class GameState {
       territory.occupyingPlayer = territoryData.occupyingPlayer;
       territory.armies = territoryData.armies;
       territory.features = territoryData.features;
+      territory.seaLanes = territoryData.seaLanes || [];
+      territory.capitalOf = territoryData.capitalOf || null;
+      territory.unitValues = gameState.config.rules.unitValues;
       return territory;
     });
     
@@ -598,6 +663,18 @@ class GameState {
     gameState.eventLog = data.eventLog || [];
     gameState.activeEvents = data.activeEvents || [];
     gameState.victoryType = data.victoryType;
+    gameState.remainingReinforcements = data.remainingReinforcements;
+    gameState.setupArmies = data.setupArmies || {};
+    gameState.allianceProposals = data.allianceProposals || [];
+    gameState.hasFortified = data.hasFortified || false;
+    gameState.pendingConquest = data.pendingConquest || null;
+    gameState.commandLog = data.commandLog || [];
+    gameState.replayable = data.replayable !== false;
+    
+    // Resume the random sequence where the saved game left off
+    if (data.rngState !== undefined) {
+      gameState.rng.setState(data.rngState);
+    }
     
     // Set winner reference if there is one
     if (data.winner) {
@@ -607,6 +684,11 @@ class GameState {
     // Recreate the tech manager if technologies are enabled
     if (gameState.config.enableTechnologies) {
       gameState.techManager = new TechManager(gameState);
+      
+      // Restore research in progress if available
+      if (data.researchProgress) {
+        Object.assign(gameState.techManager.researchProgress, JSON.parse(JSON.stringify(data.researchProgress)));
+      }
     }
     
     // Recreate the resource manager if resources are enabled
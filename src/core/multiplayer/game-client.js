@@ -0,0 +1,277 @@
+/**
+ * Client for the multiplayer server
+ *
+ * Opens and joins rooms on the server, keeps a player's view of the room's game
+ * up to date and sends their commands to it. Works in the browser with its built-in WebSocket and in
+ * Node with the `ws` package passed in as the WebSocket implementation.
+ */
+
+import { MessageTypes, encodeMessage, decodeMessage } from './protocol.js';
+import { applyDiff } from './state-diff.js';
+
+/**
+ * Connection to a game on the multiplayer server
+ */
+class GameClient {
+  /**
+   * Create a client
+   * @param {string} url - Server address (e.g. 'ws://localhost:8080')
+   * @param {Function} WebSocketImpl - WebSocket constructor (defaults to the browser's)
+   */
+  constructor(url, WebSocketImpl = globalThis.WebSocket) {
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.socket = null;
+    this.code = null; // Code of the room joined
+    this.token = null; // Brings the player back to their seat if they join again
+    this.room = null; // Seats of the room and who is in them
+    this.playerId = null; // Player in the game, or null for a spectator
+    this.state = null; // This player's view of the game (serialized game state)
+    this.version = 0;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+    this.listeners = { room: [], state: [], error: [], close: [] };
+  }
+
+  /**
+   * Listen for changes: 'room' (seats), 'state' (view of the game), 'error' (message) or 'close'
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event's data
+   * @returns {Function} Call to stop listening
+   */
+  on(event, listener) {
+    this.listeners[event].push(listener);
+    return () => {
+      this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Tell listeners about an event
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  emit(event, data) {
+    for (const listener of this.listeners[event]) {
+      listener(data);
+    }
+  }
+
+  /**
+   * Connect to the server
+   * @returns {Promise} Resolves once connected
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      let connected = false;
+      this.socket = new this.WebSocketImpl(this.url);
+
+      this.socket.onopen = () => {
+        connected = true;
+        resolve();
+      };
+
+      this.socket.onmessage = (event) => {
+        const message = decodeMessage(typeof event.data === 'string' ? event.data : event.data.toString());
+        if (message) {
+          this.handleMessage(message);
+        }
+      };
+
+      this.socket.onerror = () => {
+        if (!connected) reject(new Error(`Could not connect to ${this.url}`));
+      };
+
+      this.socket.onclose = () => {
+        for (const { resolve: finish } of this.pendingRequests.values()) {
+          finish({ success: false, error: 'Disconnected from the server' });
+        }
+        this.pendingRequests.clear();
+        this.emit('close');
+      };
+    });
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {Object} message - Decoded message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case MessageTypes.ROOM:
+        this.room = message.room;
+        this.emit('room', message.room);
+        break;
+      case MessageTypes.WELCOME:
+        this.playerId = message.playerId;
+        this.setState(message.state, message.version);
+        break;
+      case MessageTypes.STATE:
+        this.setState(message.state, message.version);
+        break;
+      case MessageTypes.STATE_DIFF:
+        // A diff only applies to the state it was made against; otherwise start again from the whole state
+        if (message.baseVersion !== this.version || !this.state) {
+          this.socket.send(encodeMessage(MessageTypes.SYNC));
+          return;
+        }
+        this.setState(applyDiff(this.state, message.diff), message.version);
+        break;
+      case MessageTypes.RESULT:
+        this.finishRequest(message.requestId, message.result);
+        break;
+      case MessageTypes.ERROR:
+        if (message.requestId && this.pendingRequests.has(message.requestId)) {
+          this.finishRequest(message.requestId, { success: false, error: message.error });
+        } else {
+          this.emit('error', message.error);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Replace the view of the game and tell listeners
+   * @param {Object} state - Serialized view of the game
+   * @param {number} version - Server version of the view
+   */
+  setState(state, version) {
+    this.state = state;
+    this.version = version;
+    this.emit('state', state);
+  }
+
+  /**
+   * Send a request and wait for the server's answer
+   * @param {string} type - One of MessageTypes
+   * @param {Object} data - Message fields
+   * @returns {Promise<Object>} Result ({ success, error, ... })
+   */
+  request(type, data = {}) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return Promise.resolve({ success: false, error: 'Not connected to the server' });
+    }
+
+    const requestId = String(this.nextRequestId++);
+    return new Promise(resolve => {
+      this.pendingRequests.set(requestId, { resolve });
+      this.socket.send(encodeMessage(type, { ...data, requestId }));
+    });
+  }
+
+  /**
+   * Resolve a request with the server's answer
+   * @param {string} requestId - ID of the request
+   * @param {Object} result - Result from the server
+   */
+  finishRequest(requestId, result) {
+    const pending = this.pendingRequests.get(requestId);
+    if (pending) {
+      this.pendingRequests.delete(requestId);
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Open a room for a new game; join it with joinRoom
+   * @param {Object} config - Game config (as from the new game screen); its human seats are the ones players can take
+   * @returns {Promise<Object>} Result with the room's code
+   */
+  createRoom(config) {
+    return this.request(MessageTypes.CREATE_ROOM, { config });
+  }
+
+  /**
+   * Enter a room, as a spectator until taking a seat
+   * @param {string} code - Room code
+   * @param {string} name - Name to play under
+   * @param {string} token - Token from an earlier visit to the room, to take back its seat
+   * @returns {Promise<Object>} Result with the token for coming back
+   */
+  async joinRoom(code, name, token = null) {
+    const result = await this.request(MessageTypes.JOIN_ROOM, { code, name, token });
+    if (result.success) {
+      this.code = result.code;
+      this.token = result.token;
+    }
+    return result;
+  }
+
+  /**
+   * Take one of the room's open seats
+   * @param {number} seatIndex - Position of the seat
+   * @returns {Promise<Object>} Result from the server
+   */
+  takeSeat(seatIndex) {
+    return this.request(MessageTypes.TAKE_SEAT, { seatIndex });
+  }
+
+  /**
+   * Give up the seat taken and watch instead
+   * @returns {Promise<Object>} Result from the server
+   */
+  leaveSeat() {
+    return this.request(MessageTypes.LEAVE_SEAT);
+  }
+
+  /**
+   * Say whether this player is ready for the game to start
+   * @param {boolean} ready - Whether they are ready
+   * @returns {Promise<Object>} Result from the server
+   */
+  setReady(ready) {
+    return this.request(MessageTypes.READY, { ready });
+  }
+
+  /**
+   * Leave the room. A seat in a game that has started is kept for coming back to.
+   * @returns {Promise<Object>} Result from the server
+   */
+  async leaveRoom() {
+    const result = await this.request(MessageTypes.LEAVE_ROOM);
+    this.code = null;
+    this.token = null;
+    this.room = null;
+    this.playerId = null;
+    this.state = null;
+    return result;
+  }
+
+  /**
+   * Play a command as this client's player
+   * @param {Object} command - Command ({ type, payload }, see CommandTypes)
+   * @returns {Promise<Object>} Result from the engine on the server
+   */
+  executeCommand(command) {
+    return this.request(MessageTypes.ACTION, { command: { type: command.type, payload: command.payload || {} } });
+  }
+
+  /**
+   * Take back this player's last undoable action
+   * @returns {Promise<Object>} Result from the engine on the server
+   */
+  undo() {
+    return this.request(MessageTypes.UNDO);
+  }
+
+  /**
+   * Play this player's last undone action again
+   * @returns {Promise<Object>} Result from the engine on the server
+   */
+  redo() {
+    return this.request(MessageTypes.REDO);
+  }
+
+  /**
+   * Disconnect from the server
+   */
+  close() {
+    if (this.socket) {
+      this.socket.close();
+    }
+  }
+}
+
+export default GameClient;
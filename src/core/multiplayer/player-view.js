@@ -0,0 +1,70 @@
+/**
+ * What the server tells each player about the game
+ *
+ * Clients never receive the full game state. Each player gets the serialized
+ * state with everything they are not allowed to see taken out: other players'
+ * cards and missions, armies (and owners) hidden by fog of war, battles fought
+ * where the fog hides the armies, and anything that would let them predict the
+ * dice or the card deck.
+ */
+
+import { getVisibility, canSeeCards, Visibility } from '../fog-of-war.js';
+
+// Fields of event log entries and conquests that name a territory
+const TERRITORY_FIELDS = ['fromTerritoryId', 'toTerritoryId', 'attackingTerritoryId', 'defendingTerritoryId'];
+
+/**
+ * Build the view of the game sent to one player
+ * @param {GameState} gameState - The authoritative game state
+ * @param {string|null} playerId - ID of the player, or null for someone watching
+ * @returns {Object} Serialized game state with hidden information removed
+ */
+function getPlayerView(gameState, playerId) {
+  const view = JSON.parse(JSON.stringify(gameState.serialize()));
+  const visibility = getVisibility(gameState, playerId);
+
+  for (const player of view.players) {
+    if (player.id === playerId) continue;
+
+    if (!canSeeCards(gameState, playerId, player.id)) {
+      player.cards = [];
+    }
+    // Missions stay secret until the game is over
+    if (!gameState.gameOver) {
+      player.mission = null;
+    }
+    player.territories = player.territories.filter(id => visibility[id] !== Visibility.HIDDEN);
+  }
+
+  for (const territory of view.territories) {
+    if (visibility[territory.id] !== Visibility.FULL) {
+      territory.armies = { infantry: 0, cavalry: 0, artillery: 0 };
+    }
+    if (visibility[territory.id] === Visibility.HIDDEN) {
+      territory.occupyingPlayer = null;
+    }
+  }
+
+  // Battles give away the armies on both sides, so they are only shown where those armies can be seen
+  const isSeen = (entry) => TERRITORY_FIELDS.every(field => !entry[field] || visibility[entry[field]] === Visibility.FULL);
+  view.eventLog = view.eventLog.filter(isSeen);
+  if (view.pendingConquest && !isSeen(view.pendingConquest)) {
+    view.pendingConquest = null;
+  }
+
+  // The seed, generator state, deck order and command log would give away dice rolls and cards to come
+  delete view.config.seed;
+  delete view.rngState;
+  view.cardDeck = [];
+  view.commandLog = [];
+
+  // A scenario's starting cards and objectives are as secret as the players' own
+  if (view.config.scenario) {
+    const { id, name, description, turnLimitWinner } = view.config.scenario;
+    view.config.scenario = { id, name, description, turnLimitWinner };
+  }
+
+  return view;
+}
+
+export { getPlayerView };
@@ -0,0 +1,155 @@
+/**
+ * Message protocol between the multiplayer server and its clients
+ *
+ * Every message is a JSON object with a `type`. Games are played in rooms, each
+ * known by a short code. Clients send:
+ *   { type: 'create-room', requestId, config }        open a room for a game set up with config
+ *   { type: 'join-room', requestId, code, name, token }  enter a room; a token from an earlier
+ *                                                     visit takes back that player's seat
+ *   { type: 'take-seat', requestId, seatIndex } / { type: 'leave-seat', requestId }
+ *   { type: 'ready', requestId, ready }               the game starts once every seated player is ready
+ *   { type: 'leave-room', requestId }
+ *   { type: 'action', requestId, command }            play a command ({ type, payload }, see CommandTypes)
+ *   { type: 'undo', requestId } / { type: 'redo', requestId }
+ *   { type: 'sync' }                                  ask for the whole state again
+ * The server sends:
+ *   { type: 'room', room }                            the room's seats, who is in them and
+ *                                                     which one is the player's (room.seatIndex)
+ *   { type: 'welcome', playerId, version, state }     the game has started (playerId is null
+ *                                                     for spectators); the player's view of it
+ *   { type: 'result', requestId, result }             outcome of a request ({ success, error, ... })
+ *   { type: 'state-diff', baseVersion, version, diff }  changes since the last state sent
+ *   { type: 'state', version, state }                 the whole view, after a sync
+ *   { type: 'error', requestId, error }               a message that could not be handled
+ */
+
+import { CommandTypes } from '../commands.js';
+
+const MessageTypes = {
+  CREATE_ROOM: 'create-room',
+  JOIN_ROOM: 'join-room',
+  TAKE_SEAT: 'take-seat',
+  LEAVE_SEAT: 'leave-seat',
+  READY: 'ready',
+  LEAVE_ROOM: 'leave-room',
+  ACTION: 'action',
+  UNDO: 'undo',
+  REDO: 'redo',
+  SYNC: 'sync',
+  ROOM: 'room',
+  WELCOME: 'welcome',
+  RESULT: 'result',
+  STATE_DIFF: 'state-diff',
+  STATE: 'state',
+  ERROR: 'error'
+};
+
+// Payload fields each command needs before it is passed to the engine
+const REQUIRED_FIELDS = {
+  [CommandTypes.REINFORCE]: ['territoryId', 'armyCount'],
+  [CommandTypes.ATTACK]: ['fromTerritoryId', 'toTerritoryId', 'attackDice'],
+  [CommandTypes.BLITZ]: ['fromTerritoryId', 'toTerritoryId'],
+  [CommandTypes.CONQUER]: ['armyCount'],
+  [CommandTypes.FORTIFY]: ['fromTerritoryId', 'toTerritoryId', 'armyCount'],
+  [CommandTypes.TRADE_CARDS]: ['cardIds'],
+  [CommandTypes.RESEARCH]: ['techId'],
+  [CommandTypes.CHOOSE_CAPITAL]: ['territoryId'],
+  [CommandTypes.CLAIM_TERRITORY]: ['territoryId'],
+  [CommandTypes.DEPLOY]: ['territoryId'],
+  [CommandTypes.ALLIANCE]: ['action', 'targetPlayerId'],
+  [CommandTypes.END_PHASE]: []
+};
+
+// Units a unit distribution may move
+const UNIT_TYPES = ['infantry', 'cavalry', 'artillery'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+const isTerritoryId = (value, gameState) =>
+  typeof value === 'string' && (!gameState || gameState.territories.some(t => t.id === value));
+
+// How each payload field is checked, and what is said about it when it is wrong.
+// The engine trusts the values it is given, so nothing reaches it unchecked.
+const FIELD_CHECKS = {
+  territoryId: [isTerritoryId, 'must be a territory on the map'],
+  fromTerritoryId: [isTerritoryId, 'must be a territory on the map'],
+  toTerritoryId: [isTerritoryId, 'must be a territory on the map'],
+  armyCount: [isPositiveInteger, 'must be a whole number of at least 1'],
+  attackDice: [isPositiveInteger, 'must be a whole number of at least 1'],
+  minArmies: [isPositiveInteger, 'must be a whole number of at least 1'],
+  minWinProbability: [(value) => typeof value === 'number' && value >= 0 && value <= 1, 'must be a number from 0 to 1'],
+  unitDistribution: [
+    (value) => !!value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([type, count]) => UNIT_TYPES.includes(type) && Number.isInteger(count) && count >= 0),
+    'must give whole numbers of infantry, cavalry and artillery'
+  ],
+  cardIds: [(value) => Array.isArray(value) && value.every(id => typeof id === 'string'), 'must be a list of card IDs'],
+  techId: [(value) => typeof value === 'string', 'must be a technology ID'],
+  action: [(value) => typeof value === 'string', 'must be an alliance action'],
+  targetPlayerId: [(value) => typeof value === 'string', 'must be a player ID']
+};
+
+/**
+ * Encode a message for sending
+ * @param {string} type - One of MessageTypes
+ * @param {Object} data - Message fields
+ * @returns {string} Encoded message
+ */
+function encodeMessage(type, data = {}) {
+  return JSON.stringify({ type, ...data });
+}
+
+/**
+ * Decode a received message
+ * @param {string} raw - Encoded message
+ * @returns {Object|null} The message, or null if it is not a valid message
+ */
+function decodeMessage(raw) {
+  try {
+    const message = JSON.parse(raw);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that a command sent by a client is one the engine can be asked to run:
+ * it has every field it needs, and each field is of the right type and range
+ * @param {Object} command - Command from an action message ({ type, payload })
+ * @param {GameState} gameState - Game the command is for, to check territory IDs against (optional)
+ * @returns {string|null} What is wrong with the command, or null if it is valid
+ */
+function validateCommand(command, gameState = null) {
+  if (!command || typeof command !== 'object') {
+    return 'Missing command';
+  }
+
+  const required = REQUIRED_FIELDS[command.type];
+  if (!required) {
+    return `Unknown command type '${command.type}'`;
+  }
+
+  const payload = command.payload || {};
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    return 'Command payload must be an object';
+  }
+
+  const missing = required.filter(field => payload[field] === undefined || payload[field] === null);
+  if (missing.length > 0) {
+    return `Command '${command.type}' is missing ${missing.join(', ')}`;
+  }
+
+  // Optional fields are checked too when they are given
+  for (const [field, value] of Object.entries(payload)) {
+    if (value === undefined || value === null || !FIELD_CHECKS[field]) continue;
+
+    const [isValid, requirement] = FIELD_CHECKS[field];
+    if (!isValid(value, gameState)) {
+      return `Command '${command.type}' has an invalid ${field}: it ${requirement}`;
+    }
+  }
+
+  return null;
+}
+
+export { MessageTypes, encodeMessage, decodeMessage, validateCommand };
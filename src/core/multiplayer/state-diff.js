@@ -0,0 +1,82 @@
+/**
+ * State diffs for networked multiplayer
+ *
+ * The server sends each client the changes between the last state it sent them
+ * and the current one, rather than the whole game after every action. States
+ * are plain JSON (GameState.serialize output), and a diff is a list of changes:
+ *   { path: ['territories', 3, 'armies', 'infantry'], value: 5 }  set a value
+ *   { path: ['players', 1, 'mission'], remove: true }              remove a key
+ * Arrays that change length are sent whole.
+ */
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Work out the changes that turn one state into another
+ * @param {Object} previous - State the client has
+ * @param {Object} next - State the client should have
+ * @param {Array} path - Path to the values being compared (used when recursing)
+ * @returns {Object[]} List of changes
+ */
+function diffState(previous, next, path = []) {
+  if (previous === next) return [];
+
+  const bothArrays = Array.isArray(previous) && Array.isArray(next);
+  if (bothArrays && previous.length === next.length) {
+    return next.flatMap((value, index) => diffState(previous[index], value, [...path, index]));
+  }
+
+  if (isObject(previous) && isObject(next)) {
+    const changes = [];
+    for (const key of Object.keys(previous)) {
+      if (!(key in next)) {
+        changes.push({ path: [...path, key], remove: true });
+      }
+    }
+    for (const key of Object.keys(next)) {
+      changes.push(...diffState(previous[key], next[key], [...path, key]));
+    }
+    return changes;
+  }
+
+  // Anything else that differs is replaced whole
+  return JSON.stringify(previous) === JSON.stringify(next) ? [] : [{ path, value: next }];
+}
+
+/**
+ * Apply a list of changes to a state
+ * @param {Object} state - State to change (left untouched)
+ * @param {Object[]} changes - Changes from diffState
+ * @returns {Object} The changed state
+ */
+function applyDiff(state, changes) {
+  let result = JSON.parse(JSON.stringify(state));
+
+  for (const change of changes) {
+    if (change.path.length === 0) {
+      result = JSON.parse(JSON.stringify(change.value));
+      continue;
+    }
+
+    const parentPath = change.path.slice(0, -1);
+    const key = change.path[change.path.length - 1];
+    const parent = parentPath.reduce((target, step) => target[step], result);
+
+    if (change.remove) {
+      delete parent[key];
+    } else {
+      parent[key] = JSON.parse(JSON.stringify(change.value));
+    }
+  }
+
+  return result;
+}
+
+export { diffState, applyDiff };
@@ -0,0 +1,160 @@
+/**
+ * Seedable random number generation for Risk-inspired strategy game
+ */
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32).
+ * Every random decision in a game (dice, shuffles, events, AI choices) draws
+ * from the generator owned by the GameState so a game can be replayed exactly
+ * from its seed.
+ */
+class SeededRandom {
+  /**
+   * Create a new SeededRandom
+   * @param {number|string} seed - Seed value (strings are hashed to a number)
+   */
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = seed;
+    this.state = SeededRandom.normalizeSeed(seed);
+  }
+
+  /**
+   * Generate a fresh seed for a new game
+   * @returns {number} A 32-bit unsigned seed
+   */
+  static generateSeed() {
+    return (Math.floor(Math.random() * 0x100000000) ^ Date.now()) >>> 0;
+  }
+
+  /**
+   * Convert a seed of any supported type into a 32-bit unsigned integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Normalized seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    // Hash strings (and anything else) with FNV-1a
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Get the next random number
+   * @returns {number} A float in the range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get a random integer
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} An integer in the range [0, max)
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Roll a single die
+   * @param {number} sides - Number of sides on the die
+   * @returns {number} Result between 1 and sides
+   */
+  rollDie(sides = 6) {
+    return this.nextInt(sides) + 1;
+  }
+
+  /**
+   * Roll several six-sided dice
+   * @param {number} count - Number of dice to roll
+   * @returns {number[]} Array of dice roll results
+   */
+  rollDice(count) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(this.rollDie());
+    }
+    return results;
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} array - Source array
+   * @returns {*} The selected element, or undefined for an empty array
+   */
+  pick(array) {
+    if (!array || array.length === 0) return undefined;
+    return array[this.nextInt(array.length)];
+  }
+
+  /**
+   * Shuffle an array in place using Fisher-Yates algorithm
+   * @param {Array} array - The array to shuffle
+   * @returns {Array} The shuffled array
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Get the internal state so the sequence can be resumed later
+   * @returns {number} Current generator state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restore a state previously returned by getState()
+   * @param {number} state - Generator state
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+/**
+ * Generator backed by Math.random for callers that run without a
+ * GameState-owned generator (legacy state objects and test fixtures).
+ * Its sequence cannot be reproduced.
+ */
+class UnseededRandom extends SeededRandom {
+  constructor() {
+    super(0);
+    this.seed = null;
+  }
+
+  next() {
+    return Math.random();
+  }
+}
+
+const unseededRandom = new UnseededRandom();
+
+/**
+ * Get the random number generator for a game state
+ * @param {Object} gameState - The current game state
+ * @returns {SeededRandom} The game's generator, or an unseeded fallback
+ */
+function getRandom(gameState) {
+  return (gameState && gameState.rng) || unseededRandom;
+}
+
+export { SeededRandom, UnseededRandom, getRandom };
+export default SeededRandom;
@@ -0,0 +1,154 @@
+/**
+ * Rule sets for Risk-inspired strategy game
+ *
+ * The numbers behind reinforcements, card trades, dice, unit values and capitals live
+ * in a rule set instead of being written into each subsystem. A game picks a
+ * rule set when it is created; the resolved rules are stored in
+ * `config.rules`, so saves and replays keep playing by the same rules.
+ */
+
+// Rules every rule set starts from
+const CLASSIC_RULES = {
+  minReinforcements: 3,          // Fewest armies a player receives at the start of a turn
+  territoriesPerReinforcement: 3, // One army for every this many territories held
+  cardSetValues: [4, 6, 8, 10, 12, 15], // Armies for the 1st, 2nd, ... set traded in the game
+  cardSetIncrement: 5,           // Each set after the listed ones is worth this much more
+  cardTerritoryBonus: 2,         // Extra armies for each traded card showing a territory the player holds
+  maxAttackDice: 3,
+  maxDefenseDice: 2,
+  defenderWinsTies: true,
+  unitValues: { infantry: 1, cavalry: 3, artillery: 5 },
+  capitalDefenseBonus: 1,        // Added to each defense die of a capital held by its own player (capitals mode)
+  capitalReinforcementBonus: 2,  // Extra armies for every capital a player holds, their own or captured (capitals mode)
+  startingArmies: { 2: 40, 3: 35, 4: 30, 5: 25, 6: 20 } // Armies per player by player count
+};
+
+// Rule sets offered when setting up a game. `config` holds the game modes the
+// rule set turns on.
+const RULE_SETS = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    description: 'The standard rules',
+    config: {},
+    rules: CLASSIC_RULES
+  },
+  capitals: {
+    id: 'capitals',
+    name: 'Capitals',
+    description: 'Standard rules played in capitals mode',
+    config: { enableCapitals: true },
+    rules: CLASSIC_RULES
+  },
+  fast: {
+    id: 'fast',
+    name: 'Fast',
+    description: 'More reinforcements, richer card sets and attackers win ties',
+    config: {},
+    rules: {
+      ...CLASSIC_RULES,
+      minReinforcements: 5,
+      territoriesPerReinforcement: 2,
+      cardSetValues: [6, 8, 10, 12, 15, 20],
+      cardTerritoryBonus: 3,
+      defenderWinsTies: false
+    }
+  },
+  custom: {
+    id: 'custom',
+    name: 'Custom',
+    description: 'Classic rules with your own changes',
+    config: {},
+    rules: CLASSIC_RULES
+  }
+};
+
+/**
+ * Get a rule set by ID
+ * @param {string} ruleSetId - ID of the rule set
+ * @returns {Object} The rule set (Classic if the ID is unknown)
+ */
+function getRuleSet(ruleSetId) {
+  return RULE_SETS[ruleSetId] || RULE_SETS.classic;
+}
+
+/**
+ * List the rule sets a game can be set up with
+ * @returns {Object[]} Rule sets ({ id, name, description })
+ */
+function listRuleSets() {
+  return Object.values(RULE_SETS).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Build the full rules for a game from a rule set and any changes to it
+ * @param {string} ruleSetId - ID of the rule set to start from
+ * @param {Object} overrides - Rules to change (the rest come from the rule set)
+ * @returns {Object} Complete rules
+ */
+function createRules(ruleSetId, overrides = {}) {
+  const base = getRuleSet(ruleSetId).rules;
+  return {
+    ...base,
+    ...overrides,
+    unitValues: { ...base.unitValues, ...(overrides && overrides.unitValues) },
+    startingArmies: { ...base.startingArmies, ...(overrides && overrides.startingArmies) }
+  };
+}
+
+/**
+ * Get the rules a game is played with
+ * @param {Object} gameState - The current game state
+ * @returns {Object} The game's rules (Classic for states created without any)
+ */
+function getRules(gameState) {
+  return (gameState && gameState.config && gameState.config.rules) || CLASSIC_RULES;
+}
+
+/**
+ * Get the armies awarded for trading in a card set
+ * @param {Object} rules - Rules of the game
+ * @param {number} setNumber - Which set this is in the game (1 for the first)
+ * @returns {number} Armies for the set
+ */
+function getCardSetValue(rules, setNumber) {
+  const values = rules.cardSetValues;
+  if (setNumber <= values.length) {
+    return values[Math.max(0, setNumber - 1)];
+  }
+  return values[values.length - 1] + (setNumber - values.length) * rules.cardSetIncrement;
+}
+
+/**
+ * Get the total value of a group of units
+ * @param {Object} armies - Units by type ({ infantry, cavalry, artillery })
+ * @param {Object} unitValues - Value of each unit type
+ * @returns {number} Total army value
+ */
+function getArmyValue(armies, unitValues = CLASSIC_RULES.unitValues) {
+  return (armies.infantry || 0) * unitValues.infantry +
+    (armies.cavalry || 0) * unitValues.cavalry +
+    (armies.artillery || 0) * unitValues.artillery;
+}
+
+/**
+ * Get the armies each player starts with
+ * @param {Object} rules - Rules of the game
+ * @param {number} playerCount - Number of players
+ * @returns {number} Starting armies per player
+ */
+function getStartingArmies(rules, playerCount) {
+  return rules.startingArmies[playerCount] || rules.startingArmies[4] || CLASSIC_RULES.startingArmies[4];
+}
+
+export {
+  CLASSIC_RULES,
+  RULE_SETS,
+  getRuleSet,
+  listRuleSets,
+  createRules,
+  getRules,
+  getCardSetValue,
+  getArmyValue,
+  getStartingArmies
+};
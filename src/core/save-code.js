@@ -0,0 +1,106 @@
+/**
+ * Save codes for Risk-inspired strategy game
+ *
+ * A save code is a whole save as one line of text that can be pasted in chat or
+ * put in the fragment of a link to the game (`#save=<code>`):
+ *
+ *   risk1.<data>.<check>
+ *
+ * `risk1` names the code format, `<data>` is the save's JSON compressed with
+ * deflate and written in base64url, and `<check>` is a hash of `<data>`, so a
+ * code that was cut short when it was copied is caught before it is read. The
+ * save inside is checked and upgraded like any other (see save-schema.js).
+ * Compression works in browsers and in Node 18 and later.
+ */
+
+import { hashText } from './save-schema.js';
+
+// Format of the codes written, and the start of every code
+const CODE_FORMAT = 'risk1';
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {TransformStream} stream - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function transform(bytes, stream) {
+  const output = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await output.arrayBuffer());
+}
+
+/**
+ * Write bytes in base64url (base64 with - and _, and no padding, so it fits in a URL)
+ * @param {Uint8Array} bytes - Bytes to write
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  // Converting in chunks keeps big saves within the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read bytes written in base64url
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, character => character.charCodeAt(0));
+}
+
+/**
+ * Check whether a text looks like a save code rather than a save file
+ * @param {string} text - Pasted or imported text
+ * @returns {boolean} True for save codes
+ */
+function isSaveCode(text) {
+  return /^risk\d+\./.test(text.trim());
+}
+
+/**
+ * Write a save as a save code
+ * @param {Object} saveData - Save (as stored by SaveLoadSystem)
+ * @returns {Promise<string>} The save code
+ */
+async function encodeSaveCode(saveData) {
+  const json = new TextEncoder().encode(JSON.stringify(saveData));
+  const data = toBase64Url(await transform(json, new CompressionStream('deflate')));
+  return `${CODE_FORMAT}.${data}.${hashText(data)}`;
+}
+
+/**
+ * Read the save in a save code
+ * @param {string} code - Save code; spaces and line breaks added when it was pasted are ignored
+ * @returns {Promise<Object>} Result ({ success, saveData }, or { success: false, error })
+ */
+async function decodeSaveCode(code) {
+  const [format, data, check, ...rest] = code.replace(/\s+/g, '').split('.');
+
+  if (!/^risk\d+$/.test(format)) {
+    return { success: false, error: 'This is not a save code.' };
+  }
+  if (format !== CODE_FORMAT) {
+    return { success: false, error: 'This save code was made by a newer version of the game.' };
+  }
+  if (!data || !check || rest.length > 0 || hashText(data) !== check) {
+    return { success: false, error: 'This save code is incomplete or was changed. Copy the whole code and try again.' };
+  }
+
+  try {
+    const json = await transform(fromBase64Url(data), new DecompressionStream('deflate'));
+    return { success: true, saveData: JSON.parse(new TextDecoder().decode(json)) };
+  } catch (error) {
+    return { success: false, error: 'This save code is damaged and cannot be read.' };
+  }
+}
+
+export {
+  isSaveCode,
+  encodeSaveCode,
+  decodeSaveCode
+};
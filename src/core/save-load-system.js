@@ -1,11 +1,61 @@
 /**
  * Save/Load System for Risk-inspired strategy game
+ *
+ * Saves are written in the schema described in save-schema.js and upgraded to
+ * it when they are loaded.
+ *
+ * Saves are kept in a storage adapter chosen at startup with setStorage (see
+ * src/core/storage/): localStorage, IndexedDB, files on disk or the game
+ * server. An adapter is any object with these methods, all returning promises:
+ *
+ *   getItem(key)         The value stored under a key, or null
+ *   setItem(key, value)  Store a string under a key
+ *   removeItem(key)      Delete the value under a key
+ *
+ * Each save is stored under `risk-game-<name>`, and the names of all saves
+ * under `risk-game-savelist`.
+ *
+ * Autosaves are taken at the start of every player's turn, in a ring of slots
+ * (`autosave-1` to `autosave-<n>`) where each new one replaces the oldest, so
+ * a game can be rewound to the start of any of the last few turns. The ring
+ * holds one game (told apart by its seed) at a time: autosaving another game
+ * clears it first.
  */
 
+import { SAVE_SCHEMA_VERSION, getSchemaVersion, createSave, upgradeSave } from './save-schema.js';
+import { isSaveCode, encodeSaveCode, decodeSaveCode } from './save-code.js';
+import LocalStorageAdapter from './storage/local-storage-adapter.js';
+
+// Storage saves are kept in (localStorage until another is chosen)
+let storage = null;
+
+// Autosave slots kept unless the player chooses another number
+const DEFAULT_AUTOSAVE_SLOTS = 5;
+const MAX_AUTOSAVE_SLOTS = 20;
+
 /**
  * Handles saving and loading game state
  */
 class SaveLoadSystem {
+  /**
+   * Choose the storage saves are kept in
+   * @param {Object} adapter - Storage adapter
+   */
+  static setStorage(adapter) {
+    storage = adapter;
+  }
+  
+  /**
+   * Get the storage saves are kept in
+   * @returns {Object} Storage adapter
+   */
+  static getStorage() {
+    if (!storage) {
+      storage = new LocalStorageAdapter();
+    }
+    return storage;
+  }
+  
   /**
    * Create a serialized version of the game state
    * @param {Object} gameState - Game state to serialize
@@ -32,17 +82,21 @@ class SaveLoadSystem {
         technologies: player.technologies,
         allies: player.allies,
         eliminated: player.eliminated,
+        eliminatedBy: player.eliminatedBy,
+        mission: player.mission,
         victoryProgress: player.victoryProgress
       })),
       territories: gameState.territories.map(territory => ({
         id: territory.id,
         name: territory.name,
         adjacentTerritories: territory.adjacentTerritories,
+        seaLanes: territory.seaLanes,
         continent: territory.continent,
         occupyingPlayer: territory.occupyingPlayer,
         armies: territory.armies,
         resources: territory.resources,
-        features: territory.features
+        features: territory.features,
+        capitalOf: territory.capitalOf
       })),
       continents: gameState.continents.map(continent => ({
         id: continent.id,
@@ -60,7 +114,16 @@ class SaveLoadSystem {
       victoryType: gameState.victoryType,
       eventLog: gameState.eventLog,
       activeEvents: gameState.activeEvents,
-      cardAwarded: gameState.cardAwarded
+      cardAwarded: gameState.cardAwarded,
+      remainingReinforcements: gameState.remainingReinforcements,
+      setupArmies: gameState.setupArmies,
+      allianceProposals: gameState.allianceProposals,
+      hasFortified: gameState.hasFortified,
+      pendingConquest: gameState.pendingConquest || null,
+      researchProgress: gameState.techManager ? gameState.techManager.researchProgress : {},
+      commandLog: gameState.commandLog,
+      replayable: gameState.replayable !== false,
+      rngState: gameState.rng ? gameState.rng.getState() : undefined
     };
     
     // Add events data if available
@@ -75,33 +138,17 @@ class SaveLoadSystem {
   }
 
   /**
-   * Save game state to localStorage
+   * Save game state to storage
    * @param {Object} gameState - Game state to save
    * @param {string} saveName - Name of the save file
-   * @returns {boolean} True if save was successful
+   * @returns {Promise<boolean>} True if save was successful
    */
-  static saveGame(gameState, saveName = 'autosave') {
+  static async saveGame(gameState, saveName = 'autosave') {
     try {
       if (!gameState) return false;
       
-      // Create a serialized version of the game state
-      const serializedState = this.createSerializedState(gameState);
-      
-      // Add metadata
-      const saveData = {
-        name: saveName,
-        timestamp: Date.now(),
-        version: '1.0.0',
-        state: serializedState
-      };
-      
-      // Save to localStorage
-      localStorage.setItem(`risk-game-${saveName}`, JSON.stringify(saveData));
-      
-      // Update save list
-      this.updateSaveList(saveName);
-      
-      return true;
+      // Serialize before anything is awaited, so later moves cannot slip into the save
+      return await this.writeSave(saveName, this.createSerializedState(gameState));
     } catch (error) {
       console.error('Error saving game:', error);
       return false;
@@ -109,58 +156,187 @@ class SaveLoadSystem {
   }
   
   /**
-   * Load game state from localStorage
+   * Store a serialized game state as a save
    * @param {string} saveName - Name of the save file
-   * @returns {Object|null} Loaded game state or null if error/not found
+   * @param {Object} serializedState - Serialized game state
+   * @returns {Promise<boolean>} True once the save is stored
    */
-  static loadGame(saveName = 'autosave') {
+  static async writeSave(saveName, serializedState) {
+    // Stringify right away: the serialized state still shares objects with the live game
+    const saveDataStr = JSON.stringify(createSave(saveName, serializedState));
+    
+    await this.getStorage().setItem(`risk-game-${saveName}`, saveDataStr);
+    
+    // Update save list
+    await this.updateSaveList(saveName);
+    
+    return true;
+  }
+  
+  /**
+   * Load game state from storage, upgrading older saves to the current schema
+   * @param {string} saveName - Name of the save file
+   * @returns {Promise<Object>} Result ({ success, state } with the serialized state, or { success: false, error })
+   */
+  static async loadGame(saveName = 'autosave') {
+    let saveDataStr;
     try {
-      // Get save data from localStorage
-      const saveDataStr = localStorage.getItem(`risk-game-${saveName}`);
-      if (!saveDataStr) return null;
+      saveDataStr = await this.getStorage().getItem(`risk-game-${saveName}`);
+    } catch (error) {
+      console.error('Error loading game:', error);
+      return { success: false, error: `The save could not be read: ${error.message}` };
+    }
+    if (!saveDataStr) {
+      return { success: false, error: `There is no save named "${saveName}".` };
+    }
+    
+    let saveData;
+    try {
+      saveData = JSON.parse(saveDataStr);
+    } catch (error) {
+      console.error('Error loading game:', error);
+      return { success: false, error: 'This save is damaged and cannot be read.' };
+    }
+    
+    // Reject saves that were tampered with and bring older ones up to date
+    const result = upgradeSave(saveData);
+    if (!result.success) {
+      return result;
+    }
+    
+    // Upgraded saves are written back, so from now on their checksum is checked
+    if (result.saveData !== saveData) {
+      try {
+        await this.getStorage().setItem(`risk-game-${saveName}`, JSON.stringify(result.saveData));
+      } catch (error) {
+        console.error('Error writing back upgraded save:', error);
+      }
+    }
+    
+    // Return the serialized state to be reconstructed
+    return { success: true, state: result.saveData.state };
+  }
+  
+  /**
+   * Check whether a save is an autosave (a slot of the ring, or the single autosave of older versions)
+   * @param {string} saveName - Name of the save
+   * @returns {boolean} True for autosaves
+   */
+  static isAutoSave(saveName) {
+    return saveName === 'autosave' || /^autosave-\d+$/.test(saveName);
+  }
+  
+  /**
+   * Check whether the current player has yet to act this turn, which is when autosaves are taken
+   * @param {Object} gameState - The current game state
+   * @returns {boolean} True at the start of a turn
+   */
+  static isTurnStart(gameState) {
+    if (!gameState || gameState.gameOver || gameState.phase !== 'reinforcement') return false;
+    
+    const lastCommand = gameState.commandLog[gameState.commandLog.length - 1];
+    return !lastCommand || lastCommand.playerId !== gameState.players[gameState.currentPlayerIndex].id;
+  }
+  
+  /**
+   * Get the number of autosave slots kept
+   * @returns {Promise<number>} Number of slots
+   */
+  static async getAutoSaveSlotCount() {
+    const slotCount = parseInt(await this.getStorage().getItem('risk-game-autosave-slots'), 10);
+    return Number.isInteger(slotCount) ? slotCount : DEFAULT_AUTOSAVE_SLOTS;
+  }
+  
+  /**
+   * Change the number of autosave slots kept, deleting the slots no longer kept
+   * @param {number} slotCount - Number of slots (1 to MAX_AUTOSAVE_SLOTS)
+   * @returns {Promise<number>} The number of slots kept
+   */
+  static async setAutoSaveSlotCount(slotCount) {
+    const kept = Math.min(MAX_AUTOSAVE_SLOTS, Math.max(1, Math.floor(slotCount) || DEFAULT_AUTOSAVE_SLOTS));
+    await this.getStorage().setItem('risk-game-autosave-slots', String(kept));
+    
+    for (let slot = kept + 1; slot <= MAX_AUTOSAVE_SLOTS; slot++) {
+      if (await this.saveExists(`autosave-${slot}`)) {
+        await this.deleteSave(`autosave-${slot}`);
+      }
+    }
+    return kept;
+  }
+  
+  /**
+   * Get every autosave, newest first
+   * @returns {Promise<Object[]>} Save info objects (as from getSaveList)
+   */
+  static async getAutoSaves() {
+    return (await this.getSaveList()).filter(save => this.isAutoSave(save.name));
+  }
+  
+  /**
+   * Autosave the game in the next slot of the ring: the first empty one, or else the oldest
+   * @param {Object} gameState - Game state to save
+   * @returns {Promise<boolean>} True if auto-save was successful
+   */
+  static async createAutoSave(gameState) {
+    try {
+      if (!gameState) return false;
       
-      const saveData = JSON.parse(saveDataStr);
+      // Serialize before looking for a slot, so later moves cannot slip into the save
+      const serializedState = JSON.parse(JSON.stringify(this.createSerializedState(gameState)));
       
-      // Verify version compatibility
-      if (!this.isVersionCompatible(saveData.version)) {
-        console.warn('Save file version may be incompatible');
+      // Another game's turns are no use for rewinding this one
+      for (const save of await this.getAutoSaves()) {
+        if (save.seed !== serializedState.config.seed) {
+          await this.deleteSave(save.name);
+        }
       }
       
-      // Return the serialized state to be reconstructed
-      return saveData.state;
+      const slotCount = await this.getAutoSaveSlotCount();
+      const timestamps = {};
+      for (let slot = 1; slot <= slotCount; slot++) {
+        const saveDataStr = await this.getStorage().getItem(`risk-game-autosave-${slot}`);
+        timestamps[slot] = saveDataStr ? JSON.parse(saveDataStr).timestamp || 0 : null;
+      }
+      
+      const slots = Object.keys(timestamps).map(Number);
+      const slot = slots.find(n => timestamps[n] === null) ||
+        slots.reduce((oldest, n) => (timestamps[n] < timestamps[oldest] ? n : oldest));
+      
+      return await this.writeSave(`autosave-${slot}`, serializedState);
     } catch (error) {
-      console.error('Error loading game:', error);
-      return null;
+      console.error('Error creating autosave:', error);
+      return false;
     }
   }
   
   /**
-   * Create a new auto-save
-   * @param {Object} gameState - Game state to save
-   * @returns {boolean} True if auto-save was successful
+   * Delete every autosave
+   * @returns {Promise} Resolves once they are gone
    */
-  static createAutoSave(gameState) {
-    return this.saveGame(gameState, 'autosave');
+  static async deleteAutoSaves() {
+    for (const save of await this.getAutoSaves()) {
+      await this.deleteSave(save.name);
+    }
   }
   
   /**
    * Check if a save with the given name exists
    * @param {string} saveName - Name to check
-   * @returns {boolean} True if save exists
+   * @returns {Promise<boolean>} True if save exists
    */
-  static saveExists(saveName) {
-    return localStorage.getItem(`risk-game-${saveName}`) !== null;
+  static async saveExists(saveName) {
+    return (await this.getStorage().getItem(`risk-game-${saveName}`)) !== null;
   }
   
   /**
    * Delete a saved game
    * @param {string} saveName - Name of the save to delete
-   * @returns {boolean} True if deletion was successful
+   * @returns {Promise<boolean>} True if deletion was successful
    */
-  static deleteSave(saveName) {
+  static async deleteSave(saveName) {
     try {
-      localStorage.removeItem(`risk-game-${saveName}`);
-      this.updateSaveList(saveName, true);
+      await this.getStorage().removeItem(`risk-game-${saveName}`);
+      await this.updateSaveList(saveName, true);
       return true;
     } catch (error) {
       console.error('Error deleting save:', error);
@@ -170,32 +346,38 @@ class SaveLoadSystem {
   
   /**
    * Get list of all saved games
-   * @returns {Object[]} Array of save info objects
+   * @returns {Promise<Object[]>} Array of save info objects
    */
-  static getSaveList() {
+  static async getSaveList() {
     try {
       // Get the save list
-      const saveListStr = localStorage.getItem('risk-game-savelist');
+      const saveListStr = await this.getStorage().getItem('risk-game-savelist');
       const saveList = saveListStr ? JSON.parse(saveListStr) : [];
       
       // Get details for each save
-      const saveDetails = saveList.map(saveName => {
-        const saveDataStr = localStorage.getItem(`risk-game-${saveName}`);
+      const saveDetails = (await Promise.all(saveList.map(async saveName => {
+        const saveDataStr = await this.getStorage().getItem(`risk-game-${saveName}`);
         if (!saveDataStr) return null;
         
         try {
           const saveData = JSON.parse(saveDataStr);
+          const state = saveData.state || {};
+          const currentPlayer = Array.isArray(state.players) ? state.players[state.currentPlayerIndex] : null;
           return {
             name: saveName,
-            displayName: saveName === 'autosave' ? 'Auto Save' : saveName,
+            displayName: this.isAutoSave(saveName) ? 'Auto Save' : saveName,
             timestamp: saveData.timestamp,
             date: new Date(saveData.timestamp).toLocaleString(),
-            version: saveData.version
+            turn: state.turn,
+            playerName: currentPlayer ? currentPlayer.name : null,
+            seed: state.config ? state.config.seed : null,
+            schemaVersion: getSchemaVersion(saveData),
+            error: upgradeSave(saveData).error || null
           };
         } catch (e) {
           return null;
         }
-      }).filter(Boolean);
+      }))).filter(Boolean);
       
       // Sort by timestamp (newest first)
       saveDetails.sort((a, b) => b.timestamp - a.timestamp);
@@ -211,11 +393,12 @@ class SaveLoadSystem {
    * Update the save list when a new save is created or deleted
    * @param {string} saveName - Name of the save
    * @param {boolean} isDelete - True if this is a deletion
+   * @returns {Promise} Resolves once the list is stored
    */
-  static updateSaveList(saveName, isDelete = false) {
+  static async updateSaveList(saveName, isDelete = false) {
     try {
       // Get current save list
-      const saveListStr = localStorage.getItem('risk-game-savelist');
+      const saveListStr = await this.getStorage().getItem('risk-game-savelist');
       let saveList = saveListStr ? JSON.parse(saveListStr) : [];
       
       if (isDelete) {
@@ -224,34 +407,71 @@ class SaveLoadSystem {
       } else if (!saveList.includes(saveName)) {
         // Add to list if not already present
         saveList.push(saveName);
+      } else {
+        // Already listed
+        return;
       }
       
       // Save updated list
-      localStorage.setItem('risk-game-savelist', JSON.stringify(saveList));
+      await this.getStorage().setItem('risk-game-savelist', JSON.stringify(saveList));
     } catch (error) {
       console.error('Error updating save list:', error);
     }
   }
   
   /**
-   * Check if a save version is compatible with current version
-   * @param {string} version - Version to check
+   * Move every save from another storage into the current one, leaving the other empty
+   * @param {Object} from - Storage adapter to move saves out of
+   * @param {Object} to - Storage adapter to move them into (defaults to the current one)
+   * @returns {Promise<string[]>} Names of the saves moved
+   */
+  static async moveSaves(from, to = this.getStorage()) {
+    const saveListStr = await from.getItem('risk-game-savelist');
+    if (!saveListStr) return [];
+    
+    const saveList = JSON.parse(saveListStr);
+    const moved = [];
+    
+    for (const saveName of saveList) {
+      const saveDataStr = await from.getItem(`risk-game-${saveName}`);
+      if (saveDataStr !== null) {
+        await to.setItem(`risk-game-${saveName}`, saveDataStr);
+        moved.push(saveName);
+      }
+    }
+    
+    // Add the moved saves to the list of the other storage before removing them here
+    const targetListStr = await to.getItem('risk-game-savelist');
+    const targetList = targetListStr ? JSON.parse(targetListStr) : [];
+    const mergedList = [...targetList, ...moved.filter(name => !targetList.includes(name))];
+    await to.setItem('risk-game-savelist', JSON.stringify(mergedList));
+    
+    for (const saveName of moved) {
+      await from.removeItem(`risk-game-${saveName}`);
+    }
+    await from.removeItem('risk-game-savelist');
+    
+    return moved;
+  }
+  
+  /**
+   * Check if a save was written in a schema this version of the game can upgrade
+   * @param {Object} saveData - Save to check
    * @returns {boolean} True if compatible
    */
-  static isVersionCompatible(version) {
-    // In a real implementation, this would check version compatibility
-    // For now, we'll assume all versions are compatible
-    return true;
+  static isVersionCompatible(saveData) {
+    const version = getSchemaVersion(saveData);
+    return version !== null && version <= SAVE_SCHEMA_VERSION;
   }
   
   /**
    * Export a save file to a downloadable file
    * @param {string} saveName - Name of the save to export
-   * @returns {boolean} True if export was successful
+   * @returns {Promise<boolean>} True if export was successful
    */
-  static exportSave(saveName) {
+  static async exportSave(saveName) {
     try {
-      const saveDataStr = localStorage.getItem(`risk-game-${saveName}`);
+      const saveDataStr = await this.getStorage().getItem(`risk-game-${saveName}`);
       if (!saveDataStr) return false;
       
       // Create a blob and download link
@@ -278,52 +498,76 @@ class SaveLoadSystem {
   }
   
   /**
-   * Import a save file
-   * @param {File} file - File to import
-   * @returns {Promise<string|null>} Save name if successful, null if error
+   * Get a save as a save code, to paste in chat or put in a link (see save-code.js)
+   * @param {string} saveName - Name of the save to share
+   * @returns {Promise<string|null>} The save code, or null if there is no such save
    */
-  static importSave(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  static async exportSaveCode(saveName) {
+    try {
+      const saveDataStr = await this.getStorage().getItem(`risk-game-${saveName}`);
+      if (!saveDataStr) return null;
       
-      reader.onload = (event) => {
-        try {
-          const saveData = JSON.parse(event.target.result);
-          
-          // Validate save data
-          if (!saveData.name || !saveData.timestamp || !saveData.state) {
-            throw new Error('Invalid save file format');
-          }
-          
-          // Generate a unique name if necessary
-          let saveName = saveData.name;
-          if (this.saveExists(saveName) && saveName !== 'autosave') {
-            saveName = `${saveName}_${Date.now()}`;
-          }
-          
-          // Save to localStorage
-          localStorage.setItem(`risk-game-${saveName}`, JSON.stringify({
-            ...saveData,
-            name: saveName
-          }));
-          
-          // Update save list
-          this.updateSaveList(saveName);
-          
-          resolve(saveName);
-        } catch (error) {
-          console.error('Error parsing save file:', error);
-          reject(error);
+      return await encodeSaveCode(JSON.parse(saveDataStr));
+    } catch (error) {
+      console.error('Error creating save code:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Import a save file or save code
+   * @param {File|string} source - File to import, or the text of a save file or save code
+   * @returns {Promise<string>} Save name if successful; rejects with the reason otherwise
+   */
+  static async importSave(source) {
+    try {
+      const text = typeof source === 'string' ? source : await source.text();
+      
+      let saveData;
+      if (isSaveCode(text)) {
+        const decoded = await decodeSaveCode(text);
+        if (!decoded.success) {
+          throw new Error(decoded.error);
         }
-      };
+        saveData = decoded.saveData;
+      } else {
+        saveData = JSON.parse(text);
+      }
       
-      reader.onerror = (error) => {
-        reject(error);
-      };
+      // Validate save data
+      if (!saveData.name || !saveData.timestamp || !saveData.state) {
+        throw new Error('Invalid save file format');
+      }
+      
+      // Refuse saves that could not be loaded
+      const result = upgradeSave(saveData);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       
-      reader.readAsText(file);
-    });
+      // Generate a unique name if necessary. Imports never take an autosave slot,
+      // where another player's game would show up as a turn to rewind to.
+      let saveName = saveData.name;
+      while (this.isAutoSave(saveName) || await this.saveExists(saveName)) {
+        saveName = `${saveData.name}_${Date.now()}`;
+      }
+      
+      // Save to storage, upgraded to the current schema
+      await this.getStorage().setItem(`risk-game-${saveName}`, JSON.stringify({
+        ...result.saveData,
+        name: saveName
+      }));
+      
+      // Update save list
+      await this.updateSaveList(saveName);
+      
+      return saveName;
+    } catch (error) {
+      console.error('Error parsing save file:', error);
+      throw error;
+    }
   }
 }
 
+export { DEFAULT_AUTOSAVE_SLOTS, MAX_AUTOSAVE_SLOTS };
 export default SaveLoadSystem;
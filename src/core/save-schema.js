@@ -0,0 +1,253 @@
+/**
+ * Save file schema for Risk-inspired strategy game
+ *
+ * Every save is stamped with the version of the schema it was written in.
+ * Loading a save first checks that it has not been changed since it was
+ * written, then brings it up to the current schema one migration at a time,
+ * then checks that the game in it can be played before GameState.deserialize
+ * rebuilds it.
+ *
+ * Schema versions:
+ *   1  Saves stamped `version: '1.0.0'`, from before saves had a schema. The
+ *      game state grew under that stamp: the oldest have no seed, rules, command
+ *      log, capitals, missions, sea lanes or territory draft.
+ *   2  Saves stamped with `schemaVersion` and a checksum of their game state,
+ *      with every field of the game state written out, including a conquest
+ *      waiting for armies to be moved in and research in progress. Games
+ *      upgraded from schema 1 without a seed and a command log are marked as
+ *      not replayable (`replayable: false`).
+ *
+ * A change to the shape of the game state gets a new schema version and a
+ * migration from the one before it in MIGRATIONS.
+ */
+
+// Version of the schema saves are written in
+const SAVE_SCHEMA_VERSION = 2;
+
+// Phases a saved game can be in
+const PHASES = ['claim', 'deploy', 'capital-selection', 'reinforcement', 'attack', 'fortification'];
+
+/**
+ * Get the version of the schema a save was written in
+ * @param {Object} saveData - Save as read from storage
+ * @returns {number|null} Schema version, or null if the data is not a save
+ */
+function getSchemaVersion(saveData) {
+  if (!saveData || typeof saveData !== 'object') return null;
+  if (Number.isInteger(saveData.schemaVersion) && saveData.schemaVersion > 0) return saveData.schemaVersion;
+
+  // Saves from before the schema all carried the same stamp
+  return saveData.version === '1.0.0' ? 1 : null;
+}
+
+/**
+ * Hash a text with FNV-1a
+ * @param {string} text - Text to hash
+ * @returns {string} 32-bit hash, as 8 hex digits
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Compute the checksum of a game state, to tell whether it was changed after it was saved
+ * @param {Object} state - Serialized game state
+ * @returns {string} Hash of the state's JSON
+ */
+function createChecksum(state) {
+  return hashText(JSON.stringify(state));
+}
+
+/**
+ * Create a save of a game state in the current schema
+ * @param {string} name - Name of the save
+ * @param {Object} state - Serialized game state
+ * @returns {Object} Save data
+ */
+function createSave(name, state) {
+  return {
+    name,
+    timestamp: Date.now(),
+    schemaVersion: SAVE_SCHEMA_VERSION,
+    checksum: createChecksum(state),
+    state
+  };
+}
+
+/**
+ * Schema 1 to 2: write out every field that was added to the game state while
+ * saves were still stamped 1.0.0, with the value a game started before it had.
+ * @param {Object} saveData - Save in schema 1
+ * @returns {Object} Save in schema 2
+ */
+function migrateFromVersion1(saveData) {
+  const state = saveData.state;
+
+  return {
+    name: saveData.name,
+    timestamp: saveData.timestamp,
+    schemaVersion: 2,
+    state: {
+      ...state,
+      config: {
+        ...state.config,
+        ruleSet: state.config.ruleSet || 'classic'
+      },
+      players: state.players.map(player => ({
+        ...player,
+        eliminatedBy: player.eliminatedBy ?? null,
+        mission: player.mission ?? null,
+        victoryProgress: player.victoryProgress || {}
+      })),
+      territories: state.territories.map(territory => ({
+        ...territory,
+        seaLanes: territory.seaLanes || [],
+        capitalOf: territory.capitalOf ?? null
+      })),
+      discardPile: state.discardPile || [],
+      cardAwarded: state.cardAwarded || false,
+      setupArmies: state.setupArmies || {},
+      allianceProposals: state.allianceProposals || [],
+      hasFortified: state.hasFortified || false,
+      // Conquests and research under way were not saved, so none were left waiting
+      pendingConquest: state.pendingConquest ?? null,
+      researchProgress: state.researchProgress || {},
+      commandLog: state.commandLog || [],
+      // A replay starts from the seed and plays the command log, so games saved without them cannot be replayed
+      replayable: state.config.seed !== undefined && state.config.seed !== null && Array.isArray(state.commandLog)
+    }
+  };
+}
+
+// Migrations by the schema version they upgrade from
+const MIGRATIONS = {
+  1: migrateFromVersion1
+};
+
+/**
+ * Check that a game state in the current schema can be played
+ * @param {Object} state - Serialized game state
+ * @returns {string|null} What is wrong with the state, or null if it is fine
+ */
+function validateState(state) {
+  if (!state || typeof state !== 'object' || !state.config || typeof state.config !== 'object') {
+    return 'it has no game in it';
+  }
+  if (!Array.isArray(state.players) || state.players.length === 0) {
+    return 'it has no players';
+  }
+  if (!Array.isArray(state.territories) || state.territories.length === 0) {
+    return 'it has no territories';
+  }
+  if (!Array.isArray(state.continents)) {
+    return 'it has no continents';
+  }
+
+  const playerIds = new Set(state.players.map(player => player.id));
+  if (playerIds.size !== state.players.length) {
+    return 'two players have the same ID';
+  }
+
+  const territories = new Map(state.territories.map(territory => [territory.id, territory]));
+  for (const territory of state.territories) {
+    if (territory.occupyingPlayer !== null && !playerIds.has(territory.occupyingPlayer)) {
+      return `territory '${territory.id}' is held by unknown player '${territory.occupyingPlayer}'`;
+    }
+    if (!territory.armies || typeof territory.armies !== 'object' ||
+        !Object.values(territory.armies).every(count => Number.isInteger(count) && count >= 0)) {
+      return `territory '${territory.id}' has an impossible number of armies`;
+    }
+  }
+
+  for (const player of state.players) {
+    if (!Array.isArray(player.territories)) {
+      return `player '${player.id}' has no list of territories`;
+    }
+    const wrong = player.territories.find(id => !territories.has(id) || territories.get(id).occupyingPlayer !== player.id);
+    if (wrong) {
+      return `player '${player.id}' lists territory '${wrong}', which they do not hold`;
+    }
+  }
+
+  if (!Number.isInteger(state.currentPlayerIndex) || state.currentPlayerIndex < 0 ||
+      state.currentPlayerIndex >= state.players.length) {
+    return 'the current player is not one of the players';
+  }
+  if (!PHASES.includes(state.phase)) {
+    return `the game is in unknown phase '${state.phase}'`;
+  }
+  if (!Number.isInteger(state.turn) || state.turn < 1) {
+    return 'the turn number is not a positive whole number';
+  }
+
+  const conquest = state.pendingConquest;
+  if (conquest && (state.phase !== 'attack' ||
+      !territories.has(conquest.fromTerritoryId) || !territories.has(conquest.toTerritoryId))) {
+    return 'it is waiting for armies to move into a territory it cannot move them to';
+  }
+  const researcher = Object.keys(state.researchProgress || {}).find(playerId => !playerIds.has(playerId));
+  if (researcher) {
+    return `unknown player '${researcher}' is researching a technology`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a save and bring it up to the current schema
+ * @param {Object} saveData - Save as read from storage
+ * @returns {Object} Result ({ success, saveData } with the upgraded save, or { success: false, error })
+ */
+function upgradeSave(saveData) {
+  const version = getSchemaVersion(saveData);
+  if (version === null || !saveData.state || typeof saveData.state !== 'object') {
+    return { success: false, error: 'This file is not a saved game.' };
+  }
+  if (version > SAVE_SCHEMA_VERSION) {
+    return {
+      success: false,
+      error: `This game was saved by a newer version of the game (save format ${version}, ` +
+        `this version reads up to ${SAVE_SCHEMA_VERSION}).`
+    };
+  }
+
+  // Saves from before the schema have no checksum to check
+  if (version >= 2 && saveData.checksum !== createChecksum(saveData.state)) {
+    return { success: false, error: 'This save has been changed or damaged since it was made.' };
+  }
+
+  let upgraded = saveData;
+  try {
+    for (let from = version; from < SAVE_SCHEMA_VERSION; from++) {
+      upgraded = MIGRATIONS[from](upgraded);
+    }
+    // An upgraded save is stamped and checksummed like one written now, keeping the time it was made
+    if (version < SAVE_SCHEMA_VERSION) {
+      upgraded = { ...createSave(upgraded.name, upgraded.state), timestamp: upgraded.timestamp };
+    }
+  } catch (error) {
+    return { success: false, error: `This save is damaged and could not be upgraded from save format ${version}.` };
+  }
+
+  const problem = validateState(upgraded.state);
+  if (problem) {
+    return { success: false, error: `This save cannot be played: ${problem}.` };
+  }
+
+  return { success: true, saveData: upgraded };
+}
+
+export {
+  SAVE_SCHEMA_VERSION,
+  getSchemaVersion,
+  hashText,
+  createChecksum,
+  createSave,
+  validateState,
+  upgradeSave
+};
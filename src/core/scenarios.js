@@ -0,0 +1,704 @@
+/**
+ * Scenarios for Risk-inspired strategy game
+ *
+ * A scenario starts a game from an authored position instead of a random
+ * deal: who holds each territory and with how many armies, each player's
+ * resources, technologies and cards, events already under way, objectives and
+ * a turn limit. A game plays a scenario when `config.scenario` holds it; the
+ * scenario is kept in the config, so saves and replays set the game up the
+ * same way again. See docs/scenario-format.md for the format.
+ */
+
+import { getMap, RESOURCE_TYPES } from './map-registry.js';
+import { RULE_SETS } from './rule-sets.js';
+import { MIN_SEATS, MAX_SEATS, PLAYER_COLORS, AI_STRATEGIES, AI_DIFFICULTIES, createDefaultSeats } from './game-setup.js';
+import { getTotalArmies } from './game-helpers.js';
+import { eventTypes } from './events/event-types.js';
+import techTree from '../assets/tech-tree.js';
+import hundredDays from '../assets/scenarios/hundred-days.js';
+import islandHopping from '../assets/scenarios/island-hopping.js';
+import worldAblaze from '../assets/scenarios/world-ablaze.js';
+
+// Game settings a scenario may choose (the player can still change them before the game starts)
+const SCENARIO_SETTINGS = [
+  'enableTechnologies', 'enableResources', 'enableEvents', 'enableAlliances', 'enableCapitals',
+  'enableFog', 'fogHidesOwners', 'victoryConditions', 'rules'
+];
+
+// Objectives a player can be given, by mission type (see missions.js)
+const OBJECTIVE_TYPES = ['hold-continents', 'hold-territories', 'hold-named-territories', 'eliminate-player'];
+
+// Effects of events that last while the event is under way (the others happen once, when it is triggered)
+const LASTING_EFFECT_TYPES = ['combat', 'movement'];
+
+// Unit types an army can be given in
+const UNIT_TYPES = ['infantry', 'cavalry', 'artillery'];
+
+// Technology IDs and their prerequisites
+const TECHNOLOGIES = new Map(
+  Object.values(techTree).flat().map(technology => [technology.id, technology.prerequisites])
+);
+
+// Registered scenarios by ID
+const scenarios = new Map();
+
+/**
+ * Get the units of an army as given in a scenario (a number of infantry, or units by type)
+ * @param {number|Object} armies - Army in the scenario
+ * @returns {Object} Units by type ({ infantry, cavalry, artillery })
+ */
+function toUnits(armies) {
+  if (typeof armies === 'number') {
+    return { infantry: armies, cavalry: 0, artillery: 0 };
+  }
+  return { infantry: armies.infantry || 0, cavalry: armies.cavalry || 0, artillery: armies.artillery || 0 };
+}
+
+/**
+ * Write units the way a scenario gives them: a number when they are all infantry
+ * @param {Object} units - Units by type
+ * @returns {number|Object} Army for the scenario
+ */
+function fromUnits(units) {
+  if (!units.cavalry && !units.artillery) {
+    return units.infantry || 0;
+  }
+  return { infantry: units.infantry || 0, cavalry: units.cavalry || 0, artillery: units.artillery || 0 };
+}
+
+/**
+ * Check an army as given in a scenario
+ * @param {*} armies - Army to check
+ * @returns {boolean} True for a whole number of infantry, or whole numbers of units by type, of at least one unit
+ *   (units by type may also mark the territory as a capital with capitalOf, checked separately)
+ */
+function isValidArmy(armies) {
+  if (typeof armies === 'number') {
+    return Number.isInteger(armies) && armies >= 1;
+  }
+  if (!armies || typeof armies !== 'object') return false;
+
+  const counts = Object.entries(armies).filter(([key]) => key !== 'capitalOf');
+  return counts.every(([type, count]) => UNIT_TYPES.includes(type) && Number.isInteger(count) && count >= 0) &&
+    counts.some(([, count]) => count > 0);
+}
+
+/**
+ * Check a player's objective
+ * @param {Object} objective - Objective to check
+ * @param {Object} mapData - Map the scenario is played on
+ * @param {number} playerCount - Number of players in the scenario
+ * @param {number} index - Position of the player holding the objective
+ * @returns {string|null} What is wrong with the objective, or null if it is fine
+ */
+function checkObjective(objective, mapData, playerCount, index) {
+  if (!objective || !OBJECTIVE_TYPES.includes(objective.type)) {
+    return `has unknown objective type '${objective && objective.type}'`;
+  }
+
+  switch (objective.type) {
+    case 'hold-continents': {
+      const unknown = (objective.continentIds || []).find(id => !mapData.continents.some(c => c.id === id));
+      if (!Array.isArray(objective.continentIds) || objective.continentIds.length === 0) {
+        return 'needs the continents to hold (continentIds)';
+      }
+      return unknown ? `has an objective on unknown continent '${unknown}'` : null;
+    }
+    case 'hold-territories':
+      if (!Number.isInteger(objective.count) || objective.count < 1 || objective.count > mapData.territories.length) {
+        return `needs a number of territories to hold between 1 and ${mapData.territories.length}`;
+      }
+      if (objective.minArmies !== undefined && !(Number.isInteger(objective.minArmies) && objective.minArmies >= 1)) {
+        return 'needs minArmies to be a whole number of at least 1';
+      }
+      return null;
+    case 'hold-named-territories': {
+      if (!Array.isArray(objective.territoryIds) || objective.territoryIds.length === 0) {
+        return 'needs the territories to hold (territoryIds)';
+      }
+      const unknown = objective.territoryIds.find(id => !mapData.territories.some(t => t.id === id));
+      return unknown ? `has an objective on unknown territory '${unknown}'` : null;
+    }
+    case 'eliminate-player':
+      if (!Number.isInteger(objective.player) || objective.player < 0 || objective.player >= playerCount) {
+        return 'needs the position of the player to eliminate (player)';
+      }
+      return objective.player === index ? 'cannot have to eliminate themselves' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a scenario against the scenario format.
+ * Problems are collected rather than thrown so a scenario author sees every
+ * mistake at once.
+ * @param {Object} scenario - Scenario definition
+ * @returns {Object} Result with valid flag and a list of error messages
+ */
+function validateScenario(scenario) {
+  const errors = [];
+
+  if (!scenario || typeof scenario !== 'object') {
+    return { valid: false, errors: ['Scenario must be an object'] };
+  }
+
+  if (typeof scenario.id !== 'string' || scenario.id.trim() === '') {
+    errors.push('Scenario must have a non-empty string id');
+  }
+  if (typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+    errors.push('Scenario must have a non-empty string name');
+  }
+
+  const mapData = getMap(scenario.mapId);
+  if (!mapData) {
+    errors.push(`Scenario is played on unknown map '${scenario.mapId}'`);
+  }
+  if (scenario.ruleSet !== undefined && !RULE_SETS[scenario.ruleSet]) {
+    errors.push(`Scenario uses unknown rule set '${scenario.ruleSet}'`);
+  }
+  Object.keys(scenario.settings || {}).forEach(setting => {
+    if (!SCENARIO_SETTINGS.includes(setting)) {
+      errors.push(`Scenario has unknown setting '${setting}'`);
+    }
+  });
+
+  const turn = scenario.turn === undefined ? 1 : scenario.turn;
+  if (!Number.isInteger(turn) || turn < 1) {
+    errors.push('Scenario turn must be a whole number of at least 1');
+  }
+  if (scenario.turnLimit !== undefined && !(Number.isInteger(scenario.turnLimit) && scenario.turnLimit >= turn)) {
+    errors.push(`Scenario turnLimit must be a whole number no earlier than its first turn (${turn})`);
+  }
+
+  const players = Array.isArray(scenario.players) ? scenario.players : null;
+  if (!players || players.length < MIN_SEATS || players.length > MAX_SEATS) {
+    errors.push(`Scenario must have ${MIN_SEATS} to ${MAX_SEATS} players`);
+  }
+  if (!players || !mapData) {
+    return { valid: false, errors };
+  }
+
+  if (scenario.turnLimitWinner !== undefined && (scenario.turnLimit === undefined ||
+      !Number.isInteger(scenario.turnLimitWinner) || scenario.turnLimitWinner < 0 || scenario.turnLimitWinner >= players.length)) {
+    errors.push('Scenario turnLimitWinner must be the position of a player, and needs a turnLimit');
+  }
+
+  // Every territory on the map is held by one player, or is neutral
+  const holders = new Map();
+  const capitals = new Map();
+  const hold = (territories, holder, label) => {
+    Object.entries(territories || {}).forEach(([territoryId, armies]) => {
+      if (!mapData.territories.some(t => t.id === territoryId)) {
+        errors.push(`${label} holds unknown territory '${territoryId}'`);
+      } else if (holders.has(territoryId)) {
+        errors.push(`Territory '${territoryId}' is held by both ${holders.get(territoryId)} and ${holder}`);
+      } else {
+        holders.set(territoryId, holder);
+      }
+      if (!isValidArmy(armies)) {
+        errors.push(`${label} has an impossible army in '${territoryId}'`);
+      }
+
+      // A capital names the position of the player it belongs to, who may have lost it
+      const capitalOf = armies && typeof armies === 'object' ? armies.capitalOf : undefined;
+      if (capitalOf === undefined) return;
+      if (!Number.isInteger(capitalOf) || capitalOf < 0 || capitalOf >= players.length) {
+        errors.push(`${label} has a capital in '${territoryId}' that must name the position of a player (capitalOf)`);
+      } else if (capitals.has(capitalOf)) {
+        errors.push(`Player '${players[capitalOf].name}' has capitals in both '${capitals.get(capitalOf)}' and '${territoryId}'`);
+      } else {
+        capitals.set(capitalOf, territoryId);
+      }
+    });
+  };
+
+  const heldCards = new Set();
+  let wildCards = 0;
+  players.forEach((player, index) => {
+    const label = player && player.name ? `Player '${player.name}'` : `Player #${index + 1}`;
+
+    if (!player || typeof player.name !== 'string' || player.name.trim() === '') {
+      errors.push(`${label} must have a name`);
+      return;
+    }
+    if (!PLAYER_COLORS.includes(player.color)) {
+      errors.push(`${label} has unknown color '${player.color}'`);
+    } else if (players.findIndex(other => other && other.color === player.color) !== index) {
+      errors.push(`${label} has the same color as another player`);
+    }
+    if (player.type !== undefined && player.type !== 'human' && player.type !== 'ai') {
+      errors.push(`${label} has unknown player type '${player.type}'`);
+    }
+    if (player.strategy !== undefined && !AI_STRATEGIES.includes(player.strategy)) {
+      errors.push(`${label} has unknown AI strategy '${player.strategy}'`);
+    }
+    if (player.difficulty !== undefined && !AI_DIFFICULTIES.includes(player.difficulty)) {
+      errors.push(`${label} has unknown AI difficulty '${player.difficulty}'`);
+    }
+
+    if (!player.territories || Object.keys(player.territories).length === 0) {
+      errors.push(`${label} must hold at least one territory`);
+    }
+    hold(player.territories, `player '${player.name}'`, label);
+
+    Object.entries(player.resources || {}).forEach(([type, amount]) => {
+      if (!RESOURCE_TYPES.includes(type)) {
+        errors.push(`${label} has unknown resource '${type}'`);
+      } else if (!Number.isInteger(amount) || amount < 0) {
+        errors.push(`${label} resource '${type}' must be a non-negative integer`);
+      }
+    });
+
+    (player.technologies || []).forEach(techId => {
+      if (!TECHNOLOGIES.has(techId)) {
+        errors.push(`${label} has unknown technology '${techId}'`);
+        return;
+      }
+      const missing = TECHNOLOGIES.get(techId).find(prerequisite => !player.technologies.includes(prerequisite));
+      if (missing) {
+        errors.push(`${label} has technology '${techId}' without its prerequisite '${missing}'`);
+      }
+    });
+
+    // Cards show a territory on the map, or are one of the deck's two wild cards
+    (player.cards || []).forEach(card => {
+      if (card === 'wild') {
+        wildCards++;
+      } else if (!mapData.territories.some(t => t.id === card)) {
+        errors.push(`${label} has a card for unknown territory '${card}'`);
+      } else if (heldCards.has(card)) {
+        errors.push(`The card for '${card}' is held more than once`);
+      }
+      heldCards.add(card);
+    });
+
+    if (player.objective !== undefined && player.objective !== null) {
+      const problem = checkObjective(player.objective, mapData, players.length, index);
+      if (problem) {
+        errors.push(`${label} ${problem}`);
+      }
+    }
+  });
+  if (wildCards > 2) {
+    errors.push('The deck has only two wild cards');
+  }
+
+  hold(scenario.neutral, 'neutral armies', 'Neutral');
+  if (capitals.size > 0 && capitals.size < players.length) {
+    errors.push('Scenario must give every player a capital, or none');
+  }
+  const unheld = mapData.territories.filter(t => !holders.has(t.id)).map(t => `'${t.id}'`);
+  if (unheld.length > 0) {
+    errors.push(`No one holds ${unheld.join(', ')} (list them under a player, or as neutral)`);
+  }
+
+  (scenario.activeEvents || []).forEach((event, index) => {
+    const label = `Event #${index + 1}`;
+    const eventType = event && eventTypes.find(type => type.type === event.type);
+    if (!eventType) {
+      errors.push(`${label} has unknown event type '${event && event.type}'`);
+    } else if (!LASTING_EFFECT_TYPES.includes(eventType.effectType)) {
+      errors.push(`${label} '${event.type}' has no lasting effect, so it cannot be under way`);
+    }
+    if (!event || !Number.isInteger(event.player) || event.player < 0 || event.player >= players.length) {
+      errors.push(`${label} must name the position of the player it affects (player)`);
+    }
+    if (!event || !Number.isInteger(event.turns) || event.turns < 1) {
+      errors.push(`${label} must last a whole number of turns (turns)`);
+    }
+    const unknown = ((event && event.territories) || []).find(id => !mapData.territories.some(t => t.id === id));
+    if (unknown) {
+      errors.push(`${label} affects unknown territory '${unknown}'`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Add a scenario to the registry
+ * @param {Object|string} scenario - Scenario definition, or the same definition as a JSON string
+ * @returns {Object} Result with success flag and any validation errors
+ */
+function registerScenario(scenario) {
+  let data = scenario;
+
+  if (typeof scenario === 'string') {
+    try {
+      data = JSON.parse(scenario);
+    } catch (error) {
+      return { success: false, error: `Invalid scenario JSON: ${error.message}`, errors: [error.message] };
+    }
+  }
+
+  const { valid, errors } = validateScenario(data);
+  if (!valid) {
+    return { success: false, error: `Scenario '${data && data.id}' is invalid`, errors };
+  }
+
+  scenarios.set(data.id, data);
+  return { success: true, scenarioId: data.id };
+}
+
+/**
+ * Get a registered scenario
+ * @param {string} scenarioId - ID of the scenario
+ * @returns {Object|null} Scenario definition, or null if no scenario has this ID
+ */
+function getScenario(scenarioId) {
+  return scenarios.get(scenarioId) || null;
+}
+
+/**
+ * List the registered scenarios
+ * @returns {Object[]} Summary of each scenario ({ id, name, description, mapId, playerCount, turnLimit })
+ */
+function listScenarios() {
+  return [...scenarios.values()].map(scenario => ({
+    id: scenario.id,
+    name: scenario.name,
+    description: scenario.description || '',
+    mapId: scenario.mapId,
+    playerCount: scenario.players.length,
+    turnLimit: scenario.turnLimit || null
+  }));
+}
+
+/**
+ * Create the seats of a scenario's players. Players the scenario does not say
+ * how to play are played as in a new game: the first by a human, the rest by AI.
+ * @param {Object} scenario - Scenario definition
+ * @returns {Object[]} Seats
+ */
+function createScenarioSeats(scenario) {
+  return createDefaultSeats(scenario.players.length).map((seat, index) => {
+    const { name, color, type, strategy, difficulty } = scenario.players[index];
+    return {
+      name,
+      color,
+      type: type || seat.type,
+      strategy: strategy || seat.strategy,
+      difficulty: difficulty || seat.difficulty
+    };
+  });
+}
+
+/**
+ * Get the settings a game takes from its scenario, whatever else it was set up with
+ * @param {Object} scenario - Scenario definition
+ * @param {Object} config - Rest of the game's configuration
+ * @returns {Object} Settings to apply over the configuration
+ */
+function getScenarioConfig(scenario, config) {
+  const seats = config.seats || createScenarioSeats(scenario);
+  const hasObjectives = scenario.players.some(player => player.objective);
+  const victoryConditions = config.victoryConditions || [];
+
+  return {
+    mapId: scenario.mapId,
+    seats,
+    playerCount: seats.length,
+    aiPlayers: seats.filter(seat => seat.type === 'ai').length,
+    enableDraft: false,
+    // Objectives are played as missions
+    enableMissions: !!config.enableMissions || hasObjectives,
+    victoryConditions: hasObjectives && !victoryConditions.includes('missions')
+      ? [...victoryConditions, 'missions']
+      : victoryConditions,
+    turnLimit: scenario.turnLimit || null
+  };
+}
+
+/**
+ * Turn a scenario objective into the mission its player is given
+ * @param {Object} objective - Objective from the scenario
+ * @param {Object[]} players - Players of the game
+ * @param {number} index - Position of the player holding the objective
+ * @returns {Object} Mission
+ */
+function createObjectiveMission(objective, players, index) {
+  const { player: target, ...mission } = objective;
+  const id = `scenario-objective-${index + 1}`;
+
+  if (objective.type === 'eliminate-player') {
+    return { id, type: mission.type, targetPlayerId: players[target].id };
+  }
+  if (objective.type === 'hold-territories') {
+    return { id, minArmies: 1, ...mission };
+  }
+  return { id, ...mission };
+}
+
+/**
+ * Set a new game up in a scenario's position. The game's players, territories
+ * and shuffled card deck must already be created.
+ * @param {Object} gameState - The game state to set up
+ * @param {Object} scenario - Scenario definition
+ * @throws {Error} If the scenario is invalid or the game has a different number of players
+ */
+function setUpScenario(gameState, scenario) {
+  const { valid, errors } = validateScenario(scenario);
+  if (!valid) {
+    throw new Error(`Scenario '${scenario && scenario.id}' is invalid:\n- ${errors.join('\n- ')}`);
+  }
+  if (gameState.players.length !== scenario.players.length) {
+    throw new Error(`Scenario '${scenario.name}' is played by ${scenario.players.length} players`);
+  }
+
+  const territoryById = new Map(gameState.territories.map(territory => [territory.id, territory]));
+
+  // Capitals are only marked in games played in capitals mode, where having
+  // every one of them lets the game skip capital selection
+  const placeCapital = (territory, armies) => {
+    if (gameState.config.enableCapitals && typeof armies === 'object' && armies.capitalOf !== undefined) {
+      territory.capitalOf = gameState.players[armies.capitalOf].id;
+    }
+  };
+
+  Object.entries(scenario.neutral || {}).forEach(([territoryId, armies]) => {
+    const territory = territoryById.get(territoryId);
+    territory.armies = toUnits(armies);
+    placeCapital(territory, armies);
+  });
+
+  gameState.players.forEach((player, index) => {
+    const scenarioPlayer = scenario.players[index];
+
+    Object.entries(scenarioPlayer.territories).forEach(([territoryId, armies]) => {
+      const territory = territoryById.get(territoryId);
+      territory.occupyingPlayer = player.id;
+      territory.armies = toUnits(armies);
+      placeCapital(territory, armies);
+      player.territories.push(territoryId);
+    });
+
+    player.resources = { ...player.resources, ...(scenarioPlayer.resources || {}) };
+    player.technologies = [...(scenarioPlayer.technologies || [])];
+
+    // Cards are taken out of the deck, so no card is in play twice
+    player.cards = (scenarioPlayer.cards || []).map(card => {
+      const deckIndex = gameState.cardDeck.findIndex(deckCard =>
+        card === 'wild' ? deckCard.type === 'wild' : deckCard.territoryId === card
+      );
+      return gameState.cardDeck.splice(deckIndex, 1)[0];
+    });
+
+    if (scenarioPlayer.objective) {
+      player.mission = createObjectiveMission(scenarioPlayer.objective, gameState.players, index);
+    }
+  });
+
+  gameState.turn = scenario.turn || 1;
+
+  // Events under way when the scenario starts (only in games played with events)
+  if (gameState.eventsManager) {
+    (scenario.activeEvents || []).forEach((event, index) => {
+      const eventType = eventTypes.find(type => type.type === event.type);
+      const player = gameState.players[event.player];
+      const territoryNames = (event.territories || []).map(id => territoryById.get(id).name);
+
+      gameState.eventsManager.activeEvents.push({
+        ...eventType,
+        id: `${eventType.type}-scenario-${index + 1}`,
+        message: eventType.message
+          .replace('{player}', player.name)
+          .replace('{territory}', territoryNames[0] || 'a territory')
+          .replace('{territories}', territoryNames.join(', ')),
+        targetPlayerId: player.id,
+        ...(event.territories ? { affectedTerritories: [...event.territories] } : {}),
+        duration: event.turns,
+        startTurn: gameState.turn,
+        endTurn: gameState.turn + event.turns
+      });
+    });
+  }
+}
+
+/**
+ * End the game once its turn limit has passed. The player the scenario names
+ * wins; without one (or if they are out of the game) the player holding the
+ * most territories wins, and then the one with the most armies.
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if the game ended
+ */
+function checkTurnLimit(gameState) {
+  const turnLimit = gameState.config.turnLimit;
+  if (!turnLimit || gameState.turn <= turnLimit || gameState.gameOver) {
+    return false;
+  }
+
+  const scenario = gameState.config.scenario;
+  const named = scenario && scenario.turnLimitWinner !== undefined
+    ? gameState.players[scenario.turnLimitWinner]
+    : null;
+
+  const armies = (player) => gameState.territories
+    .filter(t => t.occupyingPlayer === player.id)
+    .reduce((total, territory) => total + getTotalArmies(territory), 0);
+  const leader = gameState.players
+    .filter(player => !player.eliminated)
+    .reduce((best, player) => {
+      if (!best) return player;
+      const difference = player.territories.length - best.territories.length;
+      return difference > 0 || (difference === 0 && armies(player) > armies(best)) ? player : best;
+    }, null);
+
+  gameState.gameOver = true;
+  gameState.winner = named && !named.eliminated ? named : leader;
+  gameState.victoryType = 'turn-limit';
+  return true;
+}
+
+/**
+ * Describe how a game with a turn limit ends
+ * @param {Object} gameState - The current game state
+ * @returns {string} Description, or an empty string for games without a turn limit
+ */
+function describeTurnLimit(gameState) {
+  const turnLimit = gameState.config.turnLimit;
+  if (!turnLimit) return '';
+
+  const scenario = gameState.config.scenario;
+  const named = scenario && scenario.turnLimitWinner !== undefined
+    ? gameState.players[scenario.turnLimitWinner]
+    : null;
+  const winner = named ? `${named.name} wins` : 'the player holding the most territories wins';
+  return `The game ends after turn ${turnLimit}; if no one has won by then, ${winner}`;
+}
+
+/**
+ * Create a scenario from the current position of a game
+ * @param {Object} gameState - The game to take the position from
+ * @param {Object} options - Scenario details ({ id, name, description, turnLimit, and turnLimitWinner as a player ID })
+ * @returns {Object} Scenario definition (players who are out of the game are left out, and the
+ *   player whose turn it is comes first)
+ */
+function createScenario(gameState, options = {}) {
+  const { config } = gameState;
+  const seats = config.seats || [];
+  // The player whose turn it is moves first
+  const active = gameState.players.filter(player => !player.eliminated);
+  const first = Math.max(0, active.indexOf(gameState.players[gameState.currentPlayerIndex]));
+  const players = [...active.slice(first), ...active.slice(0, first)];
+  const positionOf = (playerId) => players.findIndex(player => player.id === playerId);
+  const name = options.name || `Turn ${gameState.turn}`;
+
+  // Capitals are kept once every player has one (capitals of players who are out become ordinary territories)
+  const hasCapitals = players.every(player => gameState.territories.some(t => t.capitalOf === player.id));
+  const armiesOf = (territory) => {
+    const armies = fromUnits(territory.armies);
+    const capitalOf = positionOf(territory.capitalOf);
+    return hasCapitals && capitalOf >= 0 ? { ...toUnits(armies), capitalOf } : armies;
+  };
+
+  const settings = {};
+  SCENARIO_SETTINGS.forEach(setting => {
+    if (config[setting] !== undefined) {
+      settings[setting] = JSON.parse(JSON.stringify(config[setting]));
+    }
+  });
+  // Missions only come back as objectives; the other victory conditions keep going
+  settings.victoryConditions = (config.victoryConditions || []).filter(condition => condition !== 'missions');
+
+  const scenario = {
+    id: options.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+    name,
+    description: options.description || '',
+    mapId: config.mapId,
+    ruleSet: config.ruleSet,
+    settings,
+    turn: gameState.turn,
+    players: players.map(player => {
+      const seat = seats[gameState.players.indexOf(player)];
+      const territories = {};
+      gameState.territories
+        .filter(t => t.occupyingPlayer === player.id)
+        .forEach(territory => {
+          territories[territory.id] = armiesOf(territory);
+        });
+
+      const scenarioPlayer = {
+        name: player.name,
+        color: player.color,
+        ...(seat ? { type: seat.type, strategy: seat.strategy, difficulty: seat.difficulty } : {}),
+        territories,
+        resources: { ...player.resources },
+        technologies: [...player.technologies],
+        cards: player.cards.map(card => card.territoryId || 'wild')
+      };
+
+      // Objectives against players already out of the game are left out
+      const mission = player.mission;
+      if (mission && mission.type === 'eliminate-player' && positionOf(mission.targetPlayerId) >= 0) {
+        scenarioPlayer.objective = { type: mission.type, player: positionOf(mission.targetPlayerId) };
+      } else if (mission && mission.type !== 'eliminate-player') {
+        const { id, ...objective } = mission;
+        scenarioPlayer.objective = objective;
+      }
+      return scenarioPlayer;
+    })
+  };
+
+  const neutral = {};
+  gameState.territories
+    .filter(t => t.occupyingPlayer === null)
+    .forEach(territory => {
+      const armies = Math.max(1, getTotalArmies(territory));
+      const capitalOf = positionOf(territory.capitalOf);
+      neutral[territory.id] = hasCapitals && capitalOf >= 0 ? { infantry: armies, capitalOf } : armies;
+    });
+  if (Object.keys(neutral).length > 0) {
+    scenario.neutral = neutral;
+  }
+
+  // Events with lasting effects still under way, with the turns they have left
+  const activeEvents = (gameState.eventsManager ? gameState.eventsManager.activeEvents : [])
+    .filter(event => LASTING_EFFECT_TYPES.includes(event.effectType))
+    .filter(event => positionOf(event.targetPlayerId) >= 0 && event.endTurn > gameState.turn)
+    .map(event => ({
+      type: event.type,
+      player: positionOf(event.targetPlayerId),
+      turns: event.endTurn - gameState.turn,
+      ...(event.affectedTerritories ? { territories: [...event.affectedTerritories] } : {})
+    }));
+  if (activeEvents.length > 0) {
+    scenario.activeEvents = activeEvents;
+  }
+
+  const turnLimit = options.turnLimit !== undefined ? options.turnLimit : config.turnLimit;
+  if (turnLimit && turnLimit >= gameState.turn) {
+    scenario.turnLimit = turnLimit;
+    const winnerId = options.turnLimitWinner !== undefined
+      ? options.turnLimitWinner
+      : config.scenario && config.scenario.turnLimitWinner !== undefined
+        ? gameState.players[config.scenario.turnLimitWinner].id
+        : null;
+    if (winnerId && positionOf(winnerId) >= 0) {
+      scenario.turnLimitWinner = positionOf(winnerId);
+    }
+  }
+
+  return scenario;
+}
+
+// Bundled scenarios
+[hundredDays, islandHopping, worldAblaze].forEach(scenario => {
+  const result = registerScenario(scenario);
+  if (!result.success) {
+    console.error(`Bundled scenario '${scenario.id}' is invalid:`, result.errors);
+  }
+});
+
+export {
+  validateScenario,
+  registerScenario,
+  getScenario,
+  listScenarios,
+  createScenarioSeats,
+  getScenarioConfig,
+  setUpScenario,
+  checkTurnLimit,
+  describeTurnLimit,
+  createScenario
+};
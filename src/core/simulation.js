@@ -0,0 +1,221 @@
+/**
+ * Headless AI-vs-AI simulation for Risk-inspired strategy game
+ *
+ * Plays whole games without the UI so strategies can be compared over many
+ * seeded games. Every seat, including the usual human seat, is driven by an AI.
+ */
+
+import GameEngine from './game-engine.js';
+import { AIPlayerFactory } from './ai-player.js';
+import { CommandTypes } from './commands.js';
+import SeededRandom from './random.js';
+
+// AI strategies a seat can be given
+const STRATEGIES = ['balanced', 'aggressive', 'defensive', 'expansionist'];
+
+// Default options for a simulated game
+const DEFAULT_OPTIONS = {
+  mapId: 'classic',
+  aiPlayers: 3,
+  strategies: ['random'],
+  difficulty: 'medium',
+  maxTurns: 200,
+  gameConfig: {}
+};
+
+/**
+ * Count the territories each player holds
+ * @param {Object} gameState - The current game state
+ * @returns {Object} Territory counts by player ID
+ */
+function countTerritories(gameState) {
+  const counts = {};
+  gameState.players.forEach(player => {
+    counts[player.id] = player.territories.length;
+  });
+  return counts;
+}
+
+/**
+ * Play one game between AI players
+ * @param {Object} options - Simulation options
+ * @param {string|number} options.seed - Seed for the game
+ * @param {string} options.mapId - Map to play on
+ * @param {number} options.aiPlayers - Number of seats besides the first
+ * @param {string[]} options.strategies - Strategy per seat, repeated as needed ('random' picks one per seat)
+ * @param {string} options.difficulty - AI difficulty for every seat
+ * @param {number} options.maxTurns - Turn cap; games still running after it are reported as unfinished
+ * @param {Object} options.gameConfig - Extra config passed to the game engine (e.g. enableEvents)
+ * @returns {Object} Statistics for the game
+ */
+function simulateGame(options = {}) {
+  const { seed, mapId, aiPlayers, strategies, difficulty, maxTurns, gameConfig } = { ...DEFAULT_OPTIONS, ...options };
+
+  const engine = new GameEngine({
+    dealSampleCards: false,
+    ...gameConfig,
+    seed,
+    mapId,
+    aiPlayers,
+    playerCount: aiPlayers + 1
+  });
+  const gameState = engine.initializeGame();
+
+  // Random strategies come from their own generator so they don't change the game's dice
+  const strategyRng = new SeededRandom(`${seed}-strategies`);
+  const seats = {};
+  gameState.players.forEach((player, index) => {
+    const requested = strategies[index % strategies.length];
+    const strategy = requested === 'random' ? strategyRng.pick(STRATEGIES) : requested;
+    seats[player.id] = { strategy, ai: AIPlayerFactory.createAI(player.id, strategy, difficulty) };
+  });
+
+  const territoriesOverTime = [{ turn: gameState.turn, territories: countTerritories(gameState) }];
+  const eliminations = [];
+  let error = null;
+
+  while (!gameState.gameOver && gameState.turn <= maxTurns) {
+    const player = gameState.players[gameState.currentPlayerIndex];
+    const turn = gameState.turn;
+    const commandCount = gameState.commandLog.length;
+
+    try {
+      seats[player.id].ai.performTurn(gameState, engine);
+    } catch (turnError) {
+      error = `${player.id} on turn ${turn}: ${turnError.message}`;
+      break;
+    }
+
+    // An AI that could not act still has to end its phase, or the game would stall
+    if (gameState.commandLog.length === commandCount && !gameState.gameOver) {
+      const result = engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+      if (!result.success) {
+        error = `${player.id} on turn ${turn} is stuck: ${result.error}`;
+        break;
+      }
+    }
+
+    gameState.players.forEach(p => {
+      if (p.eliminated && !eliminations.some(e => e.playerId === p.id)) {
+        eliminations.push({ playerId: p.id, turn, eliminatedBy: p.eliminatedBy || null });
+      }
+    });
+
+    // One point per turn: the territories held when it started, or for the turn
+    // the game ended in, when it ended. Turns past the cap are never played.
+    const point = { turn: gameState.turn, territories: countTerritories(gameState) };
+    if (gameState.gameOver && territoriesOverTime[territoriesOverTime.length - 1].turn === point.turn) {
+      territoriesOverTime[territoriesOverTime.length - 1] = point;
+    } else if (gameState.gameOver || (gameState.turn !== turn && gameState.turn <= maxTurns)) {
+      territoriesOverTime.push(point);
+    }
+  }
+
+  return {
+    seed,
+    mapId,
+    players: gameState.players.map(p => ({ id: p.id, strategy: seats[p.id].strategy })),
+    finished: !!gameState.gameOver,
+    winner: gameState.winner ? gameState.winner.id : null,
+    winnerStrategy: gameState.winner ? seats[gameState.winner.id].strategy : null,
+    victoryType: gameState.victoryType || null,
+    turns: Math.min(gameState.turn, maxTurns),
+    commands: gameState.commandLog.length,
+    eliminations,
+    territoriesOverTime,
+    error
+  };
+}
+
+/**
+ * Play a batch of games, one seed per game
+ * @param {Object} options - Simulation options (as for simulateGame) plus games and seed
+ * @param {number} options.games - Number of games to play
+ * @param {string|number} options.seed - Base seed; game N is played with `${seed}-${N}`
+ * @param {Function} options.onGame - Called with each game's statistics as it finishes
+ * @returns {Object[]} Statistics for each game
+ */
+function simulateGames(options = {}) {
+  const { games = 1, seed = 'sim', onGame, ...gameOptions } = options;
+  const results = [];
+
+  for (let index = 1; index <= games; index++) {
+    const result = simulateGame({ ...gameOptions, seed: `${seed}-${index}` });
+    results.push(result);
+    if (onGame) {
+      onGame(result, index);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Summarize a batch of games: how often each strategy won and how long games lasted
+ * @param {Object[]} results - Statistics from simulateGames
+ * @returns {Object} Summary ({ games, finished, averageTurns, victoryTypes, strategies })
+ */
+function summarizeResults(results) {
+  const finished = results.filter(r => r.finished);
+  const victoryTypes = {};
+  const strategies = {};
+
+  results.forEach(result => {
+    result.players.forEach(({ strategy }) => {
+      strategies[strategy] = strategies[strategy] || { seats: 0, wins: 0, winRate: 0 };
+      strategies[strategy].seats++;
+    });
+    if (result.winnerStrategy) {
+      strategies[result.winnerStrategy].wins++;
+      victoryTypes[result.victoryType] = (victoryTypes[result.victoryType] || 0) + 1;
+    }
+  });
+
+  Object.values(strategies).forEach(stats => {
+    stats.winRate = stats.seats > 0 ? stats.wins / stats.seats : 0;
+  });
+
+  return {
+    games: results.length,
+    finished: finished.length,
+    averageTurns: finished.length > 0 ? finished.reduce((sum, r) => sum + r.turns, 0) / finished.length : null,
+    victoryTypes,
+    strategies
+  };
+}
+
+/**
+ * Convert game statistics to CSV, one row per game. Territory counts over
+ * time are written as `turn:count|turn:count` per player.
+ * @param {Object[]} results - Statistics from simulateGames
+ * @returns {string} CSV text with a header row
+ */
+function resultsToCsv(results) {
+  const playerIds = [...new Set(results.flatMap(r => r.players.map(p => p.id)))];
+  const header = [
+    'seed', 'mapId', 'finished', 'winner', 'winnerStrategy', 'victoryType', 'turns', 'commands', 'error',
+    ...playerIds.flatMap(id => [`${id}Strategy`, `${id}Territories`])
+  ];
+
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = results.map(result => [
+    result.seed, result.mapId, result.finished, result.winner, result.winnerStrategy,
+    result.victoryType, result.turns, result.commands, result.error,
+    ...playerIds.flatMap(id => {
+      const seat = result.players.find(p => p.id === id);
+      const history = result.territoriesOverTime
+        .filter(point => point.territories[id] !== undefined)
+        .map(point => `${point.turn}:${point.territories[id]}`)
+        .join('|');
+      return [seat ? seat.strategy : '', history];
+    })
+  ].map(escape).join(','));
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+export { STRATEGIES, simulateGame, simulateGames, summarizeResults, resultsToCsv };
@@ -0,0 +1,49 @@
+/**
+ * Choice of storage for saved games in the browser
+ *
+ * Saves go to the game server when the app is built with VITE_SAVE_SERVER set
+ * to its address, otherwise to IndexedDB, or to localStorage in browsers where
+ * IndexedDB cannot be opened (some private browsing modes).
+ */
+
+import SaveLoadSystem from '../save-load-system.js';
+import LocalStorageAdapter from './local-storage-adapter.js';
+import IndexedDBAdapter from './indexed-db-adapter.js';
+import ServerAdapter from './server-adapter.js';
+
+/**
+ * Pick the storage saves are kept in
+ * @param {Object} options - Storage options
+ * @param {string} options.serverUrl - Address of a game server to keep saves on, if any
+ * @returns {Promise<Object>} Storage adapter
+ */
+async function createBrowserStorage({ serverUrl = null } = {}) {
+  if (serverUrl) {
+    return new ServerAdapter(serverUrl);
+  }
+
+  const local = new LocalStorageAdapter();
+  if (!globalThis.indexedDB) {
+    return local;
+  }
+
+  const indexedDB = new IndexedDBAdapter();
+  try {
+    await indexedDB.open();
+  } catch (error) {
+    console.error('Could not open IndexedDB, saving to localStorage instead:', error);
+    return local;
+  }
+
+  // Saves made before IndexedDB was used are moved over the first time
+  try {
+    await SaveLoadSystem.moveSaves(local, indexedDB);
+  } catch (error) {
+    console.error('Could not move saves from localStorage to IndexedDB:', error);
+  }
+  return indexedDB;
+}
+
+export {
+  createBrowserStorage
+};
@@ -0,0 +1,73 @@
+/**
+ * Files on disk as storage for saved games (Node only)
+ *
+ * Each value is kept in a JSON file of its own in a directory, named after its
+ * key, so scripts and the multiplayer server can save and load games with the
+ * same SaveLoadSystem code as the browser. The files hold exactly what the Save/
+ * Load menu's Export Save writes, so they can be imported in the browser too.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage adapter backed by a directory of files
+ */
+class FileSystemAdapter {
+  /**
+   * Create an adapter; the directory is created when the first value is written
+   * @param {string} directory - Path of the directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Get the file a value is kept in
+   * @param {string} key - Key of the value
+   * @returns {string} Path of the file
+   */
+  getPath(key) {
+    // Encoding the key keeps names like '../x' inside the directory
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key of the value
+   * @returns {Promise<string|null>} The value, or null if there is none
+   */
+  async getItem(key) {
+    try {
+      return await fs.readFile(this.getPath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Key of the value
+   * @param {string} value - Value to store
+   * @returns {Promise} Resolves once the value is stored
+   */
+  async setItem(key, value) {
+    // Write to a temporary file first so a crash part way through does not lose the old value
+    const file = this.getPath(key);
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(`${file}.tmp`, value);
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key of the value
+   * @returns {Promise} Resolves once the value is gone
+   */
+  async removeItem(key) {
+    await fs.rm(this.getPath(key), { force: true });
+  }
+}
+
+export default FileSystemAdapter;
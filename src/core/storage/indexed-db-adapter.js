@@ -0,0 +1,94 @@
+/**
+ * Browser IndexedDB as storage for saved games
+ *
+ * IndexedDB lets a site store far more than localStorage, so long games with
+ * big command logs can still be saved. Values are kept in a single object
+ * store, under the same keys SaveLoadSystem would use with localStorage.
+ */
+
+const STORE_NAME = 'saves';
+
+/**
+ * Storage adapter backed by an IndexedDB database
+ */
+class IndexedDBAdapter {
+  /**
+   * Create an adapter; the database is opened when it is first used
+   * @param {string} databaseName - Name of the database
+   * @param {IDBFactory} indexedDB - IndexedDB implementation (defaults to the browser's)
+   */
+  constructor(databaseName = 'risk-game', indexedDB = globalThis.indexedDB) {
+    this.databaseName = databaseName;
+    this.indexedDB = indexedDB;
+    this.database = null; // Promise of the open database
+  }
+
+  /**
+   * Open the database, creating its object store the first time
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call try again if opening failed
+      this.database.catch(() => {
+        this.database = null;
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request against the object store in a transaction of its own
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Called with the object store, returns the request
+   * @returns {Promise<*>} The request's result once the transaction is complete
+   */
+  async run(mode, makeRequest) {
+    const database = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key of the value
+   * @returns {Promise<string|null>} The value, or null if there is none
+   */
+  async getItem(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Key of the value
+   * @param {string} value - Value to store
+   * @returns {Promise} Resolves once the value is stored
+   */
+  async setItem(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key of the value
+   * @returns {Promise} Resolves once the value is gone
+   */
+  async removeItem(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,50 @@
+/**
+ * Browser localStorage as storage for saved games
+ *
+ * Keeps saves under the same keys as before storage could be chosen, so saves
+ * made then are still found. Browsers allow only a few megabytes per site, which
+ * long games with big command logs can run into.
+ */
+
+/**
+ * Storage adapter backed by a Web Storage object
+ */
+class LocalStorageAdapter {
+  /**
+   * Create an adapter
+   * @param {Storage} storage - Web Storage object (defaults to the browser's localStorage)
+   */
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key of the value
+   * @returns {Promise<string|null>} The value, or null if there is none
+   */
+  async getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Key of the value
+   * @param {string} value - Value to store
+   * @returns {Promise} Resolves once the value is stored
+   */
+  async setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key of the value
+   * @returns {Promise} Resolves once the value is gone
+   */
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,74 @@
+/**
+ * The multiplayer server as storage for saved games
+ *
+ * Values are read and written over HTTP at `<server>/saves/<key>` (GET, PUT and
+ * DELETE), where the server keeps them with a FileSystemAdapter in its data
+ * directory. Saves kept there can be loaded from any browser that uses the
+ * same server.
+ */
+
+/**
+ * Storage adapter backed by the save routes of the game server
+ */
+class ServerAdapter {
+  /**
+   * Create an adapter
+   * @param {string} baseUrl - Server address (e.g. 'http://localhost:8080')
+   * @param {Function} fetchImpl - fetch implementation (defaults to the global one)
+   */
+  constructor(baseUrl, fetchImpl = (...args) => globalThis.fetch(...args)) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  /**
+   * Send a request for a value
+   * @param {string} method - HTTP method
+   * @param {string} key - Key of the value
+   * @param {string} body - Value to send, for PUT
+   * @returns {Promise<Response>} The server's response
+   */
+  async request(method, key, body) {
+    const response = await this.fetch(`${this.baseUrl}/saves/${encodeURIComponent(key)}`, {
+      method,
+      body,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' }
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`The save server answered ${response.status} ${await response.text()}`.trim());
+    }
+    return response;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key of the value
+   * @returns {Promise<string|null>} The value, or null if there is none
+   */
+  async getItem(key) {
+    const response = await this.request('GET', key);
+    return response.status === 404 ? null : response.text();
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Key of the value
+   * @param {string} value - Value to store
+   * @returns {Promise} Resolves once the value is stored
+   */
+  async setItem(key, value) {
+    await this.request('PUT', key, value);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Key of the value
+   * @returns {Promise} Resolves once the value is gone
+   */
+  async removeItem(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+export default ServerAdapter;
@@ -0,0 +1,74 @@
+/**
+ * Territory draft for Risk-inspired strategy game
+ *
+ * With the draft switched on (`config.enableDraft`), territories are not dealt
+ * at random. Players take turns claiming an unclaimed territory with one army
+ * ('claim' phase), then take turns placing their remaining starting armies one
+ * at a time on their own territories ('deploy' phase). The first player then
+ * starts the game.
+ */
+
+// Phases played before the first turn when drafting
+const SETUP_PHASES = ['claim', 'deploy'];
+
+/**
+ * Check whether a game is being set up by draft
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True if territories are drafted
+ */
+function isDraftMode(gameState) {
+  return !!(gameState && gameState.config && gameState.config.enableDraft);
+}
+
+/**
+ * Check whether the game is still in the draft
+ * @param {Object} gameState - The current game state
+ * @returns {boolean} True during the claim and deploy phases
+ */
+function isSetupPhase(gameState) {
+  return SETUP_PHASES.includes(gameState.phase);
+}
+
+/**
+ * Get the territories no one has claimed yet
+ * @param {Object} gameState - The current game state
+ * @returns {Territory[]} Unclaimed territories
+ */
+function getUnclaimedTerritories(gameState) {
+  return gameState.territories.filter(t => !t.occupyingPlayer);
+}
+
+/**
+ * Get the starting armies a player still has to place
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @returns {number} Armies left to place
+ */
+function getSetupArmies(gameState, playerId) {
+  return (gameState.setupArmies && gameState.setupArmies[playerId]) || 0;
+}
+
+/**
+ * Get the territories a player may claim or deploy to in the current setup phase
+ * @param {Object} gameState - The current game state
+ * @param {string} playerId - ID of the player
+ * @returns {Territory[]} Territories the player can choose
+ */
+function getSetupChoices(gameState, playerId) {
+  if (gameState.phase === 'claim') {
+    return getUnclaimedTerritories(gameState);
+  }
+  if (gameState.phase === 'deploy' && getSetupArmies(gameState, playerId) > 0) {
+    return gameState.territories.filter(t => t.occupyingPlayer === playerId);
+  }
+  return [];
+}
+
+export {
+  SETUP_PHASES,
+  isDraftMode,
+  isSetupPhase,
+  getUnclaimedTerritories,
+  getSetupArmies,
+  getSetupChoices
+};
@@ -1,8 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import SaveLoadSystem from './core/save-load-system.js'
+import { createBrowserStorage } from './core/storage/browser-storage.js'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <App />
-)
+// Choose where saves are kept before the app looks for an autosave
+createBrowserStorage({ serverUrl: import.meta.env.VITE_SAVE_SERVER }).then(storage => {
+  SaveLoadSystem.setStorage(storage)
+
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <App />
+  )
+})
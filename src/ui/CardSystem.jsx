@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import Card from './Card';
+import { getRules, getCardSetValue } from '../core/rule-sets.js';
+import { canSeeCards } from '../core/fog-of-war.js';
 import './CardSystem.css';
 
 /**
@@ -15,6 +17,7 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
   // Get player's cards
   const player = gameState.players.find(p => p.id === playerId);
   const playerCards = player ? player.cards : [];
+  const rules = getRules(gameState);
   
   // Calculate set number (which set is being traded in)
   useEffect(() => {
@@ -25,16 +28,12 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
   }, [gameState]);
   
   // Calculate armies for a set
-  const calculateArmiesForSet = (setNum) => {
-    if (setNum <= 1) return 4;
-    if (setNum === 2) return 6;
-    if (setNum === 3) return 8;
-    if (setNum === 4) return 10;
-    if (setNum === 5) return 12;
-    if (setNum === 6) return 15;
-    
-    // After the 6th set, each additional set is worth 5 more armies
-    return 15 + (setNum - 6) * 5;
+  const calculateArmiesForSet = (setNum) => getCardSetValue(rules, setNum);
+  
+  // Format a set number for the rules list (1st, 2nd, 3rd, 4th...)
+  const formatOrdinal = (n) => {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${n}${(n < 4 && suffixes[n]) || 'th'}`;
   };
   
   // Check if a set of cards is valid for trading
@@ -98,7 +97,7 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
         
         // Calculate armies (base + territory bonuses)
         const baseArmies = calculateArmiesForSet(setNumber);
-        const bonusArmies = territories.length * 2;
+        const bonusArmies = territories.length * rules.cardTerritoryBonus;
         setArmiesFromTrade(baseArmies + bonusArmies);
       } else {
         setTerritoryBonus([]);
@@ -153,6 +152,11 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
   // Check if the player is forced to trade in cards
   const isForcedTrade = playerCards.length >= 5;
   
+  // Other players whose cards this player can see (Covert Operations)
+  const spiedPlayers = gameState.players.filter(p =>
+    p.id !== playerId && !p.eliminated && canSeeCards(gameState, playerId, p.id)
+  );
+  
   // Render the card system
   return (
     <div className="card-system">
@@ -283,7 +287,7 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
               </ul>
               <p>
                 <strong>Territory Bonus:</strong> If you trade in a card showing a territory you control, 
-                you receive an additional 2 armies placed on that territory.
+                you receive an additional {rules.cardTerritoryBonus} armies placed on that territory.
               </p>
               <p>
                 <strong>Forced Trade:</strong> If you have 5 or more cards at the start of your turn, 
@@ -293,18 +297,33 @@ const CardSystem = ({ gameState, playerId, onTradeCards }) => {
                 <strong>Set Values:</strong> The armies awarded for each set increase with each set traded in:
               </p>
               <ul className="set-values">
-                <li><strong>1st set:</strong> 4 armies</li>
-                <li><strong>2nd set:</strong> 6 armies</li>
-                <li><strong>3rd set:</strong> 8 armies</li>
-                <li><strong>4th set:</strong> 10 armies</li>
-                <li><strong>5th set:</strong> 12 armies</li>
-                <li><strong>6th set:</strong> 15 armies</li>
-                <li><strong>7th+ set:</strong> +5 armies per set</li>
+                {rules.cardSetValues.map((value, index) => (
+                  <li key={index}><strong>{formatOrdinal(index + 1)} set:</strong> {value} armies</li>
+                ))}
+                <li><strong>{formatOrdinal(rules.cardSetValues.length + 1)}+ set:</strong> +{rules.cardSetIncrement} armies per set</li>
               </ul>
             </div>
           </div>
         </>
       )}
+      
+      {spiedPlayers.length > 0 && (
+        <div className="card-collection">
+          <h3>Intelligence: Other Players' Cards</h3>
+          <div className="card-groups">
+            {spiedPlayers.map(spied => (
+              <div key={spied.id} className="card-group">
+                <h4 className="group-title">{spied.name} ({spied.cards.length})</h4>
+                <div className="card-list">
+                  {spied.cards.map(card => (
+                    <Card key={card.id} card={card} selected={false} gameState={gameState} />
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
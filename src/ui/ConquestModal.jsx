@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { getRules, getArmyValue } from '../core/rule-sets.js';
 import './ConquestModal.css';
 
 /**
@@ -40,17 +41,14 @@ const ConquestModal = ({ pendingConquest, gameState, onComplete, onClose }) => {
   }
   
   // Helper function to calculate total armies in a territory
+  const { unitValues } = getRules(gameState);
   const calculateTotalArmies = (territory) => {
-    return territory.armies.infantry + 
-           (territory.armies.cavalry || 0) * 3 + 
-           (territory.armies.artillery || 0) * 5;
+    return getArmyValue(territory.armies, unitValues);
   };
   
   // Calculate total army value from unit distribution
   const calculateDistributionValue = (distribution) => {
-    return distribution.infantry + 
-           (distribution.cavalry * 3) + 
-           (distribution.artillery * 5);
+    return getArmyValue(distribution, unitValues);
   };
   
   // Handle changes to unit distribution
@@ -111,6 +109,24 @@ const ConquestModal = ({ pendingConquest, gameState, onComplete, onClose }) => {
         <div className="conquest-modal-content">
           <h2>Territory Conquered!</h2>
           <p>You have conquered {toTerritory.name} from {fromTerritory.name}.</p>
+          
+          {pendingConquest.battleReport && (
+            <details className="battle-report">
+              <summary>
+                Blitz: {pendingConquest.battleReport.rounds.length} round(s), you lost {pendingConquest.battleReport.attackerLosses} unit(s),
+                the defenders lost {pendingConquest.battleReport.defenderLosses}
+              </summary>
+              <ol>
+                {pendingConquest.battleReport.rounds.map((round, index) => (
+                  <li key={index}>
+                    {round.attackRolls.join(' ')} vs {round.defenseRolls.join(' ')}
+                    {' '}(-{round.attackerLosses} / -{round.defenderLosses})
+                  </li>
+                ))}
+              </ol>
+            </details>
+          )}
+          
           <p>How many armies would you like to move?</p>
           
           <form onSubmit={handleSubmit}>
@@ -160,7 +176,7 @@ const ConquestModal = ({ pendingConquest, gameState, onComplete, onClose }) => {
                 </div>
                 
                 <div className="unit-selector">
-                  <label htmlFor="cavalry-count">Cavalry (x3):</label>
+                  <label htmlFor="cavalry-count">Cavalry (x{unitValues.cavalry}):</label>
                   <input
                     id="cavalry-count"
                     type="number"
@@ -175,7 +191,7 @@ const ConquestModal = ({ pendingConquest, gameState, onComplete, onClose }) => {
                 </div>
                 
                 <div className="unit-selector">
-                  <label htmlFor="artillery-count">Artillery (x5):</label>
+                  <label htmlFor="artillery-count">Artillery (x{unitValues.artillery}):</label>
                   <input
                     id="artillery-count"
                     type="number"
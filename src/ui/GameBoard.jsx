@@ -1,36 +1,57 @@
-import React, { useState, useEffect } from 'react';
-import classicMap from '../assets/maps/classic-map.js';
+import React, { useState } from 'react';
+import { getMap } from '../core/map-registry.js';
+import { getVisibility, Visibility } from '../core/fog-of-war.js';
 
 /**
  * GameBoard component for rendering the map and game state
+ * @param {string[]} highlightedTerritoryIds - Territories the player can pick right now (e.g. during the draft)
+ * @param {string} viewerId - Player looking at the board; fog of war hides what they cannot see
  */
-const GameBoard = ({ gameState, onTerritoryClick }) => {
+const GameBoard = ({ gameState, onTerritoryClick, highlightedTerritoryIds = [], viewerId = null }) => {
   const [selectedTerritory, setSelectedTerritory] = useState(null);
-  const [mapData, setMapData] = useState(null);
-  const [viewBox, setViewBox] = useState('0 0 800 500');
-  const [dimensions, setDimensions] = useState({ width: 800, height: 500 });
   
-  // Load map data on component mount
-  useEffect(() => {
-    // In a real implementation, this would be loaded from the game state
-    setMapData(classicMap);
-  }, []);
+  // Look up the map the game is played on
+  const mapId = gameState?.config?.mapId || 'classic';
+  const mapData = getMap(mapId);
   
   if (!mapData) {
-    return <div>Loading map data...</div>;
+    return <div>Map '{mapId}' not found</div>;
   }
   
+  // What the viewer can see of each territory; everything without a viewer (e.g. replays)
+  const visibility = gameState && viewerId ? getVisibility(gameState, viewerId) : {};
+  const canSee = (territoryId, level) => {
+    const seen = visibility[territoryId] || Visibility.FULL;
+    return seen === Visibility.FULL || (level === Visibility.OWNER && seen === Visibility.OWNER);
+  };
+  
+  const dimensions = { width: mapData.width || 800, height: mapData.height || 500 };
+  const viewBox = `0 0 ${dimensions.width} ${dimensions.height}`;
+  
   // Get player colors for territories
   const getPlayerColor = (territoryId) => {
     if (!gameState) return '#cccccc';
     
     const territory = gameState.territories.find(t => t.id === territoryId);
-    if (!territory || !territory.occupyingPlayer) return '#cccccc';
+    if (!territory || !territory.occupyingPlayer || !canSee(territoryId, Visibility.OWNER)) return '#cccccc';
     
     const player = gameState.players.find(p => p.id === territory.occupyingPlayer);
     return player ? player.color : '#cccccc';
   };
   
+  // Get the army count to show on a territory, or '?' when fog of war hides it
+  const getArmyLabel = (territoryId) => {
+    const territory = gameState?.territories.find(t => t.id === territoryId);
+    if (!territory || !territory.occupyingPlayer) return '';
+    return canSee(territoryId, Visibility.FULL) ? territory.getTotalArmies() : '?';
+  };
+  
+  // Check whether a territory is a player's capital (capitals mode)
+  const isCapital = (territoryId) => {
+    const territory = gameState?.territories.find(t => t.id === territoryId);
+    return !!(territory && territory.capitalOf);
+  };
+  
   // Handle territory click
   const handleTerritoryClick = (territoryId) => {
     setSelectedTerritory(territoryId);
@@ -43,6 +64,7 @@ const GameBoard = ({ gameState, onTerritoryClick }) => {
   const renderTerritories = () => {
     return mapData.territories.map(territory => {
       const isSelected = selectedTerritory === territory.id;
+      const isHighlighted = highlightedTerritoryIds.includes(territory.id);
       const fillColor = getPlayerColor(territory.id);
       
       // For this simple visualization, we'll use circles to represent territories
@@ -57,6 +79,27 @@ const GameBoard = ({ gameState, onTerritoryClick }) => {
             strokeWidth={isSelected ? 3 : 1}
             opacity={0.7}
           />
+          {isHighlighted && (
+            <circle
+              cx={territory.coordinates.x}
+              cy={territory.coordinates.y}
+              r={18}
+              fill="none"
+              stroke="#ffd700"
+              strokeWidth={2}
+              strokeDasharray="4 3"
+            />
+          )}
+          <text
+            x={territory.coordinates.x}
+            y={territory.coordinates.y + 4}
+            textAnchor="middle"
+            fontSize="10"
+            fontWeight="bold"
+            fill="#000"
+          >
+            {getArmyLabel(territory.id)}
+          </text>
           <text
             x={territory.coordinates.x}
             y={territory.coordinates.y + 25}
@@ -66,6 +109,19 @@ const GameBoard = ({ gameState, onTerritoryClick }) => {
           >
             {territory.name}
           </text>
+          {isCapital(territory.id) && (
+            <text
+              x={territory.coordinates.x + 12}
+              y={territory.coordinates.y - 8}
+              textAnchor="middle"
+              fontSize="14"
+              fill="#ffd700"
+              stroke="#000"
+              strokeWidth={0.5}
+            >
+              ★
+            </text>
+          )}
         </g>
       );
     });
@@ -113,19 +169,40 @@ const GameBoard = ({ gameState, onTerritoryClick }) => {
     ));
   };
   
+  // Render sea lanes between ports as dashed routes
+  const renderSeaLanes = () => {
+    return (mapData.seaLanes || []).map(([firstId, secondId]) => {
+      const first = mapData.territories.find(t => t.id === firstId);
+      const second = mapData.territories.find(t => t.id === secondId);
+      if (!first || !second) return null;
+      
+      // A lane is closed if either end has lost its port during the game
+      const hasPort = (territoryId) => {
+        const territory = gameState?.territories.find(t => t.id === territoryId);
+        return !territory || territory.features?.hasPort;
+      };
+      const isOpen = hasPort(firstId) && hasPort(secondId);
+      
+      return (
+        <line
+          key={`sea-${firstId}-${secondId}`}
+          x1={first.coordinates.x}
+          y1={first.coordinates.y}
+          x2={second.coordinates.x}
+          y2={second.coordinates.y}
+          stroke="#1565c0"
+          strokeWidth={1.5}
+          strokeDasharray="6 4"
+          opacity={isOpen ? 0.7 : 0.2}
+        />
+      );
+    });
+  };
+  
   // Render continent backgrounds
   const renderContinents = () => {
     // This is a simplified visualization
     // In a real implementation, we would use polygon shapes for continents
-    const continentColors = {
-      'north-america': 'rgba(255, 192, 203, 0.2)', // pink
-      'south-america': 'rgba(255, 255, 0, 0.2)',   // yellow
-      'europe': 'rgba(0, 0, 255, 0.2)',            // blue
-      'africa': 'rgba(255, 165, 0, 0.2)',          // orange
-      'asia': 'rgba(0, 255, 0, 0.2)',              // green
-      'australia': 'rgba(128, 0, 128, 0.2)'        // purple
-    };
-    
     return mapData.continents.map(continent => {
       // Get all territories in this continent
       const continentTerritories = mapData.territories.filter(
@@ -174,6 +251,7 @@ const GameBoard = ({ gameState, onTerritoryClick }) => {
         />
         {renderContinents()}
         {renderConnections()}
+        {renderSeaLanes()}
         {renderTerritories()}
       </svg>
       
@@ -1,4 +1,11 @@
 import React, { useState } from 'react';
+import { areTerritoriesConnected } from '../core/game-helpers.js';
+import { getCapital, getCapitalChoices } from '../core/capitals.js';
+import { describeMission } from '../core/missions.js';
+import { describeTurnLimit } from '../core/scenarios.js';
+import { calculateAttackOdds } from '../core/attack-odds.js';
+import { getRules, getArmyValue } from '../core/rule-sets.js';
+import { getSetupArmies, getSetupChoices } from '../core/territory-draft.js';
 import './GameDashboard.css';
 
 /**
@@ -10,13 +17,21 @@ const GameDashboard = ({
   onEndPhase, 
   onPlaceArmies, 
   onAttack, 
-  onFortify 
+  onBlitz,
+  onFortify,
+  onChooseCapital,
+  onClaimTerritory,
+  onDeployArmy,
+  onUndo,
+  onRedo
 }) => {
   const [selectedAction, setSelectedAction] = useState(null);
   const [reinforcementCount, setReinforcementCount] = useState(0);
   const [selectedSourceTerritory, setSelectedSourceTerritory] = useState(null);
   const [selectedTargetTerritory, setSelectedTargetTerritory] = useState(null);
   const [armyCount, setArmyCount] = useState(1);
+  const [blitzMinArmies, setBlitzMinArmies] = useState(1);
+  const [blitzMinOdds, setBlitzMinOdds] = useState(0);
   
   if (!gameState) return <div>Loading game state...</div>;
   
@@ -47,7 +62,8 @@ const GameDashboard = ({
     
     // Otherwise calculate from scratch
     // Base reinforcement from territories
-    let count = Math.max(3, Math.floor(currentPlayer.territories.length / 3));
+    const rules = getRules(gameState);
+    let count = Math.max(rules.minReinforcements, Math.floor(currentPlayer.territories.length / rules.territoriesPerReinforcement));
     
     // Add continent bonuses
     for (const continent of gameState.continents) {
@@ -61,7 +77,7 @@ const GameDashboard = ({
   
   // Format phase name for display
   const formatPhase = (phase) => {
-    return phase.charAt(0).toUpperCase() + phase.slice(1);
+    return (phase.charAt(0).toUpperCase() + phase.slice(1)).replace(/-/g, ' ');
   };
   
   // Handle reinforcement placement
@@ -98,6 +114,22 @@ const GameDashboard = ({
     setArmyCount(1);
   };
   
+  // Handle a blitz: keep attacking until conquest or one of the stop conditions
+  const handleBlitz = () => {
+    if (!selectedSourceTerritory || !selectedTargetTerritory) {
+      alert('Please select source and target territories');
+      return;
+    }
+    
+    onBlitz(selectedSourceTerritory, selectedTargetTerritory, {
+      minArmies: blitzMinArmies,
+      minWinProbability: blitzMinOdds / 100
+    });
+    setSelectedSourceTerritory(null);
+    setSelectedTargetTerritory(null);
+    setArmyCount(1);
+  };
+  
   // State for advanced unit type selection during fortification
   const [showAdvancedFortify, setShowAdvancedFortify] = useState(false);
   const [unitDistribution, setUnitDistribution] = useState({
@@ -108,9 +140,7 @@ const GameDashboard = ({
   
   // Calculate total army value from unit distribution
   const calculateDistributionValue = (distribution) => {
-    return distribution.infantry + 
-           (distribution.cavalry * 3) + 
-           (distribution.artillery * 5);
+    return getArmyValue(distribution, getRules(gameState).unitValues);
   };
   
   // Handle changes to unit distribution
@@ -195,6 +225,55 @@ const GameDashboard = ({
     setShowAdvancedFortify(false);
   };
   
+  // Render undo/redo buttons for actions that can still be taken back this turn
+  const renderUndoControls = () => {
+    const canUndo = gameState.undoStack && gameState.undoStack.length > 0;
+    const canRedo = gameState.redoStack && gameState.redoStack.length > 0;
+    
+    if (!canUndo && !canRedo) return null;
+    
+    return (
+      <div className="undo-controls">
+        <button type="button" onClick={() => onUndo()} disabled={!canUndo}>Undo</button>
+        <button type="button" onClick={() => onRedo()} disabled={!canRedo}>Redo</button>
+      </div>
+    );
+  };
+  
+  // Show the odds of the selected attack next to the Attack button
+  const renderAttackOdds = () => {
+    if (!selectedSourceTerritory || !selectedTargetTerritory) return null;
+    
+    const odds = calculateAttackOdds(gameState, selectedSourceTerritory, selectedTargetTerritory, {
+      attackDice: armyCount,
+      minArmies: blitzMinArmies,
+      trials: 1000
+    });
+    if (!odds) return null;
+    
+    const percent = (probability) => `${Math.round(probability * 100)}%`;
+    const armies = (losses) => losses.toFixed(1);
+    
+    return (
+      <div className="attack-odds">
+        <div>
+          <strong>This roll:</strong> {percent(odds.singleRoll.winProbability)} to come out ahead
+          (you lose ~{armies(odds.singleRoll.expectedAttackerLosses)}, they lose ~{armies(odds.singleRoll.expectedDefenderLosses)})
+        </div>
+        <div>
+          <strong>Until done:</strong> {percent(odds.untilDone.winProbability)} to conquer
+          (you lose ~{armies(odds.untilDone.expectedAttackerLosses)})
+        </div>
+        {(odds.modifiers.attack !== 0 || odds.modifiers.defense !== 0) && (
+          <div className="attack-odds-modifiers">
+            Dice modifiers: attack {odds.modifiers.attack >= 0 ? '+' : ''}{odds.modifiers.attack},
+            defense {odds.modifiers.defense >= 0 ? '+' : ''}{odds.modifiers.defense}
+          </div>
+        )}
+      </div>
+    );
+  };
+  
   // Render the action panel based on current phase
   const renderActionPanel = () => {
     if (!isCurrentPlayerTurn) {
@@ -207,10 +286,92 @@ const GameDashboard = ({
     }
     
     switch (gameState.phase) {
+      case 'claim':
+      case 'deploy': {
+        const claiming = gameState.phase === 'claim';
+        const onChoose = claiming ? onClaimTerritory : onDeployArmy;
+        return (
+          <div className={`action-panel ${gameState.phase}`}>
+            <h3>{claiming ? 'Claim a Territory' : 'Place Your Starting Armies'}</h3>
+            <p>
+              {claiming
+                ? 'Players take turns claiming an unclaimed territory with one army. Click a highlighted territory on the map or choose one below.'
+                : 'Players take turns placing one army at a time on their own territories. Click one of your territories on the map or choose one below.'}
+            </p>
+            <p>Starting armies left: {getSetupArmies(gameState, currentPlayerId)}</p>
+            
+            <form onSubmit={(e) => {
+              e.preventDefault();
+              if (selectedTargetTerritory) {
+                onChoose(selectedTargetTerritory);
+                setSelectedTargetTerritory(null);
+              }
+            }}>
+              <div className="form-group">
+                <label>Territory:</label>
+                <select 
+                  value={selectedTargetTerritory || ''} 
+                  onChange={(e) => setSelectedTargetTerritory(e.target.value)}
+                  required
+                >
+                  <option value="">Select a territory</option>
+                  {getSetupChoices(gameState, currentPlayerId).map(territory => (
+                    <option key={territory.id} value={territory.id}>
+                      {territory.name}{claiming ? '' : ` (${territory.getTotalArmies()} armies)`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="form-buttons">
+                <button type="submit">{claiming ? 'Claim' : 'Place Army'}</button>
+              </div>
+            </form>
+          </div>
+        );
+      }
+      
+      case 'capital-selection':
+        return (
+          <div className="action-panel capital-selection">
+            <h3>Choose Your Capital</h3>
+            <p>Your capital adds 1 to each of its defense dice and 2 armies to your reinforcements. If it falls, retake it by the end of your next turn or you are out of the game.</p>
+            
+            <form onSubmit={(e) => {
+              e.preventDefault();
+              if (selectedTargetTerritory) {
+                onChooseCapital(selectedTargetTerritory);
+                setSelectedTargetTerritory(null);
+              }
+            }}>
+              <div className="form-group">
+                <label>Capital:</label>
+                <select 
+                  value={selectedTargetTerritory || ''} 
+                  onChange={(e) => setSelectedTargetTerritory(e.target.value)}
+                  required
+                >
+                  <option value="">Select a territory</option>
+                  {getCapitalChoices(gameState, currentPlayerId).map(territory => (
+                    <option key={territory.id} value={territory.id}>
+                      {territory.name} ({territory.getTotalArmies()} armies)
+                    </option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="form-buttons">
+                <button type="submit">Choose Capital</button>
+              </div>
+            </form>
+          </div>
+        );
+        
       case 'reinforcement':
         return (
           <div className="action-panel reinforcement">
             <h3>Reinforcement Phase</h3>
+            {renderUndoControls()}
             <p>Available armies: {calculateReinforcements()}</p>
             
             <form onSubmit={handleReinforcementSubmit}>
@@ -263,6 +424,7 @@ const GameDashboard = ({
         return (
           <div className="action-panel attack">
             <h3>Attack Phase</h3>
+            {renderUndoControls()}
             
             <form onSubmit={handleAttackSubmit}>
               <div className="form-group">
@@ -307,7 +469,7 @@ const GameDashboard = ({
                         );
                         return (
                           sourceTerritory &&
-                          sourceTerritory.isAdjacentTo(t.id) &&
+                          areTerritoriesConnected(gameState, sourceTerritory.id, t.id) &&
                           t.occupyingPlayer !== currentPlayerId
                         );
                       })
@@ -337,8 +499,32 @@ const GameDashboard = ({
                 </select>
               </div>
               
+              <div className="form-group blitz-options">
+                <label>Blitz stops when:</label>
+                <div>
+                  <span>armies left ≤</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={blitzMinArmies}
+                    onChange={(e) => setBlitzMinArmies(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  />
+                  <span>or odds of conquest &lt;</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={blitzMinOdds}
+                    onChange={(e) => setBlitzMinOdds(Math.min(100, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                  />
+                  <span>%</span>
+                </div>
+              </div>
+              
               <div className="form-buttons">
                 <button type="submit">Attack</button>
+                <button type="button" className="blitz-button" onClick={handleBlitz}>Blitz</button>
+                {renderAttackOdds()}
                 <button type="button" onClick={() => onEndPhase()}>End Phase</button>
               </div>
             </form>
@@ -349,163 +535,171 @@ const GameDashboard = ({
         return (
           <div className="action-panel fortification">
             <h3>Fortification Phase</h3>
+            {renderUndoControls()}
             
-            <form onSubmit={handleFortifySubmit}>
-              <div className="form-group">
-                <label>From Territory:</label>
-                <select 
-                  value={selectedSourceTerritory || ''} 
-                  onChange={(e) => setSelectedSourceTerritory(e.target.value)}
-                  required
-                >
-                  <option value="">Select source territory</option>
-                  {currentPlayer.territories
-                    .filter(territoryId => {
-                      const territory = gameState.territories.find(t => t.id === territoryId);
-                      return territory && territory.getTotalArmies() >= 2;
-                    })
-                    .map(territoryId => {
-                      const territory = gameState.territories.find(t => t.id === territoryId);
-                      return (
-                        <option key={territoryId} value={territoryId}>
-                          {territory.name} ({territory.getTotalArmies()} armies)
-                        </option>
-                      );
-                    })
-                  }
-                </select>
+            {gameState.hasFortified ? (
+              <div className="form-buttons">
+                <span className="reinforcement-info">You have already fortified this turn</span>
+                <button type="button" onClick={() => onEndPhase()}>End Turn</button>
               </div>
-              
-              <div className="form-group">
-                <label>To Territory:</label>
-                <select 
-                  value={selectedTargetTerritory || ''} 
-                  onChange={(e) => setSelectedTargetTerritory(e.target.value)}
-                  required
-                  disabled={!selectedSourceTerritory}
-                >
-                  <option value="">Select target territory</option>
-                  {selectedSourceTerritory && 
-                    gameState.territories
-                      .filter(t => {
-                        const sourceTerritory = gameState.territories.find(
-                          st => st.id === selectedSourceTerritory
-                        );
+            ) : (
+              <form onSubmit={handleFortifySubmit}>
+                <div className="form-group">
+                  <label>From Territory:</label>
+                  <select 
+                    value={selectedSourceTerritory || ''} 
+                    onChange={(e) => setSelectedSourceTerritory(e.target.value)}
+                    required
+                  >
+                    <option value="">Select source territory</option>
+                    {currentPlayer.territories
+                      .filter(territoryId => {
+                        const territory = gameState.territories.find(t => t.id === territoryId);
+                        return territory && territory.getTotalArmies() >= 2;
+                      })
+                      .map(territoryId => {
+                        const territory = gameState.territories.find(t => t.id === territoryId);
                         return (
-                          sourceTerritory &&
-                          sourceTerritory.isAdjacentTo(t.id) &&
-                          t.occupyingPlayer === currentPlayerId
+                          <option key={territoryId} value={territoryId}>
+                            {territory.name} ({territory.getTotalArmies()} armies)
+                          </option>
                         );
                       })
-                      .map(territory => (
-                        <option key={territory.id} value={territory.id}>
-                          {territory.name} ({territory.getTotalArmies()} armies)
-                        </option>
-                      ))
-                  }
-                </select>
-              </div>
-              
-              <div className="options-toggle">
-                <button 
-                  type="button" 
-                  onClick={() => setShowAdvancedFortify(!showAdvancedFortify)}
-                  className="toggle-button"
-                >
-                  {showAdvancedFortify ? "Simple Mode" : "Advanced Mode"}
-                </button>
-              </div>
+                    }
+                  </select>
+                </div>
               
-              {!showAdvancedFortify ? (
                 <div className="form-group">
-                  <label>Armies to move:</label>
-                  <input
-                    type="number"
-                    min="1"
-                    max={selectedSourceTerritory ? 
-                      gameState.territories.find(t => t.id === selectedSourceTerritory)?.getTotalArmies() - 1 : 1}
-                    value={armyCount}
-                    onChange={(e) => {
-                      const newCount = parseInt(e.target.value);
-                      setArmyCount(newCount);
-                      // Update unit distribution for simple mode - just infantry
-                      setUnitDistribution({
-                        ...unitDistribution,
-                        infantry: newCount
-                      });
-                    }}
+                  <label>To Territory:</label>
+                  <select 
+                    value={selectedTargetTerritory || ''} 
+                    onChange={(e) => setSelectedTargetTerritory(e.target.value)}
                     required
-                  />
+                    disabled={!selectedSourceTerritory}
+                  >
+                    <option value="">Select target territory</option>
+                    {selectedSourceTerritory && 
+                      gameState.territories
+                        .filter(t => {
+                          const sourceTerritory = gameState.territories.find(
+                            st => st.id === selectedSourceTerritory
+                          );
+                          return (
+                            sourceTerritory &&
+                            areTerritoriesConnected(gameState, sourceTerritory.id, t.id) &&
+                            t.occupyingPlayer === currentPlayerId
+                          );
+                        })
+                        .map(territory => (
+                          <option key={territory.id} value={territory.id}>
+                            {territory.name} ({territory.getTotalArmies()} armies)
+                          </option>
+                        ))
+                    }
+                  </select>
                 </div>
-              ) : (
-                <div className="advanced-options">
-                  <h4>Select Units to Move:</h4>
+              
+                <div className="options-toggle">
+                  <button 
+                    type="button" 
+                    onClick={() => setShowAdvancedFortify(!showAdvancedFortify)}
+                    className="toggle-button"
+                  >
+                    {showAdvancedFortify ? "Simple Mode" : "Advanced Mode"}
+                  </button>
+                </div>
+              
+                {!showAdvancedFortify ? (
+                  <div className="form-group">
+                    <label>Armies to move:</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max={selectedSourceTerritory ? 
+                        gameState.territories.find(t => t.id === selectedSourceTerritory)?.getTotalArmies() - 1 : 1}
+                      value={armyCount}
+                      onChange={(e) => {
+                        const newCount = parseInt(e.target.value);
+                        setArmyCount(newCount);
+                        // Update unit distribution for simple mode - just infantry
+                        setUnitDistribution({
+                          ...unitDistribution,
+                          infantry: newCount
+                        });
+                      }}
+                      required
+                    />
+                  </div>
+                ) : (
+                  <div className="advanced-options">
+                    <h4>Select Units to Move:</h4>
                   
-                  {selectedSourceTerritory && (() => {
-                    const sourceTerritory = gameState.territories.find(t => t.id === selectedSourceTerritory);
-                    if (!sourceTerritory) return null;
+                    {selectedSourceTerritory && (() => {
+                      const sourceTerritory = gameState.territories.find(t => t.id === selectedSourceTerritory);
+                      if (!sourceTerritory) return null;
                     
-                    return (
-                      <>
-                        <div className="unit-selector">
-                          <label>Infantry:</label>
-                          <input
-                            type="number"
-                            min="0"
-                            max={sourceTerritory.armies.infantry}
-                            value={unitDistribution.infantry}
-                            onChange={(e) => handleUnitChange('infantry', e.target.value, sourceTerritory)}
-                          />
-                          <span className="available">
-                            (Available: {sourceTerritory.armies.infantry})
-                          </span>
-                        </div>
+                      return (
+                        <>
+                          <div className="unit-selector">
+                            <label>Infantry:</label>
+                            <input
+                              type="number"
+                              min="0"
+                              max={sourceTerritory.armies.infantry}
+                              value={unitDistribution.infantry}
+                              onChange={(e) => handleUnitChange('infantry', e.target.value, sourceTerritory)}
+                            />
+                            <span className="available">
+                              (Available: {sourceTerritory.armies.infantry})
+                            </span>
+                          </div>
                         
-                        <div className="unit-selector">
-                          <label>Cavalry (x3):</label>
-                          <input
-                            type="number"
-                            min="0"
-                            max={sourceTerritory.armies.cavalry}
-                            value={unitDistribution.cavalry}
-                            onChange={(e) => handleUnitChange('cavalry', e.target.value, sourceTerritory)}
-                          />
-                          <span className="available">
-                            (Available: {sourceTerritory.armies.cavalry})
-                          </span>
-                        </div>
+                          <div className="unit-selector">
+                            <label>Cavalry (x{getRules(gameState).unitValues.cavalry}):</label>
+                            <input
+                              type="number"
+                              min="0"
+                              max={sourceTerritory.armies.cavalry}
+                              value={unitDistribution.cavalry}
+                              onChange={(e) => handleUnitChange('cavalry', e.target.value, sourceTerritory)}
+                            />
+                            <span className="available">
+                              (Available: {sourceTerritory.armies.cavalry})
+                            </span>
+                          </div>
                         
-                        <div className="unit-selector">
-                          <label>Artillery (x5):</label>
-                          <input
-                            type="number"
-                            min="0"
-                            max={sourceTerritory.armies.artillery}
-                            value={unitDistribution.artillery}
-                            onChange={(e) => handleUnitChange('artillery', e.target.value, sourceTerritory)}
-                          />
-                          <span className="available">
-                            (Available: {sourceTerritory.armies.artillery})
-                          </span>
-                        </div>
+                          <div className="unit-selector">
+                            <label>Artillery (x{getRules(gameState).unitValues.artillery}):</label>
+                            <input
+                              type="number"
+                              min="0"
+                              max={sourceTerritory.armies.artillery}
+                              value={unitDistribution.artillery}
+                              onChange={(e) => handleUnitChange('artillery', e.target.value, sourceTerritory)}
+                            />
+                            <span className="available">
+                              (Available: {sourceTerritory.armies.artillery})
+                            </span>
+                          </div>
                         
-                        <div className="total-value">
-                          Total Army Value: {calculateDistributionValue(unitDistribution)}
-                          {calculateDistributionValue(unitDistribution) !== armyCount && (
-                            <span className="error">Total must equal {armyCount}</span>
-                          )}
-                        </div>
-                      </>
-                    );
-                  })()} 
-                </div>
-              )}
+                          <div className="total-value">
+                            Total Army Value: {calculateDistributionValue(unitDistribution)}
+                            {calculateDistributionValue(unitDistribution) !== armyCount && (
+                              <span className="error">Total must equal {armyCount}</span>
+                            )}
+                          </div>
+                        </>
+                      );
+                    })()} 
+                  </div>
+                )}
               
-              <div className="form-buttons">
-                <button type="submit">Move Armies</button>
-                <button type="button" onClick={() => onEndPhase()}>End Phase</button>
-              </div>
-            </form>
+                <div className="form-buttons">
+                  <button type="submit">Move Armies</button>
+                  <button type="button" onClick={() => onEndPhase()}>End Phase</button>
+                </div>
+              </form>
+            )}
           </div>
         );
         
@@ -514,6 +708,24 @@ const GameDashboard = ({
     }
   };
   
+  // Show where the player's capital is and whether it has fallen (capitals mode)
+  const renderCapitalInfo = () => {
+    if (!gameState.config.enableCapitals) return null;
+    
+    const capital = getCapital(gameState, currentPlayerId);
+    if (!capital) return <p><strong>Capital:</strong> not chosen yet</p>;
+    
+    const holder = gameState.players.find(p => p.id === capital.occupyingPlayer);
+    return (
+      <p>
+        <strong>Capital:</strong> {capital.name}
+        {capital.occupyingPlayer !== currentPlayerId && (
+          <span className="capital-lost"> (held by {holder ? holder.name : 'rebels'} - retake it this turn!)</span>
+        )}
+      </p>
+    );
+  };
+  
   // Render player info panel
   const renderPlayerInfo = () => {
     return (
@@ -529,6 +741,14 @@ const GameDashboard = ({
           </p>
           <p><strong>Territories:</strong> {currentPlayer.territories.length}</p>
           <p><strong>Cards:</strong> {currentPlayer.cards.length}</p>
+          {renderCapitalInfo()}
+          
+          {gameState.config.enableMissions && currentPlayer.mission && (
+            <div className="mission">
+              <h4>{gameState.config.scenario ? 'Objective' : 'Secret Mission'}</h4>
+              <p>{describeMission(gameState, currentPlayer.mission)}</p>
+            </div>
+          )}
           
           {gameState.config.enableResources && (
             <div className="resources">
@@ -563,9 +783,18 @@ const GameDashboard = ({
       <div className="game-status">
         <div className="status-header">
           <h3>Game Status</h3>
-          <span className="turn-indicator">Turn {gameState.turn}</span>
+          <span className="turn-indicator">
+            Turn {gameState.turn}{gameState.config.turnLimit ? ` of ${gameState.config.turnLimit}` : ''}
+          </span>
         </div>
         
+        {gameState.config.scenario && (
+          <p className="scenario-info">
+            <strong>{gameState.config.scenario.name}</strong>
+            {gameState.config.turnLimit && <> - {describeTurnLimit(gameState)}</>}
+          </p>
+        )}
+        
         <p className="phase-indicator">
           Current Phase: <strong>{formatPhase(gameState.phase)}</strong>
         </p>
@@ -0,0 +1,425 @@
+import React, { useState, useRef } from 'react';
+import { listMaps } from '../core/map-registry.js';
+import { listScenarios, getScenario, registerScenario, createScenarioSeats } from '../core/scenarios.js';
+import { listRuleSets, getRuleSet, createRules } from '../core/rule-sets.js';
+import {
+  MIN_SEATS,
+  MAX_SEATS,
+  PLAYER_COLORS,
+  AI_STRATEGIES,
+  AI_DIFFICULTIES,
+  createDefaultSeats,
+  resizeSeats,
+  validateSeats
+} from '../core/game-setup.js';
+import './GameSetup.css';
+
+// Game modes that can be switched on or off
+const FEATURES = [
+  { key: 'enableTechnologies', label: 'Technologies' },
+  { key: 'enableResources', label: 'Resources' },
+  { key: 'enableEvents', label: 'Random events' },
+  { key: 'enableAlliances', label: 'Alliances' },
+  { key: 'enableCapitals', label: 'Capitals mode', hint: 'Each player picks a capital; lose yours and you are out at the end of your next turn' },
+  { key: 'enableMissions', label: 'Secret missions', hint: 'Each player is dealt a hidden objective; the first to complete theirs wins' },
+  { key: 'enableDraft', label: 'Territory draft', hint: 'Players take turns claiming territories and placing their starting armies instead of a random deal', noScenario: true },
+  { key: 'enableFog', label: 'Fog of war', hint: 'Army counts are only shown next to your own territories; Espionage sees further' },
+  { key: 'fogHidesOwners', label: 'Hide owners in fog', requires: 'enableFog', hint: 'Territories out of sight do not show who holds them either' }
+];
+
+// Victory conditions and the game mode each one needs
+const VICTORY_CONDITIONS = [
+  { id: 'military', label: 'Military' },
+  { id: 'economic', label: 'Economic', feature: 'enableResources' },
+  { id: 'technological', label: 'Technological', feature: 'enableTechnologies' },
+  { id: 'diplomatic', label: 'Diplomatic', feature: 'enableAlliances' },
+  { id: 'capitals', label: 'Capitals', feature: 'enableCapitals', automatic: true },
+  { id: 'missions', label: 'Missions', feature: 'enableMissions', automatic: true }
+];
+
+// Rules that can be changed when playing by custom rules
+const CUSTOM_RULE_FIELDS = [
+  { key: 'minReinforcements', label: 'Minimum reinforcements', min: 1, max: 20 },
+  { key: 'territoriesPerReinforcement', label: 'Territories per army', min: 1, max: 10 },
+  { key: 'cardTerritoryBonus', label: 'Card territory bonus', min: 0, max: 10 },
+  { key: 'cardSetIncrement', label: 'Card set increase', min: 0, max: 20 },
+  { key: 'maxAttackDice', label: 'Attack dice', min: 1, max: 5 },
+  { key: 'maxDefenseDice', label: 'Defense dice', min: 1, max: 5 },
+  { key: 'capitalDefenseBonus', label: 'Capital defense bonus', min: 0, max: 3 },
+  { key: 'capitalReinforcementBonus', label: 'Capital reinforcements', min: 0, max: 10 }
+];
+
+/**
+ * Switch a game mode on or off, along with the victory conditions that depend on it
+ * @param {Object} config - Game configuration
+ * @param {string} feature - Game mode setting (e.g. 'enableCapitals')
+ * @param {boolean} enabled - Whether the mode is on
+ * @returns {Object} Updated configuration
+ */
+const setFeature = (config, feature, enabled) => {
+  const dependent = VICTORY_CONDITIONS.filter(condition => condition.feature === feature);
+  let victoryConditions = config.victoryConditions.filter(v => !dependent.some(condition => condition.id === v));
+  if (enabled) {
+    // Conditions that come with a mode are switched on with it
+    victoryConditions = [...victoryConditions, ...dependent.filter(condition => condition.automatic).map(c => c.id)];
+  }
+  return { ...config, [feature]: enabled, victoryConditions };
+};
+
+/**
+ * Set a game up to start from a scenario: its map and players, and the settings it chooses
+ * @param {Object} config - Game configuration
+ * @param {Object} scenario - Scenario definition
+ * @returns {Object} Updated configuration
+ */
+const applyScenario = (config, scenario) => {
+  const settings = scenario.settings || {};
+  const applied = {
+    ...config,
+    ...settings,
+    mapId: scenario.mapId,
+    ruleSet: scenario.ruleSet || config.ruleSet,
+    rules: settings.rules || (scenario.ruleSet ? {} : config.rules),
+    enableDraft: false,
+    seats: createScenarioSeats(scenario),
+    scenario
+  };
+  // Objectives are played as missions
+  return scenario.players.some(player => player.objective) ? setFeature(applied, 'enableMissions', true) : applied;
+};
+
+/**
+ * Screen for setting up a new game: map, players, rules and victory conditions
+ */
+const GameSetup = ({ initialConfig, onStart, onCancel, onPlayOnline, startLabel = 'Start Game' }) => {
+  const [config, setConfig] = useState(() => ({
+    ...initialConfig,
+    seats: initialConfig.seats || createDefaultSeats(initialConfig.playerCount || 4)
+  }));
+
+  const [scenarios, setScenarios] = useState(listScenarios);
+  const scenarioInputRef = useRef(null);
+
+  const maps = listMaps();
+  const selectedMap = maps.find(map => map.id === config.mapId);
+  const scenario = config.scenario || null;
+
+  // Work out why the game cannot start yet, if it can't
+  const getSetupError = () => {
+    const seatError = validateSeats(config.seats);
+    if (seatError) return seatError;
+    if (!config.seats.some(seat => seat.type === 'human')) {
+      return 'At least one player must be human';
+    }
+    if (!scenario && selectedMap && selectedMap.territoryCount < config.seats.length) {
+      return `${selectedMap.name} is too small for ${config.seats.length} players`;
+    }
+    if (config.victoryConditions.length === 0) {
+      return 'Choose at least one victory condition';
+    }
+    return null;
+  };
+  const error = getSetupError();
+
+  const updateSeat = (index, changes) => {
+    setConfig({
+      ...config,
+      seats: config.seats.map((seat, i) => (i === index ? { ...seat, ...changes } : seat))
+    });
+  };
+
+  const handleRuleSetChange = (ruleSetId) => {
+    const ruleSet = getRuleSet(ruleSetId);
+    // A rule set's game modes are switched on with it; Custom keeps whatever was chosen
+    const enableCapitals = !!ruleSet.config.enableCapitals || (ruleSet.id === 'custom' && !!config.enableCapitals);
+    setConfig({ ...setFeature(config, 'enableCapitals', enableCapitals), ruleSet: ruleSet.id, rules: {} });
+  };
+
+  const handleScenarioChange = (scenarioId) => {
+    setConfig(scenarioId ? applyScenario(config, getScenario(scenarioId)) : { ...config, scenario: null });
+  };
+
+  // Add a scenario file to the list and choose it
+  const handleScenarioFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    // Reset the file input
+    event.target.value = '';
+
+    const result = registerScenario(await file.text());
+    if (!result.success) {
+      alert(`${result.error}:\n${result.errors.join('\n')}`);
+      return;
+    }
+    setScenarios(listScenarios());
+    setConfig(applyScenario(config, getScenario(result.scenarioId)));
+  };
+
+  const handleStart = () => {
+    if (error) return;
+    onStart({
+      ...config,
+      playerCount: config.seats.length,
+      aiPlayers: config.seats.filter(seat => seat.type === 'ai').length
+    });
+  };
+
+  // Settings for custom rules; anything left alone keeps its classic value
+  const renderCustomRules = () => {
+    const rules = createRules('custom', config.rules);
+    const setRules = (changes) => setConfig({ ...config, rules: { ...config.rules, ...changes } });
+    const setNumber = (value, min, max, apply) => {
+      const number = parseInt(value, 10);
+      if (!isNaN(number)) {
+        apply(Math.min(max, Math.max(min, number)));
+      }
+    };
+
+    return (
+      <div className="custom-rules">
+        {CUSTOM_RULE_FIELDS.map(field => (
+          <label key={field.key}>
+            {field.label}
+            <input
+              type="number"
+              min={field.min}
+              max={field.max}
+              value={rules[field.key]}
+              onChange={(e) => setNumber(e.target.value, field.min, field.max, value => setRules({ [field.key]: value }))}
+            />
+          </label>
+        ))}
+
+        {['cavalry', 'artillery'].map(unitType => (
+          <label key={unitType}>
+            {unitType.charAt(0).toUpperCase() + unitType.slice(1)} value
+            <input
+              type="number"
+              min={1}
+              max={10}
+              value={rules.unitValues[unitType]}
+              onChange={(e) => setNumber(e.target.value, 1, 10, value =>
+                setRules({ unitValues: { ...rules.unitValues, [unitType]: value } })
+              )}
+            />
+          </label>
+        ))}
+
+        <label>
+          Defender wins ties
+          <input
+            type="checkbox"
+            checked={rules.defenderWinsTies}
+            onChange={(e) => setRules({ defenderWinsTies: e.target.checked })}
+          />
+        </label>
+      </div>
+    );
+  };
+
+  return (
+    <div className="game-setup">
+      <h2>New Game</h2>
+
+      <section className="setup-section">
+        <h3>Map and Rules</h3>
+        <div className="setup-row">
+          <label htmlFor="setup-scenario">Scenario:</label>
+          <select
+            id="setup-scenario"
+            value={scenario ? scenario.id : ''}
+            onChange={(e) => handleScenarioChange(e.target.value)}
+          >
+            <option value="">None (random start)</option>
+            {scenarios.map(item => (
+              <option key={item.id} value={item.id}>
+                {item.name} ({item.playerCount} players)
+              </option>
+            ))}
+          </select>
+          <button type="button" className="cancel-button" onClick={() => scenarioInputRef.current.click()}>
+            Load Scenario File
+          </button>
+          <input
+            type="file"
+            ref={scenarioInputRef}
+            style={{ display: 'none' }}
+            accept=".json"
+            onChange={handleScenarioFile}
+          />
+        </div>
+        {scenario && (
+          <p className="scenario-description">
+            {scenario.description || 'Starts from a set position.'}
+            {scenario.turnLimit && ` Last turn: ${scenario.turnLimit}.`}
+          </p>
+        )}
+
+        <div className="setup-row">
+          <label htmlFor="setup-map">Map:</label>
+          <select
+            id="setup-map"
+            value={config.mapId}
+            disabled={!!scenario}
+            onChange={(e) => setConfig({ ...config, mapId: e.target.value })}
+          >
+            {maps.map(map => (
+              <option key={map.id} value={map.id}>
+                {map.name} ({map.territoryCount} territories)
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="setup-row">
+          <label htmlFor="setup-rules">Rules:</label>
+          <select
+            id="setup-rules"
+            value={config.ruleSet}
+            onChange={(e) => handleRuleSetChange(e.target.value)}
+          >
+            {listRuleSets().map(ruleSet => (
+              <option key={ruleSet.id} value={ruleSet.id}>{ruleSet.name}</option>
+            ))}
+          </select>
+          <span className="setup-hint">{getRuleSet(config.ruleSet).description}</span>
+        </div>
+
+        {config.ruleSet === 'custom' && renderCustomRules()}
+      </section>
+
+      <section className="setup-section">
+        <h3>Players</h3>
+        <div className="setup-row">
+          <label htmlFor="setup-seat-count">Players:</label>
+          <select
+            id="setup-seat-count"
+            value={config.seats.length}
+            disabled={!!scenario}
+            onChange={(e) => setConfig({ ...config, seats: resizeSeats(config.seats, parseInt(e.target.value, 10)) })}
+          >
+            {Array.from({ length: MAX_SEATS - MIN_SEATS + 1 }, (_, i) => MIN_SEATS + i).map(count => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </div>
+
+        <table className="seat-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Color</th>
+              <th>Played by</th>
+              <th>Strategy</th>
+              <th>Difficulty</th>
+            </tr>
+          </thead>
+          <tbody>
+            {config.seats.map((seat, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    value={seat.name}
+                    maxLength={20}
+                    onChange={(e) => updateSeat(index, { name: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <span className="seat-color" style={{ backgroundColor: seat.color }}></span>
+                  <select value={seat.color} onChange={(e) => updateSeat(index, { color: e.target.value })}>
+                    {PLAYER_COLORS.map(color => (
+                      <option key={color} value={color}>{color}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select value={seat.type} onChange={(e) => updateSeat(index, { type: e.target.value })}>
+                    <option value="human">Human</option>
+                    <option value="ai">AI</option>
+                  </select>
+                </td>
+                <td>
+                  <select
+                    value={seat.strategy}
+                    disabled={seat.type !== 'ai'}
+                    onChange={(e) => updateSeat(index, { strategy: e.target.value })}
+                  >
+                    {AI_STRATEGIES.map(strategy => (
+                      <option key={strategy} value={strategy}>{strategy}</option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select
+                    value={seat.difficulty}
+                    disabled={seat.type !== 'ai'}
+                    onChange={(e) => updateSeat(index, { difficulty: e.target.value })}
+                  >
+                    {AI_DIFFICULTIES.map(difficulty => (
+                      <option key={difficulty} value={difficulty}>{difficulty}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="setup-section">
+        <h3>Game Modes</h3>
+        {FEATURES.map(feature => (
+          <div className="setup-row" key={feature.key}>
+            <label htmlFor={`setup-${feature.key}`}>{feature.label}:</label>
+            <input
+              id={`setup-${feature.key}`}
+              type="checkbox"
+              checked={!!config[feature.key]}
+              disabled={(feature.requires && !config[feature.requires]) || (feature.noScenario && !!scenario)}
+              onChange={(e) => setConfig(setFeature(config, feature.key, e.target.checked))}
+            />
+            {feature.hint && <span className="setup-hint">{feature.hint}</span>}
+          </div>
+        ))}
+      </section>
+
+      <section className="setup-section">
+        <h3>Victory Conditions</h3>
+        <div className="victory-options">
+          {VICTORY_CONDITIONS.map(condition => (
+            <label key={condition.id} className={condition.feature && !config[condition.feature] ? 'unavailable' : ''}>
+              <input
+                type="checkbox"
+                checked={config.victoryConditions.includes(condition.id)}
+                disabled={condition.automatic || (condition.feature && !config[condition.feature])}
+                onChange={(e) => setConfig({
+                  ...config,
+                  victoryConditions: e.target.checked
+                    ? [...config.victoryConditions, condition.id]
+                    : config.victoryConditions.filter(v => v !== condition.id)
+                })}
+              />
+              {condition.label}
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <div className="setup-actions">
+        {error && <span className="setup-error">{error}</span>}
+        {onCancel && (
+          <button className="cancel-button" onClick={onCancel}>Cancel</button>
+        )}
+        {onPlayOnline && (
+          <button className="cancel-button" onClick={onPlayOnline}>Play Online</button>
+        )}
+        <button className="start-game-button" disabled={!!error} onClick={handleStart}>
+          {startLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GameSetup;
@@ -0,0 +1,480 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { getMap, listMaps, validateMap, registerMap, RESOURCE_TYPES, TERRITORY_FEATURES } from '../core/map-registry.js';
+import {
+  createBlankMap,
+  cloneMap,
+  addTerritory,
+  updateTerritory,
+  removeTerritory,
+  toggleAdjacency,
+  toggleSeaLane,
+  addContinent,
+  updateContinent,
+  removeContinent,
+  exportMap
+} from '../core/map-editor.js';
+import './MapEditor.css';
+
+/**
+ * Editor for building custom maps in the map format (docs/map-format.md)
+ */
+const MapEditor = ({ onTestPlay }) => {
+  const [mapData, setMapData] = useState(() => createBlankMap());
+  const [tool, setTool] = useState('select'); // 'select', 'territory', 'link', 'sea'
+  const [selectedTerritoryId, setSelectedTerritoryId] = useState(null);
+  const [linkStartId, setLinkStartId] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const svgRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  const validation = useMemo(() => validateMap(mapData), [mapData]);
+  const selectedTerritory = mapData.territories.find(t => t.id === selectedTerritoryId);
+  const width = mapData.width || 800;
+  const height = mapData.height || 500;
+
+  // Convert a mouse position to board coordinates
+  const toBoardPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  // Start from a blank map or a copy of a registered map
+  const handleStartFrom = (mapId) => {
+    if (!window.confirm('Replace the map being edited?')) return;
+
+    if (mapId === 'blank') {
+      setMapData(createBlankMap());
+    } else {
+      const copy = cloneMap(getMap(mapId));
+      setMapData({ ...copy, id: `${copy.id}-custom`, name: `${copy.name} (Custom)` });
+    }
+    setSelectedTerritoryId(null);
+    setLinkStartId(null);
+  };
+
+  // Handle clicks on empty board space
+  const handleBoardClick = (event) => {
+    if (tool !== 'territory') {
+      setSelectedTerritoryId(null);
+      setLinkStartId(null);
+      return;
+    }
+
+    const point = toBoardPoint(event);
+    const continentId = selectedTerritory ? selectedTerritory.continent : null;
+    const result = addTerritory(mapData, point, continentId);
+    setMapData(result.mapData);
+    setSelectedTerritoryId(result.territoryId);
+  };
+
+  // Handle clicks on a territory node
+  const handleTerritoryClick = (event, territoryId) => {
+    event.stopPropagation();
+
+    if (tool === 'link' || tool === 'sea') {
+      if (!linkStartId) {
+        setLinkStartId(territoryId);
+      } else {
+        const toggle = tool === 'link' ? toggleAdjacency : toggleSeaLane;
+        setMapData(toggle(mapData, linkStartId, territoryId));
+        setLinkStartId(null);
+      }
+      return;
+    }
+
+    setSelectedTerritoryId(territoryId);
+  };
+
+  // Drag territories around in select mode
+  const handleMouseDown = (event, territoryId) => {
+    if (tool !== 'select') return;
+    setDraggingId(territoryId);
+    setSelectedTerritoryId(territoryId);
+  };
+
+  const handleMouseMove = (event) => {
+    if (!draggingId) return;
+    const point = toBoardPoint(event);
+    const x = Math.max(0, Math.min(width, Math.round(point.x)));
+    const y = Math.max(0, Math.min(height, Math.round(point.y)));
+    setMapData(updateTerritory(mapData, draggingId, { coordinates: { x, y } }));
+  };
+
+  // Update a field of the selected territory
+  const handleTerritoryChange = (changes) => {
+    setMapData(updateTerritory(mapData, selectedTerritoryId, changes));
+    if (changes.id) {
+      setSelectedTerritoryId(changes.id);
+    }
+  };
+
+  const handleResourceChange = (type, value) => {
+    const resources = { ...(selectedTerritory.resources || {}) };
+    const amount = parseInt(value, 10);
+    if (amount > 0) {
+      resources[type] = amount;
+    } else {
+      delete resources[type];
+    }
+    handleTerritoryChange({ resources });
+  };
+
+  const handleFeatureChange = (feature, enabled) => {
+    const features = { ...(selectedTerritory.features || {}) };
+    if (enabled) {
+      features[feature] = true;
+    } else {
+      delete features[feature];
+    }
+    handleTerritoryChange({ features });
+  };
+
+  const handleDeleteTerritory = () => {
+    setMapData(removeTerritory(mapData, selectedTerritoryId));
+    setSelectedTerritoryId(null);
+  };
+
+  const handleRemoveContinent = (continentId) => {
+    const result = removeContinent(mapData, continentId);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setMapData(result.mapData);
+  };
+
+  // Download the map as a JSON file
+  const handleExport = () => {
+    const blob = new Blob([exportMap(mapData)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${mapData.id}.json`;
+    document.body.appendChild(a);
+    a.click();
+
+    // Clean up
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 0);
+  };
+
+  // Load a map JSON file into the editor
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (loadEvent) => {
+      try {
+        const imported = JSON.parse(loadEvent.target.result);
+        if (!Array.isArray(imported.territories) || !Array.isArray(imported.continents)) {
+          throw new Error('File does not contain a map');
+        }
+        setMapData(imported);
+        setSelectedTerritoryId(null);
+      } catch (error) {
+        alert(`Error importing map: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+
+    // Reset the file input
+    event.target.value = '';
+  };
+
+  // Register the map and start a game on it
+  const handleTestPlay = () => {
+    const result = registerMap(mapData);
+    if (!result.success) {
+      alert(`The map has problems:\n${result.errors.join('\n')}`);
+      return;
+    }
+    onTestPlay(mapData.id);
+  };
+
+  // Render adjacency links
+  const renderLinks = () => {
+    const links = [];
+
+    mapData.territories.forEach(territory => {
+      territory.adjacent.forEach(adjId => {
+        const adjTerritory = mapData.territories.find(t => t.id === adjId);
+        if (!adjTerritory) return;
+
+        // Draw symmetric links once
+        if (territory.id > adjId && adjTerritory.adjacent.includes(territory.id)) return;
+
+        // One-way links fail validation, so highlight them
+        const oneWay = !adjTerritory.adjacent.includes(territory.id);
+        links.push(
+          <line
+            key={`${territory.id}-${adjId}`}
+            x1={territory.coordinates.x}
+            y1={territory.coordinates.y}
+            x2={adjTerritory.coordinates.x}
+            y2={adjTerritory.coordinates.y}
+            stroke={oneWay ? '#d32f2f' : '#999'}
+            strokeWidth={oneWay ? 2 : 1}
+          />
+        );
+      });
+    });
+
+    // Sea lanes are drawn as dashed routes
+    (mapData.seaLanes || []).forEach(([firstId, secondId]) => {
+      const first = mapData.territories.find(t => t.id === firstId);
+      const second = mapData.territories.find(t => t.id === secondId);
+      if (!first || !second) return;
+
+      links.push(
+        <line
+          key={`sea-${firstId}-${secondId}`}
+          x1={first.coordinates.x}
+          y1={first.coordinates.y}
+          x2={second.coordinates.x}
+          y2={second.coordinates.y}
+          stroke="#1565c0"
+          strokeWidth={1.5}
+          strokeDasharray="6 4"
+        />
+      );
+    });
+
+    return links;
+  };
+
+  // Render territory nodes
+  const renderTerritories = () => {
+    return mapData.territories.map(territory => {
+      const continent = mapData.continents.find(c => c.id === territory.continent);
+      const isSelected = territory.id === selectedTerritoryId || territory.id === linkStartId;
+
+      return (
+        <g
+          key={territory.id}
+          className="editor-territory"
+          onClick={(e) => handleTerritoryClick(e, territory.id)}
+          onMouseDown={(e) => handleMouseDown(e, territory.id)}
+        >
+          <circle
+            cx={territory.coordinates.x}
+            cy={territory.coordinates.y}
+            r={isSelected ? 15 : 12}
+            fill={continent?.color || '#cccccc'}
+            stroke={isSelected ? '#000' : '#666'}
+            strokeWidth={isSelected ? 3 : 1}
+          />
+          {territory.features?.hasCapital && (
+            <text x={territory.coordinates.x} y={territory.coordinates.y + 4} textAnchor="middle" fontSize="10">&#9733;</text>
+          )}
+          <text
+            x={territory.coordinates.x}
+            y={territory.coordinates.y + 25}
+            textAnchor="middle"
+            fontSize="10"
+            fill="#000"
+          >
+            {territory.name}
+          </text>
+        </g>
+      );
+    });
+  };
+
+  // Render the form for the selected territory
+  const renderTerritoryForm = () => {
+    if (!selectedTerritory) {
+      return <p className="empty-state">Select a territory to edit it.</p>;
+    }
+
+    return (
+      <div className="editor-territory-form">
+        <div className="form-group">
+          <label>ID:</label>
+          <input
+            type="text"
+            value={selectedTerritory.id}
+            onChange={(e) => handleTerritoryChange({ id: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Name:</label>
+          <input
+            type="text"
+            value={selectedTerritory.name}
+            onChange={(e) => handleTerritoryChange({ name: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label>Continent:</label>
+          <select
+            value={selectedTerritory.continent}
+            onChange={(e) => handleTerritoryChange({ continent: e.target.value })}
+          >
+            {mapData.continents.map(continent => (
+              <option key={continent.id} value={continent.id}>{continent.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <h4>Resources</h4>
+        {RESOURCE_TYPES.map(type => (
+          <div className="form-group inline" key={type}>
+            <label>{type}:</label>
+            <input
+              type="number"
+              min="0"
+              value={selectedTerritory.resources?.[type] || 0}
+              onChange={(e) => handleResourceChange(type, e.target.value)}
+            />
+          </div>
+        ))}
+
+        <h4>Features</h4>
+        {TERRITORY_FEATURES.map(feature => (
+          <label className="checkbox-label" key={feature}>
+            <input
+              type="checkbox"
+              checked={!!selectedTerritory.features?.[feature]}
+              onChange={(e) => handleFeatureChange(feature, e.target.checked)}
+            />
+            {feature}
+          </label>
+        ))}
+
+        <p>Adjacent: {selectedTerritory.adjacent.length > 0 ? selectedTerritory.adjacent.join(', ') : 'none'}</p>
+
+        <button type="button" className="delete-button" onClick={handleDeleteTerritory}>
+          Delete Territory
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="map-editor">
+      <div className="editor-toolbar">
+        <select value="" onChange={(e) => e.target.value && handleStartFrom(e.target.value)}>
+          <option value="">Start from...</option>
+          <option value="blank">Blank map</option>
+          {listMaps().map(map => (
+            <option key={map.id} value={map.id}>{map.name}</option>
+          ))}
+        </select>
+
+        {['select', 'territory', 'link', 'sea'].map(mode => (
+          <button
+            key={mode}
+            type="button"
+            className={tool === mode ? 'active' : ''}
+            onClick={() => { setTool(mode); setLinkStartId(null); }}
+          >
+            {{ select: 'Select / Move', territory: 'Add Territory', link: 'Link Territories', sea: 'Sea Lane' }[mode]}
+          </button>
+        ))}
+
+        <span className="toolbar-spacer" />
+
+        <button type="button" onClick={() => fileInputRef.current && fileInputRef.current.click()}>Import</button>
+        <button type="button" onClick={handleExport}>Export</button>
+        <button type="button" className="test-play-button" onClick={handleTestPlay} disabled={!validation.valid}>
+          Test Play
+        </button>
+        <input
+          type="file"
+          ref={fileInputRef}
+          style={{ display: 'none' }}
+          accept=".json"
+          onChange={handleFileChange}
+        />
+      </div>
+
+      <div className="editor-content">
+        <div className="editor-canvas">
+          <svg
+            ref={svgRef}
+            viewBox={`0 0 ${width} ${height}`}
+            width="100%"
+            onClick={handleBoardClick}
+            onMouseMove={handleMouseMove}
+            onMouseUp={() => setDraggingId(null)}
+            onMouseLeave={() => setDraggingId(null)}
+          >
+            <rect x="0" y="0" width={width} height={height} fill="#e8f4f8" />
+            {renderLinks()}
+            {renderTerritories()}
+          </svg>
+          <p className="editor-hint">
+            {tool === 'territory' && 'Click on the board to place a territory.'}
+            {tool === 'link' && (linkStartId
+              ? `Click another territory to link or unlink it with ${linkStartId}.`
+              : 'Click a territory to start a link.')}
+            {tool === 'sea' && (linkStartId
+              ? `Click another port to add or remove a sea lane from ${linkStartId}.`
+              : 'Click a port to start a sea lane.')}
+            {tool === 'select' && 'Click a territory to edit it, or drag it to move it.'}
+          </p>
+        </div>
+
+        <div className="editor-sidebar">
+          <h3>Map</h3>
+          <div className="form-group">
+            <label>ID:</label>
+            <input type="text" value={mapData.id} onChange={(e) => setMapData({ ...mapData, id: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label>Name:</label>
+            <input type="text" value={mapData.name} onChange={(e) => setMapData({ ...mapData, name: e.target.value })} />
+          </div>
+
+          <h3>Continents</h3>
+          {mapData.continents.map(continent => (
+            <div className="editor-continent" key={continent.id}>
+              <input
+                type="color"
+                value={continent.color || '#cccccc'}
+                onChange={(e) => setMapData(updateContinent(mapData, continent.id, { color: e.target.value }))}
+              />
+              <input
+                type="text"
+                value={continent.name}
+                onChange={(e) => setMapData(updateContinent(mapData, continent.id, { name: e.target.value }))}
+              />
+              <input
+                type="number"
+                min="0"
+                title="Bonus armies"
+                value={continent.bonusArmies}
+                onChange={(e) => setMapData(updateContinent(mapData, continent.id, { bonusArmies: parseInt(e.target.value, 10) || 0 }))}
+              />
+              <button type="button" onClick={() => handleRemoveContinent(continent.id)}>&times;</button>
+            </div>
+          ))}
+          <button type="button" onClick={() => setMapData(addContinent(mapData).mapData)}>Add Continent</button>
+
+          <h3>Territory</h3>
+          {renderTerritoryForm()}
+
+          <h3>Validation</h3>
+          {validation.valid ? (
+            <p className="validation-ok">The map is valid.</p>
+          ) : (
+            <ul className="validation-errors">
+              {validation.errors.map((error, index) => (
+                <li key={index}>{error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapEditor;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import GameSetup from './GameSetup';
+import './OnlineLobby.css';
+
+/**
+ * Screen for playing on the multiplayer server: open a room or join one by its
+ * code, then pick a seat and get ready. The game starts once every seated
+ * player is ready; AI players take the seats left open.
+ */
+const OnlineLobby = ({ room, defaultConfig, onJoin, onCreate, onTakeSeat, onLeaveSeat, onReady, onLeave, onCancel }) => {
+  const [serverUrl, setServerUrl] = useState(`ws://${window.location.hostname || 'localhost'}:8080`);
+  const [name, setName] = useState('');
+  const [code, setCode] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  // Keep the buttons from being pressed again while the server answers
+  const whileBusy = async (request) => {
+    setBusy(true);
+    try {
+      await request();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!room && showCreate) {
+    return (
+      <GameSetup
+        initialConfig={defaultConfig}
+        startLabel="Open Room"
+        onStart={(config) => whileBusy(() => onCreate(serverUrl, name, config))}
+        onCancel={() => setShowCreate(false)}
+      />
+    );
+  }
+
+  if (!room) {
+    return (
+      <div className="online-lobby">
+        <h2>Play Online</h2>
+
+        <div className="lobby-row">
+          <label htmlFor="lobby-server">Server:</label>
+          <input id="lobby-server" type="text" value={serverUrl} onChange={(e) => setServerUrl(e.target.value)} />
+        </div>
+        <div className="lobby-row">
+          <label htmlFor="lobby-name">Your name:</label>
+          <input id="lobby-name" type="text" value={name} maxLength={20} onChange={(e) => setName(e.target.value)} />
+        </div>
+        <div className="lobby-row">
+          <label htmlFor="lobby-code">Room code:</label>
+          <input
+            id="lobby-code"
+            type="text"
+            value={code}
+            maxLength={5}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+          />
+          <button
+            className="lobby-button"
+            disabled={busy || !name.trim() || !code.trim()}
+            onClick={() => whileBusy(() => onJoin(serverUrl, name, code))}
+          >
+            Join Room
+          </button>
+        </div>
+
+        <div className="lobby-actions">
+          {onCancel && (
+            <button className="cancel-button" onClick={onCancel}>Cancel</button>
+          )}
+          <button className="lobby-button" disabled={busy || !name.trim()} onClick={() => setShowCreate(true)}>
+            Open a New Room
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const describeSeat = (seat) => {
+    if (seat.type === 'ai') return `AI (${seat.strategy}, ${seat.difficulty})`;
+    if (!seat.taken) return 'Open - an AI plays it if no one takes it';
+    if (!seat.connected) return 'Disconnected';
+    return seat.ready ? 'Ready' : 'Not ready';
+  };
+
+  return (
+    <div className="online-lobby">
+      <h2>Room {room.code}</h2>
+      <p className="lobby-hint">
+        Give this code to the other players. The game starts once everyone in a seat is ready.
+      </p>
+
+      <table className="lobby-seats">
+        <tbody>
+          {room.seats.map(seat => (
+            <tr key={seat.index} className={seat.index === room.seatIndex ? 'own-seat' : ''}>
+              <td>
+                <span className="seat-color" style={{ backgroundColor: seat.color }}></span>
+                {seat.name}
+              </td>
+              <td>{describeSeat(seat)}</td>
+              <td>
+                {seat.index === room.seatIndex ? (
+                  <>
+                    <label className="ready-toggle">
+                      <input
+                        type="checkbox"
+                        checked={seat.ready}
+                        disabled={busy}
+                        onChange={(e) => whileBusy(() => onReady(e.target.checked))}
+                      />
+                      Ready
+                    </label>
+                    <button className="lobby-button" disabled={busy} onClick={() => whileBusy(onLeaveSeat)}>
+                      Leave Seat
+                    </button>
+                  </>
+                ) : (
+                  seat.type === 'human' && !seat.taken && (
+                    <button className="lobby-button" disabled={busy} onClick={() => whileBusy(() => onTakeSeat(seat.index))}>
+                      Take Seat
+                    </button>
+                  )
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="lobby-hint">
+        Watching: {room.spectators.length > 0 ? room.spectators.join(', ') : 'no one'}
+      </p>
+
+      <div className="lobby-actions">
+        <button className="cancel-button" disabled={busy} onClick={() => whileBusy(onLeave)}>Leave Room</button>
+      </div>
+    </div>
+  );
+};
+
+export default OnlineLobby;
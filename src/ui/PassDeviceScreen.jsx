@@ -0,0 +1,23 @@
+import React from 'react';
+import './PassDeviceScreen.css';
+
+/**
+ * Screen shown between human turns in hot-seat games, so the next player
+ * does not see the cards, mission or board view of the one before them
+ */
+const PassDeviceScreen = ({ player, onReady }) => {
+  return (
+    <div className="pass-device-screen">
+      <h2>
+        Pass the device to {player.name}
+        <span className="color-indicator" style={{ backgroundColor: player.color }}></span>
+      </h2>
+      <p>Everyone else, look away until {player.name} has finished their turn.</p>
+      <button className="ready-button" onClick={onReady}>
+        I am {player.name} - start my turn
+      </button>
+    </div>
+  );
+};
+
+export default PassDeviceScreen;
@@ -0,0 +1,158 @@
+import React, { useState, useMemo } from 'react';
+import GameBoard from './GameBoard';
+import GameReplay from '../core/game-replay.js';
+import { CommandTypes } from '../core/commands.js';
+import './ReplayViewer.css';
+
+/**
+ * Component for stepping through a replay of the current game
+ */
+const ReplayViewer = ({ gameState }) => {
+  // Build the replay once from the game's config and command log
+  const replay = useMemo(() => GameReplay.fromGameState(gameState), [gameState.commandLog?.length]);
+  const [commandIndex, setCommandIndex] = useState(0);
+
+  // Work out where each turn starts and rebuild the position being viewed
+  const { turnStarts, replayState, error } = useMemo(() => {
+    if (gameState.replayable === false) {
+      return { turnStarts: [], replayState: null, error: 'it was saved before games were recorded from the start' };
+    }
+
+    try {
+      return {
+        turnStarts: replay.getTurnStarts(),
+        replayState: replay.getStateAt(commandIndex),
+        error: null
+      };
+    } catch (err) {
+      console.error('Error replaying game:', err);
+      return { turnStarts: [], replayState: null, error: err.message };
+    }
+  }, [replay, commandIndex, gameState.replayable]);
+
+  const totalCommands = replay.commands.length;
+
+  if (error) {
+    return (
+      <div className="replay-viewer empty-state">
+        <p>This game cannot be replayed: {error}</p>
+      </div>
+    );
+  }
+
+  // Find the turn containing the position being viewed
+  const currentTurnIndex = turnStarts.reduce(
+    (found, start, index) => (start.commandIndex <= commandIndex ? index : found), 0
+  );
+  const currentTurn = turnStarts[currentTurnIndex];
+  const turnPlayer = replayState.players.find(p => p.id === currentTurn.playerId);
+
+  const goToTurn = (index) => {
+    const clamped = Math.max(0, Math.min(turnStarts.length - 1, index));
+    setCommandIndex(turnStarts[clamped].commandIndex);
+  };
+
+  const goToCommand = (index) => {
+    setCommandIndex(Math.max(0, Math.min(totalCommands, index)));
+  };
+
+  // Describe a recorded command for the action list
+  const describeCommand = (command) => {
+    const player = replayState.players.find(p => p.id === command.playerId);
+    const playerName = player ? player.name : command.playerId;
+    const territoryName = (id) => replayState.territories.find(t => t.id === id)?.name || id;
+    const { payload } = command;
+
+    switch (command.type) {
+      case CommandTypes.CLAIM_TERRITORY:
+        return `${playerName} claimed ${territoryName(payload.territoryId)}`;
+      case CommandTypes.DEPLOY:
+        return `${playerName} placed an army on ${territoryName(payload.territoryId)}`;
+      case CommandTypes.REINFORCE:
+        return `${playerName} placed ${payload.armyCount} armies on ${territoryName(payload.territoryId)}`;
+      case CommandTypes.ATTACK:
+        return `${playerName} attacked ${territoryName(payload.toTerritoryId)} from ${territoryName(payload.fromTerritoryId)} with ${payload.attackDice} dice`;
+      case CommandTypes.BLITZ:
+        return `${playerName} blitzed ${territoryName(payload.toTerritoryId)} from ${territoryName(payload.fromTerritoryId)}`;
+      case CommandTypes.CONQUER:
+        return `${playerName} moved ${payload.armyCount} armies into the conquered territory`;
+      case CommandTypes.FORTIFY:
+        return `${playerName} moved ${payload.armyCount} armies from ${territoryName(payload.fromTerritoryId)} to ${territoryName(payload.toTerritoryId)}`;
+      case CommandTypes.TRADE_CARDS:
+        return `${playerName} traded in cards`;
+      case CommandTypes.RESEARCH:
+        return `${playerName} started researching ${payload.techId}`;
+      case CommandTypes.ALLIANCE: {
+        const other = replayState.players.find(p => p.id === payload.targetPlayerId);
+        const otherName = other ? other.name : payload.targetPlayerId;
+        const verbs = { propose: 'proposed an alliance to', accept: 'accepted an alliance with', break: 'broke the alliance with' };
+        return `${playerName} ${verbs[payload.action] || payload.action} ${otherName}`;
+      }
+      case CommandTypes.END_PHASE:
+        return `${playerName} ended the ${command.phase} phase`;
+      default:
+        return `${playerName}: ${command.type}`;
+    }
+  };
+
+  // Commands belonging to the turn being viewed
+  const nextTurnStart = turnStarts[currentTurnIndex + 1];
+  const turnCommands = replay.commands.slice(
+    currentTurn.commandIndex,
+    nextTurnStart ? nextTurnStart.commandIndex : totalCommands
+  );
+
+  return (
+    <div className="replay-viewer">
+      <div className="replay-controls">
+        <button onClick={() => goToTurn(currentTurnIndex - 1)} disabled={currentTurnIndex === 0}>
+          &laquo; Turn
+        </button>
+        <button onClick={() => goToCommand(commandIndex - 1)} disabled={commandIndex === 0}>
+          &lsaquo; Action
+        </button>
+        <span className="replay-position">
+          Turn {currentTurn.turn} &mdash; {turnPlayer ? turnPlayer.name : currentTurn.playerId}
+          {' '}(action {commandIndex} of {totalCommands})
+        </span>
+        <button onClick={() => goToCommand(commandIndex + 1)} disabled={commandIndex >= totalCommands}>
+          Action &rsaquo;
+        </button>
+        <button
+          onClick={() => goToTurn(currentTurnIndex + 1)}
+          disabled={currentTurnIndex >= turnStarts.length - 1}
+        >
+          Turn &raquo;
+        </button>
+      </div>
+
+      <div className="replay-content">
+        <GameBoard gameState={replayState} />
+
+        <div className="replay-actions">
+          <h3>Actions this turn</h3>
+          {turnCommands.length === 0 ? (
+            <p className="empty-state">No recorded actions.</p>
+          ) : (
+            <ol>
+              {turnCommands.map((command, index) => {
+                const absoluteIndex = currentTurn.commandIndex + index;
+                return (
+                  <li
+                    key={command.id}
+                    className={absoluteIndex < commandIndex ? 'played' : ''}
+                    onClick={() => goToCommand(absoluteIndex + 1)}
+                  >
+                    {describeCommand(command)}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -1,26 +1,41 @@
 import React, { useState, useEffect, useRef } from 'react';
-import SaveLoadSystem from '../core/save-load-system';
+import SaveLoadSystem, { MAX_AUTOSAVE_SLOTS } from '../core/save-load-system';
 import './SaveLoadMenu.css';
 
 /**
  * SaveLoadMenu component for managing game saves
+ * @param {string|number} gameSeed - Seed of the game being played, to find the autosaves it can be rewound to
+ * @param {Function} onSaveScenario - Called with a name and turn limit to save the current position as a scenario
  */
-const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
+const SaveLoadMenu = ({ gameSeed, onSave, onSaveScenario, onLoad, onClose }) => {
   const [saveList, setSaveList] = useState([]);
   const [selectedSave, setSelectedSave] = useState(null);
   const [newSaveName, setNewSaveName] = useState('');
-  const [activeTab, setActiveTab] = useState('load'); // 'load' or 'save'
+  const [activeTab, setActiveTab] = useState('load'); // 'load', 'save' or 'rewind'
   const [confirmDelete, setConfirmDelete] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [autoSaveSlots, setAutoSaveSlots] = useState(null);
+  const [shareCode, setShareCode] = useState(null); // Code of the selected save, once Share Code is pressed
+  const [copied, setCopied] = useState(null); // 'code' or 'link' once copied
+  const [pastedCode, setPastedCode] = useState('');
+  const [scenarioName, setScenarioName] = useState('');
+  const [scenarioTurnLimit, setScenarioTurnLimit] = useState('');
   const fileInputRef = useRef(null);
   
   // Load save list on component mount
   useEffect(() => {
     refreshSaveList();
+    SaveLoadSystem.getAutoSaveSlotCount().then(setAutoSaveSlots);
   }, []);
   
+  // Turn starts of this game that were autosaved, earliest first
+  const rewindPoints = saveList
+    .filter(save => SaveLoadSystem.isAutoSave(save.name) && save.seed === gameSeed && !save.error)
+    .sort((a, b) => a.turn - b.turn || a.timestamp - b.timestamp);
+  
   // Refresh the save list
-  const refreshSaveList = () => {
-    const saves = SaveLoadSystem.getSaveList();
+  const refreshSaveList = async () => {
+    const saves = await SaveLoadSystem.getSaveList();
     setSaveList(saves);
     
     // Clear selection if selected save no longer exists
@@ -33,22 +48,24 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
   const handleSelectSave = (saveName) => {
     setSelectedSave(saveName);
     setConfirmDelete(null);
+    setLoadError(null);
+    setShareCode(null);
   };
   
   // Handle save game
-  const handleSave = () => {
+  const handleSave = async () => {
     if (!newSaveName.trim()) {
       alert('Please enter a name for your save.');
       return;
     }
     
     // Check if save already exists
-    if (SaveLoadSystem.saveExists(newSaveName) && 
+    if (await SaveLoadSystem.saveExists(newSaveName) && 
         !window.confirm(`A save named "${newSaveName}" already exists. Overwrite?`)) {
       return;
     }
     
-    const success = onSave(newSaveName);
+    const success = await onSave(newSaveName);
     
     if (success) {
       refreshSaveList();
@@ -57,23 +74,54 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
     }
   };
   
+  // Handle saving the current position as a scenario
+  const handleSaveScenario = () => {
+    const turnLimit = parseInt(scenarioTurnLimit, 10);
+    if (onSaveScenario(scenarioName.trim(), isNaN(turnLimit) ? undefined : turnLimit)) {
+      setScenarioName('');
+      setScenarioTurnLimit('');
+    }
+  };
+  
   // Handle load game
-  const handleLoad = () => {
+  const handleLoad = async () => {
     if (!selectedSave) {
       alert('Please select a save to load.');
       return;
     }
     
-    onLoad(selectedSave);
+    // Saves that are damaged, tampered with or too new say why they cannot be loaded
+    const result = await onLoad(selectedSave);
+    if (!result.success) {
+      setLoadError(result.error);
+    }
+  };
+  
+  // Handle rewinding the game to the start of an autosaved turn
+  const handleRewind = async (save) => {
+    if (!window.confirm(`Rewind to the start of turn ${save.turn}? Anything done since then is lost unless you saved it.`)) {
+      return;
+    }
+    
+    const result = await onLoad(save.name);
+    if (!result.success) {
+      setLoadError(result.error);
+    }
+  };
+  
+  // Handle changing how many autosaves are kept
+  const handleAutoSaveSlotsChange = async (slotCount) => {
+    setAutoSaveSlots(await SaveLoadSystem.setAutoSaveSlotCount(slotCount));
+    refreshSaveList();
   };
   
   // Handle delete save
-  const handleDelete = () => {
+  const handleDelete = async () => {
     if (!selectedSave) return;
     
     if (confirmDelete === selectedSave) {
       // Confirmed, delete the save
-      SaveLoadSystem.deleteSave(selectedSave);
+      await SaveLoadSystem.deleteSave(selectedSave);
       setSelectedSave(null);
       setConfirmDelete(null);
       refreshSaveList();
@@ -100,25 +148,62 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
     }
   };
   
-  // Process imported file
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    
-    SaveLoadSystem.importSave(file)
+  // Import a save file or code and select it
+  const importFrom = (source) => {
+    return SaveLoadSystem.importSave(source)
       .then(saveName => {
         refreshSaveList();
-        setSelectedSave(saveName);
+        handleSelectSave(saveName);
         alert(`Save "${saveName}" imported successfully!`);
+        return true;
       })
       .catch(error => {
         alert(`Error importing save: ${error.message}`);
+        return false;
       });
+  };
+  
+  // Process imported file
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    importFrom(file);
     
     // Reset the file input
     event.target.value = '';
   };
   
+  // Handle importing a pasted save code
+  const handleImportCode = async () => {
+    if (await importFrom(pastedCode)) {
+      setPastedCode('');
+    }
+  };
+  
+  // Handle sharing the selected save as a code
+  const handleShare = async () => {
+    if (!selectedSave) return;
+    
+    const code = await SaveLoadSystem.exportSaveCode(selectedSave);
+    if (!code) {
+      alert('Failed to create a save code. Please try again.');
+      return;
+    }
+    setShareCode(code);
+    setCopied(null);
+  };
+  
+  // Link that opens the game with the shared save
+  const getShareLink = () => `${window.location.origin}${window.location.pathname}#save=${shareCode}`;
+  
+  // Handle copying the save code or link
+  const handleCopy = (what) => {
+    navigator.clipboard.writeText(what === 'link' ? getShareLink() : shareCode)
+      .then(() => setCopied(what))
+      .catch(() => alert('Could not copy. Select the code in the box and copy it instead.'));
+  };
+  
   return (
     <div className="save-load-menu">
       <div className="save-load-header">
@@ -139,6 +224,12 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
         >
           Save Game
         </button>
+        <button 
+          className={`tab-button ${activeTab === 'rewind' ? 'active' : ''}`}
+          onClick={() => { setActiveTab('rewind'); setLoadError(null); }}
+        >
+          Rewind
+        </button>
       </div>
       
       {activeTab === 'load' && (
@@ -155,14 +246,22 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
                 >
                   <div className="save-name">
                     {save.displayName}
-                    {save.name === 'autosave' && <span className="auto-tag">Auto</span>}
+                    {SaveLoadSystem.isAutoSave(save.name) && <span className="auto-tag">Auto</span>}
+                    {save.error && <span className="damaged-tag" title={save.error}>Cannot load</span>}
+                  </div>
+                  <div className="save-date">
+                    {save.date}
+                    {save.turn !== undefined && ` - turn ${save.turn}${save.playerName ? `, ${save.playerName}` : ''}`}
                   </div>
-                  <div className="save-date">{save.date}</div>
                 </div>
               ))
             )}
           </div>
           
+          {loadError && (
+            <div className="load-error">{loadError}</div>
+          )}
+          
           <div className="action-buttons">
             <button 
               className="action-button load-button"
@@ -196,6 +295,14 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
                 Import Save
               </button>
               
+              <button 
+                className="action-button share-button"
+                disabled={!selectedSave}
+                onClick={handleShare}
+              >
+                Share Code
+              </button>
+              
               <input 
                 type="file" 
                 ref={fileInputRef} 
@@ -205,6 +312,36 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
               />
             </div>
           </div>
+          
+          {shareCode && (
+            <div className="share-code">
+              <label htmlFor="share-code-text">Save code ({shareCode.length} characters):</label>
+              <textarea id="share-code-text" readOnly value={shareCode} onFocus={(e) => e.target.select()} />
+              <div className="share-code-buttons">
+                <button className="action-button share-button" onClick={() => handleCopy('code')}>
+                  {copied === 'code' ? 'Copied!' : 'Copy Code'}
+                </button>
+                <button className="action-button share-button" onClick={() => handleCopy('link')}>
+                  {copied === 'link' ? 'Copied!' : 'Copy Link'}
+                </button>
+              </div>
+            </div>
+          )}
+          
+          <div className="share-code">
+            <label htmlFor="paste-code-text">Paste a save code to import it:</label>
+            <textarea
+              id="paste-code-text"
+              value={pastedCode}
+              onChange={(e) => setPastedCode(e.target.value)}
+              placeholder="risk1..."
+            />
+            <div className="share-code-buttons">
+              <button className="action-button import-button" disabled={!pastedCode.trim()} onClick={handleImportCode}>
+                Import Code
+              </button>
+            </div>
+          </div>
         </div>
       )}
       
@@ -230,6 +367,50 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
               Save Game
             </button>
             
+            <div className="form-group">
+              <label htmlFor="autosave-slots">Autosaves Kept:</label>
+              <select
+                id="autosave-slots"
+                value={autoSaveSlots || ''}
+                onChange={(e) => handleAutoSaveSlotsChange(parseInt(e.target.value, 10))}
+              >
+                {Array.from({ length: MAX_AUTOSAVE_SLOTS }, (_, index) => index + 1).map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+              <span className="form-hint">
+                The game is autosaved at the start of every turn. Once this many autosaves exist, each new one replaces the oldest.
+              </span>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="scenario-name">Save Position as Scenario:</label>
+              <input
+                type="text"
+                id="scenario-name"
+                value={scenarioName}
+                onChange={(e) => setScenarioName(e.target.value)}
+                placeholder="Enter a name for the scenario"
+              />
+              <input
+                type="number"
+                min={1}
+                value={scenarioTurnLimit}
+                onChange={(e) => setScenarioTurnLimit(e.target.value)}
+                placeholder="Last turn (optional)"
+              />
+              <button
+                className="action-button export-button"
+                disabled={!scenarioName.trim()}
+                onClick={handleSaveScenario}
+              >
+                Download Scenario
+              </button>
+              <span className="form-hint">
+                Downloads this position as a scenario file that new games can start from, and adds it to the scenarios on the New Game screen.
+              </span>
+            </div>
+            
             <div className="save-info">
               <p>Saving will store your current game progress, including:</p>
               <ul>
@@ -241,6 +422,32 @@ const SaveLoadMenu = ({ onSave, onLoad, onClose }) => {
           </div>
         </div>
       )}
+      
+      {activeTab === 'rewind' && (
+        <div className="rewind-panel">
+          {loadError && (
+            <div className="load-error">{loadError}</div>
+          )}
+          
+          {rewindPoints.length === 0 ? (
+            <div className="no-saves">No turn of this game has been autosaved yet.</div>
+          ) : (
+            <div className="save-list">
+              {rewindPoints.map(save => (
+                <div key={save.name} className="save-item rewind-item">
+                  <div>
+                    <div className="save-name">Start of turn {save.turn}</div>
+                    <div className="save-date">{`${save.playerName}'s turn - saved ${save.date}`}</div>
+                  </div>
+                  <button className="action-button load-button" onClick={() => handleRewind(save)}>
+                    Rewind
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
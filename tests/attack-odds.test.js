@@ -0,0 +1,65 @@
+/**
+ * Tests for the attack odds calculator
+ */
+
+import { calculateAttackOdds } from '../src/core/attack-odds.js';
+import { createAttackGame } from './helpers/attack-game.js';
+
+describe('Attack Odds Tests', () => {
+  let gameState;
+  let from;
+  let to;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ gameState, from, to } = createAttackGame('odds'));
+    from.armies = { infantry: 10, cavalry: 0, artillery: 0 };
+    to.armies = { infantry: 3, cavalry: 0, artillery: 0 };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('odds are repeatable and leave the game untouched', () => {
+    const rngState = gameState.rng.getState();
+
+    const first = calculateAttackOdds(gameState, from.id, to.id, { trials: 500 });
+    const second = calculateAttackOdds(gameState, from.id, to.id, { trials: 500 });
+
+    expect(second).toEqual(first);
+    expect(gameState.rng.getState()).toBe(rngState);
+    expect(from.armies.infantry).toBe(10);
+    expect(to.armies.infantry).toBe(3);
+  });
+
+  test('a big army attacking until done usually conquers', () => {
+    const odds = calculateAttackOdds(gameState, from.id, to.id, { trials: 500 });
+
+    expect(odds.attackDice).toBe(3);
+    expect(odds.defenseDice).toBe(2);
+    expect(odds.untilDone.winProbability).toBeGreaterThan(0.9);
+    expect(odds.untilDone.expectedDefenderLosses).toBeGreaterThan(2.5);
+    expect(odds.singleRoll.conquerProbability).toBe(0);
+    expect(odds.singleRoll.expectedAttackerLosses + odds.singleRoll.expectedDefenderLosses).toBeCloseTo(2);
+  });
+
+  test('defense technologies lower the odds', () => {
+    const before = calculateAttackOdds(gameState, from.id, to.id, { trials: 1000, seed: 1 });
+
+    const defender = gameState.players.find(p => p.id === to.occupyingPlayer);
+    defender.technologies.push('defensive-tactics');
+    const after = calculateAttackOdds(gameState, from.id, to.id, { trials: 1000, seed: 1 });
+
+    expect(after.modifiers).toEqual({ attack: 0, defense: 1 });
+    expect(after.singleRoll.winProbability).toBeLessThan(before.singleRoll.winProbability);
+    expect(after.untilDone.expectedAttackerLosses).toBeGreaterThan(before.untilDone.expectedAttackerLosses);
+  });
+
+  test('an attack that cannot be made has no odds', () => {
+    from.armies = { infantry: 1, cavalry: 0, artillery: 0 };
+
+    expect(calculateAttackOdds(gameState, from.id, to.id)).toBeNull();
+  });
+});
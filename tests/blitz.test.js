@@ -0,0 +1,82 @@
+/**
+ * Tests for blitz attacks
+ */
+
+import { CommandTypes } from '../src/core/commands.js';
+import { createAttackGame } from './helpers/attack-game.js';
+
+describe('Blitz Attack Tests', () => {
+  let engine;
+  let gameState;
+  let player;
+  let from;
+  let to;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ engine, gameState, player, from, to } = createAttackGame('blitz'));
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const blitz = (stopOptions = {}) => engine.executeCommand({
+    type: CommandTypes.BLITZ,
+    playerId: player.id,
+    payload: { fromTerritoryId: from.id, toTerritoryId: to.id, ...stopOptions }
+  });
+
+  test('a blitz rolls until the territory falls and reports every round', () => {
+    from.armies = { infantry: 30, cavalry: 0, artillery: 0 };
+    to.armies = { infantry: 3, cavalry: 0, artillery: 0 };
+
+    const result = blitz();
+
+    expect(result.success).toBe(true);
+    expect(result.territoryConquered).toBe(true);
+    expect(result.stopReason).toBe('conquered');
+    expect(result.defenderLosses).toBe(3);
+    expect(result.rounds.length).toBeGreaterThan(1);
+    expect(result.attackerLosses).toBe(result.rounds.reduce((sum, round) => sum + round.attackerLosses, 0));
+    expect(from.armies.infantry).toBe(30 - result.attackerLosses);
+
+    expect(gameState.pendingConquest.battleReport.rounds).toEqual(result.rounds);
+    expect(gameState.commandLog).toHaveLength(2);
+    expect(gameState.eventLog[gameState.eventLog.length - 1]).toMatchObject({
+      type: 'attack',
+      blitz: true,
+      roundCount: result.rounds.length,
+      territoryConquered: true
+    });
+  });
+
+  test('a blitz stops when the attacker reaches the chosen minimum', () => {
+    from.armies = { infantry: 10, cavalry: 0, artillery: 0 };
+    to.armies = { infantry: 40, cavalry: 0, artillery: 0 };
+
+    const result = blitz({ minArmies: 6 });
+
+    expect(result.success).toBe(true);
+    expect(result.stopReason).toBe('min-armies');
+    expect(result.territoryConquered).toBe(false);
+    expect(from.getTotalArmies()).toBeLessThanOrEqual(6);
+    expect(from.getTotalArmies()).toBeGreaterThanOrEqual(5);
+    expect(gameState.pendingConquest).toBeFalsy();
+  });
+
+  test('a blitz does not start when the odds are already below the threshold', () => {
+    from.armies = { infantry: 4, cavalry: 0, artillery: 0 };
+    to.armies = { infantry: 20, cavalry: 0, artillery: 0 };
+    const rngState = gameState.rng.getState();
+
+    const result = blitz({ minWinProbability: 0.5 });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('The odds of conquest are already below your threshold');
+    expect(gameState.rng.getState()).toBe(rngState);
+    expect(gameState.commandLog).toHaveLength(1);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for the capitals game mode
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import GameReplay from '../src/core/game-replay.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { getCapitalChoices, getCapitalDefenseBonus } from '../src/core/capitals.js';
+
+describe('Capitals Mode Tests', () => {
+  let engine;
+  let gameState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    engine = new GameEngine({ mapId: 'classic', aiPlayers: 2, seed: 'capitals', enableCapitals: true, enableEvents: false });
+    gameState = engine.initializeGame();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const chooseCapital = (playerId, territoryId) => engine.executeCommand({
+    type: CommandTypes.CHOOSE_CAPITAL,
+    playerId,
+    payload: { territoryId }
+  });
+
+  // Every player takes the first territory they are offered
+  const chooseAllCapitals = () => {
+    gameState.players.forEach(player => {
+      chooseCapital(player.id, getCapitalChoices(gameState, player.id)[0].id);
+    });
+  };
+
+  const capitalOf = (playerId) => gameState.territories.find(t => t.capitalOf === playerId);
+
+  // Hand a territory to another player, as a conquest would
+  const transfer = (territory, toPlayerId) => {
+    const from = gameState.players.find(p => p.id === territory.occupyingPlayer);
+    const to = gameState.players.find(p => p.id === toPlayerId);
+    from.territories = from.territories.filter(id => id !== territory.id);
+    to.territories.push(territory.id);
+    territory.occupyingPlayer = toPlayerId;
+  };
+
+  const endPhase = (playerId) => engine.executeCommand({ type: CommandTypes.END_PHASE, playerId });
+
+  test('players choose capitals in turn before the first turn starts', () => {
+    expect(gameState.phase).toBe('capital-selection');
+    expect(gameState.config.victoryConditions).toContain('capitals');
+
+    const [first, second] = gameState.players;
+    const enemyTerritory = gameState.territories.find(t => t.occupyingPlayer === second.id);
+    expect(chooseCapital(first.id, enemyTerritory.id).error).toBe('You can only choose one of your own territories as your capital');
+    expect(chooseCapital(second.id, enemyTerritory.id).error).toBe('Not your turn');
+
+    chooseAllCapitals();
+
+    expect(gameState.phase).toBe('reinforcement');
+    expect(gameState.currentPlayerIndex).toBe(0);
+    gameState.players.forEach(player => {
+      expect(capitalOf(player.id).occupyingPlayer).toBe(player.id);
+    });
+  });
+
+  test('capitals give reinforcement and defense bonuses', () => {
+    const player = gameState.players[0];
+    const withoutCapital = engine.calculateReinforcements(player.id);
+
+    chooseAllCapitals();
+
+    expect(engine.calculateReinforcements(player.id)).toBe(withoutCapital + 2);
+    expect(gameState.remainingReinforcements).toBe(withoutCapital + 2);
+
+    const capital = capitalOf(gameState.players[1].id);
+    const neighbour = gameState.territories.find(t => capital.adjacentTerritories.includes(t.id));
+    transfer(neighbour, player.id);
+    neighbour.armies = { infantry: 10, cavalry: 0, artillery: 0 };
+
+    engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId: neighbour.id, armyCount: gameState.remainingReinforcements }
+    });
+    const result = engine.executeCommand({
+      type: CommandTypes.ATTACK,
+      playerId: player.id,
+      payload: { fromTerritoryId: neighbour.id, toTerritoryId: capital.id, attackDice: 3 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.defenseBonus).toBe(1);
+  });
+
+  test('capital bonuses come from the rule set', () => {
+    engine = new GameEngine({
+      mapId: 'classic',
+      aiPlayers: 2,
+      seed: 'capitals',
+      enableCapitals: true,
+      enableEvents: false,
+      ruleSet: 'custom',
+      rules: { capitalDefenseBonus: 2, capitalReinforcementBonus: 5 }
+    });
+    gameState = engine.initializeGame();
+    const player = gameState.players[0];
+    const withoutCapital = engine.calculateReinforcements(player.id);
+
+    chooseAllCapitals();
+
+    expect(engine.calculateReinforcements(player.id)).toBe(withoutCapital + 5);
+    expect(getCapitalDefenseBonus(gameState, capitalOf(player.id))).toBe(2);
+  });
+
+  test('holding enough enemy capitals wins the game', () => {
+    chooseAllCapitals();
+    const [player, ...opponents] = gameState.players;
+
+    transfer(capitalOf(opponents[0].id), player.id);
+    expect(gameState.checkVictoryConditions()).toBe(false);
+
+    transfer(capitalOf(opponents[1].id), player.id);
+    expect(gameState.checkVictoryConditions()).toBe(true);
+    expect(gameState.winner).toBe(player);
+    expect(gameState.victoryType).toBe('capitals');
+  });
+
+  test('a player who ends their turn without their capital is eliminated', () => {
+    chooseAllCapitals();
+    const [player, victim] = gameState.players;
+    transfer(capitalOf(victim.id), player.id);
+    const victimTerritories = [...victim.territories];
+
+    // Play through the first player's turn; the victim keeps playing until the end of their own turn
+    endPhase(player.id);
+    endPhase(player.id);
+    endPhase(player.id);
+    expect(victim.eliminated).toBe(false);
+
+    endPhase(victim.id);
+    endPhase(victim.id);
+    endPhase(victim.id);
+
+    expect(victim.eliminated).toBe(true);
+    expect(victim.territories).toEqual([]);
+    victimTerritories.forEach(id => {
+      expect(gameState.territories.find(t => t.id === id).occupyingPlayer).toBe(player.id);
+    });
+    expect(gameState.currentPlayerIndex).toBe(2);
+  });
+
+  test('capital choices are saved and replayed', () => {
+    chooseAllCapitals();
+
+    const replay = GameReplay.fromGameState(JSON.parse(JSON.stringify(gameState.serialize())));
+    const replayed = replay.getStateAt();
+
+    gameState.players.forEach(player => {
+      expect(replayed.territories.find(t => t.capitalOf === player.id).id).toBe(capitalOf(player.id).id);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Conformance tests for the combat rules: every way of attacking must roll the
+ * same dice and take the same losses
+ */
+
+import CombatSystem from '../src/core/combat-system.js';
+import { resolveAttack } from '../src/core/game-helpers.js';
+import { AIPlayerFactory } from '../src/core/ai-player.js';
+import { CommandTypes } from '../src/core/commands.js';
+import {
+  getMaxAttackDice,
+  getCombatModifiers,
+  applyCasualties,
+  rollCombat,
+  resolveCombatRound
+} from '../src/core/combat-rules.js';
+import { createAttackGame } from './helpers/attack-game.js';
+
+describe('Combat Rules Tests', () => {
+  let engine;
+  let gameState;
+  let attacker;
+  let defender;
+  let from;
+  let to;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    ({ engine, gameState, player: attacker, enemy: defender, from, to } = createAttackGame('combat-rules'));
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: attacker.id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Every way an attack can be made, each returning its result
+  const entryPoints = {
+    engine: (attackDice) => engine.executeCommand({
+      type: CommandTypes.ATTACK,
+      playerId: attacker.id,
+      payload: { fromTerritoryId: from.id, toTerritoryId: to.id, attackDice }
+    }),
+    combatSystem: (attackDice) => new CombatSystem(gameState).resolveAttack(from.id, to.id, { attackDice }),
+    helpers: (attackDice) => resolveAttack(gameState, from.id, to.id, { playerId: attacker.id, attackDice }),
+    rules: (attackDice) => ({ success: true, ...resolveCombatRound(gameState, from, to, attackDice) })
+  };
+
+  // Run every entry point from the same armies and random state
+  const attackEverywhere = (armies, attackDice) => {
+    const rngState = gameState.rng.getState();
+
+    return Object.entries(entryPoints).map(([name, attack]) => {
+      gameState.rng.setState(rngState);
+      from.armies = { ...armies.from };
+      to.armies = { ...armies.to };
+
+      const result = attack(attackDice);
+      return {
+        name,
+        success: result.success,
+        error: result.error,
+        attackRolls: result.attackRolls,
+        defenseRolls: result.defenseRolls,
+        attackerLosses: result.attackerLosses,
+        defenderLosses: result.defenderLosses,
+        attackBonus: result.attackBonus,
+        defenseBonus: result.defenseBonus,
+        fromArmies: { ...from.armies },
+        toArmies: { ...to.armies }
+      };
+    });
+  };
+
+  const expectSameOutcome = (outcomes) => {
+    const [first, ...rest] = outcomes;
+    rest.forEach(outcome => {
+      expect({ ...outcome, name: first.name }).toEqual(first);
+    });
+  };
+
+  test('every entry point rolls the same dice and takes the same losses', () => {
+    const armies = {
+      from: { infantry: 4, cavalry: 1, artillery: 1 },
+      to: { infantry: 6, cavalry: 1, artillery: 0 }
+    };
+
+    for (let i = 0; i < 20; i++) {
+      const outcomes = attackEverywhere(armies, 1 + (i % 3));
+      expect(outcomes[0].success).toBe(true);
+      expectSameOutcome(outcomes);
+
+      // Move the dice on so each pass rolls something new
+      gameState.rng.rollDice(5);
+    }
+  });
+
+  test('technologies modify the dice the same way everywhere', () => {
+    attacker.technologies.push('advanced-infantry');
+    defender.technologies.push('defensive-tactics', 'fortification');
+
+    const armies = { from: { infantry: 8, cavalry: 0, artillery: 0 }, to: { infantry: 6, cavalry: 0, artillery: 0 } };
+    from.armies = { ...armies.from };
+    to.armies = { ...armies.to };
+    expect(getCombatModifiers(gameState, from, to)).toEqual({ attack: 1, defense: 2 });
+
+    const outcomes = attackEverywhere(armies, 3);
+    expect(outcomes[0]).toMatchObject({ attackBonus: 1, defenseBonus: 2 });
+    expectSameOutcome(outcomes);
+  });
+
+  test('invalid attacks are rejected with the same error everywhere', () => {
+    const armies = { from: { infantry: 2, cavalry: 0, artillery: 0 }, to: { infantry: 3, cavalry: 0, artillery: 0 } };
+
+    const outcomes = attackEverywhere(armies, 2).filter(outcome => outcome.name !== 'rules');
+    outcomes.forEach(outcome => {
+      expect(outcome.success).toBe(false);
+      expect(outcome.error).toBe('Not enough armies for selected dice count');
+    });
+  });
+
+  test('the defender wins ties unless modifiers break them', () => {
+    const fours = { rollDice: (count) => Array(count).fill(4) };
+
+    expect(rollCombat(3, 2, { attack: 0, defense: 0 }, fours)).toMatchObject({ attackerLosses: 2, defenderLosses: 0 });
+    expect(rollCombat(3, 2, { attack: 1, defense: 0 }, fours)).toMatchObject({ attackerLosses: 0, defenderLosses: 2 });
+    expect(rollCombat(1, 2, { attack: 1, defense: 1 }, fours)).toMatchObject({ attackerLosses: 1, defenderLosses: 0 });
+  });
+
+  test('casualties are taken from the cheapest units first', () => {
+    const territory = { armies: { infantry: 1, cavalry: 1, artillery: 1 } };
+
+    expect(applyCasualties(territory, 2)).toBe(2);
+    expect(territory.armies).toEqual({ infantry: 0, cavalry: 0, artillery: 1 });
+
+    expect(applyCasualties(territory, 2)).toBe(1);
+    expect(territory.armies).toEqual({ infantry: 0, cavalry: 0, artillery: 0 });
+  });
+
+  test('AI attacks use the most dice the rules allow', () => {
+    from.armies = { infantry: 2, cavalry: 1, artillery: 0 };
+    to.armies = { infantry: 1, cavalry: 0, artillery: 0 };
+    gameState.territories
+      .filter(t => t.occupyingPlayer === attacker.id && t !== from)
+      .forEach(t => { t.armies = { infantry: 1, cavalry: 0, artillery: 0 }; });
+
+    const ai = AIPlayerFactory.createAI(attacker.id, 'aggressive', 'medium');
+    const attack = ai.findBestAttack(gameState);
+
+    expect(attack.fromTerritoryId).toBe(from.id);
+    expect(attack.attackDice).toBe(getMaxAttackDice(from));
+    expect(attack.attackDice).toBe(3);
+  });
+});
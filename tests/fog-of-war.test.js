@@ -0,0 +1,135 @@
+/**
+ * Tests for fog of war
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { AIPlayerFactory } from '../src/core/ai-player.js';
+import {
+  Visibility,
+  getVisibility,
+  getTerritoryVisibility,
+  canSeeCards
+} from '../src/core/fog-of-war.js';
+import { getPlayerView } from '../src/core/multiplayer/player-view.js';
+
+describe('Fog of War Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // A game where p1 holds only Alaska and ai1 holds the rest of the map
+  const createFoggedGame = (config = {}) => {
+    const engine = new GameEngine({ mapId: 'classic', aiPlayers: 1, seed: 'fog', enableEvents: false, enableFog: true, ...config });
+    const gameState = engine.initializeGame();
+
+    for (const territory of gameState.territories) {
+      territory.occupyingPlayer = territory.id === 'alaska' ? 'p1' : 'ai1';
+      territory.armies = { infantry: 5, cavalry: 0, artillery: 0 };
+    }
+    return gameState;
+  };
+
+  const visibilityOf = (gameState, playerId, territoryId) =>
+    getTerritoryVisibility(gameState, playerId, gameState.territories.find(t => t.id === territoryId));
+
+  test('armies are only visible on and next to your own territories', () => {
+    const gameState = createFoggedGame();
+
+    expect(visibilityOf(gameState, 'p1', 'alaska')).toBe(Visibility.FULL);
+    expect(visibilityOf(gameState, 'p1', 'northwest-territory')).toBe(Visibility.FULL);
+    expect(visibilityOf(gameState, 'p1', 'kamchatka')).toBe(Visibility.FULL);
+    expect(visibilityOf(gameState, 'p1', 'greenland')).toBe(Visibility.OWNER);
+    expect(visibilityOf(gameState, 'p1', 'brazil')).toBe(Visibility.OWNER);
+
+    // Owners can be hidden as well
+    gameState.config.fogHidesOwners = true;
+    expect(visibilityOf(gameState, 'p1', 'brazil')).toBe(Visibility.HIDDEN);
+    expect(visibilityOf(gameState, 'p1', 'alberta')).toBe(Visibility.FULL);
+  });
+
+  test('espionage sees one border further and allies share their view', () => {
+    const gameState = createFoggedGame({ aiPlayers: 2 });
+    gameState.territories.find(t => t.id === 'brazil').occupyingPlayer = 'ai2';
+
+    gameState.players[0].technologies.push('espionage');
+    expect(visibilityOf(gameState, 'p1', 'greenland')).toBe(Visibility.FULL);
+    expect(visibilityOf(gameState, 'p1', 'iceland')).toBe(Visibility.OWNER);
+
+    gameState.players[0].allies = ['ai2'];
+    expect(visibilityOf(gameState, 'p1', 'brazil')).toBe(Visibility.FULL);
+    expect(visibilityOf(gameState, 'p1', 'north-africa')).toBe(Visibility.FULL);
+  });
+
+  test('the whole map is visible without fog, during the draft and after the game', () => {
+    const gameState = createFoggedGame();
+    const everything = (playerId) => Object.values(getVisibility(gameState, playerId)).every(v => v === Visibility.FULL);
+
+    expect(everything('p1')).toBe(false);
+
+    gameState.phase = 'deploy';
+    expect(everything('p1')).toBe(true);
+
+    gameState.phase = 'attack';
+    gameState.gameOver = true;
+    expect(everything('p1')).toBe(true);
+
+    gameState.gameOver = false;
+    gameState.config.enableFog = false;
+    expect(everything('p1')).toBe(true);
+  });
+
+  test('covert operations reveals other players\' cards', () => {
+    const gameState = createFoggedGame();
+
+    expect(canSeeCards(gameState, 'p1', 'p1')).toBe(true);
+    expect(canSeeCards(gameState, 'p1', 'ai1')).toBe(false);
+
+    gameState.players[0].technologies.push('espionage', 'covert-operations');
+    expect(canSeeCards(gameState, 'p1', 'ai1')).toBe(true);
+  });
+
+  test('the AI only counts armies it can see', () => {
+    const gameState = createFoggedGame();
+    gameState.territories.find(t => t.id === 'brazil').armies.infantry = 40;
+    gameState.territories.find(t => t.id === 'kamchatka').armies.infantry = 40;
+
+    const ai = AIPlayerFactory.createAI('p1', 'balanced');
+    const brazil = gameState.territories.find(t => t.id === 'brazil');
+    const kamchatka = gameState.territories.find(t => t.id === 'kamchatka');
+
+    expect(ai.getVisibleArmies(gameState, kamchatka)).toBe(40);
+    expect(ai.getVisibleArmies(gameState, brazil)).toBeLessThan(40);
+
+    gameState.config.enableFog = false;
+    expect(ai.getVisibleArmies(gameState, brazil)).toBe(40);
+  });
+
+  test('players are not told about battles fought in the fog', () => {
+    const gameState = createFoggedGame();
+    const battle = (from, to) => ({
+      type: 'attack',
+      blitz: true,
+      attackingPlayerId: 'ai1',
+      defendingPlayerId: 'ai1',
+      attackingTerritoryId: from,
+      defendingTerritoryId: to,
+      attackerLosses: 3,
+      defenderLosses: 5,
+      turn: 1
+    });
+    gameState.eventLog.push(battle('brazil', 'venezuela'), battle('alberta', 'alaska'), { type: 'research-start', playerId: 'ai1', turn: 1 });
+    gameState.pendingConquest = { fromTerritoryId: 'brazil', toTerritoryId: 'venezuela', minArmies: 3, battleReport: { rounds: [] } };
+
+    const view = getPlayerView(gameState, 'p1');
+    expect(view.eventLog.map(entry => entry.attackingTerritoryId || entry.type)).toEqual(['alberta', 'research-start']);
+    expect(view.pendingConquest).toBeNull();
+    expect(getPlayerView(gameState, 'ai1').pendingConquest).toEqual(gameState.pendingConquest);
+
+    gameState.config.enableFog = false;
+    expect(getPlayerView(gameState, 'p1').eventLog).toHaveLength(gameState.eventLog.length);
+  });
+});
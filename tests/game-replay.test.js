@@ -0,0 +1,95 @@
+/**
+ * Tests for the command log and game replay
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import GameReplay from '../src/core/game-replay.js';
+import { AIPlayerFactory } from '../src/core/ai-player.js';
+import { CommandTypes } from '../src/core/commands.js';
+
+describe('Game Replay Tests', () => {
+  let engine;
+  let gameState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    engine = new GameEngine({ seed: 'replay-test' });
+    gameState = engine.initializeGame();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Capture the parts of the state a replay must reproduce
+  const snapshot = (state) => JSON.stringify({
+    territories: state.territories.map(t => [t.occupyingPlayer, t.armies]),
+    players: state.players.map(p => [p.cards.map(c => c.id), p.eliminated]),
+    turn: state.turn,
+    currentPlayerIndex: state.currentPlayerIndex,
+    phase: state.phase,
+    rngState: state.rng.getState()
+  });
+
+  test('successful commands are recorded with the random state', () => {
+    const player = gameState.players[0];
+    const territoryId = player.territories[0];
+    const rngState = gameState.rng.getState();
+
+    const result = engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId, armyCount: 1 }
+    });
+
+    expect(result.success).toBe(true);
+    expect(gameState.commandLog).toHaveLength(1);
+    expect(gameState.commandLog[0]).toMatchObject({
+      id: 1,
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId, armyCount: 1 },
+      phase: 'reinforcement',
+      rngState
+    });
+  });
+
+  test('rejected commands are not recorded', () => {
+    const result = engine.executeCommand({
+      type: CommandTypes.ATTACK,
+      playerId: gameState.players[1].id,
+      payload: {}
+    });
+
+    expect(result.success).toBe(false);
+    expect(gameState.commandLog).toHaveLength(0);
+  });
+
+  test('replaying the command log reproduces the game', () => {
+    const ais = {};
+    gameState.players.forEach(player => {
+      ais[player.id] = AIPlayerFactory.createAI(player.id, 'aggressive', 'hard');
+    });
+
+    for (let i = 0; i < 20 && !gameState.gameOver; i++) {
+      const player = gameState.players[gameState.currentPlayerIndex];
+      ais[player.id].performTurn(gameState, engine);
+    }
+
+    const replay = GameReplay.fromGameState(JSON.parse(JSON.stringify(gameState.serialize())));
+
+    expect(snapshot(replay.getStateAt())).toBe(snapshot(gameState));
+    expect(replay.getTurnStarts().length).toBeGreaterThan(1);
+  });
+
+  test('replay can show the game before any command', () => {
+    const initial = snapshot(gameState);
+
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: gameState.players[0].id });
+
+    const replay = GameReplay.fromGameState(gameState);
+    expect(snapshot(replay.getStateAt(0))).toBe(initial);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for setting up games seat by seat
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { GameState } from '../src/core/models.js';
+import { AggressiveAI, DefensiveAI } from '../src/core/ai-player.js';
+import {
+  createDefaultSeats,
+  resizeSeats,
+  validateSeats,
+  createSeatAIs,
+  getHumanPlayerIds,
+  getHandoffPlayer
+} from '../src/core/game-setup.js';
+
+describe('Game Setup Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const seats = [
+    { name: 'Alice', color: 'green', type: 'human', strategy: 'aggressive', difficulty: 'medium' },
+    { name: 'Hawk', color: 'red', type: 'ai', strategy: 'aggressive', difficulty: 'hard' },
+    { name: 'Bob', color: 'blue', type: 'human', strategy: 'aggressive', difficulty: 'medium' },
+    { name: 'Turtle', color: 'black', type: 'ai', strategy: 'defensive', difficulty: 'easy' }
+  ];
+
+  test('players are created from the seats in order', () => {
+    const engine = new GameEngine({ mapId: 'classic', seats, seed: 'setup', enableEvents: false });
+    const gameState = engine.initializeGame();
+
+    expect(gameState.players.map(p => [p.id, p.name, p.color])).toEqual([
+      ['p1', 'Alice', 'green'],
+      ['ai1', 'Hawk', 'red'],
+      ['p2', 'Bob', 'blue'],
+      ['ai2', 'Turtle', 'black']
+    ]);
+    expect(getHumanPlayerIds(gameState)).toEqual(['p1', 'p2']);
+  });
+
+  test('AI seats get the strategy and difficulty chosen for them, also after loading', () => {
+    const engine = new GameEngine({ mapId: 'classic', seats, seed: 'setup', enableEvents: false });
+    const gameState = engine.initializeGame();
+
+    const ais = createSeatAIs(gameState);
+    expect(Object.keys(ais)).toEqual(['ai1', 'ai2']);
+    expect(ais.ai1).toBeInstanceOf(AggressiveAI);
+    expect(ais.ai1.difficulty).toBe('hard');
+    expect(ais.ai2).toBeInstanceOf(DefensiveAI);
+    expect(ais.ai2.difficulty).toBe('easy');
+
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+    const restoredAIs = createSeatAIs(restored);
+    expect(restoredAIs.ai1).toBeInstanceOf(AggressiveAI);
+    expect(getHumanPlayerIds(restored)).toEqual(['p1', 'p2']);
+  });
+
+  test('games set up without seats keep one human against AI opponents', () => {
+    const engine = new GameEngine({ mapId: 'classic', aiPlayers: 2, seed: 'setup', enableEvents: false });
+    const gameState = engine.initializeGame();
+
+    expect(gameState.players.map(p => p.id)).toEqual(['p1', 'ai1', 'ai2']);
+    expect(getHumanPlayerIds(gameState)).toEqual(['p1']);
+    expect(Object.keys(createSeatAIs(gameState))).toEqual(['ai1', 'ai2']);
+  });
+
+  test('the device is passed only between human players', () => {
+    const engine = new GameEngine({ mapId: 'classic', seats, seed: 'setup', enableEvents: false });
+    const gameState = engine.initializeGame();
+
+    // Alice is at the screen for her own turn and the AI turn after it
+    expect(getHandoffPlayer(gameState, 'p1')).toBeNull();
+    gameState.currentPlayerIndex = 1;
+    expect(getHandoffPlayer(gameState, 'p1')).toBeNull();
+
+    // Bob has to take the device before his turn is shown
+    gameState.currentPlayerIndex = 2;
+    expect(getHandoffPlayer(gameState, 'p1').id).toBe('p2');
+    expect(getHandoffPlayer(gameState, 'p2')).toBeNull();
+
+    gameState.gameOver = true;
+    expect(getHandoffPlayer(gameState, 'p1')).toBeNull();
+  });
+
+  test('invalid seats are rejected', () => {
+    expect(validateSeats(createDefaultSeats(4))).toBeNull();
+    expect(validateSeats(createDefaultSeats(1))).toBe('A game needs 2 to 6 players');
+    expect(validateSeats(resizeSeats(createDefaultSeats(6), 7))).toBe('A game needs 2 to 6 players');
+
+    const sameColor = createDefaultSeats(3).map(seat => ({ ...seat, color: 'red' }));
+    expect(validateSeats(sameColor)).toBe('Each player needs a different color');
+
+    const unnamed = createDefaultSeats(3);
+    unnamed[1].name = '  ';
+    expect(validateSeats(unnamed)).toBe('Every player needs a name');
+
+    expect(() => new GameEngine({ mapId: 'classic', seats: sameColor }).initializeGame())
+      .toThrow('Each player needs a different color');
+  });
+
+  test('resizing keeps existing seats and gives new ones unused colors', () => {
+    const resized = resizeSeats([{ ...seats[0] }, { ...seats[1] }], 4);
+
+    expect(resized.slice(0, 2)).toEqual(seats.slice(0, 2));
+    expect(new Set(resized.map(seat => seat.color)).size).toBe(4);
+    expect(resized[2].type).toBe('ai');
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Shared setup for tests of attacks: a game on the classic map between one
+ * player and one AI, and a border the player can attack across
+ */
+
+import GameEngine from '../../src/core/game-engine.js';
+
+/**
+ * Find a territory of a player that borders an enemy, and the enemy territory next to it
+ * @param {GameState} gameState - The game
+ * @param {string} playerId - ID of the attacking player
+ * @returns {Object} The attacking territory (from) and the one it can attack (to)
+ */
+function findBorder(gameState, playerId) {
+  const from = gameState.territories.find(t =>
+    t.occupyingPlayer === playerId &&
+    t.adjacentTerritories.some(id => gameState.territories.find(n => n.id === id).occupyingPlayer !== playerId)
+  );
+  const to = gameState.territories.find(t =>
+    from.adjacentTerritories.includes(t.id) && t.occupyingPlayer !== playerId
+  );
+  return { from, to };
+}
+
+/**
+ * Start a game for testing attacks, with events off so only the dice decide a battle
+ * @param {string} seed - Seed of the game
+ * @param {Object} config - Config to add to the game's (optional)
+ * @returns {Object} The engine, game state, first player (the attacker), the AI and a border between them
+ */
+function createAttackGame(seed, config = {}) {
+  const engine = new GameEngine({ mapId: 'classic', aiPlayers: 1, seed, enableEvents: false, ...config });
+  const gameState = engine.initializeGame();
+  const [player, enemy] = gameState.players;
+
+  return { engine, gameState, player, enemy, ...findBorder(gameState, player.id) };
+}
+
+export { createAttackGame, findBorder };
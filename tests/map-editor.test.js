@@ -0,0 +1,83 @@
+/**
+ * Tests for map editing operations
+ */
+
+import {
+  createBlankMap,
+  addTerritory,
+  updateTerritory,
+  removeTerritory,
+  toggleAdjacency,
+  toggleSeaLane,
+  addContinent,
+  updateContinent,
+  removeContinent
+} from '../src/core/map-editor.js';
+import { validateMap } from '../src/core/map-registry.js';
+
+describe('Map Editor Tests', () => {
+  let mapData;
+  let firstId;
+  let secondId;
+
+  beforeEach(() => {
+    let result = addTerritory(createBlankMap(), { x: 100.4, y: 200.6 });
+    firstId = result.territoryId;
+    result = addTerritory(result.mapData, { x: 300, y: 200 });
+    secondId = result.territoryId;
+    mapData = result.mapData;
+  });
+
+  test('edits return a new map and leave the original untouched', () => {
+    const updated = toggleAdjacency(mapData, firstId, secondId);
+
+    expect(updated).not.toBe(mapData);
+    expect(mapData.territories[0].adjacent).toEqual([]);
+    expect(mapData.territories[0].coordinates).toEqual({ x: 100, y: 201 });
+  });
+
+  test('links are added and removed in both directions', () => {
+    let updated = toggleAdjacency(mapData, firstId, secondId);
+    expect(updated.territories[0].adjacent).toEqual([secondId]);
+    expect(updated.territories[1].adjacent).toEqual([firstId]);
+    expect(validateMap(updated).valid).toBe(true);
+
+    updated = toggleAdjacency(updated, secondId, firstId);
+    expect(updated.territories[0].adjacent).toEqual([]);
+    expect(updated.territories[1].adjacent).toEqual([]);
+  });
+
+  test('renaming or removing a territory updates its links', () => {
+    let updated = toggleAdjacency(mapData, firstId, secondId);
+
+    updated = updateTerritory(updated, firstId, { id: 'harbour', name: 'Harbour' });
+    expect(updated.territories[1].adjacent).toEqual(['harbour']);
+
+    updated = removeTerritory(updated, 'harbour');
+    expect(updated.territories).toHaveLength(1);
+    expect(updated.territories[0].adjacent).toEqual([]);
+  });
+
+  test('sea lanes follow renamed territories and are removed with them', () => {
+    let updated = toggleSeaLane(mapData, firstId, secondId);
+    expect(updated.seaLanes).toEqual([[firstId, secondId]]);
+
+    updated = updateTerritory(updated, secondId, { id: 'lagoon' });
+    expect(updated.seaLanes).toEqual([[firstId, 'lagoon']]);
+
+    expect(toggleSeaLane(updated, 'lagoon', firstId).seaLanes).toEqual([]);
+    expect(removeTerritory(updated, firstId).seaLanes).toEqual([]);
+  });
+
+  test('continents move their territories when renamed and cannot be removed while in use', () => {
+    const { mapData: withContinent, continentId } = addContinent(mapData);
+    let updated = updateTerritory(withContinent, secondId, { continent: continentId });
+
+    updated = updateContinent(updated, continentId, { id: 'islands' });
+    expect(updated.territories[1].continent).toBe('islands');
+
+    expect(removeContinent(updated, 'islands').success).toBe(false);
+    updated = updateTerritory(updated, secondId, { continent: 'continent-1' });
+    expect(removeContinent(updated, 'islands').mapData.continents).toHaveLength(1);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the map registry and map validation
+ */
+
+import { validateMap, registerMap, getMap, loadMap, listMaps } from '../src/core/map-registry.js';
+import GameEngine from '../src/core/game-engine.js';
+import classicMap from '../src/assets/maps/classic-map.js';
+
+describe('Map Registry Tests', () => {
+  let mapData;
+
+  // A small valid map that each test can break in its own way
+  beforeEach(() => {
+    mapData = {
+      id: 'test-islands',
+      name: 'Test Islands',
+      continents: [
+        { id: 'north', name: 'North Island', bonusArmies: 1 },
+        { id: 'south', name: 'South Island', bonusArmies: 1 }
+      ],
+      territories: [
+        { id: 'harbour', name: 'Harbour', continent: 'north', adjacent: ['hills', 'bay'], coordinates: { x: 200, y: 150 }, features: { hasPort: true } },
+        { id: 'hills', name: 'Hills', continent: 'north', adjacent: ['harbour'], coordinates: { x: 300, y: 120 } },
+        { id: 'bay', name: 'Bay', continent: 'south', adjacent: ['harbour', 'plains'], coordinates: { x: 220, y: 320 } },
+        { id: 'plains', name: 'Plains', continent: 'south', adjacent: ['bay'], coordinates: { x: 320, y: 350 }, resources: { food: 2 } }
+      ]
+    };
+  });
+
+  const territory = (id) => mapData.territories.find(t => t.id === id);
+
+  test('the bundled maps are valid', () => {
+    expect(validateMap(classicMap)).toEqual({ valid: true, errors: [] });
+
+    const mapIds = listMaps().map(m => m.id);
+    ['classic', 'europe', 'pacific', 'duel'].forEach(mapId => {
+      expect(mapIds).toContain(mapId);
+      expect(validateMap(getMap(mapId)).errors).toEqual([]);
+    });
+    expect(getMap('duel').territories).toHaveLength(18);
+  });
+
+  test('accepts a well-formed map', () => {
+    expect(validateMap(mapData)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports one-way adjacency', () => {
+    territory('hills').adjacent = [];
+
+    const { valid, errors } = validateMap(mapData);
+    expect(valid).toBe(false);
+    expect(errors).toContain("Territory 'harbour' is adjacent to 'hills' but 'hills' is not adjacent to 'harbour'");
+  });
+
+  test('reports territories with an unknown continent and empty continents', () => {
+    territory('hills').continent = 'east';
+    territory('harbour').continent = 'east';
+
+    const { errors } = validateMap(mapData);
+    expect(errors).toContain("Territory 'hills' belongs to unknown continent 'east'");
+    expect(errors).toContain("Continent 'north' has no territories");
+  });
+
+  test('reports disconnected maps', () => {
+    territory('harbour').adjacent = ['hills'];
+    territory('bay').adjacent = ['plains'];
+
+    const { errors } = validateMap(mapData);
+    expect(errors).toContain("Map is not connected: cannot reach 'bay', 'plains' from 'harbour'");
+  });
+
+  test('reports duplicate IDs and bad bonus values', () => {
+    mapData.territories.push({ ...territory('plains') });
+    mapData.continents[0].bonusArmies = 5;
+    mapData.continents[1].bonusArmies = -1;
+
+    const { errors } = validateMap(mapData);
+    expect(errors).toContain("Territory 'plains' is defined more than once");
+    expect(errors).toContain("Continent 'north' bonusArmies (5) is larger than its 2 territories");
+    expect(errors).toContain("Continent 'south' bonusArmies must be a non-negative integer");
+  });
+
+  test('registers maps from JSON and rejects invalid ones', () => {
+    expect(registerMap(JSON.stringify(mapData)).success).toBe(true);
+    expect(getMap('test-islands').territories).toHaveLength(4);
+
+    territory('plains').adjacent = ['nowhere'];
+    const result = registerMap({ ...mapData, id: 'broken-islands' });
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain("Territory 'plains' is adjacent to unknown territory 'nowhere'");
+    expect(getMap('broken-islands')).toBeNull();
+  });
+
+  test('loading an unknown map throws', () => {
+    expect(() => loadMap('atlantis')).toThrow("Map 'atlantis' not found");
+  });
+
+  test('the engine builds the game from the configured map', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registerMap(mapData);
+
+    const engine = new GameEngine({ mapId: 'test-islands', aiPlayers: 1, seed: 'islands' });
+    const gameState = engine.initializeGame();
+
+    expect(gameState.territories.map(t => t.id)).toEqual(['harbour', 'hills', 'bay', 'plains']);
+    expect(gameState.territories[0].features.hasPort).toBe(true);
+    expect(gameState.continents.find(c => c.id === 'south').territories).toEqual(['bay', 'plains']);
+
+    jest.restoreAllMocks();
+  });
+});
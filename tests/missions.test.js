@@ -0,0 +1,92 @@
+/**
+ * Tests for secret missions
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { GameState } from '../src/core/models.js';
+import { createMissionDeck, isMissionComplete, describeMission } from '../src/core/missions.js';
+
+describe('Secret Mission Tests', () => {
+  let engine;
+  let gameState;
+  let player;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    engine = new GameEngine({ mapId: 'classic', aiPlayers: 3, seed: 'missions', enableMissions: true, enableEvents: false });
+    gameState = engine.initializeGame();
+    player = gameState.players[0];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Give a player every territory in a continent
+  const giveContinent = (playerId, continentId) => {
+    gameState.territories.filter(t => t.continent === continentId).forEach(territory => {
+      const owner = gameState.players.find(p => p.id === territory.occupyingPlayer);
+      owner.territories = owner.territories.filter(id => id !== territory.id);
+      gameState.players.find(p => p.id === playerId).territories.push(territory.id);
+      territory.occupyingPlayer = playerId;
+    });
+  };
+
+  test('every player is dealt a mission they have not already completed', () => {
+    expect(gameState.config.victoryConditions).toContain('missions');
+
+    gameState.players.forEach(p => {
+      expect(p.mission).toBeTruthy();
+      expect(isMissionComplete(gameState, p)).toBe(false);
+      expect(p.mission.targetPlayerId).not.toBe(p.id);
+    });
+  });
+
+  test('the deck is built from the map', () => {
+    const deck = createMissionDeck(gameState);
+    const types = deck.map(m => m.type);
+
+    expect(types.filter(t => t === 'hold-continents')).toHaveLength(6);
+    expect(types.filter(t => t === 'eliminate-player')).toHaveLength(4);
+    expect(deck.find(m => m.id === 'hold-24-territories').minArmies).toBe(2);
+  });
+
+  test('holding both continents of a mission wins the game', () => {
+    player.mission = { id: 'hold-asia-south-america', type: 'hold-continents', continentIds: ['asia', 'south-america'] };
+    expect(describeMission(gameState, player.mission)).toBe('Conquer Asia and South America');
+
+    giveContinent(player.id, 'asia');
+    expect(gameState.checkVictoryConditions()).toBe(false);
+
+    giveContinent(player.id, 'south-america');
+    expect(gameState.checkVictoryConditions()).toBe(true);
+    expect(gameState.winner).toBe(player);
+    expect(gameState.victoryType).toBe('missions');
+  });
+
+  test('an eliminate mission falls back to holding territories when someone else gets there first', () => {
+    const [, target, other] = gameState.players;
+    player.mission = createMissionDeck(gameState).find(m => m.targetPlayerId === target.id);
+
+    target.eliminated = true;
+    target.eliminatedBy = player.id;
+    expect(isMissionComplete(gameState, player)).toBe(true);
+
+    target.eliminatedBy = other.id;
+    expect(isMissionComplete(gameState, player)).toBe(false);
+
+    gameState.territories.slice(0, player.mission.fallback.count).forEach(t => {
+      t.occupyingPlayer = player.id;
+    });
+    expect(isMissionComplete(gameState, player)).toBe(true);
+  });
+
+  test('missions are kept in saves', () => {
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+
+    restored.players.forEach((p, index) => {
+      expect(p.mission).toEqual(gameState.players[index].mission);
+    });
+  });
+});
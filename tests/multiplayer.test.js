@@ -0,0 +1,410 @@
+/**
+ * Tests for networked multiplayer: several clients playing in rooms on localhost
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import GameServer from '../server/game-server.js';
+import GameClient from '../src/core/multiplayer/game-client.js';
+import { diffState, applyDiff } from '../src/core/multiplayer/state-diff.js';
+import { validateCommand } from '../src/core/multiplayer/protocol.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { createDefaultSeats } from '../src/core/game-setup.js';
+
+describe('Multiplayer Tests', () => {
+  let servers;
+  let clients;
+  let dataDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    servers = [];
+    clients = [];
+    dataDir = null;
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    for (const server of servers) {
+      await server.stop();
+    }
+    if (dataDir) {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    jest.restoreAllMocks();
+  });
+
+  const startServer = async (options = {}) => {
+    const server = new GameServer(options);
+    servers.push(server);
+    return { server, port: await server.start(0) };
+  };
+
+  const connect = async (port) => {
+    const client = new GameClient(`ws://localhost:${port}`, WebSocket);
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  // A game for two human seats and one AI seat
+  const createConfig = (humans = 2, seatCount = 3) => ({
+    mapId: 'classic',
+    seats: createDefaultSeats(seatCount).map((seat, index) => (index < humans ? { ...seat, type: 'human' } : seat)),
+    seed: 'network',
+    enableEvents: false,
+    dealSampleCards: true
+  });
+
+  // Alice opens a room, Alice and Bob take the human seats and start the game
+  const startGame = async (port, config = createConfig()) => {
+    const alice = await connect(port);
+    const bob = await connect(port);
+    const { code } = await alice.createRoom(config);
+
+    await alice.joinRoom(code, 'Alice');
+    await bob.joinRoom(code, 'Bob');
+    await alice.takeSeat(0);
+    await bob.takeSeat(1);
+    await alice.setReady(true);
+    await bob.setReady(true);
+    await waitFor(() => alice.state && bob.state);
+
+    return { code, alice, bob };
+  };
+
+  // Wait for messages still on their way
+  const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(Boolean(condition())).toBe(true);
+  };
+
+  // Alice attacks a neighbour held by one army with 30 of her own until she takes it
+  const conquer = async (alice, gameState) => {
+    const from = gameState.territories.find(t => t.occupyingPlayer === 'p1' &&
+      t.adjacentTerritories.some(id => gameState.territories.find(n => n.id === id).occupyingPlayer !== 'p1'));
+    const to = gameState.territories.find(t => from.adjacentTerritories.includes(t.id) && t.occupyingPlayer !== 'p1');
+    from.armies = { infantry: 30, cavalry: 0, artillery: 0 };
+    to.armies = { infantry: 1, cavalry: 0, artillery: 0 };
+    gameState.remainingReinforcements = 0;
+    gameState.phase = 'attack';
+
+    for (let i = 0; i < 20 && !gameState.pendingConquest; i++) {
+      await alice.executeCommand({
+        type: CommandTypes.ATTACK,
+        payload: { fromTerritoryId: from.id, toTerritoryId: to.id, attackDice: 3 }
+      });
+    }
+    return { from, to };
+  };
+
+  test('diffs rebuild the state they were made from', () => {
+    const before = { phase: 'attack', players: [{ id: 'p1', cards: [1, 2] }], territories: [{ armies: { infantry: 3 } }], extra: true };
+    const after = { phase: 'fortification', players: [{ id: 'p1', cards: [1] }], territories: [{ armies: { infantry: 5 } }] };
+
+    const diff = diffState(before, after);
+    expect(applyDiff(before, diff)).toEqual(after);
+    expect(diffState(after, after)).toEqual([]);
+  });
+
+  test('commands are checked before they reach the engine', () => {
+    expect(validateCommand({ type: CommandTypes.REINFORCE, payload: { territoryId: 'alaska', armyCount: 2 } })).toBeNull();
+    expect(validateCommand({ type: CommandTypes.REINFORCE, payload: { territoryId: 'alaska' } }))
+      .toBe("Command 'reinforce' is missing armyCount");
+    expect(validateCommand({ type: 'cheat', payload: {} })).toBe("Unknown command type 'cheat'");
+    expect(validateCommand({ type: CommandTypes.BLITZ, payload: { fromTerritoryId: 'alaska', toTerritoryId: 'kamchatka', minWinProbability: 2 } }))
+      .toBe("Command 'blitz' has an invalid minWinProbability: it must be a number from 0 to 1");
+  });
+
+  test('payloads are checked for the types and ranges the engine relies on', async () => {
+    const { server, port } = await startServer();
+    const { code, alice } = await startGame(port);
+    const { gameState } = server.rooms.get(code);
+    const [from, to] = gameState.territories.filter(t => t.occupyingPlayer === 'p1');
+    const armies = () => gameState.territories.map(t => t.getTotalArmies());
+    const before = armies();
+    gameState.remainingReinforcements = 0;
+    gameState.phase = 'fortification';
+
+    const fortify = (payload) => alice.executeCommand({
+      type: CommandTypes.FORTIFY,
+      payload: { fromTerritoryId: from.id, toTerritoryId: to.id, armyCount: 1, ...payload }
+    });
+    expect((await fortify({ armyCount: -5 })).error)
+      .toBe("Command 'fortify' has an invalid armyCount: it must be a whole number of at least 1");
+    expect((await fortify({ armyCount: 0.5 })).error)
+      .toBe("Command 'fortify' has an invalid armyCount: it must be a whole number of at least 1");
+    expect((await fortify({ unitDistribution: { infantry: 3, cavalry: -2 } })).error)
+      .toBe("Command 'fortify' has an invalid unitDistribution: it must give whole numbers of infantry, cavalry and artillery");
+    expect((await fortify({ toTerritoryId: 'atlantis' })).error)
+      .toBe("Command 'fortify' has an invalid toTerritoryId: it must be a territory on the map");
+    expect((await alice.executeCommand({ type: CommandTypes.TRADE_CARDS, payload: { cardIds: 'wild-1' } })).error)
+      .toBe("Command 'trade-cards' has an invalid cardIds: it must be a list of card IDs");
+    expect((await alice.executeCommand({ type: CommandTypes.ATTACK, payload: { fromTerritoryId: from.id, toTerritoryId: to.id, attackDice: '3' } })).error)
+      .toBe("Command 'attack' has an invalid attackDice: it must be a whole number of at least 1");
+
+    expect(armies()).toEqual(before);
+    expect(gameState.commandLog).toEqual([]);
+  });
+
+  test('players join a room by code and the game starts once everyone seated is ready', async () => {
+    const { port } = await startServer();
+    const alice = await connect(port);
+    const bob = await connect(port);
+
+    const created = await alice.createRoom(createConfig(3, 4));
+    expect(created.code).toMatch(/^[A-Z]{5}$/);
+    expect((await bob.joinRoom('NOPE', 'Bob')).error).toBe("There is no room with the code 'NOPE'");
+
+    await alice.joinRoom(created.code, 'Alice');
+    await bob.joinRoom(created.code.toLowerCase(), 'Bob');
+    expect((await alice.takeSeat(3)).error).toBe('That seat is not open to players');
+    expect((await alice.takeSeat(0)).success).toBe(true);
+    expect((await bob.takeSeat(0)).error).toBe('That seat is already taken');
+    expect((await bob.setReady(true)).error).toBe('Take a seat first');
+    await bob.takeSeat(1);
+
+    await alice.setReady(true);
+    await waitFor(() => bob.room.seats[0].ready);
+    expect(bob.room.seats[0].name).toBe('Alice');
+    expect(bob.state).toBeNull();
+
+    // The third human seat was left empty, so an AI plays it
+    await bob.setReady(true);
+    await waitFor(() => alice.state && bob.state);
+    expect(alice.playerId).toBe('p1');
+    expect(bob.playerId).toBe('p2');
+    expect(alice.state.players.map(player => player.id)).toEqual(['p1', 'p2', 'ai1', 'ai2']);
+    expect(alice.state.players[1].name).toBe('Bob');
+    expect(alice.room.status).toBe('playing');
+    expect((await bob.leaveSeat()).error).toBe('The game has already started');
+  });
+
+  test('a command from one client reaches every client', async () => {
+    const { server, port } = await startServer();
+    const { code, alice, bob } = await startGame(port);
+    const game = server.rooms.get(code).gameState;
+
+    const territory = alice.state.territories.find(t => t.occupyingPlayer === 'p1');
+    const armiesBefore = territory.armies.infantry;
+
+    const result = await alice.executeCommand({
+      type: CommandTypes.REINFORCE,
+      payload: { territoryId: territory.id, armyCount: 1 }
+    });
+    expect(result.success).toBe(true);
+    expect(game.territories.find(t => t.id === territory.id).armies.infantry).toBe(armiesBefore + 1);
+
+    await waitFor(() => bob.state.territories.find(t => t.id === territory.id).armies.infantry === armiesBefore + 1);
+    expect(alice.state.remainingReinforcements).toBe(game.remainingReinforcements);
+  });
+
+  test('players can only act for their own seat, on their own turn', async () => {
+    const { server, port } = await startServer();
+    const { code, alice, bob } = await startGame(port);
+
+    const outOfTurn = await bob.executeCommand({ type: CommandTypes.END_PHASE });
+    expect(outOfTurn.success).toBe(false);
+
+    // Research is part of a player's turn too
+    const { gameState } = server.rooms.get(code);
+    gameState.players[1].resources.research = 20;
+    const research = await bob.executeCommand({ type: CommandTypes.RESEARCH, payload: { techId: 'advanced-infantry' } });
+    expect(research.error).toBe('Not your turn');
+    expect(gameState.techManager.researchProgress.p2).toEqual({});
+
+    const invalid = await alice.executeCommand({ type: CommandTypes.ATTACK, payload: {} });
+    expect(invalid.error).toBe("Command 'attack' is missing fromTerritoryId, toTerritoryId, attackDice");
+
+    const outsider = await connect(port);
+    expect((await outsider.executeCommand({ type: CommandTypes.END_PHASE })).error).toBe('Join a room first');
+  });
+
+  test('players move into a conquered territory before attacking again', async () => {
+    const { server, port } = await startServer();
+    const { code, alice } = await startGame(port);
+    const { gameState } = server.rooms.get(code);
+    const { from, to } = await conquer(alice, gameState);
+    const pendingConquest = { ...gameState.pendingConquest };
+    const defender = to.occupyingPlayer;
+
+    const attack = await alice.executeCommand({
+      type: CommandTypes.ATTACK,
+      payload: { fromTerritoryId: from.id, toTerritoryId: to.id, attackDice: 3 }
+    });
+    expect(attack.error).toBe('Move armies into the conquered territory first');
+    const blitz = await alice.executeCommand({ type: CommandTypes.BLITZ, payload: { fromTerritoryId: from.id, toTerritoryId: to.id } });
+    expect(blitz.error).toBe('Move armies into the conquered territory first');
+    expect(gameState.pendingConquest).toEqual(pendingConquest);
+    expect(to.occupyingPlayer).toBe(defender);
+
+    await alice.executeCommand({ type: CommandTypes.CONQUER, payload: { armyCount: pendingConquest.minArmies } });
+    expect(to.occupyingPlayer).toBe('p1');
+  });
+
+  test('players can form an alliance between turns', async () => {
+    const { server, port } = await startServer();
+    const { code, alice, bob } = await startGame(port);
+
+    // Bob can propose while it is Alice's turn
+    const proposal = await bob.executeCommand({ type: CommandTypes.ALLIANCE, payload: { action: 'propose', targetPlayerId: 'p1' } });
+    expect(proposal.success).toBe(true);
+
+    const early = await bob.executeCommand({ type: CommandTypes.ALLIANCE, payload: { action: 'accept', targetPlayerId: 'p1' } });
+    expect(early.success).toBe(false);
+
+    const accepted = await alice.executeCommand({ type: CommandTypes.ALLIANCE, payload: { action: 'accept', targetPlayerId: 'p2' } });
+    expect(accepted.success).toBe(true);
+    expect(server.rooms.get(code).gameState.allianceProposals).toEqual([]);
+
+    await waitFor(() => bob.state.players[1].allies.includes('p1'));
+    expect(alice.state.players[0].allies).toEqual(['p2']);
+  });
+
+  test('the server plays the AI seats and hides what a player may not see', async () => {
+    const { server, port } = await startServer();
+    const { code, alice, bob } = await startGame(port);
+    const game = server.rooms.get(code).gameState;
+
+    // Spectators see no one's cards and cannot play
+    const carol = await connect(port);
+    await carol.joinRoom(code, 'Carol');
+    await waitFor(() => carol.state);
+    expect(carol.playerId).toBeNull();
+    expect(carol.state.players.every(player => player.cards.length === 0)).toBe(true);
+    expect((await carol.executeCommand({ type: CommandTypes.END_PHASE })).error).toBe('Spectators cannot play');
+    await waitFor(() => alice.room.spectators.includes('Carol'));
+
+    // Alice was dealt sample cards; Bob sees that she has none
+    expect(alice.state.players[0].cards.length).toBeGreaterThan(0);
+    expect(bob.state.players[0].cards).toEqual([]);
+    expect(bob.state.rngState).toBeUndefined();
+    expect(bob.state.cardDeck).toEqual([]);
+
+    // Alice and Bob end their turns; the AI plays its turn and play comes back to Alice
+    for (const client of [alice, bob]) {
+      while (game.players[game.currentPlayerIndex].id === client.playerId) {
+        if (game.phase === 'reinforcement') {
+          const territory = game.territories.find(t => t.occupyingPlayer === client.playerId);
+          await client.executeCommand({
+            type: CommandTypes.REINFORCE,
+            payload: { territoryId: territory.id, armyCount: game.remainingReinforcements }
+          });
+        } else {
+          await client.executeCommand({ type: CommandTypes.END_PHASE });
+        }
+      }
+    }
+
+    expect(game.turn).toBe(2);
+    expect(game.players[game.currentPlayerIndex].id).toBe('p1');
+    expect(game.commandLog.some(command => command.playerId === 'ai1')).toBe(true);
+    await waitFor(() => alice.state.turn === 2 && bob.state.turn === 2 && carol.state.turn === 2);
+  });
+
+  test('a player who comes back with their token gets their seat back', async () => {
+    const { port } = await startServer();
+    const { code, alice } = await startGame(port);
+    const token = alice.token;
+
+    // Alice refreshes her browser
+    alice.close();
+    const returning = await connect(port);
+    const result = await returning.joinRoom(code, 'Alice', token);
+    expect(result.token).toBe(token);
+    await waitFor(() => returning.state);
+    expect(returning.playerId).toBe('p1');
+    expect((await returning.executeCommand({ type: CommandTypes.END_PHASE })).success).toBe(true);
+
+    // Someone new joining after the start only watches
+    const latecomer = await connect(port);
+    await latecomer.joinRoom(code, 'Dave');
+    await waitFor(() => latecomer.state);
+    expect(latecomer.playerId).toBeNull();
+  });
+
+  test('lobbies no one is connected to are closed after a while', async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    const { server, port } = await startServer({ dataDir, lobbyTimeout: 50 });
+    const { code: started, alice, bob } = await startGame(port);
+
+    // One room is opened and never joined, and everyone in another drops out
+    const { code: unjoined } = await alice.createRoom(createConfig());
+    const dave = await connect(port);
+    const { code: dropped } = await dave.createRoom(createConfig());
+    await dave.joinRoom(dropped, 'Dave');
+    const carol = await connect(port);
+    const { code: waiting } = await carol.createRoom(createConfig());
+    await carol.joinRoom(waiting, 'Carol');
+
+    dave.close();
+    alice.close();
+    bob.close();
+    await waitFor(() => !server.rooms.has(unjoined) && !server.rooms.has(dropped));
+    expect(fs.existsSync(path.join(dataDir, `${dropped}.json`))).toBe(false);
+
+    // A lobby someone is still in, and a game under way, are kept
+    expect(server.rooms.has(waiting)).toBe(true);
+    expect(server.rooms.has(started)).toBe(true);
+  });
+
+  test('rooms are saved and carry on after the server restarts', async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    const first = await startServer({ dataDir });
+    const { code, alice } = await startGame(first.port);
+
+    const territory = alice.state.territories.find(t => t.occupyingPlayer === 'p1');
+    await alice.executeCommand({ type: CommandTypes.REINFORCE, payload: { territoryId: territory.id, armyCount: 2 } });
+    const saved = first.server.rooms.get(code).gameState.serialize();
+    await first.server.stop();
+
+    const second = await startServer({ dataDir });
+    const room = second.server.rooms.get(code);
+    expect(room.status).toBe('playing');
+    expect(room.gameState.serialize().territories).toEqual(saved.territories);
+    expect(room.gameState.commandLog).toEqual(saved.commandLog);
+
+    const returning = await connect(second.port);
+    await returning.joinRoom(code, 'Alice', alice.token);
+    await waitFor(() => returning.state);
+    expect(returning.playerId).toBe('p1');
+    expect(returning.state.territories.find(t => t.id === territory.id).armies.infantry).toBe(territory.armies.infantry + 2);
+    expect(returning.state.remainingReinforcements).toBe(saved.remainingReinforcements);
+  });
+
+  test('a room saved in the middle of a conquest carries on with it', async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rooms-'));
+    const first = await startServer({ dataDir });
+    const { code, alice } = await startGame(first.port);
+    const { gameState } = first.server.rooms.get(code);
+
+    // Alice has research under way and an overwhelming attack on a neighbour held by one army
+    gameState.players[0].resources.research = 20;
+    expect(gameState.techManager.startResearch('p1', 'advanced-infantry')).toBe(true);
+    const { to } = await conquer(alice, gameState);
+    const pendingConquest = { ...gameState.pendingConquest };
+    const researchProgress = JSON.parse(JSON.stringify(gameState.techManager.researchProgress));
+    expect(pendingConquest.toTerritoryId).toBe(to.id);
+    await first.server.stop();
+
+    const second = await startServer({ dataDir });
+    const room = second.server.rooms.get(code);
+    expect(room.gameState.pendingConquest).toEqual(pendingConquest);
+    expect(room.gameState.techManager.researchProgress).toEqual(researchProgress);
+
+    const returning = await connect(second.port);
+    await returning.joinRoom(code, 'Alice', alice.token);
+    await waitFor(() => returning.state);
+    expect((await returning.executeCommand({ type: CommandTypes.END_PHASE })).success).toBe(false);
+    expect((await returning.executeCommand({
+      type: CommandTypes.CONQUER,
+      payload: { armyCount: pendingConquest.minArmies }
+    })).success).toBe(true);
+    expect(room.gameState.territories.find(t => t.id === to.id).occupyingPlayer).toBe('p1');
+    expect(room.gameState.pendingConquest).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for seeded random number generation
+ */
+
+import SeededRandom from '../src/core/random.js';
+import { GameState } from '../src/core/models.js';
+import GameEngine from '../src/core/game-engine.js';
+
+describe('Seeded Random Tests', () => {
+  test('same seed produces the same sequence', () => {
+    const a = new SeededRandom(12345);
+    const b = new SeededRandom(12345);
+
+    for (let i = 0; i < 100; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('string seeds are supported', () => {
+    const a = new SeededRandom('world-war');
+    const b = new SeededRandom('world-war');
+
+    expect(a.rollDice(10)).toEqual(b.rollDice(10));
+  });
+
+  test('dice rolls stay within range', () => {
+    const rng = new SeededRandom(7);
+
+    for (const roll of rng.rollDice(500)) {
+      expect(roll).toBeGreaterThanOrEqual(1);
+      expect(roll).toBeLessThanOrEqual(6);
+    }
+  });
+
+  test('generator state can be saved and restored', () => {
+    const rng = new SeededRandom(99);
+    rng.rollDice(20);
+
+    const state = rng.getState();
+    const expected = rng.rollDice(10);
+
+    rng.setState(state);
+    expect(rng.rollDice(10)).toEqual(expected);
+  });
+
+  test('games with the same seed are set up identically', () => {
+    const first = new GameEngine({ seed: 2024 }).initializeGame();
+    const second = new GameEngine({ seed: 2024 }).initializeGame();
+    const other = new GameEngine({ seed: 2025 }).initializeGame();
+    const deal = (state) => state.territories.map(t => [t.id, t.occupyingPlayer, t.armies]);
+
+    expect(first.cardDeck.map(c => c.territoryId)).toEqual(second.cardDeck.map(c => c.territoryId));
+    expect(deal(first)).toEqual(deal(second));
+    expect(deal(first)).not.toEqual(deal(other));
+  });
+
+  test('serialized games resume the same random sequence', () => {
+    const gameState = new GameEngine({ seed: 'resume' }).initializeGame();
+    gameState.rng.rollDice(15);
+
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+
+    expect(restored.config.seed).toBe('resume');
+    expect(restored.rng.rollDice(10)).toEqual(gameState.rng.rollDice(10));
+  });
+});
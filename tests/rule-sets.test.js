@@ -0,0 +1,90 @@
+/**
+ * Tests for rule sets and house rules
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { GameState } from '../src/core/models.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { validateAttack, rollCombat } from '../src/core/combat-rules.js';
+import { CLASSIC_RULES, getRuleSet, createRules, getRules, getCardSetValue } from '../src/core/rule-sets.js';
+import { findBorder } from './helpers/attack-game.js';
+
+describe('Rule Set Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createGame = (config = {}) => {
+    const engine = new GameEngine({ mapId: 'classic', aiPlayers: 1, seed: 'rule-sets', enableEvents: false, ...config });
+    return { engine, gameState: engine.initializeGame() };
+  };
+
+  test('card sets escalate by the values in the rules', () => {
+    expect([1, 2, 6, 7, 8].map(n => getCardSetValue(CLASSIC_RULES, n))).toEqual([4, 6, 15, 20, 25]);
+
+    const fast = getRuleSet('fast').rules;
+    expect([1, 6, 7].map(n => getCardSetValue(fast, n))).toEqual([6, 20, 25]);
+  });
+
+  test('games are played by the classic rules unless another rule set is chosen', () => {
+    const { gameState } = createGame();
+
+    expect(gameState.config.ruleSet).toBe('classic');
+    expect(getRules(gameState)).toEqual(CLASSIC_RULES);
+    expect(gameState.config.enableCapitals).toBeFalsy();
+
+    const capitals = createGame({ ruleSet: 'capitals' }).gameState;
+    expect(capitals.config.enableCapitals).toBe(true);
+    expect(capitals.config.victoryConditions).toContain('capitals');
+  });
+
+  test('the fast rule set gives more reinforcements and lets attackers win ties', () => {
+    const { engine, gameState } = createGame({ ruleSet: 'fast' });
+    const player = gameState.players[0];
+
+    expect(engine.calculateReinforcements(player.id)).toBeGreaterThanOrEqual(
+      Math.max(5, Math.floor(player.territories.length / 2))
+    );
+
+    const fours = { rollDice: (count) => Array(count).fill(4) };
+    expect(rollCombat(2, 2, { attack: 0, defense: 0 }, fours, getRules(gameState)))
+      .toMatchObject({ attackerLosses: 0, defenderLosses: 2 });
+  });
+
+  test('custom rules change dice limits and unit values everywhere', () => {
+    const { engine, gameState } = createGame({
+      ruleSet: 'custom',
+      rules: { maxAttackDice: 2, unitValues: { cavalry: 2 } }
+    });
+    const player = gameState.players[0];
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+
+    expect(getRules(gameState)).toMatchObject({ maxAttackDice: 2, unitValues: { infantry: 1, cavalry: 2, artillery: 5 } });
+
+    const { from, to } = findBorder(gameState, player.id);
+
+    from.armies = { infantry: 2, cavalry: 2, artillery: 0 };
+    expect(from.getTotalArmies()).toBe(6);
+    expect(validateAttack(gameState, player.id, from, to, 3)).toBe('Invalid attack dice count');
+    expect(validateAttack(gameState, player.id, from, to, 2)).toBeNull();
+  });
+
+  test('saved games keep their rules, and older saves load with the classic rules', () => {
+    const { gameState } = createGame({ ruleSet: 'fast' });
+
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+    expect(restored.config.ruleSet).toBe('fast');
+    expect(getRules(restored)).toEqual(createRules('fast'));
+
+    const oldSave = JSON.parse(JSON.stringify(gameState.serialize()));
+    delete oldSave.config.ruleSet;
+    delete oldSave.config.rules;
+    const oldGame = GameState.deserialize(oldSave);
+    expect(getRules(oldGame)).toEqual(CLASSIC_RULES);
+    expect(oldGame.territories[0].unitValues).toEqual(CLASSIC_RULES.unitValues);
+  });
+});
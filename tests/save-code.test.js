@@ -0,0 +1,84 @@
+/**
+ * Tests for save codes: saves shared as text in chat or in links
+ */
+
+import fs from 'fs';
+import path from 'path';
+import SaveLoadSystem from '../src/core/save-load-system.js';
+import LocalStorageAdapter from '../src/core/storage/local-storage-adapter.js';
+import { isSaveCode, encodeSaveCode, decodeSaveCode } from '../src/core/save-code.js';
+
+const readFixture = (name) => JSON.parse(fs.readFileSync(path.join('tests', 'fixtures', 'saves', `${name}.json`), 'utf8'));
+
+const INCOMPLETE = 'This save code is incomplete or was changed. Copy the whole code and try again.';
+
+describe('Save Code Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    SaveLoadSystem.setStorage(null);
+    jest.restoreAllMocks();
+  });
+
+  test('a save code reads back as the same save, and is much shorter than the save file', async () => {
+    const saveData = readFixture('v2-draft');
+    const code = await encodeSaveCode(saveData);
+
+    expect(isSaveCode(code)).toBe(true);
+    expect(code.length).toBeLessThan(JSON.stringify(saveData).length / 2);
+    // Only characters that need no escaping in a URL
+    expect(code).toMatch(/^[A-Za-z0-9_.-]+$/);
+    expect(await decodeSaveCode(code)).toEqual({ success: true, saveData });
+  });
+
+  test('spaces and line breaks picked up when a code is pasted are ignored', async () => {
+    const saveData = readFixture('v1-late');
+    const code = await encodeSaveCode(saveData);
+    const pasted = `  ${code.slice(0, 40)}\n${code.slice(40, 90)} \r\n${code.slice(90)}\n`;
+
+    expect(isSaveCode(pasted)).toBe(true);
+    expect((await decodeSaveCode(pasted)).saveData).toEqual(saveData);
+  });
+
+  test('codes that were cut short or changed are caught', async () => {
+    const code = await encodeSaveCode(readFixture('v2-draft'));
+    const [format, data, check] = code.split('.');
+
+    expect((await decodeSaveCode(code.slice(0, code.length - 20))).error).toBe(INCOMPLETE);
+    expect((await decodeSaveCode(`${format}.${data.slice(0, -30)}.${check}`)).error).toBe(INCOMPLETE);
+    expect((await decodeSaveCode(`${format}.${data}`)).error).toBe(INCOMPLETE);
+
+    const changed = data[10] === 'A' ? 'B' : 'A';
+    expect((await decodeSaveCode(`${format}.${data.slice(0, 10)}${changed}${data.slice(11)}.${check}`)).error).toBe(INCOMPLETE);
+  });
+
+  test('text that is not a save code, or a code from a newer version, is rejected', async () => {
+    expect(isSaveCode('{"name":"save"}')).toBe(false);
+    expect((await decodeSaveCode('hello there')).error).toBe('This is not a save code.');
+    expect((await decodeSaveCode('risk2.abc.12345678')).error).toBe('This save code was made by a newer version of the game.');
+  });
+
+  test('save codes can be shared and imported like save files', async () => {
+    const storage = new Map();
+    SaveLoadSystem.setStorage(new LocalStorageAdapter({
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    }));
+    storage.set('risk-game-Draft', JSON.stringify(readFixture('v2-draft')));
+
+    const code = await SaveLoadSystem.exportSaveCode('Draft');
+    expect(await SaveLoadSystem.exportSaveCode('missing')).toBeNull();
+
+    storage.clear();
+    const name = await SaveLoadSystem.importSave(code);
+    const loaded = await SaveLoadSystem.loadGame(name);
+    expect(loaded.success).toBe(true);
+    expect(loaded.state.phase).toBe('claim');
+
+    await expect(SaveLoadSystem.importSave(code.slice(0, -5))).rejects.toThrow(INCOMPLETE);
+  });
+});
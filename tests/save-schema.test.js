@@ -0,0 +1,226 @@
+/**
+ * Tests for the save schema: upgrading saves from every version and rejecting damaged ones
+ */
+
+import fs from 'fs';
+import path from 'path';
+import GameEngine from '../src/core/game-engine.js';
+import SaveLoadSystem from '../src/core/save-load-system.js';
+import LocalStorageAdapter from '../src/core/storage/local-storage-adapter.js';
+import { GameState } from '../src/core/models.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { getCapitalChoices } from '../src/core/capitals.js';
+import { SAVE_SCHEMA_VERSION, createChecksum, createSave, upgradeSave } from '../src/core/save-schema.js';
+
+// Saves made by each version of the game:
+//   v1-original  The first release, before seeds, rules and the command log
+//   v1-late      The last saves stamped 1.0.0 (seats, missions, sea lanes, a command log)
+//   v2-draft     The current schema, part way through a territory draft
+//   v2-capital-selection  The current schema, while the players of a capitals game choose their capitals
+const readFixture = (name) => JSON.parse(fs.readFileSync(path.join('tests', 'fixtures', 'saves', `${name}.json`), 'utf8'));
+
+describe('Save Schema Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    SaveLoadSystem.setStorage(null);
+    jest.restoreAllMocks();
+  });
+
+  // Rebuild a game from a save the way the app loads one
+  const loadFixture = (name) => {
+    const result = upgradeSave(readFixture(name));
+    expect(result.error).toBeUndefined();
+
+    const gameState = GameState.deserialize(result.saveData.state);
+    const engine = new GameEngine(gameState.config);
+    engine.gameState = gameState;
+    return { saveData: result.saveData, engine, gameState };
+  };
+
+  test('saves from every version upgrade to the current schema and can be played on', () => {
+    const original = loadFixture('v1-original');
+    expect(original.saveData.schemaVersion).toBe(SAVE_SCHEMA_VERSION);
+    expect(original.gameState.phase).toBe('attack');
+    const player = original.gameState.getCurrentPlayer();
+    expect(original.engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id }).success).toBe(true);
+    expect(original.gameState.phase).toBe('fortification');
+
+    const late = loadFixture('v1-late');
+    const current = late.gameState.getCurrentPlayer();
+    const result = late.engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: current.id,
+      payload: { territoryId: current.territories[0], armyCount: late.gameState.remainingReinforcements }
+    });
+    expect(result.success).toBe(true);
+
+    const draft = loadFixture('v2-draft');
+    expect(draft.gameState.phase).toBe('claim');
+    const claimed = draft.engine.executeCommand({
+      type: CommandTypes.CLAIM_TERRITORY,
+      playerId: draft.gameState.getCurrentPlayer().id,
+      payload: { territoryId: draft.gameState.territories.find(t => t.occupyingPlayer === null).id }
+    });
+    expect(claimed.success).toBe(true);
+  });
+
+  test('capitals games saved before the first turn carry on choosing capitals', () => {
+    const { engine, gameState } = loadFixture('v2-capital-selection');
+    expect(gameState.phase).toBe('capital-selection');
+    expect(gameState.currentPlayerIndex).toBe(1);
+    expect(gameState.territories.find(t => t.capitalOf === 'p1').id).toBe('alaska');
+
+    const player = gameState.getCurrentPlayer();
+    const chosen = engine.executeCommand({
+      type: CommandTypes.CHOOSE_CAPITAL,
+      playerId: player.id,
+      payload: { territoryId: getCapitalChoices(gameState, player.id)[0].id }
+    });
+    expect(chosen.success).toBe(true);
+  });
+
+  test('conquests and research under way are saved and checked', () => {
+    const engine = new GameEngine({ mapId: 'duel', seed: 'mid-conquest', enableEvents: false });
+    const gameState = engine.initializeGame();
+    const player = gameState.players[0];
+    const [from, to] = gameState.territories;
+    player.resources.research = 20;
+    gameState.techManager.startResearch(player.id, 'advanced-infantry');
+    gameState.phase = 'attack';
+    gameState.pendingConquest = { fromTerritoryId: from.id, toTerritoryId: to.id, minArmies: 1, maxArmies: 2, defenderId: to.occupyingPlayer };
+
+    const state = JSON.parse(JSON.stringify(gameState.serialize()));
+    const loaded = GameState.deserialize(upgradeSave(createSave('Mid conquest', state)).saveData.state);
+    expect(loaded.pendingConquest).toEqual(gameState.pendingConquest);
+    expect(loaded.techManager.researchProgress).toEqual(gameState.techManager.researchProgress);
+
+    const { state: upgraded } = upgradeSave(readFixture('v1-late')).saveData;
+    expect(upgraded.pendingConquest).toBeNull();
+    expect(upgraded.researchProgress).toEqual({});
+
+    state.phase = 'fortification';
+    expect(upgradeSave(createSave('Mid conquest', state)).error)
+      .toBe('This save cannot be played: it is waiting for armies to move into a territory it cannot move them to.');
+  });
+
+  test('the oldest saves get every field added since, and are not offered for replay', () => {
+    const saved = readFixture('v1-original');
+    const upgraded = upgradeSave(saved).saveData;
+    const { state } = upgraded;
+
+    expect(state.config.ruleSet).toBe('classic');
+    expect(state.config.seed).toBeUndefined();
+    expect(state.commandLog).toEqual([]);
+    expect(state.replayable).toBe(false);
+    expect(state.players.every(player => player.mission === null && player.eliminatedBy === null)).toBe(true);
+    expect(state.territories.every(territory => territory.capitalOf === null && territory.seaLanes.length === 0)).toBe(true);
+
+    // Upgraded saves are checksummed like new ones, and keep the time they were made
+    expect(upgraded).toMatchObject({ name: saved.name, timestamp: saved.timestamp, schemaVersion: SAVE_SCHEMA_VERSION });
+    expect(upgraded.checksum).toBe(createChecksum(state));
+    expect(upgradeSave(JSON.parse(JSON.stringify(upgraded))).saveData).toEqual(upgraded);
+
+    const gameState = GameState.deserialize(state);
+    expect(gameState.replayable).toBe(false);
+    expect(gameState.serialize().replayable).toBe(false);
+  });
+
+  test('upgrading keeps everything a save already had', () => {
+    const saved = readFixture('v1-late');
+    const { state } = upgradeSave(saved).saveData;
+
+    expect(state.config.seed).toBe('archipelago');
+    expect(state.commandLog).toEqual(saved.state.commandLog);
+    expect(state.replayable).toBe(true);
+    expect(state.rngState).toBe(saved.state.rngState);
+    expect(state.players.map(player => player.mission)).toEqual(saved.state.players.map(player => player.mission));
+    expect(state.territories.map(territory => territory.seaLanes)).toEqual(saved.state.territories.map(territory => territory.seaLanes));
+  });
+
+  test('a game saved now loads back unchanged', () => {
+    const engine = new GameEngine({ mapId: 'duel', seed: 'round-trip', enableEvents: false });
+    const gameState = engine.initializeGame();
+    const state = JSON.parse(JSON.stringify(gameState.serialize()));
+
+    const saveData = JSON.parse(JSON.stringify(createSave('Round trip', state)));
+    const result = upgradeSave(saveData);
+    expect(result.success).toBe(true);
+    expect(result.saveData.state).toEqual(state);
+  });
+
+  test('saves changed after they were made are rejected', () => {
+    const saved = readFixture('v2-draft');
+    const territory = saved.state.territories.find(t => t.occupyingPlayer !== null);
+    territory.armies.infantry += 50;
+
+    expect(upgradeSave(saved).error).toBe('This save has been changed or damaged since it was made.');
+  });
+
+  test('saves that cannot be played are rejected with the reason', () => {
+    const unknownOwner = readFixture('v1-original');
+    unknownOwner.state.territories[0].occupyingPlayer = 'p9';
+    expect(upgradeSave(unknownOwner).error)
+      .toBe("This save cannot be played: territory 'alaska' is held by unknown player 'p9'.");
+
+    // A consistent checksum does not make a broken game playable
+    const negativeArmies = readFixture('v2-draft');
+    const territory = negativeArmies.state.territories.find(t => t.occupyingPlayer !== null);
+    territory.armies.infantry = -3;
+    negativeArmies.checksum = createChecksum(negativeArmies.state);
+    expect(upgradeSave(negativeArmies).error)
+      .toBe(`This save cannot be played: territory '${territory.id}' has an impossible number of armies.`);
+
+    const wrongPhase = readFixture('v1-late');
+    wrongPhase.state.phase = 'victory-lap';
+    expect(upgradeSave(wrongPhase).error).toBe("This save cannot be played: the game is in unknown phase 'victory-lap'.");
+  });
+
+  test('files that are not saves, or are from a newer version, are rejected', () => {
+    expect(upgradeSave({ name: 'notes', timestamp: 1, state: {} }).error).toBe('This file is not a saved game.');
+    expect(upgradeSave(null).error).toBe('This file is not a saved game.');
+
+    const future = readFixture('v2-draft');
+    future.schemaVersion = SAVE_SCHEMA_VERSION + 1;
+    expect(upgradeSave(future).error).toBe(
+      `This game was saved by a newer version of the game (save format ${SAVE_SCHEMA_VERSION + 1}, ` +
+      `this version reads up to ${SAVE_SCHEMA_VERSION}).`
+    );
+  });
+
+  test('the save list and loading report why a save cannot be loaded', async () => {
+    const storage = new Map();
+    SaveLoadSystem.setStorage(new LocalStorageAdapter({
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    }));
+
+    const tampered = readFixture('v2-draft');
+    tampered.state.turn = 40;
+    storage.set('risk-game-old', JSON.stringify(readFixture('v1-original')));
+    storage.set('risk-game-tampered', JSON.stringify(tampered));
+    storage.set('risk-game-cut-off', JSON.stringify(readFixture('v1-late')).slice(0, 500));
+    storage.set('risk-game-savelist', JSON.stringify(['old', 'tampered', 'cut-off']));
+
+    const list = await SaveLoadSystem.getSaveList();
+    expect(list.find(save => save.name === 'old')).toMatchObject({ schemaVersion: 1, error: null });
+    expect(list.find(save => save.name === 'tampered').error).toBe('This save has been changed or damaged since it was made.');
+
+    expect((await SaveLoadSystem.loadGame('old')).success).toBe(true);
+    expect((await SaveLoadSystem.loadGame('tampered')).error).toBe('This save has been changed or damaged since it was made.');
+    expect((await SaveLoadSystem.loadGame('cut-off')).error).toBe('This save is damaged and cannot be read.');
+    expect((await SaveLoadSystem.loadGame('missing')).error).toBe('There is no save named "missing".');
+
+    // An old save is written back in the current schema once loaded, so changes to it are caught from then on
+    const rewritten = JSON.parse(storage.get('risk-game-old'));
+    expect(rewritten).toMatchObject({ schemaVersion: SAVE_SCHEMA_VERSION, timestamp: readFixture('v1-original').timestamp });
+    rewritten.state.turn = 40;
+    storage.set('risk-game-old', JSON.stringify(rewritten));
+    expect((await SaveLoadSystem.loadGame('old')).error).toBe('This save has been changed or damaged since it was made.');
+  });
+});
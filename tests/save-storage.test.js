@@ -0,0 +1,216 @@
+/**
+ * Tests for the storage saved games are kept in
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import GameEngine from '../src/core/game-engine.js';
+import GameServer from '../server/game-server.js';
+import SaveLoadSystem from '../src/core/save-load-system.js';
+import LocalStorageAdapter from '../src/core/storage/local-storage-adapter.js';
+import FileSystemAdapter from '../src/core/storage/file-system-adapter.js';
+import ServerAdapter from '../src/core/storage/server-adapter.js';
+import { CommandTypes } from '../src/core/commands.js';
+
+describe('Save Storage Tests', () => {
+  let dataDir;
+  let servers;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saves-'));
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const server of servers) {
+      await server.stop();
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    SaveLoadSystem.setStorage(null);
+    jest.restoreAllMocks();
+  });
+
+  // A Web Storage object like the browser's localStorage
+  const createWebStorage = () => {
+    const values = new Map();
+    return {
+      getItem: key => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: key => values.delete(key)
+    };
+  };
+
+  const startServer = async (options) => {
+    const server = new GameServer(options);
+    servers.push(server);
+    return `http://localhost:${await server.start(0)}`;
+  };
+
+  // Start a game and play its first move
+  const playGame = () => {
+    const engine = new GameEngine({ mapId: 'duel', seed: 'storage', enableEvents: false });
+    const gameState = engine.initializeGame();
+    const player = gameState.getCurrentPlayer();
+    engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId: player.territories[0], armyCount: 1 }
+    });
+    return gameState;
+  };
+
+  // Save, list, load and delete a game with the storage in use
+  const checkSaveAndLoad = async () => {
+    const gameState = playGame();
+
+    expect(await SaveLoadSystem.saveGame(gameState, 'First move')).toBe(true);
+    expect(await SaveLoadSystem.saveExists('First move')).toBe(true);
+    expect((await SaveLoadSystem.getSaveList()).map(save => save.name)).toEqual(['First move']);
+
+    const loaded = await SaveLoadSystem.loadGame('First move');
+    expect(loaded.success).toBe(true);
+    expect(loaded.state.territories).toEqual(JSON.parse(JSON.stringify(gameState.serialize().territories)));
+    expect(loaded.state.commandLog).toHaveLength(1);
+
+    expect(await SaveLoadSystem.deleteSave('First move')).toBe(true);
+    expect(await SaveLoadSystem.saveExists('First move')).toBe(false);
+    expect(await SaveLoadSystem.getSaveList()).toEqual([]);
+  };
+
+  test('games can be saved to and loaded from localStorage', async () => {
+    SaveLoadSystem.setStorage(new LocalStorageAdapter(createWebStorage()));
+    await checkSaveAndLoad();
+  });
+
+  test('games can be saved to and loaded from files, without a browser', async () => {
+    SaveLoadSystem.setStorage(new FileSystemAdapter(path.join(dataDir, 'games')));
+    await checkSaveAndLoad();
+
+    // Names that look like paths stay inside the directory
+    const storage = new FileSystemAdapter(path.join(dataDir, 'games'));
+    await storage.setItem('../outside', 'value');
+    expect(fs.readdirSync(dataDir)).toEqual(['games']);
+    expect(await storage.getItem('../outside')).toBe('value');
+  });
+
+  test('games can be saved to and loaded from the server, and are kept after it restarts', async () => {
+    const url = await startServer({ dataDir });
+    SaveLoadSystem.setStorage(new ServerAdapter(url));
+    await checkSaveAndLoad();
+
+    await SaveLoadSystem.saveGame(playGame(), 'Kept');
+    await servers.pop().stop();
+
+    const restarted = await startServer({ dataDir });
+    SaveLoadSystem.setStorage(new ServerAdapter(restarted));
+    expect((await SaveLoadSystem.loadGame('Kept')).success).toBe(true);
+  });
+
+  test('a server that keeps no saves says so', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const url = await startServer({ dataDir: null });
+    SaveLoadSystem.setStorage(new ServerAdapter(url));
+
+    expect((await SaveLoadSystem.loadGame('anything')).error)
+      .toBe('The save could not be read: The save server answered 503 This server does not keep saves');
+    expect(await SaveLoadSystem.saveGame(playGame(), 'Lost')).toBe(false);
+  });
+
+  test('saves can be moved from one storage to another', async () => {
+    const local = new LocalStorageAdapter(createWebStorage());
+    const files = new FileSystemAdapter(dataDir);
+
+    SaveLoadSystem.setStorage(local);
+    await SaveLoadSystem.saveGame(playGame(), 'autosave');
+    await SaveLoadSystem.saveGame(playGame(), 'Old game');
+
+    SaveLoadSystem.setStorage(files);
+    await SaveLoadSystem.saveGame(playGame(), 'New game');
+    expect(await SaveLoadSystem.moveSaves(local)).toEqual(['autosave', 'Old game']);
+
+    expect((await SaveLoadSystem.getSaveList()).map(save => save.name).sort()).toEqual(['New game', 'Old game', 'autosave']);
+    expect((await SaveLoadSystem.loadGame('Old game')).success).toBe(true);
+    expect(await local.getItem('risk-game-savelist')).toBeNull();
+    expect(await local.getItem('risk-game-Old game')).toBeNull();
+
+    // There is nothing left to move a second time
+    expect(await SaveLoadSystem.moveSaves(local)).toEqual([]);
+  });
+
+  test('autosaves are taken at turn starts and kept in a ring of slots', async () => {
+    SaveLoadSystem.setStorage(new LocalStorageAdapter(createWebStorage()));
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+    const engine = new GameEngine({ mapId: 'duel', seed: 'ring', enableEvents: false });
+    const gameState = engine.initializeGame();
+    expect(SaveLoadSystem.isTurnStart(gameState)).toBe(true);
+
+    const player = gameState.getCurrentPlayer();
+    engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId: player.territories[0], armyCount: gameState.remainingReinforcements }
+    });
+    expect(SaveLoadSystem.isTurnStart(gameState)).toBe(false);
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+    expect(SaveLoadSystem.isTurnStart(gameState)).toBe(true);
+
+    // Five turn starts in three slots: the last three are kept
+    await SaveLoadSystem.setAutoSaveSlotCount(3);
+    for (let turn = 1; turn <= 5; turn++) {
+      gameState.turn = turn;
+      expect(await SaveLoadSystem.createAutoSave(gameState)).toBe(true);
+    }
+
+    const autoSaves = await SaveLoadSystem.getAutoSaves();
+    expect(autoSaves.map(save => save.turn)).toEqual([5, 4, 3]);
+    expect(autoSaves.map(save => save.name)).toEqual(['autosave-2', 'autosave-1', 'autosave-3']);
+    expect(autoSaves[0]).toMatchObject({ displayName: 'Auto Save', playerName: gameState.getCurrentPlayer().name, seed: 'ring' });
+
+    // Rewinding loads the start of an earlier turn
+    const rewound = await SaveLoadSystem.loadGame('autosave-3');
+    expect(rewound.state.turn).toBe(3);
+
+    // A shared autosave is imported under a name of its own, outside the ring
+    const code = await SaveLoadSystem.exportSaveCode('autosave-3');
+    const imported = await SaveLoadSystem.importSave(code);
+    expect(SaveLoadSystem.isAutoSave(imported)).toBe(false);
+    expect((await SaveLoadSystem.getAutoSaves()).map(save => save.turn)).toEqual([5, 4, 3]);
+
+    // Keeping fewer slots deletes the ones no longer kept
+    expect(await SaveLoadSystem.setAutoSaveSlotCount(2)).toBe(2);
+    expect((await SaveLoadSystem.getAutoSaves()).map(save => save.name)).toEqual(['autosave-2', 'autosave-1']);
+    expect(await SaveLoadSystem.setAutoSaveSlotCount(100)).toBe(20);
+
+    await SaveLoadSystem.deleteAutoSaves();
+    expect(await SaveLoadSystem.getAutoSaves()).toEqual([]);
+    expect(SaveLoadSystem.isAutoSave(await SaveLoadSystem.importSave(code))).toBe(false);
+    expect(await SaveLoadSystem.getAutoSaves()).toEqual([]);
+  });
+
+  test('the autosave ring only ever holds the game being played', async () => {
+    SaveLoadSystem.setStorage(new LocalStorageAdapter(createWebStorage()));
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+    const first = new GameEngine({ mapId: 'duel', seed: 'first', enableEvents: false }).initializeGame();
+    const second = new GameEngine({ mapId: 'duel', seed: 'second', enableEvents: false }).initializeGame();
+    for (let turn = 1; turn <= 3; turn++) {
+      first.turn = turn;
+      await SaveLoadSystem.createAutoSave(first);
+    }
+    await SaveLoadSystem.saveGame(first, 'autosave');
+
+    // Starting another game clears the ring, older single autosave included, rather than mixing the two games
+    await SaveLoadSystem.createAutoSave(second);
+    const autoSaves = await SaveLoadSystem.getAutoSaves();
+    expect(autoSaves.map(save => save.seed)).toEqual(['second']);
+    expect(autoSaves[0].name).toBe('autosave-1');
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Tests for scenarios
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import GameReplay from '../src/core/game-replay.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { validateState } from '../src/core/save-schema.js';
+import { getPlayerView } from '../src/core/multiplayer/player-view.js';
+import { getCapital, getCapitalChoices } from '../src/core/capitals.js';
+import {
+  validateScenario,
+  registerScenario,
+  getScenario,
+  listScenarios,
+  setUpScenario,
+  checkTurnLimit,
+  createScenario
+} from '../src/core/scenarios.js';
+
+describe('Scenario Tests', () => {
+  const startScenario = (scenarioId, config = {}) => {
+    const engine = new GameEngine({ seed: 'scenario-test', scenario: getScenario(scenarioId), ...config });
+    return { engine, gameState: engine.initializeGame() };
+  };
+
+  // A copy of a bundled scenario to break in a test
+  const copyOf = (scenarioId) => JSON.parse(JSON.stringify(getScenario(scenarioId)));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the bundled scenarios are valid and listed', () => {
+    const ids = listScenarios().map(scenario => scenario.id);
+    expect(ids).toContain('hundred-days');
+    expect(ids).toContain('island-hopping');
+    expect(ids).toContain('world-ablaze');
+
+    ids.forEach(id => {
+      expect(validateScenario(getScenario(id))).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  test('a game starts from the scenario position', () => {
+    const { gameState } = startScenario('world-ablaze');
+    const [western, axis, eastern] = gameState.players;
+
+    expect(gameState.players.map(p => p.name)).toEqual(['Western Alliance', 'Continental Axis', 'Eastern Union', 'Pacific Empire']);
+    expect(gameState.turn).toBe(6);
+    expect(gameState.phase).toBe('reinforcement');
+    expect(gameState.currentPlayerIndex).toBe(0);
+
+    const territory = (id) => gameState.territories.find(t => t.id === id);
+    expect(territory('great-britain')).toMatchObject({ occupyingPlayer: western.id, armies: { infantry: 5, cavalry: 1, artillery: 0 } });
+    expect(territory('ukraine').occupyingPlayer).toBe(axis.id);
+    expect(territory('madagascar')).toMatchObject({ occupyingPlayer: null, armies: { infantry: 1, cavalry: 0, artillery: 0 } });
+    expect(western.territories).toHaveLength(17);
+
+    expect(western.resources.wealth).toBe(10);
+    expect(axis.technologies).toContain('blitzkrieg');
+  });
+
+  test('held cards are taken out of the deck', () => {
+    const { gameState } = startScenario('world-ablaze');
+    const held = gameState.players.flatMap(p => p.cards);
+
+    expect(gameState.players[1].cards.map(c => c.territoryId || c.type)).toEqual(['ukraine', 'egypt', 'wild']);
+    expect(held).toHaveLength(8);
+    held.forEach(card => {
+      expect(gameState.cardDeck.some(deckCard => deckCard.id === card.id)).toBe(false);
+    });
+    expect(gameState.cardDeck.filter(card => card.type === 'wild')).toHaveLength(0);
+  });
+
+  test('objectives are played as missions', () => {
+    const { gameState } = startScenario('world-ablaze');
+    const [western, axis, eastern, pacific] = gameState.players;
+
+    expect(gameState.config.enableMissions).toBe(true);
+    expect(gameState.config.victoryConditions).toEqual(['military', 'missions']);
+    expect(axis.mission).toEqual({ id: 'scenario-objective-2', type: 'eliminate-player', targetPlayerId: eastern.id });
+    expect(pacific.mission).toMatchObject({ type: 'hold-territories', count: 14, minArmies: 2 });
+    expect(western.mission.continentIds).toEqual(['europe', 'north-america']);
+  });
+
+  test('holding every named territory completes a hold-named-territories objective', () => {
+    const { gameState } = startScenario('hundred-days');
+    const [france, coalition] = gameState.players;
+
+    ['belgium', 'netherlands', 'rhineland'].forEach(territoryId => {
+      gameState.territories.find(t => t.id === territoryId).occupyingPlayer = france.id;
+      coalition.territories = coalition.territories.filter(id => id !== territoryId);
+      france.territories.push(territoryId);
+    });
+
+    expect(gameState.checkVictoryConditions()).toBe(true);
+    expect(gameState.winner).toBe(france);
+    expect(gameState.victoryType).toBe('missions');
+  });
+
+  test('events under way at the start keep going for their turns', () => {
+    const { gameState } = startScenario('world-ablaze');
+    const [, axis, eastern] = gameState.players;
+    const activeEvents = gameState.eventsManager.activeEvents.filter(event => event.id.includes('-scenario-'));
+
+    expect(activeEvents).toHaveLength(2);
+    expect(activeEvents[0]).toMatchObject({ type: 'low-morale', targetPlayerId: axis.id, affectedTerritories: ['ukraine'], startTurn: 6, endTurn: 7 });
+    expect(activeEvents[1]).toMatchObject({ type: 'combat-morale', targetPlayerId: eastern.id, endTurn: 8 });
+  });
+
+  test('every mistake in a scenario is listed', () => {
+    const scenario = copyOf('world-ablaze');
+    delete scenario.neutral.madagascar;
+    scenario.players[3].technologies = ['blitzkrieg'];
+    scenario.players[2].objective = { type: 'eliminate-player', player: 2 };
+    scenario.players[1].color = 'blue';
+    scenario.activeEvents.push({ type: 'plague', player: 0, turns: 1 });
+
+    const { valid, errors } = validateScenario(scenario);
+    expect(valid).toBe(false);
+    expect(errors).toContain("No one holds 'madagascar' (list them under a player, or as neutral)");
+    expect(errors).toContain("Player 'Pacific Empire' has technology 'blitzkrieg' without its prerequisite 'cavalry-charge'");
+    expect(errors).toContain("Player 'Eastern Union' cannot have to eliminate themselves");
+    expect(errors).toContain("Player 'Continental Axis' has the same color as another player");
+    expect(errors).toHaveLength(5);
+  });
+
+  test('invalid scenarios are not registered or played', () => {
+    const scenario = copyOf('island-hopping');
+    scenario.id = 'broken';
+    scenario.players[0].territories.luzon = 2;
+
+    const result = registerScenario(scenario);
+    expect(result.success).toBe(false);
+    expect(result.errors).toContain("Territory 'luzon' is held by both player 'Allied Fleet' and player 'Island Empire'");
+    expect(getScenario('broken')).toBeNull();
+
+    expect(registerScenario('{ not json').success).toBe(false);
+    expect(() => startScenario('island-hopping', { scenario })).toThrow(/is invalid/);
+  });
+
+  test('the turn limit hands the game to the player the scenario names', () => {
+    const { engine, gameState } = startScenario('island-hopping');
+    gameState.turn = 15;
+    gameState.currentPlayerIndex = 1;
+    gameState.phase = 'fortification';
+
+    engine.advancePhase();
+
+    expect(gameState.gameOver).toBe(true);
+    expect(gameState.winner.name).toBe('Island Empire');
+    expect(gameState.victoryType).toBe('turn-limit');
+  });
+
+  test('without a named winner the player holding the most territories wins', () => {
+    const { gameState } = startScenario('world-ablaze');
+
+    gameState.turn = 20;
+    expect(checkTurnLimit(gameState)).toBe(false);
+
+    gameState.turn = 21;
+    expect(checkTurnLimit(gameState)).toBe(true);
+    expect(gameState.winner.name).toBe('Western Alliance');
+  });
+
+  test('a game position can be saved as a scenario and played again', () => {
+    const { engine, gameState } = startScenario('world-ablaze');
+    engine.advancePhase();
+    engine.advancePhase();
+    engine.advancePhase();
+
+    const scenario = createScenario(gameState, { name: 'Second Front', turnLimit: 25 });
+    expect(validateScenario(scenario)).toEqual({ valid: true, errors: [] });
+    expect(scenario).toMatchObject({ id: 'second-front', turn: 6, turnLimit: 25, mapId: 'classic' });
+    expect(scenario.players[0].name).toBe('Continental Axis');
+    expect(scenario.players[0].objective).toEqual({ type: 'eliminate-player', player: 1 });
+    expect(scenario.neutral).toEqual({ 'south-africa': 2, madagascar: 1 });
+    expect(scenario.settings.victoryConditions).toEqual(['military']);
+
+    const copy = startScenario('world-ablaze', { scenario }).gameState;
+    const owners = (state) => state.territories.map(t => {
+      const owner = state.players.find(p => p.id === t.occupyingPlayer);
+      return [t.id, owner ? owner.name : null, t.armies];
+    });
+    expect(owners(copy)).toEqual(owners(gameState));
+    expect(copy.players[0].cards.map(c => c.territoryId || c.type)).toEqual(['ukraine', 'egypt', 'wild']);
+  });
+
+  test('a position saved from a capitals game keeps its capitals', () => {
+    const engine = new GameEngine({ seed: 'scenario-capitals', aiPlayers: 2, enableCapitals: true, enableEvents: false });
+    const gameState = engine.initializeGame();
+    gameState.players.forEach(player => {
+      engine.chooseCapital(player.id, getCapitalChoices(gameState, player.id)[0].id);
+    });
+    expect(gameState.phase).toBe('reinforcement');
+
+    const scenario = createScenario(gameState, { name: 'Capital Cities' });
+    expect(validateScenario(scenario)).toEqual({ valid: true, errors: [] });
+    const capitals = gameState.players.map(player => getCapital(gameState, player.id).id);
+    expect(scenario.players[1].territories[capitals[1]]).toMatchObject({ capitalOf: 1 });
+
+    const copy = new GameEngine({ seed: 'scenario-capitals', scenario }).initializeGame();
+    expect(copy.phase).toBe('reinforcement');
+    expect(copy.players.map(player => getCapital(copy, player.id).id)).toEqual(capitals);
+
+    const withoutCapitals = new GameEngine({ seed: 'scenario-capitals', scenario, enableCapitals: false }).initializeGame();
+    expect(withoutCapitals.territories.filter(t => t.capitalOf)).toHaveLength(0);
+
+    scenario.players[0].territories[capitals[0]].capitalOf = 2;
+    const { errors } = validateScenario(scenario);
+    expect(errors).toContain(`Player '${scenario.players[2].name}' has capitals in both '${capitals[0]}' and '${capitals[2]}'`);
+    expect(errors).toContain('Scenario must give every player a capital, or none');
+  });
+
+  test('scenario games can be saved and replayed', () => {
+    const { engine, gameState } = startScenario('hundred-days');
+    const player = gameState.players[0];
+    engine.executeCommand({ type: CommandTypes.REINFORCE, playerId: player.id, payload: { territoryId: 'paris', armyCount: 1 } });
+
+    const state = JSON.parse(JSON.stringify(gameState.serialize()));
+    expect(validateState(state)).toBeNull();
+
+    const replay = GameReplay.fromGameState(state).getStateAt();
+    expect(replay.territories.map(t => [t.occupyingPlayer, t.armies])).toEqual(gameState.territories.map(t => [t.occupyingPlayer, t.armies]));
+    expect(replay.turn).toBe(1);
+  });
+
+  test('players are not shown the starting cards and objectives of a scenario', () => {
+    const { gameState } = startScenario('world-ablaze');
+    const view = getPlayerView(gameState, gameState.players[0].id);
+
+    expect(view.config.scenario).toEqual({
+      id: 'world-ablaze',
+      name: 'World Ablaze',
+      description: getScenario('world-ablaze').description,
+      turnLimitWinner: undefined
+    });
+    expect(view.players[1].mission).toBeNull();
+  });
+
+  test('a scenario is played by its own number of players', () => {
+    const scenario = getScenario('hundred-days');
+    const state = new GameEngine({ seed: 'scenario-test', aiPlayers: 3 }).initializeGame();
+
+    expect(() => setUpScenario(state, scenario)).toThrow("Scenario 'The Hundred Days' is played by 3 players");
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for sea lanes between ports
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { registerMap, validateMap } from '../src/core/map-registry.js';
+import { areTerritoriesConnected } from '../src/core/game-helpers.js';
+import { CommandTypes } from '../src/core/commands.js';
+
+// Two islands of two territories each, joined by a single sea lane
+const straitMap = {
+  id: 'test-strait',
+  name: 'Test Strait',
+  continents: [
+    { id: 'west', name: 'West Island', bonusArmies: 1 },
+    { id: 'east', name: 'East Island', bonusArmies: 1 }
+  ],
+  territories: [
+    { id: 'west-port', name: 'West Port', continent: 'west', adjacent: ['west-hills'], coordinates: { x: 300, y: 250 }, features: { hasPort: true } },
+    { id: 'west-hills', name: 'West Hills', continent: 'west', adjacent: ['west-port'], coordinates: { x: 150, y: 250 } },
+    { id: 'east-port', name: 'East Port', continent: 'east', adjacent: ['east-hills'], coordinates: { x: 500, y: 250 }, features: { hasPort: true } },
+    { id: 'east-hills', name: 'East Hills', continent: 'east', adjacent: ['east-port'], coordinates: { x: 650, y: 250 } }
+  ],
+  seaLanes: [['west-port', 'east-port']]
+};
+
+describe('Sea Lane Tests', () => {
+  let engine;
+  let gameState;
+  let player;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    registerMap(straitMap);
+
+    engine = new GameEngine({ mapId: 'test-strait', aiPlayers: 1, seed: 'strait', enableEvents: false });
+    gameState = engine.initializeGame();
+    player = gameState.players[0];
+
+    // Give the first player the west island and the second player the east island
+    const [west, east] = gameState.players;
+    west.territories = ['west-port', 'west-hills'];
+    east.territories = ['east-port', 'east-hills'];
+    gameState.territories.forEach(territory => {
+      territory.occupyingPlayer = territory.continent === 'west' ? west.id : east.id;
+      territory.armies = { infantry: 5, cavalry: 0, artillery: 0 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const attackAcrossLane = () => engine.executeCommand({
+    type: CommandTypes.ATTACK,
+    playerId: player.id,
+    payload: { fromTerritoryId: 'west-port', toTerritoryId: 'east-port', attackDice: 1 }
+  });
+
+  const goToAttackPhase = () => {
+    engine.executeCommand({
+      type: CommandTypes.REINFORCE,
+      playerId: player.id,
+      payload: { territoryId: 'west-port', armyCount: gameState.remainingReinforcements }
+    });
+  };
+
+  test('sea lanes are loaded onto both ports', () => {
+    expect(gameState.territories.find(t => t.id === 'west-port').seaLanes).toEqual(['east-port']);
+    expect(gameState.territories.find(t => t.id === 'east-port').seaLanes).toEqual(['west-port']);
+    expect(areTerritoriesConnected(gameState, 'west-port', 'east-port')).toBe(true);
+    expect(areTerritoriesConnected(gameState, 'west-hills', 'east-hills')).toBe(false);
+  });
+
+  test('players can attack across a sea lane between ports', () => {
+    goToAttackPhase();
+    expect(attackAcrossLane().success).toBe(true);
+  });
+
+  test('a sea lane is closed when either end loses its port', () => {
+    goToAttackPhase();
+    gameState.territories.find(t => t.id === 'east-port').features.hasPort = false;
+
+    const result = attackAcrossLane();
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Sea lanes can only be used between ports');
+  });
+
+  test('the map validator requires ports at both ends of a lane', () => {
+    const noPortMap = JSON.parse(JSON.stringify(straitMap));
+    noPortMap.territories[2].features = {};
+
+    expect(validateMap(noPortMap).errors).toContain("Sea lane 'west-port'-'east-port' uses 'east-port', which has no port");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for the headless simulation runner
+ */
+
+import { simulateGame, simulateGames, summarizeResults, resultsToCsv } from '../src/core/simulation.js';
+
+describe('Simulation Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const options = { mapId: 'duel', aiPlayers: 1, maxTurns: 30, strategies: ['aggressive', 'defensive'] };
+
+  test('the same seed plays the same game', () => {
+    const first = simulateGame({ ...options, seed: 'repeat' });
+    const second = simulateGame({ ...options, seed: 'repeat' });
+
+    expect(second).toEqual(first);
+    expect(first.players).toEqual([
+      { id: 'p1', strategy: 'aggressive' },
+      { id: 'ai1', strategy: 'defensive' }
+    ]);
+    expect(first.error).toBeNull();
+  });
+
+  test('games stop at the turn cap and record territories each turn', () => {
+    const result = simulateGame({ ...options, seed: 'capped', maxTurns: 3 });
+
+    expect(result.turns).toBeLessThanOrEqual(3);
+    expect(result.territoriesOverTime[0]).toEqual({ turn: 1, territories: { p1: 9, ai1: 9 } });
+    result.territoriesOverTime.forEach(point => {
+      expect(point.territories.p1 + point.territories.ai1).toBe(18);
+    });
+    expect(result.territoriesOverTime.map(point => point.turn)).toEqual([1, 2, 3]);
+  });
+
+  test('finished games record the turn they ended in once', () => {
+    const result = simulateGame({ ...options, seed: 'repeat' });
+    const turns = result.territoriesOverTime.map(point => point.turn);
+
+    expect(result.finished).toBe(true);
+    expect(new Set(turns).size).toBe(turns.length);
+    expect(turns[turns.length - 1]).toBe(result.turns);
+    expect(Object.values(result.territoriesOverTime[turns.length - 1].territories)).toContain(18);
+  });
+
+  test('batches use a seed per game and can be summarized as JSON or CSV', () => {
+    const results = simulateGames({ ...options, games: 2, seed: 'batch' });
+
+    expect(results.map(r => r.seed)).toEqual(['batch-1', 'batch-2']);
+
+    const summary = summarizeResults(results);
+    expect(summary.games).toBe(2);
+    expect(summary.strategies.aggressive.seats).toBe(2);
+
+    const lines = resultsToCsv(results).trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toBe('seed,mapId,finished,winner,winnerStrategy,victoryType,turns,commands,error,p1Strategy,p1Territories,ai1Strategy,ai1Territories');
+    expect(lines[1].startsWith('batch-1,duel,')).toBe(true);
+  });
+});
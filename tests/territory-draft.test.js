@@ -0,0 +1,146 @@
+/**
+ * Tests for the territory draft
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import GameReplay from '../src/core/game-replay.js';
+import { CommandTypes } from '../src/core/commands.js';
+import { AIPlayerFactory } from '../src/core/ai-player.js';
+import { getSetupArmies, getSetupChoices, getUnclaimedTerritories } from '../src/core/territory-draft.js';
+
+describe('Territory Draft Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createDraft = (config = {}) => {
+    const engine = new GameEngine({
+      mapId: 'classic',
+      aiPlayers: 2,
+      seed: 'draft',
+      enableDraft: true,
+      enableEvents: false,
+      ...config
+    });
+    engine.initializeGame();
+    return engine;
+  };
+
+  const currentPlayerId = (engine) => engine.gameState.players[engine.gameState.currentPlayerIndex].id;
+
+  // Claim the first unclaimed territory for each player in turn until the map is taken
+  const claimAll = (engine) => {
+    while (engine.gameState.phase === 'claim') {
+      const territoryId = getUnclaimedTerritories(engine.gameState)[0].id;
+      engine.executeCommand({ type: CommandTypes.CLAIM_TERRITORY, playerId: currentPlayerId(engine), payload: { territoryId } });
+    }
+  };
+
+  test('players claim unclaimed territories in turn', () => {
+    const engine = createDraft();
+    const { gameState } = engine;
+
+    expect(gameState.phase).toBe('claim');
+    expect(gameState.territories.every(t => !t.occupyingPlayer)).toBe(true);
+    expect(getSetupArmies(gameState, 'p1')).toBe(35);
+
+    const alaska = gameState.territories.find(t => t.id === 'alaska');
+    const result = engine.executeCommand({ type: CommandTypes.CLAIM_TERRITORY, playerId: 'p1', payload: { territoryId: 'alaska' } });
+    expect(result.success).toBe(true);
+    expect(alaska.occupyingPlayer).toBe('p1');
+    expect(alaska.armies.infantry).toBe(1);
+    expect(getSetupArmies(gameState, 'p1')).toBe(34);
+    expect(currentPlayerId(engine)).toBe('ai1');
+
+    const taken = engine.executeCommand({ type: CommandTypes.CLAIM_TERRITORY, playerId: 'ai1', payload: { territoryId: 'alaska' } });
+    expect(taken.success).toBe(false);
+    expect(taken.error).toBe('That territory has already been claimed');
+
+    const outOfTurn = engine.executeCommand({ type: CommandTypes.CLAIM_TERRITORY, playerId: 'p1', payload: { territoryId: 'ontario' } });
+    expect(outOfTurn.error).toBe('Not your turn');
+
+    expect(engine.endPhase('ai1').error).toBe('Place your starting armies first');
+  });
+
+  test('deploying follows the claims and skips players with no armies left', () => {
+    const engine = createDraft({ aiPlayers: 1 });
+    const { gameState } = engine;
+
+    claimAll(engine);
+    expect(gameState.phase).toBe('deploy');
+    expect(getSetupChoices(gameState, 'p1').every(t => t.occupyingPlayer === 'p1')).toBe(true);
+
+    // Claims went p1, ai1, p1, ... so 42 territories leave 21 each and 19 armies to place
+    expect(getSetupArmies(gameState, 'p1')).toBe(19);
+    expect(getSetupArmies(gameState, 'ai1')).toBe(19);
+
+    const enemyTerritory = gameState.territories.find(t => t.occupyingPlayer !== currentPlayerId(engine));
+    const rejected = engine.executeCommand({ type: CommandTypes.DEPLOY, playerId: currentPlayerId(engine), payload: { territoryId: enemyTerritory.id } });
+    expect(rejected.success).toBe(false);
+
+    // Once one player is out of armies the other keeps placing
+    gameState.setupArmies.ai1 = 0;
+    const ownTerritory = getSetupChoices(gameState, 'p1')[0];
+    engine.executeCommand({ type: CommandTypes.DEPLOY, playerId: 'p1', payload: { territoryId: ownTerritory.id } });
+    expect(currentPlayerId(engine)).toBe('p1');
+    expect(ownTerritory.armies.infantry).toBe(2);
+  });
+
+  test('the game starts with the first player once every army is placed', () => {
+    const engine = createDraft();
+    const { gameState } = engine;
+
+    claimAll(engine);
+    while (gameState.phase === 'deploy') {
+      const playerId = currentPlayerId(engine);
+      const territoryId = getSetupChoices(gameState, playerId)[0].id;
+      engine.executeCommand({ type: CommandTypes.DEPLOY, playerId, payload: { territoryId } });
+    }
+
+    expect(gameState.phase).toBe('reinforcement');
+    expect(gameState.currentPlayerIndex).toBe(0);
+    for (const player of gameState.players) {
+      const armies = gameState.territories
+        .filter(t => t.occupyingPlayer === player.id)
+        .reduce((sum, t) => sum + t.armies.infantry, 0);
+      expect(armies).toBe(35);
+    }
+  });
+
+  test('capitals are chosen after the draft in capitals mode', () => {
+    const engine = createDraft({ aiPlayers: 1, enableCapitals: true });
+    const { gameState } = engine;
+
+    claimAll(engine);
+    // Leave a single army to place
+    const playerId = currentPlayerId(engine);
+    gameState.setupArmies = { p1: 0, ai1: 0, [playerId]: 1 };
+    engine.executeCommand({ type: CommandTypes.DEPLOY, playerId, payload: { territoryId: getSetupChoices(gameState, playerId)[0].id } });
+
+    expect(gameState.phase).toBe('capital-selection');
+    expect(gameState.currentPlayerIndex).toBe(0);
+  });
+
+  test('an AI-played draft replays to the same board', () => {
+    const engine = createDraft();
+    const { gameState } = engine;
+    const ais = Object.fromEntries(gameState.players.map(p => [p.id, AIPlayerFactory.createAI(p.id, 'balanced')]));
+
+    while (gameState.phase === 'claim' || gameState.phase === 'deploy') {
+      const playerId = currentPlayerId(engine);
+      ais[playerId].performTurn(gameState, engine);
+    }
+
+    expect(gameState.phase).toBe('reinforcement');
+    expect(gameState.territories.every(t => t.occupyingPlayer)).toBe(true);
+
+    const replay = GameReplay.fromGameState(gameState);
+    const replayed = replay.getStateAt(gameState.commandLog.length);
+    expect(replayed.territories.map(t => [t.occupyingPlayer, t.armies.infantry]))
+      .toEqual(gameState.territories.map(t => [t.occupyingPlayer, t.armies.infantry]));
+  });
+});
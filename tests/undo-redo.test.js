@@ -0,0 +1,120 @@
+/**
+ * Tests for undoing and redoing actions within a turn
+ */
+
+import GameEngine from '../src/core/game-engine.js';
+import { CommandTypes } from '../src/core/commands.js';
+
+describe('Undo/Redo Tests', () => {
+  let engine;
+  let gameState;
+  let player;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    engine = new GameEngine({ seed: 'undo-test', dealSampleCards: true });
+    gameState = engine.initializeGame();
+    player = gameState.players[0];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reinforce = (territoryId, armyCount) => engine.executeCommand({
+    type: CommandTypes.REINFORCE,
+    playerId: player.id,
+    payload: { territoryId, armyCount }
+  });
+
+  test('undo takes back a reinforcement and redo places it again', () => {
+    const territory = gameState.territories.find(t => t.id === player.territories[0]);
+    const initialArmies = territory.armies.infantry;
+    const initialReinforcements = gameState.remainingReinforcements;
+
+    reinforce(territory.id, 1);
+    expect(territory.armies.infantry).toBe(initialArmies + 1);
+
+    expect(engine.undo(player.id).success).toBe(true);
+    expect(territory.armies.infantry).toBe(initialArmies);
+    expect(gameState.remainingReinforcements).toBe(initialReinforcements);
+    expect(gameState.commandLog).toHaveLength(0);
+
+    expect(engine.redo(player.id).success).toBe(true);
+    expect(territory.armies.infantry).toBe(initialArmies + 1);
+    expect(gameState.commandLog).toHaveLength(1);
+  });
+
+  test('undo restores traded cards', () => {
+    const cardIds = player.cards.slice(0, 3).map(c => c.id);
+
+    const result = engine.executeCommand({
+      type: CommandTypes.TRADE_CARDS,
+      playerId: player.id,
+      payload: { cardIds }
+    });
+    expect(result.success).toBe(true);
+
+    engine.undo(player.id);
+    expect(cardIds.every(id => player.cards.some(c => c.id === id))).toBe(true);
+    expect(gameState.discardPile).toHaveLength(0);
+  });
+
+  test('undo can return to the reinforcement phase after the last army is placed', () => {
+    reinforce(player.territories[0], gameState.remainingReinforcements);
+    expect(gameState.phase).toBe('attack');
+
+    engine.undo(player.id);
+    expect(gameState.phase).toBe('reinforcement');
+  });
+
+  test('undo is rejected after a dice roll', () => {
+    reinforce(player.territories[0], gameState.remainingReinforcements);
+
+    // Find any legal attack for the player
+    const from = gameState.territories.find(t =>
+      t.occupyingPlayer === player.id &&
+      t.getTotalArmies() > 1 &&
+      t.adjacentTerritories.some(id => gameState.territories.find(a => a.id === id).occupyingPlayer !== player.id)
+    );
+    const to = from.adjacentTerritories.find(id =>
+      gameState.territories.find(a => a.id === id).occupyingPlayer !== player.id
+    );
+
+    engine.executeCommand({
+      type: CommandTypes.ATTACK,
+      playerId: player.id,
+      payload: { fromTerritoryId: from.id, toTerritoryId: to, attackDice: 1 }
+    });
+
+    expect(engine.undo(player.id).success).toBe(false);
+  });
+
+  test('only one fortification is allowed per turn', () => {
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+    engine.executeCommand({ type: CommandTypes.END_PHASE, playerId: player.id });
+    expect(gameState.phase).toBe('fortification');
+
+    const from = gameState.territories.find(t =>
+      t.occupyingPlayer === player.id &&
+      t.getTotalArmies() > 2 &&
+      t.adjacentTerritories.some(id => gameState.territories.find(a => a.id === id).occupyingPlayer === player.id)
+    );
+    const to = from.adjacentTerritories.find(id =>
+      gameState.territories.find(a => a.id === id).occupyingPlayer === player.id
+    );
+    const fortify = () => engine.executeCommand({
+      type: CommandTypes.FORTIFY,
+      playerId: player.id,
+      payload: { fromTerritoryId: from.id, toTerritoryId: to, armyCount: 1 }
+    });
+
+    expect(fortify().success).toBe(true);
+    expect(fortify().success).toBe(false);
+
+    // Undoing the move allows the player to fortify again
+    engine.undo(player.id);
+    expect(fortify().success).toBe(true);
+  });
+});